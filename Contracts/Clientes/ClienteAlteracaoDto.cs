@@ -0,0 +1,23 @@
+namespace WebAppEstudo.Contracts.Clientes;
+
+/// <summary>
+/// Data Transfer Object (DTO) com a alteração de um campo em um registro do histórico.
+/// Na criação, <see cref="Anterior"/> é nulo; na exclusão definitiva, <see cref="Novo"/> é nulo.
+/// </summary>
+public class ClienteAlteracaoDto
+{
+    /// <summary>
+    /// Campo alterado, em camelCase (ex: "telefone").
+    /// </summary>
+    public string Campo { get; set; } = "";
+
+    /// <summary>
+    /// Valor antes da alteração (texto ou número, como no JSON do cliente).
+    /// </summary>
+    public object? Anterior { get; set; }
+
+    /// <summary>
+    /// Valor depois da alteração (texto ou número, como no JSON do cliente).
+    /// </summary>
+    public object? Novo { get; set; }
+}
@@ -0,0 +1,59 @@
+namespace WebAppEstudo.Contracts.Clientes;
+
+/// <summary>
+/// Data Transfer Object (DTO) com os detalhes completos de um cliente (GET /api/clientes/{id}).
+/// Usado nos modais de visualização e de edição. Também é devolvido, como "atual",
+/// quando uma edição é recusada por conflito de versão (HTTP 412).
+/// </summary>
+public class ClienteDetalheDto
+{
+    /// <summary>
+    /// Identificador único do cliente.
+    /// </summary>
+    public int Id { get; set; }
+
+    /// <summary>
+    /// Nome completo do cliente.
+    /// </summary>
+    public string Nome { get; set; } = "";
+
+    /// <summary>
+    /// Endereço residencial ou comercial do cliente.
+    /// Pode ser nulo se não foi informado.
+    /// </summary>
+    public string? Endereco { get; set; }
+
+    /// <summary>
+    /// Idade do cliente em anos.
+    /// Pode ser nula se não foi informada.
+    /// </summary>
+    public int? Idade { get; set; }
+
+    /// <summary>
+    /// Número de telefone do cliente.
+    /// Pode ser nulo se não foi informado.
+    /// </summary>
+    public string? Telefone { get; set; }
+
+    /// <summary>
+    /// CPF ou CNPJ do cliente, sem formatação (a tela aplica a máscara).
+    /// Pode ser nulo se não foi informado.
+    /// </summary>
+    public string? Documento { get; set; }
+
+    /// <summary>
+    /// Data e hora de cadastro (UTC).
+    /// </summary>
+    public DateTime DataCadastro { get; set; }
+
+    /// <summary>
+    /// Data e hora da última modificação (UTC).
+    /// </summary>
+    public DateTime DataUltimoRegistro { get; set; }
+
+    /// <summary>
+    /// Versão do registro (a mesma do cabeçalho ETag, sem as aspas).
+    /// O modal de edição a envia de volta no If-Match do PUT.
+    /// </summary>
+    public string Versao { get; set; } = "";
+}
@@ -0,0 +1,67 @@
+namespace WebAppEstudo.Contracts.Clientes;
+
+/// <summary>
+/// Parâmetros de query string aceitos pela exportação de clientes (GET /api/clientes/exportar).
+/// Usa o mesmo filtro e a mesma ordenação da listagem, mas sem paginação: exporta todos
+/// os registros do filtro. As colunas exportadas são descritas por listas paralelas
+/// (fields, headers e types), montadas pelo CrudList a partir do cabeçalho da tabela.
+/// Usado com [AsParameters] para que o ASP.NET Core faça o binding de cada propriedade.
+/// </summary>
+public class ClienteExportQuery
+{
+    /// <summary>
+    /// Formato do arquivo: "csv" (padrão) ou "xlsx".
+    /// </summary>
+    public string? Format { get; set; }
+
+    /// <summary>
+    /// Coluna usada no filtro (id, nome, endereco, idade ou telefone).
+    /// </summary>
+    public string? Column { get; set; }
+
+    /// <summary>
+    /// Texto de pesquisa aplicado sobre a coluna escolhida.
+    /// </summary>
+    public string? Search { get; set; }
+
+    /// <summary>
+    /// Condições do filtro avançado, no formato campo:operador[:valor]
+    /// (ex: filter=nome:contains:ana&amp;filter=idade:between:18,30).
+    /// Combinadas com <see cref="Column"/>/<see cref="Search"/> por E. Veja <see cref="WebAppEstudo.Endpoints.Filtragem"/>.
+    /// </summary>
+    public string[]? Filter { get; set; }
+
+    /// <summary>
+    /// Conectores entre condições consecutivas de <see cref="Filter"/>, separados por vírgula (ex: "and,or").
+    /// Qualquer valor diferente de "or" é tratado como "and"; o E é avaliado antes do OU.
+    /// </summary>
+    public string? Logic { get; set; }
+
+    /// <summary>
+    /// Colunas de ordenação separadas por vírgula (ex: "nome,idade").
+    /// </summary>
+    public string? Sort { get; set; }
+
+    /// <summary>
+    /// Direções de ordenação separadas por vírgula, paralelas a <see cref="Sort"/>.
+    /// </summary>
+    public string? Dir { get; set; }
+
+    /// <summary>
+    /// Campos exportados, na ordem das colunas (ex: fields=id&amp;fields=nome).
+    /// Campos desconhecidos são ignorados; sem nenhum campo, exporta todas as colunas disponíveis.
+    /// </summary>
+    public string[]? Fields { get; set; }
+
+    /// <summary>
+    /// Títulos das colunas, paralelos a <see cref="Fields"/> (ex: o texto dos &lt;th&gt; da tabela).
+    /// Títulos ausentes usam o título padrão do campo.
+    /// </summary>
+    public string[]? Headers { get; set; }
+
+    /// <summary>
+    /// Tipos de formatação, paralelos a <see cref="Fields"/> (text, number, date, datetime, time, phone ou boolean).
+    /// Tipos ausentes ou desconhecidos usam o tipo padrão do campo.
+    /// </summary>
+    public string[]? Types { get; set; }
+}
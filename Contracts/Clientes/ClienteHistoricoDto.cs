@@ -0,0 +1,33 @@
+namespace WebAppEstudo.Contracts.Clientes;
+
+/// <summary>
+/// Data Transfer Object (DTO) de um registro do histórico de um cliente
+/// (GET /api/clientes/{id}/historico), exibido na aba "Histórico" do modal de detalhes.
+/// </summary>
+public class ClienteHistoricoDto
+{
+    /// <summary>
+    /// Identificador do registro de histórico.
+    /// </summary>
+    public long Id { get; set; }
+
+    /// <summary>
+    /// Ação registrada: criacao, alteracao, exclusao, restauracao ou exclusao_definitiva.
+    /// </summary>
+    public string Acao { get; set; } = "";
+
+    /// <summary>
+    /// Data e hora da ação (UTC).
+    /// </summary>
+    public DateTime Data { get; set; }
+
+    /// <summary>
+    /// Usuário que fez a ação, quando conhecido.
+    /// </summary>
+    public string? Usuario { get; set; }
+
+    /// <summary>
+    /// Campos alterados, com os valores anteriores e novos (vazio na exclusão e na restauração).
+    /// </summary>
+    public List<ClienteAlteracaoDto> Alteracoes { get; set; } = new();
+}
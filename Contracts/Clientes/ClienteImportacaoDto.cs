@@ -0,0 +1,25 @@
+using System.ComponentModel.DataAnnotations;
+
+namespace WebAppEstudo.Contracts.Clientes;
+
+/// <summary>
+/// Data Transfer Object (DTO) com as linhas de uma importação de clientes (planilha CSV).
+/// Cada linha tem os mesmos campos e as mesmas regras de <see cref="ClienteCreateDto"/>.
+/// A resposta dos endpoints de importação traz um resultado por linha, na mesma ordem.
+/// </summary>
+public class ClienteImportacaoDto
+{
+    /// <summary>
+    /// Quantidade máxima de linhas aceita em uma única importação.
+    /// </summary>
+    public const int MaximoLinhas = 5000;
+
+    /// <summary>
+    /// Linhas a importar, já com as colunas do arquivo associadas aos campos do cliente.
+    /// Campo obrigatório, com pelo menos uma e no máximo <see cref="MaximoLinhas"/> linhas.
+    /// </summary>
+    [Required(ErrorMessage = "O arquivo não tem linhas para importar.")]
+    [MinLength(1, ErrorMessage = "O arquivo não tem linhas para importar.")]
+    [MaxLength(MaximoLinhas, ErrorMessage = "Não é possível importar mais de {1} linhas por vez.")]
+    public List<ClienteCreateDto?> Linhas { get; set; } = new();
+}
@@ -0,0 +1,28 @@
+namespace WebAppEstudo.Contracts.Clientes;
+
+/// <summary>
+/// Data Transfer Object (DTO) com o resultado da validação ou da importação de uma linha.
+/// </summary>
+public class ClienteImportacaoLinhaDto
+{
+    /// <summary>
+    /// Posição da linha na lista enviada (começa em 0).
+    /// </summary>
+    public int Indice { get; set; }
+
+    /// <summary>
+    /// Indica se a linha atende a todas as regras de um novo cliente.
+    /// </summary>
+    public bool Valida { get; set; }
+
+    /// <summary>
+    /// ID do cliente criado (somente na importação, para linhas válidas).
+    /// </summary>
+    public int? Id { get; set; }
+
+    /// <summary>
+    /// Erros da linha agrupados por campo (camelCase), no mesmo formato de ValidationProblemDetails.
+    /// Vazio quando a linha é válida.
+    /// </summary>
+    public Dictionary<string, string[]> Erros { get; set; } = new();
+}
@@ -4,7 +4,8 @@ namespace WebAppEstudo.Contracts.Clientes;
 /// Data Transfer Object (DTO) para listagem de clientes.
 /// Contém apenas os campos essenciais que devem ser exibidos em uma lista ou tabela.
 /// Evita trafegar dados desnecessários pela rede, melhorando a performance.
-/// Não inclui campos de controle do sistema (DataCadastro, DataUltimoRegistro, Deletado).
+/// Inclui as datas de controle, que o usuário pode exibir como colunas da lista,
+/// e a versão do registro (usada pela edição na célula); não inclui o Deletado.
 /// </summary>
 public class ClienteListDto
 {
@@ -18,9 +19,43 @@ public class ClienteListDto
     /// </summary>
     public string Nome { get; set; } = "";
 
+    /// <summary>
+    /// Endereço residencial ou comercial do cliente.
+    /// Pode ser nulo se não foi informado.
+    /// </summary>
+    public string? Endereco { get; set; }
+
+    /// <summary>
+    /// Idade do cliente em anos.
+    /// Pode ser nula se não foi informada.
+    /// </summary>
+    public int? Idade { get; set; }
+
     /// <summary>
     /// Número de telefone do cliente.
     /// Pode ser nulo se não foi informado.
     /// </summary>
     public string? Telefone { get; set; }
+
+    /// <summary>
+    /// CPF ou CNPJ do cliente, sem formatação (a tela aplica a máscara).
+    /// Pode ser nulo se não foi informado.
+    /// </summary>
+    public string? Documento { get; set; }
+
+    /// <summary>
+    /// Data e hora de criação do registro (UTC).
+    /// </summary>
+    public DateTime DataCadastro { get; set; }
+
+    /// <summary>
+    /// Data e hora da última alteração do registro (UTC).
+    /// </summary>
+    public DateTime DataUltimoRegistro { get; set; }
+
+    /// <summary>
+    /// Versão do registro (a mesma do cabeçalho ETag, sem as aspas).
+    /// A edição na célula a envia de volta no If-Match do PATCH.
+    /// </summary>
+    public string Versao { get; set; } = "";
 }
@@ -0,0 +1,57 @@
+namespace WebAppEstudo.Contracts.Clientes;
+
+/// <summary>
+/// Parâmetros de query string aceitos pela listagem de clientes (GET /api/clientes).
+/// Corresponde ao que o CrudList envia em buildQueryString(): page, pageSize, column, search, filter, logic, sort e dir.
+/// Usado com [AsParameters] para que o ASP.NET Core faça o binding de cada propriedade.
+/// </summary>
+public class ClienteListQuery
+{
+    /// <summary>
+    /// Página solicitada (começa em 1).
+    /// Valores ausentes ou menores que 1 são tratados como 1.
+    /// </summary>
+    public int? Page { get; set; }
+
+    /// <summary>
+    /// Quantidade de itens por página.
+    /// Valores ausentes usam o padrão; valores acima do máximo são limitados.
+    /// </summary>
+    public int? PageSize { get; set; }
+
+    /// <summary>
+    /// Coluna usada no filtro (id, nome, endereco, idade ou telefone).
+    /// Colunas fora dessa lista são ignoradas.
+    /// </summary>
+    public string? Column { get; set; }
+
+    /// <summary>
+    /// Texto de pesquisa aplicado sobre a coluna escolhida.
+    /// </summary>
+    public string? Search { get; set; }
+
+    /// <summary>
+    /// Condições do filtro avançado, no formato campo:operador[:valor]
+    /// (ex: filter=nome:contains:ana&amp;filter=idade:between:18,30).
+    /// Combinadas com <see cref="Column"/>/<see cref="Search"/> por E. Veja <see cref="WebAppEstudo.Endpoints.Filtragem"/>.
+    /// </summary>
+    public string[]? Filter { get; set; }
+
+    /// <summary>
+    /// Conectores entre condições consecutivas de <see cref="Filter"/>, separados por vírgula (ex: "and,or").
+    /// Qualquer valor diferente de "or" é tratado como "and"; o E é avaliado antes do OU.
+    /// </summary>
+    public string? Logic { get; set; }
+
+    /// <summary>
+    /// Colunas de ordenação separadas por vírgula, em ordem de prioridade (ex: "nome,idade").
+    /// Colunas desconhecidas são ignoradas; sem nenhuma coluna válida, ordena por nome.
+    /// </summary>
+    public string? Sort { get; set; }
+
+    /// <summary>
+    /// Direções de ordenação separadas por vírgula, paralelas a <see cref="Sort"/> (ex: "asc,desc").
+    /// Qualquer valor diferente de "desc" é tratado como crescente.
+    /// </summary>
+    public string? Dir { get; set; }
+}
@@ -0,0 +1,58 @@
+namespace WebAppEstudo.Contracts.Clientes;
+
+/// <summary>
+/// Data Transfer Object (DTO) para a listagem da lixeira (clientes excluídos).
+/// Traz os mesmos campos da listagem normal e a data em que o cliente foi excluído.
+/// </summary>
+public class ClienteLixeiraDto
+{
+    /// <summary>
+    /// Identificador único do cliente.
+    /// </summary>
+    public int Id { get; set; }
+
+    /// <summary>
+    /// Nome completo do cliente.
+    /// </summary>
+    public string Nome { get; set; } = "";
+
+    /// <summary>
+    /// Endereço residencial ou comercial do cliente.
+    /// Pode ser nulo se não foi informado.
+    /// </summary>
+    public string? Endereco { get; set; }
+
+    /// <summary>
+    /// Idade do cliente em anos.
+    /// Pode ser nula se não foi informada.
+    /// </summary>
+    public int? Idade { get; set; }
+
+    /// <summary>
+    /// Número de telefone do cliente.
+    /// Pode ser nulo se não foi informado.
+    /// </summary>
+    public string? Telefone { get; set; }
+
+    /// <summary>
+    /// CPF ou CNPJ do cliente, sem formatação (a tela aplica a máscara).
+    /// Pode ser nulo se não foi informado.
+    /// </summary>
+    public string? Documento { get; set; }
+
+    /// <summary>
+    /// Data e hora de criação do registro (UTC).
+    /// </summary>
+    public DateTime DataCadastro { get; set; }
+
+    /// <summary>
+    /// Data e hora da última alteração do registro (UTC).
+    /// </summary>
+    public DateTime DataUltimoRegistro { get; set; }
+
+    /// <summary>
+    /// Data e hora da exclusão (UTC).
+    /// Pode ser nula para clientes excluídos antes de a data passar a ser registrada.
+    /// </summary>
+    public DateTime? DataExclusao { get; set; }
+}
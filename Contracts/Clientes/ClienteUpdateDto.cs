@@ -1,3 +1,6 @@
+using System.ComponentModel.DataAnnotations;
+using WebAppEstudo.Data;
+
 namespace WebAppEstudo.Contracts.Clientes;
 
 /// <summary>
@@ -5,30 +8,44 @@ namespace WebAppEstudo.Contracts.Clientes;
 /// Contém todos os campos editáveis de um cliente.
 /// O Id não está incluído aqui pois é passado na URL da requisição.
 /// Não inclui campos de controle (DataCadastro, DataUltimoRegistro, Deletado) pois são gerenciados pelo sistema.
+/// As regras de validação (atributos) acompanham as da entidade Cliente e são verificadas
+/// pelos endpoints com <c>Validacao.Validar</c>, que devolve os erros por campo.
 /// </summary>
 public class ClienteUpdateDto
 {
     /// <summary>
     /// Nome completo do cliente.
-    /// Campo obrigatório.
+    /// Campo obrigatório com tamanho máximo de 200 caracteres.
     /// </summary>
+    [Required(ErrorMessage = "O nome é obrigatório.")]
+    [MaxLength(200, ErrorMessage = "O nome não pode ter mais de 200 caracteres.")]
     public string Nome { get; set; } = "";
 
     /// <summary>
     /// Endereço residencial ou comercial do cliente.
-    /// Campo opcional.
+    /// Campo opcional com tamanho máximo de 200 caracteres.
     /// </summary>
+    [MaxLength(200, ErrorMessage = "O endereço não pode ter mais de 200 caracteres.")]
     public string? Endereco { get; set; }
 
     /// <summary>
     /// Idade do cliente em anos.
     /// Campo opcional. Se fornecido, deve estar entre 0 e 150.
     /// </summary>
+    [Range(0, 150, ErrorMessage = "A idade deve estar entre 0 e 150 anos.")]
     public int? Idade { get; set; }
 
     /// <summary>
     /// Número de telefone do cliente.
-    /// Campo opcional. Pode incluir formatação.
+    /// Campo opcional com tamanho máximo de 30 caracteres. Pode incluir formatação.
     /// </summary>
+    [MaxLength(30, ErrorMessage = "O telefone não pode ter mais de 30 caracteres.")]
     public string? Telefone { get; set; }
+
+    /// <summary>
+    /// CPF ou CNPJ do cliente, com ou sem formatação (ex: "123.456.789-09" ou "12345678909").
+    /// Campo opcional. Se fornecido, os dígitos verificadores precisam conferir; é gravado sem formatação.
+    /// </summary>
+    [CpfCnpj]
+    public string? Documento { get; set; }
 }
@@ -0,0 +1,24 @@
+using System.ComponentModel.DataAnnotations;
+
+namespace WebAppEstudo.Contracts;
+
+/// <summary>
+/// Data Transfer Object (DTO) com uma lista de IDs para operações em lote
+/// (ex: excluir vários registros selecionados na lista de uma só vez).
+/// </summary>
+public class IdsLoteDto
+{
+    /// <summary>
+    /// Quantidade máxima de IDs aceita em uma única operação em lote.
+    /// </summary>
+    public const int MaximoIds = 1000;
+
+    /// <summary>
+    /// IDs dos registros afetados pela operação.
+    /// Campo obrigatório, com pelo menos um e no máximo <see cref="MaximoIds"/> itens.
+    /// </summary>
+    [Required(ErrorMessage = "Informe ao menos um registro.")]
+    [MinLength(1, ErrorMessage = "Informe ao menos um registro.")]
+    [MaxLength(MaximoIds, ErrorMessage = "Não é possível processar mais de {1} registros por vez.")]
+    public List<int> Ids { get; set; } = new();
+}
@@ -0,0 +1,19 @@
+namespace WebAppEstudo.Contracts;
+
+/// <summary>
+/// Data Transfer Object (DTO) com os IDs de todos os registros de um filtro, usado pela opção
+/// "Selecionar todos os registros" do CrudList.
+/// A lista de IDs tem um limite; o total permite ao front-end avisar quando ela veio cortada.
+/// </summary>
+public class IdsSelecaoDto
+{
+    /// <summary>
+    /// IDs dos registros, na ordenação da lista (no máximo o limite da seleção).
+    /// </summary>
+    public List<int> Ids { get; set; } = new();
+
+    /// <summary>
+    /// Total de registros que atendem ao filtro (maior que a quantidade de IDs se a lista foi cortada).
+    /// </summary>
+    public int Total { get; set; }
+}
@@ -0,0 +1,29 @@
+namespace WebAppEstudo.Contracts;
+
+/// <summary>
+/// Envelope genérico para respostas paginadas da API.
+/// É o formato que o CrudList (crudList.js) entende: { items, total, page, pageSize }.
+/// </summary>
+/// <typeparam name="T">Tipo dos itens da página (normalmente um DTO de listagem).</typeparam>
+public class PagedResult<T>
+{
+    /// <summary>
+    /// Itens da página solicitada.
+    /// </summary>
+    public List<T> Items { get; set; } = new();
+
+    /// <summary>
+    /// Total de registros que atendem ao filtro (considerando todas as páginas).
+    /// </summary>
+    public int Total { get; set; }
+
+    /// <summary>
+    /// Número da página retornada (começa em 1).
+    /// </summary>
+    public int Page { get; set; }
+
+    /// <summary>
+    /// Quantidade máxima de itens por página.
+    /// </summary>
+    public int PageSize { get; set; }
+}
@@ -0,0 +1,24 @@
+namespace WebAppEstudo.Contracts;
+
+/// <summary>
+/// Data Transfer Object (DTO) com o resultado de uma operação em lote para um único ID.
+/// A resposta de um endpoint de lote é uma lista destes itens, um por ID enviado,
+/// para que o front-end saiba exatamente quais registros foram processados e quais falharam.
+/// </summary>
+public class ResultadoLoteDto
+{
+    /// <summary>
+    /// ID do registro processado.
+    /// </summary>
+    public int Id { get; set; }
+
+    /// <summary>
+    /// Indica se a operação foi concluída com sucesso para este ID.
+    /// </summary>
+    public bool Sucesso { get; set; }
+
+    /// <summary>
+    /// Motivo da falha (nulo quando a operação foi bem-sucedida).
+    /// </summary>
+    public string? Mensagem { get; set; }
+}
@@ -0,0 +1,29 @@
+using System.Text.Json;
+
+namespace WebAppEstudo.Contracts.Visoes;
+
+/// <summary>
+/// Visão salva de uma tela de lista, como devolvida pela API.
+/// </summary>
+public class VisaoDto
+{
+    /// <summary>
+    /// ID da visão.
+    /// </summary>
+    public int Id { get; set; }
+
+    /// <summary>
+    /// Nome da visão.
+    /// </summary>
+    public string Nome { get; set; } = "";
+
+    /// <summary>
+    /// Indica a visão aplicada ao abrir a tela.
+    /// </summary>
+    public bool Padrao { get; set; }
+
+    /// <summary>
+    /// Estado da lista (objeto JSON definido pelo CrudList).
+    /// </summary>
+    public JsonElement Estado { get; set; }
+}
@@ -0,0 +1,32 @@
+using System.ComponentModel.DataAnnotations;
+using System.Text.Json;
+
+namespace WebAppEstudo.Contracts.Visoes;
+
+/// <summary>
+/// Dados enviados ao criar ou atualizar uma visão salva.
+/// </summary>
+public class VisaoSalvarDto
+{
+    /// <summary>
+    /// Tamanho máximo do estado da lista, em caracteres de JSON.
+    /// </summary>
+    public const int TamanhoMaximoEstado = 8000;
+
+    /// <summary>
+    /// Nome da visão (único por usuário e tela).
+    /// </summary>
+    [Required(ErrorMessage = "O nome é obrigatório.")]
+    [MaxLength(100, ErrorMessage = "O nome não pode ter mais de 100 caracteres.")]
+    public string Nome { get; set; } = "";
+
+    /// <summary>
+    /// true para aplicar a visão ao abrir a tela (desmarca a padrão anterior).
+    /// </summary>
+    public bool Padrao { get; set; }
+
+    /// <summary>
+    /// Estado da lista: um objeto JSON, gravado como veio.
+    /// </summary>
+    public JsonElement Estado { get; set; }
+}
@@ -7,6 +7,8 @@ namespace WebAppEstudo.Data
     /// Esta classe representa uma sessão com o banco de dados e permite realizar operações de CRUD
     /// nas entidades mapeadas (como Cliente).
     /// Implementa filtros globais para soft delete (não exibir registros deletados).
+    /// Também guarda o histórico de alterações dos clientes (ClienteHistorico) e as visões salvas
+    /// das telas de lista (VisaoSalva).
     /// </summary>
     public class AppDbContext : DbContext
     {
@@ -25,6 +27,17 @@ namespace WebAppEstudo.Data
         /// </summary>
         public DbSet<Cliente> Clientes => Set<Cliente>();
 
+        /// <summary>
+        /// Representa a tabela de histórico de alterações dos clientes (auditoria).
+        /// Os registros são criados pelos endpoints (veja Endpoints/Historico.cs) e nunca alterados.
+        /// </summary>
+        public DbSet<ClienteHistorico> ClientesHistorico => Set<ClienteHistorico>();
+
+        /// <summary>
+        /// Representa a tabela de visões salvas das telas de lista (filtro, ordenação e colunas por usuário).
+        /// </summary>
+        public DbSet<VisaoSalva> VisoesSalvas => Set<VisaoSalva>();
+
         /// <summary>
         /// Configura o modelo de dados usando a Fluent API.
         /// Este método é chamado automaticamente pelo EF Core durante a inicialização.
@@ -55,6 +68,13 @@ namespace WebAppEstudo.Data
                 entity.HasIndex(c => new { c.Nome, c.Deletado })
                     .HasDatabaseName("IX_Clientes_Nome_Deletado");
 
+                // Índice único filtrado: um CPF/CNPJ não se repete entre clientes fora da lixeira
+                // (clientes sem documento e os excluídos não entram no índice)
+                entity.HasIndex(c => c.Documento)
+                    .IsUnique()
+                    .HasFilter("[documento] IS NOT NULL AND [deletado] = 0")
+                    .HasDatabaseName("UX_Clientes_Documento");
+
                 // ========================================
                 // VALORES PADRÃO
                 // ========================================
@@ -80,6 +100,34 @@ namespace WebAppEstudo.Data
                 // Para incluir registros deletados, é necessário usar .IgnoreQueryFilters() explicitamente
                 entity.HasQueryFilter(c => !c.Deletado);
             });
+
+            // Configuração da entidade ClienteHistorico
+            modelBuilder.Entity<ClienteHistorico>(entity =>
+            {
+                // Relacionamento usado apenas para preencher o ClienteId na criação.
+                // ClientNoAction: excluir um cliente definitivamente não mexe no seu histórico
+                // (no banco também não há chave estrangeira, para as linhas continuarem existindo)
+                entity.HasOne(h => h.Cliente)
+                    .WithMany()
+                    .HasForeignKey(h => h.ClienteId)
+                    .OnDelete(DeleteBehavior.ClientNoAction);
+
+                // Cria um índice para a linha do tempo de um cliente (mais recentes primeiro)
+                entity.HasIndex(h => new { h.ClienteId, h.Data })
+                    .HasDatabaseName("IX_ClientesHistorico_ClienteId_Data");
+            });
+
+            // Configuração da entidade VisaoSalva
+            modelBuilder.Entity<VisaoSalva>(entity =>
+            {
+                // Um nome de visão não se repete para o mesmo usuário e tela
+                entity.HasIndex(v => new { v.Usuario, v.Tela, v.Nome })
+                    .IsUnique()
+                    .HasDatabaseName("UX_VisoesSalvas_Usuario_Tela_Nome");
+
+                entity.Property(v => v.DataUltimoRegistro)
+                    .HasDefaultValueSql("GETDATE()");
+            });
         }
     }
 }
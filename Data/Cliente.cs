@@ -53,6 +53,17 @@ namespace WebAppEstudo.Data
         [Column("telefone")]
         public string? Telefone { get; set; }
 
+        /// <summary>
+        /// Documento fiscal do cliente: CPF (11 dígitos) ou CNPJ (14 caracteres).
+        /// Campo opcional, gravado sem formatação (ver <see cref="Data.Documento"/>) e com os
+        /// dígitos verificadores conferidos. Não se repete entre clientes fora da lixeira.
+        /// Tipo: varchar(14).
+        /// </summary>
+        [CpfCnpj]
+        [MaxLength(Data.Documento.TamanhoMaximo)]
+        [Column("documento", TypeName = "varchar(14)")]
+        public string? Documento { get; set; }
+
         /// <summary>
         /// Data e hora de cadastro do cliente no sistema.
         /// Este campo é preenchido automaticamente no momento da criação.
@@ -80,5 +91,25 @@ namespace WebAppEstudo.Data
         /// </summary>
         [Column("deletado")]
         public bool Deletado { get; set; } = false;
+
+        /// <summary>
+        /// Data e hora em que o cliente foi excluído (enviado para a lixeira).
+        /// Preenchido pelo DELETE (soft delete) e limpo quando o cliente é restaurado.
+        /// Nulo para clientes ativos. Armazenado em UTC.
+        /// Tipo: datetime2(0) - sem precisão de milissegundos.
+        /// </summary>
+        [Column("dataExclusao")]
+        public DateTime? DataExclusao { get; set; }
+
+        /// <summary>
+        /// Versão do registro, trocada pelo SQL Server a cada gravação.
+        /// Usada no controle de concorrência otimista: a API a devolve como ETag e,
+        /// por ser um [Timestamp], o EF Core só grava o registro se a versão não mudou
+        /// desde que ele foi lido (senão lança DbUpdateConcurrencyException).
+        /// Tipo: rowversion - gerado pelo banco, nunca enviado pelo usuário.
+        /// </summary>
+        [Timestamp]
+        [Column("versao")]
+        public byte[] Versao { get; set; } = [];
     }
 }
@@ -0,0 +1,64 @@
+using System.ComponentModel.DataAnnotations;
+using System.ComponentModel.DataAnnotations.Schema;
+
+namespace WebAppEstudo.Data
+{
+    /// <summary>
+    /// Registro do histórico de alterações de um cliente (auditoria).
+    /// Cada criação, alteração, exclusão, restauração ou exclusão definitiva feita pela API
+    /// gera uma linha, com os valores anteriores e novos dos campos que mudaram.
+    /// Mapeia para a tabela "clientes_historico", que não tem chave estrangeira para "clientes"
+    /// para que o histórico continue existindo depois de uma exclusão definitiva.
+    /// </summary>
+    [Table("clientes_historico", Schema = "dbo")]
+    public class ClienteHistorico
+    {
+        /// <summary>
+        /// Identificador único do registro de histórico (IDENTITY).
+        /// </summary>
+        [Key]
+        [Column("id")]
+        public long Id { get; set; }
+
+        /// <summary>
+        /// ID do cliente alterado.
+        /// </summary>
+        [Column("clienteId")]
+        public int ClienteId { get; set; }
+
+        /// <summary>
+        /// Cliente alterado. Usado ao registrar a criação: o ID só é gerado ao salvar,
+        /// e o EF Core o copia para <see cref="ClienteId"/> na mesma transação.
+        /// </summary>
+        public Cliente? Cliente { get; set; }
+
+        /// <summary>
+        /// Ação registrada: criacao, alteracao, exclusao, restauracao ou exclusao_definitiva.
+        /// </summary>
+        [MaxLength(30)]
+        [Column("acao")]
+        public string Acao { get; set; } = "";
+
+        /// <summary>
+        /// Data e hora da ação (UTC).
+        /// Tipo: datetime2(0) - sem precisão de milissegundos.
+        /// </summary>
+        [Column("data")]
+        public DateTime Data { get; set; } = DateTime.UtcNow;
+
+        /// <summary>
+        /// Usuário que fez a ação, quando a requisição é autenticada.
+        /// Nulo enquanto a aplicação não tiver login.
+        /// </summary>
+        [MaxLength(200)]
+        [Column("usuario")]
+        public string? Usuario { get; set; }
+
+        /// <summary>
+        /// Campos alterados, em JSON: [{ "campo": "telefone", "anterior": "...", "novo": "..." }].
+        /// Nulo nas ações que não mudam os dados do cliente (exclusão e restauração).
+        /// </summary>
+        [Column("alteracoes")]
+        public string? Alteracoes { get; set; }
+    }
+}
@@ -0,0 +1,26 @@
+using System.ComponentModel.DataAnnotations;
+
+namespace WebAppEstudo.Data
+{
+    /// <summary>
+    /// Validação de um campo de CPF ou CNPJ (ver <see cref="Documento"/>): aceita o documento com ou
+    /// sem formatação e confere os dígitos verificadores. Valores vazios são válidos
+    /// (use [Required] para tornar o campo obrigatório).
+    /// </summary>
+    [AttributeUsage(AttributeTargets.Property | AttributeTargets.Field | AttributeTargets.Parameter)]
+    public sealed class CpfCnpjAttribute : ValidationAttribute
+    {
+        /// <summary>
+        /// Valida o valor e devolve a mensagem de <see cref="Documento.Erro"/>, associada ao campo.
+        /// </summary>
+        protected override ValidationResult? IsValid(object? value, ValidationContext validationContext)
+        {
+            var erro = Documento.Erro(value as string);
+            if (erro is null)
+                return ValidationResult.Success;
+
+            var campos = validationContext.MemberName is { } nome ? new[] { nome } : null;
+            return new ValidationResult(ErrorMessage ?? erro, campos);
+        }
+    }
+}
@@ -0,0 +1,136 @@
+namespace WebAppEstudo.Data
+{
+    /// <summary>
+    /// Regras do documento fiscal do cliente: CPF (pessoa física) ou CNPJ (pessoa jurídica).
+    /// O documento é gravado só com os caracteres significativos (sem pontos, barra, hífen ou espaços),
+    /// o que permite buscá-lo digitado com ou sem formatação.
+    /// </summary>
+    /// <remarks>
+    /// O CPF tem 11 dígitos. O CNPJ tem 14 caracteres: desde julho de 2026 a Receita Federal emite
+    /// CNPJs alfanuméricos, em que os 12 primeiros podem ser letras maiúsculas ou dígitos; os dois
+    /// últimos (verificadores) continuam sendo dígitos. Nos dois casos os verificadores são calculados
+    /// pelo módulo 11, com o valor de cada caractere igual ao seu código ASCII menos 48.
+    /// </remarks>
+    public static class Documento
+    {
+        /// <summary>
+        /// Tamanho do documento sem formatação (CNPJ), usado como tamanho da coluna no banco.
+        /// </summary>
+        public const int TamanhoMaximo = 14;
+
+        /// <summary>
+        /// Pesos dos dígitos verificadores do CNPJ (o segundo dígito usa a lista inteira; o primeiro, sem o 6 inicial).
+        /// </summary>
+        private static readonly int[] PesosCnpj = [6, 5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2];
+
+        /// <summary>
+        /// Remove a formatação de um documento (ex: "123.456.789-09" → "12345678909").
+        /// Letras são convertidas para maiúsculas (CNPJ alfanumérico).
+        /// </summary>
+        /// <param name="valor">Documento digitado, com ou sem formatação.</param>
+        /// <returns>Documento sem formatação, ou null se não houver nenhum caractere significativo.</returns>
+        public static string? Normalizar(string? valor)
+        {
+            if (string.IsNullOrWhiteSpace(valor))
+                return null;
+
+            var texto = new string(valor.Where(char.IsAsciiLetterOrDigit).Select(char.ToUpperInvariant).ToArray());
+            return texto.Length > 0 ? texto : null;
+        }
+
+        /// <summary>
+        /// Valida um documento digitado (com ou sem formatação).
+        /// </summary>
+        /// <param name="valor">Documento digitado.</param>
+        /// <returns>Mensagem de erro, ou null se o documento for válido ou não tiver sido informado.</returns>
+        public static string? Erro(string? valor)
+        {
+            if (string.IsNullOrWhiteSpace(valor))
+                return null;
+
+            // Além de letras e dígitos, só a pontuação das máscaras é aceita
+            if (valor.Any(ch => !char.IsAsciiLetterOrDigit(ch) && ch is not ('.' or '-' or '/' or ' ')))
+                return "O documento deve conter apenas números (CPF) ou números e letras (CNPJ).";
+
+            var texto = Normalizar(valor) ?? "";
+            return texto.Length switch
+            {
+                11 when !texto.All(char.IsAsciiDigit) => "O CPF deve conter apenas números.",
+                11 => CpfValido(texto) ? null : "CPF inválido: os dígitos verificadores não conferem.",
+                14 when !texto[12..].All(char.IsAsciiDigit) => "Os dois últimos caracteres do CNPJ devem ser números.",
+                14 => CnpjValido(texto) ? null : "CNPJ inválido: os dígitos verificadores não conferem.",
+                _ => "O documento deve ser um CPF (11 dígitos) ou um CNPJ (14 caracteres)."
+            };
+        }
+
+        /// <summary>
+        /// Formata um documento para exibição (ex: "123.456.789-09", "12.345.678/0001-95").
+        /// Se o tamanho não for o de um CPF ou CNPJ, devolve o texto original.
+        /// </summary>
+        /// <param name="valor">Documento, com ou sem formatação.</param>
+        /// <returns>Documento formatado.</returns>
+        public static string Formatar(string? valor)
+        {
+            var d = Normalizar(valor) ?? "";
+            return d.Length switch
+            {
+                11 => $"{d[..3]}.{d[3..6]}.{d[6..9]}-{d[9..]}",
+                14 => $"{d[..2]}.{d[2..5]}.{d[5..8]}/{d[8..12]}-{d[12..]}",
+                _ => valor ?? ""
+            };
+        }
+
+        /// <summary>
+        /// Confere os dois dígitos verificadores de um CPF (11 dígitos, sem formatação).
+        /// Sequências de um só dígito (ex: 111.111.111-11) passam no cálculo, mas não são CPFs válidos.
+        /// </summary>
+        private static bool CpfValido(string cpf)
+        {
+            if (cpf.All(ch => ch == cpf[0]))
+                return false;
+
+            for (var tamanho = 9; tamanho <= 10; tamanho++)
+            {
+                var soma = 0;
+                for (var i = 0; i < tamanho; i++)
+                    soma += (cpf[i] - '0') * (tamanho + 1 - i);
+
+                if (cpf[tamanho] - '0' != DigitoModulo11(soma))
+                    return false;
+            }
+
+            return true;
+        }
+
+        /// <summary>
+        /// Confere os dois dígitos verificadores de um CNPJ (14 caracteres, sem formatação).
+        /// </summary>
+        private static bool CnpjValido(string cnpj)
+        {
+            if (cnpj.All(ch => ch == cnpj[0]))
+                return false;
+
+            for (var tamanho = 12; tamanho <= 13; tamanho++)
+            {
+                var pesos = PesosCnpj[(13 - tamanho)..];
+                var soma = 0;
+                for (var i = 0; i < tamanho; i++)
+                    soma += (cnpj[i] - '0') * pesos[i];
+
+                if (cnpj[tamanho] - '0' != DigitoModulo11(soma))
+                    return false;
+            }
+
+            return true;
+        }
+
+        /// <summary>
+        /// Dígito verificador pelo módulo 11: resto menor que 2 vira 0; senão, 11 menos o resto.
+        /// </summary>
+        private static int DigitoModulo11(int soma)
+        {
+            var resto = soma % 11;
+            return resto < 2 ? 0 : 11 - resto;
+        }
+    }
+}
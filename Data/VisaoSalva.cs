@@ -0,0 +1,62 @@
+using System.ComponentModel.DataAnnotations;
+using System.ComponentModel.DataAnnotations.Schema;
+
+namespace WebAppEstudo.Data
+{
+    /// <summary>
+    /// Visão salva de uma tela de lista (filtro, ordenação, tamanho da página e colunas visíveis),
+    /// guardada no servidor para o usuário encontrá-la em qualquer navegador.
+    /// O estado da lista é gravado como JSON, no formato definido pelo CrudList no front-end.
+    /// Mapeia para a tabela "visoes_salvas".
+    /// </summary>
+    [Table("visoes_salvas", Schema = "dbo")]
+    public class VisaoSalva
+    {
+        /// <summary>
+        /// Identificador único da visão (IDENTITY).
+        /// </summary>
+        [Key]
+        [Column("id")]
+        public int Id { get; set; }
+
+        /// <summary>
+        /// Dono da visão: o nome do usuário autenticado.
+        /// Os endpoints só aceitam requisições autenticadas: sem login, não há visões no servidor.
+        /// </summary>
+        [MaxLength(200)]
+        [Column("usuario")]
+        public string Usuario { get; set; } = "";
+
+        /// <summary>
+        /// Tela a que a visão pertence (ex: "clientes").
+        /// </summary>
+        [MaxLength(50)]
+        [Column("tela")]
+        public string Tela { get; set; } = "";
+
+        /// <summary>
+        /// Nome da visão, único por usuário e tela.
+        /// </summary>
+        [MaxLength(100)]
+        [Column("nome")]
+        public string Nome { get; set; } = "";
+
+        /// <summary>
+        /// Indica a visão aplicada ao abrir a tela. No máximo uma por usuário e tela.
+        /// </summary>
+        [Column("padrao")]
+        public bool Padrao { get; set; }
+
+        /// <summary>
+        /// Estado da lista em JSON (ex: { "sort": [...], "conditions": [...], "pageSize": 50 }).
+        /// </summary>
+        [Column("estado")]
+        public string Estado { get; set; } = "{}";
+
+        /// <summary>
+        /// Data e hora da última gravação da visão (UTC).
+        /// </summary>
+        [Column("dataUltimoRegistro")]
+        public DateTime DataUltimoRegistro { get; set; } = DateTime.UtcNow;
+    }
+}
@@ -1,8 +1,9 @@
 -- ========================================
 -- SCRIPT DE CRIAÇÃO DO BANCO DE DADOS E DADOS INICIAIS
 -- ========================================
--- Este script cria o banco de dados WebAppEstudo, a tabela Clientes
--- e insere 10 registros de exemplo para testes.
+-- Este script cria o banco de dados WebAppEstudo, a tabela Clientes (e a do seu
+-- histórico de alterações), a tabela de visões salvas das listas e insere
+-- 10 registros de exemplo para testes.
 -- 
 -- Execute este script no SQL Server Management Studio (SSMS) ou Azure Data Studio.
 -- 
@@ -48,13 +49,22 @@ BEGIN
         [endereco] NVARCHAR(200) NULL,
         [idade] INT NULL CHECK ([idade] >= 0 AND [idade] <= 150),
         [telefone] NVARCHAR(30) NULL,
+
+        -- CPF (11 dígitos) ou CNPJ (14 caracteres), sem formatação
+        [documento] VARCHAR(14) NULL,
         
         -- Campos de controle e auditoria
         [dataCadastro] DATETIME2(0) NOT NULL DEFAULT GETDATE(),
         [dataUltimoRegistro] DATETIME2(0) NOT NULL DEFAULT GETDATE(),
         
         -- Soft delete: permite exclusão lógica sem perder dados
-        [deletado] BIT NOT NULL DEFAULT 0
+        [deletado] BIT NOT NULL DEFAULT 0,
+
+        -- Data em que o registro foi para a lixeira (NULL enquanto ativo)
+        [dataExclusao] DATETIME2(0) NULL,
+
+        -- Versão do registro, trocada pelo SQL Server a cada gravação (controle de concorrência)
+        [versao] ROWVERSION NOT NULL
     );
     
     PRINT '✓ Tabela [dbo].[clientes] criada com sucesso.';
@@ -65,6 +75,77 @@ BEGIN
 END;
 GO
 
+-- ========================================
+-- PASSO 2.1: CRIAR A TABELA DE HISTÓRICO DOS CLIENTES
+-- ========================================
+
+IF NOT EXISTS (SELECT * FROM sys.objects WHERE object_id = OBJECT_ID(N'[dbo].[clientes_historico]') AND type in (N'U'))
+BEGIN
+    CREATE TABLE [dbo].[clientes_historico] (
+        -- Chave primária: identificador único auto-incrementado
+        [id] BIGINT IDENTITY(1,1) NOT NULL PRIMARY KEY,
+
+        -- Cliente alterado. Sem chave estrangeira de propósito: o histórico
+        -- continua existindo depois que o cliente é excluído definitivamente
+        [clienteId] INT NOT NULL,
+
+        -- criacao, alteracao, exclusao, restauracao ou exclusao_definitiva
+        [acao] NVARCHAR(30) NOT NULL,
+
+        -- Momento da ação (UTC) e usuário, quando a requisição é autenticada
+        [data] DATETIME2(0) NOT NULL DEFAULT GETDATE(),
+        [usuario] NVARCHAR(200) NULL,
+
+        -- Campos alterados em JSON: [{ "campo": ..., "anterior": ..., "novo": ... }]
+        [alteracoes] NVARCHAR(MAX) NULL
+    );
+
+    -- Índice para a linha do tempo de um cliente
+    CREATE INDEX IX_ClientesHistorico_ClienteId_Data ON [dbo].[clientes_historico]([clienteId], [data]);
+
+    PRINT '✓ Tabela [dbo].[clientes_historico] criada com sucesso.';
+END
+ELSE
+BEGIN
+    PRINT '⚠ Tabela [dbo].[clientes_historico] já existe.';
+END;
+GO
+
+-- ========================================
+-- PASSO 2.2: CRIAR A TABELA DE VISÕES SALVAS
+-- ========================================
+
+IF NOT EXISTS (SELECT * FROM sys.objects WHERE object_id = OBJECT_ID(N'[dbo].[visoes_salvas]') AND type in (N'U'))
+BEGIN
+    CREATE TABLE [dbo].[visoes_salvas] (
+        -- Chave primária: identificador único auto-incrementado
+        [id] INT IDENTITY(1,1) NOT NULL PRIMARY KEY,
+
+        -- Dono da visão (nome do usuário autenticado) e tela (ex: clientes)
+        [usuario] NVARCHAR(200) NOT NULL DEFAULT '',
+        [tela] NVARCHAR(50) NOT NULL,
+
+        -- Nome exibido no seletor de visões e se ela é aplicada ao abrir a tela
+        [nome] NVARCHAR(100) NOT NULL,
+        [padrao] BIT NOT NULL DEFAULT 0,
+
+        -- Estado da lista em JSON (filtro, ordenação, tamanho da página e colunas)
+        [estado] NVARCHAR(MAX) NOT NULL,
+
+        [dataUltimoRegistro] DATETIME2(0) NOT NULL DEFAULT GETDATE()
+    );
+
+    -- Um nome de visão não se repete para o mesmo usuário e tela
+    CREATE UNIQUE INDEX UX_VisoesSalvas_Usuario_Tela_Nome ON [dbo].[visoes_salvas]([usuario], [tela], [nome]);
+
+    PRINT '✓ Tabela [dbo].[visoes_salvas] criada com sucesso.';
+END
+ELSE
+BEGIN
+    PRINT '⚠ Tabela [dbo].[visoes_salvas] já existe.';
+END;
+GO
+
 -- ========================================
 -- PASSO 3: CRIAR ÍNDICES PARA PERFORMANCE
 -- ========================================
@@ -89,6 +170,14 @@ BEGIN
     CREATE INDEX IX_Clientes_Nome_Deletado ON [dbo].[clientes]([nome], [deletado]);
     PRINT '✓ Índice IX_Clientes_Nome_Deletado criado.';
 END;
+
+-- Índice único filtrado: um CPF/CNPJ não se repete entre clientes fora da lixeira
+IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'UX_Clientes_Documento' AND object_id = OBJECT_ID('dbo.clientes'))
+BEGIN
+    CREATE UNIQUE INDEX UX_Clientes_Documento ON [dbo].[clientes]([documento])
+        WHERE [documento] IS NOT NULL AND [deletado] = 0;
+    PRINT '✓ Índice UX_Clientes_Documento criado.';
+END;
 GO
 
 -- ========================================
@@ -155,6 +244,7 @@ SELECT
     [endereco] AS 'Endereço',
     [idade] AS 'Idade',
     [telefone] AS 'Telefone',
+    [documento] AS 'CPF/CNPJ',
     [dataCadastro] AS 'Data Cadastro',
     [dataUltimoRegistro] AS 'Último Registro',
     [deletado] AS 'Deletado'
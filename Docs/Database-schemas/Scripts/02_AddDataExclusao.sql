@@ -0,0 +1,41 @@
+-- ========================================
+-- SCRIPT: LIXEIRA DE CLIENTES (DATA DE EXCLUSÃO)
+-- ========================================
+-- Adiciona à tabela clientes a coluna dataExclusao, usada pela lixeira da tela de
+-- clientes para mostrar quando cada registro foi excluído (soft delete).
+--
+-- Necessário apenas em bancos criados antes desta coluna existir: o script
+-- 01_CreateDatabase_And_InitialData.sql já cria a tabela com ela.
+-- Pode ser executado mais de uma vez sem efeito colateral.
+-- ========================================
+
+USE WebAppEstudo;
+GO
+
+-- ========================================
+-- PASSO 1: CRIAR A COLUNA
+-- ========================================
+
+IF COL_LENGTH('dbo.clientes', 'dataExclusao') IS NULL
+BEGIN
+    ALTER TABLE [dbo].[clientes] ADD [dataExclusao] DATETIME2(0) NULL;
+    PRINT '✓ Coluna [dataExclusao] criada.';
+END
+ELSE
+BEGIN
+    PRINT '⚠ Coluna [dataExclusao] já existe.';
+END;
+GO
+
+-- ========================================
+-- PASSO 2: PREENCHER OS REGISTROS JÁ EXCLUÍDOS
+-- ========================================
+
+-- Antes desta coluna, o DELETE atualizava apenas o dataUltimoRegistro,
+-- que é a melhor estimativa da data de exclusão dos registros antigos
+UPDATE [dbo].[clientes]
+SET [dataExclusao] = [dataUltimoRegistro]
+WHERE [deletado] = 1 AND [dataExclusao] IS NULL;
+
+PRINT '✓ ' + CAST(@@ROWCOUNT AS NVARCHAR(20)) + ' cliente(s) excluído(s) com a data de exclusão preenchida.';
+GO
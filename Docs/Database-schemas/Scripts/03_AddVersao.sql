@@ -0,0 +1,26 @@
+-- ========================================
+-- SCRIPT: CONTROLE DE CONCORRÊNCIA (VERSÃO DO REGISTRO)
+-- ========================================
+-- Adiciona à tabela clientes a coluna versao (rowversion). O SQL Server troca o valor
+-- dela a cada gravação do registro; a API a devolve como ETag e a exige no If-Match
+-- da edição, para que uma pessoa não sobrescreva sem saber as alterações de outra.
+--
+-- Necessário apenas em bancos criados antes desta coluna existir: o script
+-- 01_CreateDatabase_And_InitialData.sql já cria a tabela com ela.
+-- Pode ser executado mais de uma vez sem efeito colateral.
+-- ========================================
+
+USE WebAppEstudo;
+GO
+
+IF COL_LENGTH('dbo.clientes', 'versao') IS NULL
+BEGIN
+    -- Os registros existentes recebem uma versão automaticamente
+    ALTER TABLE [dbo].[clientes] ADD [versao] ROWVERSION NOT NULL;
+    PRINT '✓ Coluna [versao] criada.';
+END
+ELSE
+BEGIN
+    PRINT '⚠ Coluna [versao] já existe.';
+END;
+GO
@@ -0,0 +1,47 @@
+-- ========================================
+-- SCRIPT: HISTÓRICO DE ALTERAÇÕES DOS CLIENTES
+-- ========================================
+-- Cria a tabela clientes_historico, onde a API registra cada criação, alteração,
+-- exclusão, restauração e exclusão definitiva de um cliente, com os valores
+-- anteriores e novos dos campos. É a fonte da aba "Histórico" da tela de clientes.
+--
+-- Necessário apenas em bancos criados antes desta tabela existir: o script
+-- 01_CreateDatabase_And_InitialData.sql já cria a tabela.
+-- Pode ser executado mais de uma vez sem efeito colateral.
+-- Clientes que já existiam começam com o histórico vazio.
+-- ========================================
+
+USE WebAppEstudo;
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.objects WHERE object_id = OBJECT_ID(N'[dbo].[clientes_historico]') AND type in (N'U'))
+BEGIN
+    CREATE TABLE [dbo].[clientes_historico] (
+        -- Chave primária: identificador único auto-incrementado
+        [id] BIGINT IDENTITY(1,1) NOT NULL PRIMARY KEY,
+
+        -- Cliente alterado. Sem chave estrangeira de propósito: o histórico
+        -- continua existindo depois que o cliente é excluído definitivamente
+        [clienteId] INT NOT NULL,
+
+        -- criacao, alteracao, exclusao, restauracao ou exclusao_definitiva
+        [acao] NVARCHAR(30) NOT NULL,
+
+        -- Momento da ação (UTC) e usuário, quando a requisição é autenticada
+        [data] DATETIME2(0) NOT NULL DEFAULT GETDATE(),
+        [usuario] NVARCHAR(200) NULL,
+
+        -- Campos alterados em JSON: [{ "campo": ..., "anterior": ..., "novo": ... }]
+        [alteracoes] NVARCHAR(MAX) NULL
+    );
+
+    -- Índice para a linha do tempo de um cliente
+    CREATE INDEX IX_ClientesHistorico_ClienteId_Data ON [dbo].[clientes_historico]([clienteId], [data]);
+
+    PRINT '✓ Tabela [dbo].[clientes_historico] criada com sucesso.';
+END
+ELSE
+BEGIN
+    PRINT '⚠ Tabela [dbo].[clientes_historico] já existe.';
+END;
+GO
@@ -0,0 +1,46 @@
+-- ========================================
+-- SCRIPT: VISÕES SALVAS DAS LISTAS
+-- ========================================
+-- Cria a tabela visoes_salvas, onde a API guarda as visões (filtro, ordenação,
+-- tamanho da página e colunas visíveis) que o usuário salva nas telas de lista.
+-- Só é usada quando a tela guarda as visões no servidor; por padrão elas ficam
+-- no localStorage do navegador.
+--
+-- Necessário apenas em bancos criados antes desta tabela existir: o script
+-- 01_CreateDatabase_And_InitialData.sql já cria a tabela.
+-- Pode ser executado mais de uma vez sem efeito colateral.
+-- ========================================
+
+USE WebAppEstudo;
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.objects WHERE object_id = OBJECT_ID(N'[dbo].[visoes_salvas]') AND type in (N'U'))
+BEGIN
+    CREATE TABLE [dbo].[visoes_salvas] (
+        -- Chave primária: identificador único auto-incrementado
+        [id] INT IDENTITY(1,1) NOT NULL PRIMARY KEY,
+
+        -- Dono da visão (nome do usuário autenticado) e tela (ex: clientes)
+        [usuario] NVARCHAR(200) NOT NULL DEFAULT '',
+        [tela] NVARCHAR(50) NOT NULL,
+
+        -- Nome exibido no seletor de visões e se ela é aplicada ao abrir a tela
+        [nome] NVARCHAR(100) NOT NULL,
+        [padrao] BIT NOT NULL DEFAULT 0,
+
+        -- Estado da lista em JSON (filtro, ordenação, tamanho da página e colunas)
+        [estado] NVARCHAR(MAX) NOT NULL,
+
+        [dataUltimoRegistro] DATETIME2(0) NOT NULL DEFAULT GETDATE()
+    );
+
+    -- Um nome de visão não se repete para o mesmo usuário e tela
+    CREATE UNIQUE INDEX UX_VisoesSalvas_Usuario_Tela_Nome ON [dbo].[visoes_salvas]([usuario], [tela], [nome]);
+
+    PRINT '✓ Tabela [dbo].[visoes_salvas] criada com sucesso.';
+END
+ELSE
+BEGIN
+    PRINT '⚠ Tabela [dbo].[visoes_salvas] já existe.';
+END;
+GO
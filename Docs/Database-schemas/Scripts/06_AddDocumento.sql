@@ -0,0 +1,49 @@
+-- ========================================
+-- SCRIPT: DOCUMENTO DO CLIENTE (CPF/CNPJ)
+-- ========================================
+-- Adiciona à tabela clientes a coluna documento, com o CPF (11 dígitos) ou o
+-- CNPJ (14 caracteres) do cliente gravado sem formatação, e o índice único que
+-- impede o mesmo documento em dois clientes fora da lixeira.
+--
+-- Necessário apenas em bancos criados antes desta coluna existir: o script
+-- 01_CreateDatabase_And_InitialData.sql já cria a tabela com ela.
+-- Pode ser executado mais de uma vez sem efeito colateral.
+-- ========================================
+
+USE WebAppEstudo;
+GO
+
+-- ========================================
+-- PASSO 1: CRIAR A COLUNA
+-- ========================================
+
+IF COL_LENGTH('dbo.clientes', 'documento') IS NULL
+BEGIN
+    -- Os registros existentes ficam sem documento (NULL)
+    ALTER TABLE [dbo].[clientes] ADD [documento] VARCHAR(14) NULL;
+    PRINT '✓ Coluna [documento] criada.';
+END
+ELSE
+BEGIN
+    PRINT '⚠ Coluna [documento] já existe.';
+END;
+GO
+
+-- ========================================
+-- PASSO 2: CRIAR O ÍNDICE ÚNICO
+-- ========================================
+-- Filtrado: clientes sem documento e clientes na lixeira não entram no índice.
+-- A API verifica a regra antes de gravar (para devolver uma mensagem no campo);
+-- o índice a garante mesmo entre duas gravações simultâneas.
+
+IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'UX_Clientes_Documento' AND object_id = OBJECT_ID('dbo.clientes'))
+BEGIN
+    CREATE UNIQUE INDEX UX_Clientes_Documento ON [dbo].[clientes]([documento])
+        WHERE [documento] IS NOT NULL AND [deletado] = 0;
+    PRINT '✓ Índice UX_Clientes_Documento criado.';
+END
+ELSE
+BEGIN
+    PRINT '⚠ Índice UX_Clientes_Documento já existe.';
+END;
+GO
@@ -1,4 +1,8 @@
+using System.Linq.Expressions;
+using System.Security.Claims;
+using System.Text.Json.Nodes;
 using Microsoft.EntityFrameworkCore;
+using WebAppEstudo.Contracts;
 using WebAppEstudo.Contracts.Clientes;
 using WebAppEstudo.Data;
 
@@ -10,6 +14,64 @@ namespace WebAppEstudo.Endpoints;
 /// </summary>
 public static class ClientesEndpoints
 {
+    /// <summary>
+    /// Quantidade de itens por página quando o cliente não informa pageSize.
+    /// </summary>
+    private const int PageSizePadrao = 20;
+
+    /// <summary>
+    /// Limite de itens por página, para evitar que uma única requisição traga a tabela inteira.
+    /// </summary>
+    private const int PageSizeMaximo = 200;
+
+    /// <summary>
+    /// Limite de IDs devolvidos por "selecionar todos os registros do filtro".
+    /// As operações em lote aceitam até <see cref="IdsLoteDto.MaximoIds"/> IDs por requisição:
+    /// o front-end envia uma seleção maior em várias requisições.
+    /// </summary>
+    private const int LimiteSelecao = 10000;
+
+    /// <summary>
+    /// Fluxos de eventos ao vivo (ver <see cref="Eventos"/>): a lista de clientes ativos e a lixeira.
+    /// Cada alteração é publicada do ponto de vista de cada lista (ex: uma exclusão remove o
+    /// cliente da lista de ativos e o inclui na lixeira).
+    /// </summary>
+    private const string FluxoAtivos = "clientes";
+    private const string FluxoLixeira = "clientes/lixeira";
+
+    /// <summary>
+    /// Colunas que podem ser exportadas, com o título e o tipo de formatação padrão.
+    /// O front-end escolhe quais exportar (e com quais títulos) pelos parâmetros fields/headers/types.
+    /// </summary>
+    private static readonly List<Exportacao.Coluna<Cliente>> ColunasExportacao =
+    [
+        new("id", "ID", "number", c => c.Id),
+        new("nome", "Nome", "text", c => c.Nome),
+        new("endereco", "Endereço", "text", c => c.Endereco),
+        new("idade", "Idade", "number", c => c.Idade),
+        new("telefone", "Telefone", "phone", c => c.Telefone),
+        new("documento", "CPF/CNPJ", "document", c => c.Documento),
+        new("dataCadastro", "Data de Cadastro", "datetime", c => c.DataCadastro),
+        new("dataUltimoRegistro", "Último Registro", "datetime", c => c.DataUltimoRegistro),
+    ];
+
+    /// <summary>
+    /// Campos aceitos pelo filtro avançado (parâmetros filter/logic), com o tipo de cada um.
+    /// O tipo define os operadores permitidos (ver <see cref="Filtragem"/>).
+    /// </summary>
+    private static readonly List<Filtragem.Campo<Cliente>> CamposFiltro =
+    [
+        Filtragem.Numero<Cliente>("id", c => c.Id),
+        Filtragem.Texto<Cliente>("nome", c => c.Nome),
+        Filtragem.Texto<Cliente>("endereco", c => c.Endereco),
+        Filtragem.Numero<Cliente>("idade", c => c.Idade),
+        Filtragem.Texto<Cliente>("telefone", c => c.Telefone),
+        Filtragem.Texto<Cliente>("documento", c => c.Documento, v => Documento.Normalizar(v) ?? ""), // Com ou sem pontuação
+        Filtragem.Data<Cliente>("dataCadastro", c => c.DataCadastro),
+        Filtragem.Data<Cliente>("dataUltimoRegistro", c => c.DataUltimoRegistro),
+        Filtragem.Data<Cliente>("dataExclusao", c => c.DataExclusao), // Só tem valor na lixeira
+    ];
+
     /// <summary>
     /// Método de extensão que registra todos os endpoints relacionados a Clientes.
     /// Agrupa todas as rotas sob o prefixo "/api/clientes".
@@ -22,37 +84,143 @@ public static class ClientesEndpoints
         var group = app.MapGroup("/api/clientes");
 
         // ========================================
-        // ENDPOINT: LISTAR TODOS OS CLIENTES
+        // ENDPOINT: LISTAR CLIENTES (PAGINADO E FILTRADO)
         // ========================================
-        // GET /api/clientes
-        // Retorna uma lista de todos os clientes não deletados, ordenados por nome.
-        group.MapGet("", async (AppDbContext db) =>
+        // GET /api/clientes?page=1&pageSize=50&column=nome&search=joão&sort=nome,idade&dir=asc,desc
+        //     &filter=idade:gt:30&filter=dataCadastro:between:2024-01-01,2024-06-30&logic=or
+        // Retorna uma página de clientes não deletados, na ordenação pedida (padrão: por nome),
+        // no formato { items, total, page, pageSize } esperado pelo CrudList.
+        // Um filtro avançado inválido (campo, operador ou valor) devolve HTTP 400.
+        // A página vai com um ETag: com If-None-Match igual, a resposta é HTTP 304 sem corpo.
+        group.MapGet("", async ([AsParameters] ClienteListQuery query, HttpContext http, AppDbContext db) =>
         {
-            // Busca todos os clientes no banco de dados
+            if (!Filtragem.TentarMontar(CamposFiltro, query.Filter, query.Logic, out var condicoes, out var erros))
+                return FiltroInvalido(erros);
+
+            // Normaliza os parâmetros de paginação
+            var page = Math.Max(query.Page ?? 1, 1);
+            var pageSize = Math.Clamp(query.PageSize ?? PageSizePadrao, 1, PageSizeMaximo);
+
             // O filtro global no DbContext já exclui registros onde Deletado = true
-            var clientes = await db.Clientes
-                .OrderBy(c => c.Nome) // Ordena por nome em ordem alfabética
+            var filtrados = AplicarFiltro(db.Clientes, query.Column, query.Search, condicoes);
+
+            // Conta o total de registros que atendem ao filtro (antes de paginar)
+            var total = await filtrados.CountAsync();
+
+            // Busca apenas os itens da página solicitada
+            // Se a página estiver além do fim (ex: após exclusões), a lista vem vazia
+            // e o CrudList volta sozinho para a última página válida
+            var itens = await AplicarOrdenacao(filtrados, query.Sort, query.Dir)
+                .Skip((page - 1) * pageSize)
+                .Take(pageSize)
                 .Select(c => new ClienteListDto // Projeta apenas os campos necessários para a listagem
                 {
                     Id = c.Id,
                     Nome = c.Nome,
-                    Telefone = c.Telefone
+                    Endereco = c.Endereco,
+                    Idade = c.Idade,
+                    Telefone = c.Telefone,
+                    Documento = c.Documento,
+                    DataCadastro = c.DataCadastro,
+                    DataUltimoRegistro = c.DataUltimoRegistro,
+                    Versao = Convert.ToHexString(c.Versao) // Convertido na memória, na projeção final
                 })
                 .ToListAsync(); // Executa a query de forma assíncrona
 
-            // Retorna HTTP 200 OK com a lista de clientes
-            return Results.Ok(clientes);
+            // Retorna HTTP 200 OK com a página e o total (ou 304 se o cliente já tem esta página)
+            return Condicional.Json(http, new PagedResult<ClienteListDto>
+            {
+                Items = itens,
+                Total = total,
+                Page = page,
+                PageSize = pageSize
+            });
         })
         .WithName("ListarClientes") // Nome do endpoint para geração de links
         .WithTags("Clientes") // Tag para agrupamento na documentação (Swagger)
-        .Produces<List<ClienteListDto>>(StatusCodes.Status200OK); // Documenta o tipo de retorno
+        .Produces<PagedResult<ClienteListDto>>(StatusCodes.Status200OK) // Documenta o tipo de retorno
+        .Produces(StatusCodes.Status304NotModified)
+        .ProducesValidationProblem();
+
+        // ========================================
+        // ENDPOINT: LISTAR IDS DO FILTRO
+        // ========================================
+        // GET /api/clientes/ids?column=nome&search=joão
+        // Retorna apenas os IDs de todos os clientes que atendem ao filtro (sem paginação), até
+        // LimiteSelecao, e o total do filtro: { ids, total }. Se total for maior que a quantidade
+        // de IDs, a lista foi cortada no limite.
+        // Usado pelo CrudList na opção "Selecionar todos os registros" da seleção múltipla.
+        group.MapGet("/ids", async ([AsParameters] ClienteListQuery query, AppDbContext db) =>
+        {
+            if (!Filtragem.TentarMontar(CamposFiltro, query.Filter, query.Logic, out var condicoes, out var erros))
+                return FiltroInvalido(erros);
+
+            var filtrados = AplicarFiltro(db.Clientes, query.Column, query.Search, condicoes);
+            return Results.Ok(await IdsDaSelecao(filtrados, query));
+        })
+        .WithName("ListarIdsClientes")
+        .WithTags("Clientes")
+        .Produces<IdsSelecaoDto>(StatusCodes.Status200OK)
+        .ProducesValidationProblem();
+
+        // ========================================
+        // ENDPOINT: EVENTOS AO VIVO DA LISTA
+        // ========================================
+        // GET /api/clientes/eventos
+        // Conexão Server-Sent Events que fica aberta e avisa quando clientes são cadastrados (criado),
+        // alterados (alterado) ou saem da lista (removido). Usada pelo CrudList para atualizar
+        // as linhas sem recarregar a página.
+        group.MapGet("/eventos", (HttpContext http, CancellationToken ct) => Eventos.Transmitir(http, FluxoAtivos, ct))
+        .WithName("EventosClientes")
+        .WithTags("Clientes")
+        .Produces(StatusCodes.Status200OK, contentType: "text/event-stream");
+
+        // ========================================
+        // ENDPOINT: EXPORTAR CLIENTES (CSV / XLSX)
+        // ========================================
+        // GET /api/clientes/exportar?format=csv&column=nome&search=joão&sort=nome&dir=asc
+        //     &fields=id&fields=nome&headers=ID&headers=Nome&types=number&types=text
+        // Exporta TODOS os clientes do filtro (sem paginação), na ordenação pedida.
+        // Os registros são lidos e escritos um a um, então o arquivo começa a ser baixado
+        // antes de a consulta terminar.
+        group.MapGet("/exportar", ([AsParameters] ClienteExportQuery query, AppDbContext db, CancellationToken ct) =>
+        {
+            var formato = (query.Format ?? "csv").Trim().ToLowerInvariant();
+            if (formato is not ("csv" or "xlsx"))
+            {
+                return Results.ValidationProblem(
+                    new Dictionary<string, string[]> { ["format"] = ["Formato inválido. Use \"csv\" ou \"xlsx\"."] },
+                    title: "Um ou mais campos são inválidos.");
+            }
+
+            if (!Filtragem.TentarMontar(CamposFiltro, query.Filter, query.Logic, out var condicoes, out var erros))
+                return FiltroInvalido(erros);
+
+            var colunas = Exportacao.MontarColunas(ColunasExportacao, query.Fields, query.Headers, query.Types);
+
+            // AsNoTracking: os registros são apenas lidos, não precisam ser rastreados pelo contexto
+            var linhas = AplicarOrdenacao(AplicarFiltro(db.Clientes.AsNoTracking(), query.Column, query.Search, condicoes), query.Sort, query.Dir)
+                .AsAsyncEnumerable();
+
+            var nomeArquivo = $"clientes_{DateTime.Now:yyyy-MM-dd_HHmm}.{formato}";
+            return formato == "xlsx"
+                ? Exportacao.Xlsx(linhas, colunas, nomeArquivo, "Clientes", ct)
+                : Exportacao.Csv(linhas, colunas, nomeArquivo, ct);
+        })
+        .WithName("ExportarClientes")
+        .WithTags("Clientes")
+        .Produces(StatusCodes.Status200OK, contentType: Exportacao.ContentTypeCsv)
+        .Produces(StatusCodes.Status200OK, contentType: Exportacao.ContentTypeXlsx)
+        .ProducesValidationProblem();
 
         // ========================================
         // ENDPOINT: BUSCAR CLIENTE POR ID
         // ========================================
         // GET /api/clientes/{id}
         // Retorna os detalhes completos de um cliente específico.
-        group.MapGet("/{id:int}", async (int id, AppDbContext db) =>
+        // A versão do registro vai no cabeçalho ETag (e no campo versao), para a edição enviá-la no If-Match.
+        // Com If-None-Match igual à versão atual, a resposta é HTTP 304 sem corpo.
+        group.MapGet("/{id:int}", async (int id, HttpContext http, AppDbContext db) =>
         {
             // Busca o cliente pelo ID
             var c = await db.Clientes.FindAsync(id);
@@ -61,24 +229,41 @@ public static class ClientesEndpoints
             if (c is null)
                 return Results.NotFound(new { mensagem = "Cliente não encontrado." });
 
-            // Mapeia a entidade para um DTO que inclui os campos de visualização
-            var dto = new
-            {
-                Id = c.Id,
-                Nome = c.Nome,
-                Endereco = c.Endereco,
-                Idade = c.Idade,
-                Telefone = c.Telefone,
-                DataCadastro = c.DataCadastro,
-                DataUltimoRegistro = c.DataUltimoRegistro
-            };
-
-            // Retorna HTTP 200 OK com os dados do cliente
-            return Results.Ok(dto);
+            // Retorna HTTP 200 OK com os dados do cliente e a versão no ETag (ou 304 se não mudou)
+            return Condicional.Ok(http, ETag(c.Versao), Detalhe(c));
         })
         .WithName("BuscarClientePorId")
         .WithTags("Clientes")
-        .Produces(StatusCodes.Status200OK)
+        .Produces<ClienteDetalheDto>(StatusCodes.Status200OK)
+        .Produces(StatusCodes.Status304NotModified)
+        .Produces(StatusCodes.Status404NotFound);
+
+        // ========================================
+        // ENDPOINT: HISTÓRICO DO CLIENTE
+        // ========================================
+        // GET /api/clientes/{id}/historico
+        // Retorna a linha do tempo do cliente (mais recentes primeiro): criação, alterações
+        // com os valores anteriores e novos de cada campo, exclusões e restaurações.
+        group.MapGet("/{id:int}/historico", async (int id, HttpContext http, AppDbContext db) =>
+        {
+            // Vale também para clientes na lixeira
+            var existe = await db.Clientes.IgnoreQueryFilters().AnyAsync(c => c.Id == id);
+            if (!existe)
+                return Results.NotFound(new { mensagem = "Cliente não encontrado." });
+
+            var registros = await db.ClientesHistorico
+                .AsNoTracking()
+                .Where(h => h.ClienteId == id)
+                .OrderByDescending(h => h.Data)
+                .ThenByDescending(h => h.Id)
+                .ToListAsync();
+
+            return Condicional.Json(http, registros.Select(Historico.ParaDto).ToList());
+        })
+        .WithName("HistoricoCliente")
+        .WithTags("Clientes")
+        .Produces<List<ClienteHistoricoDto>>(StatusCodes.Status200OK)
+        .Produces(StatusCodes.Status304NotModified)
         .Produces(StatusCodes.Status404NotFound);
 
         // ========================================
@@ -86,44 +271,38 @@ public static class ClientesEndpoints
         // ========================================
         // POST /api/clientes
         // Cria um novo cliente no banco de dados.
-        group.MapPost("", async (ClienteCreateDto dto, AppDbContext db) =>
+        group.MapPost("", async (ClienteCreateDto dto, HttpRequest request, ClaimsPrincipal user, AppDbContext db) =>
         {
-            // Validação: verifica se o nome foi fornecido
-            if (string.IsNullOrWhiteSpace(dto.Nome))
-                return Results.BadRequest(new { mensagem = "Nome é obrigatório." });
+            // Validação: aplica as regras do DTO (nome obrigatório, tamanhos máximos, faixa de idade)
+            // Em caso de erro, retorna HTTP 400 no formato ValidationProblemDetails: { errors: { campo: [mensagens] } }
+            var erros = Validacao.Validar(dto);
+            if (erros.Count > 0)
+                return Results.ValidationProblem(erros, title: "Um ou mais campos são inválidos.");
 
-            // Validação: verifica se a idade está dentro do intervalo válido
-            if (dto.Idade.HasValue && (dto.Idade < 0 || dto.Idade > 150))
-                return Results.BadRequest(new { mensagem = "A idade deve estar entre 0 e 150 anos." });
+            // O CPF/CNPJ não pode ser o de outro cliente ativo (HTTP 409, com o erro no campo documento)
+            if (await DocumentoEmUso(db, Documento.Normalizar(dto.Documento)))
+                return DocumentoDuplicado();
 
             // Obtém a data/hora atual em UTC
             var agora = DateTime.UtcNow;
 
             // Cria uma nova entidade Cliente com os dados do DTO
-            var entity = new Cliente
-            {
-                Nome = dto.Nome.Trim(), // Remove espaços em branco no início e fim
-                Endereco = dto.Endereco?.Trim(),
-                Idade = dto.Idade,
-                Telefone = dto.Telefone?.Trim(),
-                DataCadastro = agora, // Define a data de cadastro como o momento atual
-                DataUltimoRegistro = agora, // Define a data do último registro como o momento atual
-                Deletado = false // Novos clientes não estão deletados
-            };
+            var entity = NovoCliente(dto, agora);
 
             // Adiciona a entidade ao contexto (ainda não salva no banco)
             db.Clientes.Add(entity);
 
+            // Registra a criação no histórico do cliente (gravado no mesmo SaveChanges)
+            Historico.Registrar(db, user);
+
             // Salva as alterações no banco de dados de forma assíncrona
             await db.SaveChangesAsync();
 
-            // Cria um DTO de retorno com os dados do cliente recém-criado
-            var retorno = new ClienteListDto
-            {
-                Id = entity.Id, // O ID é gerado automaticamente pelo banco de dados
-                Nome = entity.Nome,
-                Telefone = entity.Telefone
-            };
+            // Avisa as listas abertas que há um cliente novo
+            Eventos.Publicar(request, FluxoAtivos, Eventos.Criado, [entity.Id]);
+
+            // Cria um DTO de retorno com os dados do cliente recém-criado (o ID foi gerado pelo banco)
+            var retorno = ItemLista(entity);
 
             // Retorna HTTP 201 Created com a localização do novo recurso e os dados do cliente
             return Results.Created($"/api/clientes/{entity.Id}", retorno);
@@ -131,14 +310,17 @@ public static class ClientesEndpoints
         .WithName("CriarCliente")
         .WithTags("Clientes")
         .Produces<ClienteListDto>(StatusCodes.Status201Created)
-        .Produces(StatusCodes.Status400BadRequest);
+        .ProducesValidationProblem()
+        .ProducesValidationProblem(StatusCodes.Status409Conflict);
 
         // ========================================
         // ENDPOINT: ATUALIZAR CLIENTE EXISTENTE
         // ========================================
         // PUT /api/clientes/{id}
         // Atualiza os dados de um cliente existente.
-        group.MapPut("/{id:int}", async (int id, ClienteUpdateDto dto, AppDbContext db) =>
+        // Com o cabeçalho If-Match (a versão lida no GET), só grava se ninguém alterou o cliente
+        // desde então; caso contrário, retorna HTTP 412 com os dados atuais para comparação.
+        group.MapPut("/{id:int}", async (int id, ClienteUpdateDto dto, HttpRequest request, HttpResponse response, ClaimsPrincipal user, AppDbContext db) =>
         {
             // Busca o cliente pelo ID
             var c = await db.Clientes.FindAsync(id);
@@ -147,53 +329,156 @@ public static class ClientesEndpoints
             if (c is null)
                 return Results.NotFound(new { mensagem = "Cliente não encontrado." });
 
-            // Validação: verifica se o nome foi fornecido
-            if (string.IsNullOrWhiteSpace(dto.Nome))
-                return Results.BadRequest(new { mensagem = "Nome é obrigatório." });
+            // Controle de concorrência: a versão enviada precisa ser a versão atual
+            if (!VersaoConfere(request, c.Versao))
+                return ConflitoDeVersao(c);
+
+            // Validação: aplica as regras do DTO (nome obrigatório, tamanhos máximos, faixa de idade)
+            // Em caso de erro, retorna HTTP 400 no formato ValidationProblemDetails: { errors: { campo: [mensagens] } }
+            var erros = Validacao.Validar(dto);
+            if (erros.Count > 0)
+                return Results.ValidationProblem(erros, title: "Um ou mais campos são inválidos.");
 
-            // Validação: verifica se a idade está dentro do intervalo válido
-            if (dto.Idade.HasValue && (dto.Idade < 0 || dto.Idade > 150))
-                return Results.BadRequest(new { mensagem = "A idade deve estar entre 0 e 150 anos." });
+            // O CPF/CNPJ não pode ser o de outro cliente ativo
+            if (await DocumentoEmUso(db, Documento.Normalizar(dto.Documento), id))
+                return DocumentoDuplicado();
 
             // Atualiza os campos do cliente com os dados do DTO
-            c.Nome = dto.Nome.Trim();
-            c.Endereco = dto.Endereco?.Trim();
-            c.Idade = dto.Idade;
-            c.Telefone = dto.Telefone?.Trim();
-            c.DataUltimoRegistro = DateTime.UtcNow; // Atualiza a data do último registro
+            AplicarEdicao(c, dto, DateTime.UtcNow);
 
-            // Salva as alterações no banco de dados
-            await db.SaveChangesAsync();
+            // Registra os campos alterados (valor anterior e novo) no histórico do cliente
+            Historico.Registrar(db, user);
 
-            // Retorna HTTP 204 No Content (sucesso sem corpo de resposta)
+            // Salva as alterações no banco de dados. O UPDATE só afeta o registro se a versão
+            // ainda for a que foi lida acima; se outra gravação chegou antes, o EF Core lança
+            // DbUpdateConcurrencyException e a edição é recusada com os dados atuais.
+            try
+            {
+                await db.SaveChangesAsync();
+            }
+            catch (DbUpdateConcurrencyException)
+            {
+                var entry = db.Entry(c);
+                await entry.ReloadAsync();
+                if (entry.State == EntityState.Detached)
+                    return Results.NotFound(new { mensagem = "Cliente não encontrado." });
+                return ConflitoDeVersao(c);
+            }
+
+            // Atualiza a linha do cliente nas listas abertas
+            Eventos.Publicar(request, FluxoAtivos, Eventos.Alterado, [c.Id], new[] { ItemLista(c) });
+
+            // Retorna HTTP 204 No Content, com a nova versão no ETag
+            response.Headers.ETag = ETag(c.Versao);
             return Results.NoContent();
         })
         .WithName("AtualizarCliente")
         .WithTags("Clientes")
         .Produces(StatusCodes.Status204NoContent)
-        .Produces(StatusCodes.Status400BadRequest)
-        .Produces(StatusCodes.Status404NotFound);
+        .ProducesValidationProblem()
+        .ProducesValidationProblem(StatusCodes.Status409Conflict)
+        .Produces(StatusCodes.Status404NotFound)
+        .ProducesProblem(StatusCodes.Status412PreconditionFailed);
+
+        // ========================================
+        // ENDPOINT: ATUALIZAR CAMPOS DE UM CLIENTE (ALTERAÇÃO PARCIAL)
+        // ========================================
+        // PATCH /api/clientes/{id}   { "telefone": "11987654321" }
+        // Altera só os campos enviados (usado pela edição na própria célula da lista);
+        // os demais mantêm o valor atual. As regras de validação são as mesmas do PUT.
+        // A tela envia no If-Match a versão que veio na lista; se outra pessoa alterou o cliente
+        // desde então, responde HTTP 412 sem gravar. Sem o cabeçalho, vale sobre a versão atual.
+        // Retorna HTTP 200 com o cliente no formato da lista e a nova versão no ETag.
+        group.MapPatch("/{id:int}", async (int id, JsonObject campos, HttpRequest request, HttpResponse response, ClaimsPrincipal user, AppDbContext db) =>
+        {
+            // Busca o cliente pelo ID
+            var c = await db.Clientes.FindAsync(id);
+
+            // Se o cliente não for encontrado, retorna HTTP 404 Not Found
+            if (c is null)
+                return Results.NotFound(new { mensagem = "Cliente não encontrado." });
+
+            // Controle de concorrência: a versão enviada (se houver) precisa ser a versão atual
+            if (!VersaoConfere(request, c.Versao))
+                return ConflitoDeVersao(c);
+
+            // Parte dos dados atuais e aplica por cima só os campos enviados
+            var dto = new ClienteUpdateDto
+            {
+                Nome = c.Nome,
+                Endereco = c.Endereco,
+                Idade = c.Idade,
+                Telefone = c.Telefone,
+                Documento = c.Documento
+            };
+            var erros = Validacao.AplicarCampos(dto, campos);
+
+            // Validação: o cliente resultante precisa respeitar as mesmas regras do PUT
+            if (erros.Count == 0)
+                erros = Validacao.Validar(dto);
+            if (erros.Count > 0)
+                return Results.ValidationProblem(erros, title: "Um ou mais campos são inválidos.");
+            if (await DocumentoEmUso(db, Documento.Normalizar(dto.Documento), id))
+                return DocumentoDuplicado();
+
+            AplicarEdicao(c, dto, DateTime.UtcNow);
+
+            // Registra no histórico só o que mudou de fato e salva, com a mesma checagem de versão do PUT
+            Historico.Registrar(db, user);
+            try
+            {
+                await db.SaveChangesAsync();
+            }
+            catch (DbUpdateConcurrencyException)
+            {
+                var entry = db.Entry(c);
+                await entry.ReloadAsync();
+                if (entry.State == EntityState.Detached)
+                    return Results.NotFound(new { mensagem = "Cliente não encontrado." });
+                return ConflitoDeVersao(c);
+            }
+
+            // Atualiza a linha do cliente nas listas abertas
+            var item = ItemLista(c);
+            Eventos.Publicar(request, FluxoAtivos, Eventos.Alterado, [c.Id], new[] { item });
+
+            // Retorna HTTP 200 com a linha atualizada, com a nova versão no ETag
+            response.Headers.ETag = ETag(c.Versao);
+            return Results.Ok(item);
+        })
+        .WithName("AlterarCamposCliente")
+        .WithTags("Clientes")
+        .Produces<ClienteListDto>(StatusCodes.Status200OK)
+        .ProducesValidationProblem()
+        .ProducesValidationProblem(StatusCodes.Status409Conflict)
+        .Produces(StatusCodes.Status404NotFound)
+        .ProducesProblem(StatusCodes.Status412PreconditionFailed);
 
         // ========================================
         // ENDPOINT: DELETAR CLIENTE (SOFT DELETE)
         // ========================================
         // DELETE /api/clientes/{id}
-        // Marca um cliente como deletado (soft delete).
-        group.MapDelete("/{id:int}", async (int id, AppDbContext db) =>
+        // Marca um cliente como deletado (soft delete). Um cliente que já está na lixeira responde 404.
+        group.MapDelete("/{id:int}", async (int id, HttpRequest request, ClaimsPrincipal user, AppDbContext db) =>
         {
-            // Busca o cliente pelo ID, ignorando o filtro global de soft delete
-            var c = await db.Clientes.IgnoreQueryFilters().FirstOrDefaultAsync(x => x.Id == id);
+            // Busca o cliente pelo ID. O filtro global deixa de fora os que já estão na lixeira:
+            // excluir de novo (ex: aba desatualizada, exclusão da fila offline) não mexe na data de exclusão
+            var c = await db.Clientes.FirstOrDefaultAsync(x => x.Id == id);
 
-            // Se o cliente não for encontrado, retorna HTTP 404 Not Found
+            // Se o cliente não for encontrado (ou já estiver na lixeira), retorna HTTP 404 Not Found
             if (c is null)
                 return Results.NotFound(new { mensagem = "Cliente não encontrado." });
 
-            // Marca o cliente como deletado (soft delete)
+            // Marca o cliente como deletado (soft delete), registrando quando foi para a lixeira
+            var agora = DateTime.UtcNow;
             c.Deletado = true;
-            c.DataUltimoRegistro = DateTime.Now; // Atualiza a data do último registro
+            c.DataExclusao = agora;
+            c.DataUltimoRegistro = agora; // Atualiza a data do último registro
 
-            // Salva as alterações no banco de dados
+            // Registra a exclusão no histórico e salva as alterações no banco de dados
+            Historico.Registrar(db, user);
             await db.SaveChangesAsync();
+            PublicarExclusao(request, [c.Id]);
 
             // Retorna HTTP 204 No Content (sucesso sem corpo de resposta)
             return Results.NoContent();
@@ -202,5 +487,736 @@ public static class ClientesEndpoints
         .WithTags("Clientes")
         .Produces(StatusCodes.Status204NoContent)
         .Produces(StatusCodes.Status404NotFound);
+
+        // ========================================
+        // ENDPOINT: DELETAR CLIENTES EM LOTE (SOFT DELETE)
+        // ========================================
+        // POST /api/clientes/excluir-em-lote   { "ids": [1, 2, 3] }
+        // Marca vários clientes como deletados de uma vez e informa o resultado de cada ID.
+        group.MapPost("/excluir-em-lote", async (IdsLoteDto dto, HttpRequest request, ClaimsPrincipal user, AppDbContext db) =>
+        {
+            // Validação: lista obrigatória e com tamanho limitado
+            var erros = Validacao.Validar(dto);
+            if (erros.Count > 0)
+                return Results.ValidationProblem(erros, title: "Um ou mais campos são inválidos.");
+
+            var ids = dto.Ids.Distinct().ToList();
+
+            // Busca apenas clientes ativos: os já deletados (ou inexistentes) são reportados como falha
+            var clientes = await db.Clientes
+                .Where(c => ids.Contains(c.Id))
+                .ToListAsync();
+
+            // Marca todos os encontrados como deletados (soft delete)
+            var agora = DateTime.UtcNow;
+            foreach (var c in clientes)
+            {
+                c.Deletado = true;
+                c.DataExclusao = agora;
+                c.DataUltimoRegistro = agora; // Atualiza a data do último registro
+            }
+
+            // Registra a exclusão de cada um no histórico e salva tudo em uma única operação
+            Historico.Registrar(db, user);
+            await db.SaveChangesAsync();
+            PublicarExclusao(request, clientes.Select(c => c.Id));
+
+            // Retorna HTTP 200 OK com o resultado de cada ID, na mesma ordem em que foram enviados
+            return Results.Ok(ResultadosLote(ids, clientes, "Cliente não encontrado."));
+        })
+        .WithName("DeletarClientesEmLote")
+        .WithTags("Clientes")
+        .Produces<List<ResultadoLoteDto>>(StatusCodes.Status200OK)
+        .ProducesValidationProblem();
+
+        // ========================================
+        // ENDPOINT: LISTAR LIXEIRA (CLIENTES EXCLUÍDOS)
+        // ========================================
+        // GET /api/clientes/lixeira?page=1&pageSize=50&column=nome&search=joão&sort=dataExclusao&dir=desc
+        // Mesma paginação, filtro e ordenação da listagem normal, mas somente com os clientes
+        // excluídos (soft delete) e a data de exclusão de cada um. Também responde HTTP 304 pelo ETag.
+        group.MapGet("/lixeira", async ([AsParameters] ClienteListQuery query, HttpContext http, AppDbContext db) =>
+        {
+            if (!Filtragem.TentarMontar(CamposFiltro, query.Filter, query.Logic, out var condicoes, out var erros))
+                return FiltroInvalido(erros);
+
+            var page = Math.Max(query.Page ?? 1, 1);
+            var pageSize = Math.Clamp(query.PageSize ?? PageSizePadrao, 1, PageSizeMaximo);
+
+            var filtrados = AplicarFiltro(Lixeira(db), query.Column, query.Search, condicoes);
+            var total = await filtrados.CountAsync();
+
+            var itens = await AplicarOrdenacao(filtrados, query.Sort, query.Dir)
+                .Skip((page - 1) * pageSize)
+                .Take(pageSize)
+                .Select(c => new ClienteLixeiraDto
+                {
+                    Id = c.Id,
+                    Nome = c.Nome,
+                    Endereco = c.Endereco,
+                    Idade = c.Idade,
+                    Telefone = c.Telefone,
+                    Documento = c.Documento,
+                    DataCadastro = c.DataCadastro,
+                    DataUltimoRegistro = c.DataUltimoRegistro,
+                    DataExclusao = c.DataExclusao
+                })
+                .ToListAsync();
+
+            return Condicional.Json(http, new PagedResult<ClienteLixeiraDto>
+            {
+                Items = itens,
+                Total = total,
+                Page = page,
+                PageSize = pageSize
+            });
+        })
+        .WithName("ListarLixeiraClientes")
+        .WithTags("Clientes")
+        .Produces<PagedResult<ClienteLixeiraDto>>(StatusCodes.Status200OK)
+        .Produces(StatusCodes.Status304NotModified)
+        .ProducesValidationProblem();
+
+        // ========================================
+        // ENDPOINT: LISTAR IDS DA LIXEIRA
+        // ========================================
+        // GET /api/clientes/lixeira/ids?column=nome&search=joão
+        // Equivalente ao /ids da listagem normal, para "Selecionar todos os registros" na lixeira.
+        group.MapGet("/lixeira/ids", async ([AsParameters] ClienteListQuery query, AppDbContext db) =>
+        {
+            if (!Filtragem.TentarMontar(CamposFiltro, query.Filter, query.Logic, out var condicoes, out var erros))
+                return FiltroInvalido(erros);
+
+            var filtrados = AplicarFiltro(Lixeira(db), query.Column, query.Search, condicoes);
+            return Results.Ok(await IdsDaSelecao(filtrados, query));
+        })
+        .WithName("ListarIdsLixeiraClientes")
+        .WithTags("Clientes")
+        .Produces<IdsSelecaoDto>(StatusCodes.Status200OK)
+        .ProducesValidationProblem();
+
+        // ========================================
+        // ENDPOINT: EVENTOS AO VIVO DA LIXEIRA
+        // ========================================
+        // GET /api/clientes/lixeira/eventos
+        // Equivalente ao /eventos da listagem normal, do ponto de vista da lixeira
+        // (um cliente excluído é "criado" nela; um restaurado ou excluído definitivamente é "removido").
+        group.MapGet("/lixeira/eventos", (HttpContext http, CancellationToken ct) => Eventos.Transmitir(http, FluxoLixeira, ct))
+        .WithName("EventosLixeiraClientes")
+        .WithTags("Clientes")
+        .Produces(StatusCodes.Status200OK, contentType: "text/event-stream");
+
+        // ========================================
+        // ENDPOINT: RESTAURAR CLIENTE DA LIXEIRA
+        // ========================================
+        // POST /api/clientes/lixeira/{id}/restaurar
+        // Desfaz o soft delete: o cliente volta a aparecer nas listagens.
+        // Se outro cliente ativo já usa o mesmo CPF/CNPJ, a restauração é recusada com HTTP 409.
+        group.MapPost("/lixeira/{id:int}/restaurar", async (int id, HttpRequest request, ClaimsPrincipal user, AppDbContext db) =>
+        {
+            // Apenas clientes que estão na lixeira podem ser restaurados
+            var c = await Lixeira(db).FirstOrDefaultAsync(x => x.Id == id);
+            if (c is null)
+                return Results.NotFound(new { mensagem = "Cliente não encontrado na lixeira." });
+
+            if (await DocumentoEmUso(db, c.Documento))
+                return Results.Conflict(new { mensagem = MensagemRestauracaoRecusada(c) });
+
+            Restaurar(c, DateTime.UtcNow);
+            Historico.Registrar(db, user);
+            await db.SaveChangesAsync();
+            PublicarRestauracao(request, [c.Id]);
+
+            return Results.NoContent();
+        })
+        .WithName("RestaurarCliente")
+        .WithTags("Clientes")
+        .Produces(StatusCodes.Status204NoContent)
+        .Produces(StatusCodes.Status404NotFound)
+        .Produces(StatusCodes.Status409Conflict);
+
+        // ========================================
+        // ENDPOINT: RESTAURAR CLIENTES EM LOTE
+        // ========================================
+        // POST /api/clientes/lixeira/restaurar-em-lote   { "ids": [1, 2, 3] }
+        // Restaura vários clientes da lixeira de uma vez e informa o resultado de cada ID.
+        // Clientes com o CPF/CNPJ de um cliente ativo (ou de outro restaurado antes no mesmo lote) ficam na lixeira.
+        group.MapPost("/lixeira/restaurar-em-lote", async (IdsLoteDto dto, HttpRequest request, ClaimsPrincipal user, AppDbContext db) =>
+        {
+            var erros = Validacao.Validar(dto);
+            if (erros.Count > 0)
+                return Results.ValidationProblem(erros, title: "Um ou mais campos são inválidos.");
+
+            var ids = dto.Ids.Distinct().ToList();
+            var clientes = await Lixeira(db)
+                .Where(c => ids.Contains(c.Id))
+                .ToListAsync();
+
+            // Documentos já usados por clientes ativos; cada restauração acrescenta o seu
+            var documentos = clientes.Where(c => c.Documento != null).Select(c => c.Documento!).Distinct().ToList();
+            var emUso = (await db.Clientes
+                .Where(c => c.Documento != null && documentos.Contains(c.Documento))
+                .Select(c => c.Documento!)
+                .ToListAsync()).ToHashSet();
+
+            var agora = DateTime.UtcNow;
+            var restaurados = new List<Cliente>();
+            var recusados = new Dictionary<int, string>();
+            foreach (var c in clientes)
+            {
+                if (c.Documento is not null && !emUso.Add(c.Documento))
+                {
+                    recusados[c.Id] = MensagemRestauracaoRecusada(c);
+                    continue;
+                }
+
+                Restaurar(c, agora);
+                restaurados.Add(c);
+            }
+
+            Historico.Registrar(db, user);
+            await db.SaveChangesAsync();
+            PublicarRestauracao(request, restaurados.Select(c => c.Id));
+
+            return Results.Ok(ResultadosLote(ids, restaurados, "Cliente não encontrado na lixeira.", recusados));
+        })
+        .WithName("RestaurarClientesEmLote")
+        .WithTags("Clientes")
+        .Produces<List<ResultadoLoteDto>>(StatusCodes.Status200OK)
+        .ProducesValidationProblem();
+
+        // ========================================
+        // ENDPOINT: EXCLUIR CLIENTE DEFINITIVAMENTE
+        // ========================================
+        // DELETE /api/clientes/lixeira/{id}
+        // Remove fisicamente o registro do banco. Só vale para clientes que já estão na lixeira:
+        // um cliente ativo precisa ser excluído (soft delete) antes.
+        group.MapDelete("/lixeira/{id:int}", async (int id, HttpRequest request, ClaimsPrincipal user, AppDbContext db) =>
+        {
+            var c = await Lixeira(db).FirstOrDefaultAsync(x => x.Id == id);
+            if (c is null)
+                return Results.NotFound(new { mensagem = "Cliente não encontrado na lixeira." });
+
+            // O histórico guarda os últimos valores do cliente, que deixam de existir
+            db.Clientes.Remove(c);
+            Historico.Registrar(db, user);
+            await db.SaveChangesAsync();
+            Eventos.Publicar(request, FluxoLixeira, Eventos.Removido, [c.Id]);
+
+            return Results.NoContent();
+        })
+        .WithName("ExcluirClienteDefinitivamente")
+        .WithTags("Clientes")
+        .Produces(StatusCodes.Status204NoContent)
+        .Produces(StatusCodes.Status404NotFound);
+
+        // ========================================
+        // ENDPOINT: EXCLUIR DEFINITIVAMENTE EM LOTE
+        // ========================================
+        // POST /api/clientes/lixeira/excluir-em-lote   { "ids": [1, 2, 3] }
+        // Remove fisicamente vários clientes da lixeira e informa o resultado de cada ID.
+        group.MapPost("/lixeira/excluir-em-lote", async (IdsLoteDto dto, HttpRequest request, ClaimsPrincipal user, AppDbContext db) =>
+        {
+            var erros = Validacao.Validar(dto);
+            if (erros.Count > 0)
+                return Results.ValidationProblem(erros, title: "Um ou mais campos são inválidos.");
+
+            var ids = dto.Ids.Distinct().ToList();
+            var clientes = await Lixeira(db)
+                .Where(c => ids.Contains(c.Id))
+                .ToListAsync();
+
+            // SaveChanges remove todos em uma única transação
+            db.Clientes.RemoveRange(clientes);
+            Historico.Registrar(db, user);
+            await db.SaveChangesAsync();
+            Eventos.Publicar(request, FluxoLixeira, Eventos.Removido, clientes.Select(c => c.Id));
+
+            return Results.Ok(ResultadosLote(ids, clientes, "Cliente não encontrado na lixeira."));
+        })
+        .WithName("ExcluirClientesDefinitivamenteEmLote")
+        .WithTags("Clientes")
+        .Produces<List<ResultadoLoteDto>>(StatusCodes.Status200OK)
+        .ProducesValidationProblem();
+
+        // ========================================
+        // ENDPOINT: VALIDAR IMPORTAÇÃO (PRÉ-VISUALIZAÇÃO)
+        // ========================================
+        // POST /api/clientes/importar/validar   { "linhas": [{ "nome": "...", "idade": 30 }, ...] }
+        // Valida cada linha com as mesmas regras do cadastro (ClienteCreateDto), sem gravar nada.
+        // O CPF/CNPJ de cada linha não pode ser o de um cliente ativo nem o de outra linha do arquivo.
+        // Usado pela pré-visualização da importação de CSV.
+        group.MapPost("/importar/validar", async (ClienteImportacaoDto dto, AppDbContext db) =>
+        {
+            var erros = Validacao.Validar(dto);
+            if (erros.Count > 0)
+                return Results.ValidationProblem(erros, title: "Um ou mais campos são inválidos.");
+
+            return Results.Ok(await ValidarLinhas(dto, db));
+        })
+        .WithName("ValidarImportacaoClientes")
+        .WithTags("Clientes")
+        .Produces<List<ClienteImportacaoLinhaDto>>(StatusCodes.Status200OK)
+        .ProducesValidationProblem();
+
+        // ========================================
+        // ENDPOINT: IMPORTAR CLIENTES EM LOTE
+        // ========================================
+        // POST /api/clientes/importar   { "linhas": [...] }
+        // Valida todas as linhas novamente e grava as válidas em uma única transação
+        // (ou todas entram, ou nenhuma). As inválidas são devolvidas com os erros, sem interromper as demais.
+        group.MapPost("/importar", async (ClienteImportacaoDto dto, HttpRequest request, ClaimsPrincipal user, AppDbContext db) =>
+        {
+            var erros = Validacao.Validar(dto);
+            if (erros.Count > 0)
+                return Results.ValidationProblem(erros, title: "Um ou mais campos são inválidos.");
+
+            var resultados = await ValidarLinhas(dto, db);
+
+            // Cria as entidades das linhas válidas, guardando a qual resultado cada uma pertence
+            var agora = DateTime.UtcNow;
+            var novos = resultados
+                .Where(r => r.Valida)
+                .Select(r => (Resultado: r, Entidade: NovoCliente(dto.Linhas[r.Indice]!, agora)))
+                .ToList();
+
+            // SaveChanges grava todos os inserts (e o histórico de criação) em uma única transação
+            db.Clientes.AddRange(novos.Select(n => n.Entidade));
+            Historico.Registrar(db, user);
+            await db.SaveChangesAsync();
+
+            // Após salvar, os IDs gerados pelo banco já estão preenchidos nas entidades
+            foreach (var (resultado, entidade) in novos)
+                resultado.Id = entidade.Id;
+
+            Eventos.Publicar(request, FluxoAtivos, Eventos.Criado, novos.Select(n => n.Entidade.Id));
+
+            return Results.Ok(resultados);
+        })
+        .WithName("ImportarClientes")
+        .WithTags("Clientes")
+        .Produces<List<ClienteImportacaoLinhaDto>>(StatusCodes.Status200OK)
+        .ProducesValidationProblem();
+    }
+
+    /// <summary>
+    /// Cria a entidade de um novo cliente a partir dos dados de cadastro (já validados).
+    /// Usado pelo cadastro individual e pela importação, para que ambos gravem da mesma forma.
+    /// </summary>
+    /// <param name="dto">Dados do novo cliente.</param>
+    /// <param name="agora">Momento do cadastro (UTC).</param>
+    /// <returns>Entidade pronta para ser adicionada ao contexto.</returns>
+    private static Cliente NovoCliente(ClienteCreateDto dto, DateTime agora) => new()
+    {
+        Nome = dto.Nome.Trim(), // Remove espaços em branco no início e fim
+        Endereco = dto.Endereco?.Trim(),
+        Idade = dto.Idade,
+        Telefone = dto.Telefone?.Trim(),
+        Documento = Documento.Normalizar(dto.Documento), // Gravado sem formatação
+        DataCadastro = agora, // Define a data de cadastro como o momento atual
+        DataUltimoRegistro = agora, // Define a data do último registro como o momento atual
+        Deletado = false // Novos clientes não estão deletados
+    };
+
+    /// <summary>
+    /// Copia os dados de edição (já validados) para o cliente. Usado pela edição completa (PUT)
+    /// e pela alteração parcial (PATCH), para que ambas gravem da mesma forma.
+    /// </summary>
+    /// <param name="c">Cliente sendo alterado.</param>
+    /// <param name="dto">Dados editáveis do cliente.</param>
+    /// <param name="agora">Momento da alteração (UTC).</param>
+    private static void AplicarEdicao(Cliente c, ClienteUpdateDto dto, DateTime agora)
+    {
+        c.Nome = dto.Nome.Trim();
+        c.Endereco = dto.Endereco?.Trim();
+        c.Idade = dto.Idade;
+        c.Telefone = dto.Telefone?.Trim();
+        c.Documento = Documento.Normalizar(dto.Documento); // Gravado sem formatação
+        c.DataUltimoRegistro = agora; // Atualiza a data do último registro
+    }
+
+    /// <summary>
+    /// Monta o item de listagem de um cliente (retorno do cadastro e eventos ao vivo).
+    /// </summary>
+    /// <param name="c">Cliente.</param>
+    /// <returns>Dados do cliente no formato da lista.</returns>
+    private static ClienteListDto ItemLista(Cliente c) => new()
+    {
+        Id = c.Id,
+        Nome = c.Nome,
+        Endereco = c.Endereco,
+        Idade = c.Idade,
+        Telefone = c.Telefone,
+        Documento = c.Documento,
+        DataCadastro = c.DataCadastro,
+        DataUltimoRegistro = c.DataUltimoRegistro,
+        Versao = Convert.ToHexString(c.Versao)
+    };
+
+    /// <summary>
+    /// Monta o DTO de detalhes de um cliente (visualização, edição e conflitos de versão).
+    /// </summary>
+    /// <param name="c">Cliente.</param>
+    /// <returns>Dados completos do cliente, com a versão do registro.</returns>
+    private static ClienteDetalheDto Detalhe(Cliente c) => new()
+    {
+        Id = c.Id,
+        Nome = c.Nome,
+        Endereco = c.Endereco,
+        Idade = c.Idade,
+        Telefone = c.Telefone,
+        Documento = c.Documento,
+        DataCadastro = c.DataCadastro,
+        DataUltimoRegistro = c.DataUltimoRegistro,
+        Versao = Convert.ToHexString(c.Versao)
+    };
+
+    /// <summary>
+    /// Formata a versão de um registro como ETag (ex: "00000000000007D1", com as aspas).
+    /// </summary>
+    /// <param name="versao">Versão (rowversion) do registro.</param>
+    /// <returns>Valor do cabeçalho ETag.</returns>
+    private static string ETag(byte[] versao) => $"\"{Convert.ToHexString(versao)}\"";
+
+    /// <summary>
+    /// Verifica o cabeçalho If-Match de uma requisição contra a versão atual do registro.
+    /// Sem o cabeçalho (ex: clientes antigos da API) ou com "*", a gravação é permitida.
+    /// </summary>
+    /// <param name="request">Requisição recebida.</param>
+    /// <param name="versao">Versão atual do registro.</param>
+    /// <returns>true se a gravação pode prosseguir.</returns>
+    private static bool VersaoConfere(HttpRequest request, byte[] versao)
+    {
+        var ifMatch = request.Headers.IfMatch.ToString();
+        if (string.IsNullOrWhiteSpace(ifMatch) || ifMatch.Trim() == "*")
+            return true;
+
+        var atual = Convert.ToHexString(versao);
+        return ifMatch
+            .Split(',', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries)
+            .Select(v => v.StartsWith("W/") ? v[2..] : v)
+            .Any(v => string.Equals(v.Trim('"'), atual, StringComparison.OrdinalIgnoreCase));
+    }
+
+    /// <summary>
+    /// Resposta de uma edição recusada por conflito de versão: HTTP 412 (ProblemDetails)
+    /// com os dados atuais do cliente em "atual", para a tela mostrar o que mudou.
+    /// </summary>
+    /// <param name="c">Cliente com os dados atuais do banco.</param>
+    /// <returns>Resultado HTTP 412 Precondition Failed.</returns>
+    private static IResult ConflitoDeVersao(Cliente c) =>
+        Results.Problem(
+            statusCode: StatusCodes.Status412PreconditionFailed,
+            title: "O cliente foi alterado por outra pessoa.",
+            detail: "Outra pessoa salvou alterações neste cliente depois que você abriu a edição.",
+            extensions: new Dictionary<string, object?> { ["atual"] = Detalhe(c) });
+
+    /// <summary>
+    /// IDs de uma consulta já filtrada, na ordenação pedida, para "Selecionar todos os registros".
+    /// Devolve no máximo <see cref="LimiteSelecao"/> IDs (evita respostas gigantes em filtros muito
+    /// amplos), junto com o total do filtro, para o front-end avisar quando a lista foi cortada.
+    /// </summary>
+    /// <param name="filtrados">Consulta com o filtro aplicado.</param>
+    /// <param name="query">Parâmetros da listagem (usa a ordenação).</param>
+    /// <returns>IDs e total do filtro.</returns>
+    private static async Task<IdsSelecaoDto> IdsDaSelecao(IQueryable<Cliente> filtrados, ClienteListQuery query)
+    {
+        var total = await filtrados.CountAsync();
+        var ids = await AplicarOrdenacao(filtrados, query.Sort, query.Dir)
+            .Select(c => c.Id)
+            .Take(LimiteSelecao)
+            .ToListAsync();
+
+        return new IdsSelecaoDto { Ids = ids, Total = total };
+    }
+
+    /// <summary>
+    /// Verifica se um CPF/CNPJ já pertence a um cliente ativo. Clientes na lixeira não contam:
+    /// o documento só volta a ser verificado se eles forem restaurados.
+    /// O índice único filtrado do banco (ver Scripts/06_AddDocumento.sql) garante a regra mesmo
+    /// entre duas gravações simultâneas; esta consulta existe para devolver um erro legível.
+    /// </summary>
+    /// <param name="db">Contexto do banco de dados.</param>
+    /// <param name="documento">Documento sem formatação (null = não informado, nunca está em uso).</param>
+    /// <param name="ignorarId">Cliente que está sendo alterado (o próprio documento não conta).</param>
+    /// <returns>true se outro cliente ativo usa o documento.</returns>
+    private static async Task<bool> DocumentoEmUso(AppDbContext db, string? documento, int? ignorarId = null)
+    {
+        if (documento is null)
+            return false;
+
+        // O filtro global do AppDbContext já deixa de fora os clientes na lixeira
+        return await db.Clientes.AnyAsync(c => c.Documento == documento && c.Id != ignorarId);
+    }
+
+    /// <summary>
+    /// Resposta de um cadastro ou edição com o CPF/CNPJ de outro cliente ativo: HTTP 409 no formato
+    /// ValidationProblemDetails, com a mensagem no campo documento (exibida abaixo do input).
+    /// </summary>
+    private static IResult DocumentoDuplicado() =>
+        Results.ValidationProblem(
+            new Dictionary<string, string[]> { ["documento"] = ["Já existe um cliente com este CPF/CNPJ."] },
+            statusCode: StatusCodes.Status409Conflict,
+            title: "O CPF/CNPJ já está em uso.");
+
+    /// <summary>
+    /// Mensagem de um cliente que não pode sair da lixeira porque o seu CPF/CNPJ está em uso.
+    /// </summary>
+    private static string MensagemRestauracaoRecusada(Cliente c) =>
+        $"Já existe um cliente ativo com o CPF/CNPJ {Documento.Formatar(c.Documento)}.";
+
+    /// <summary>
+    /// Consulta dos clientes que estão na lixeira (excluídos com soft delete).
+    /// Ignora o filtro global do AppDbContext, que esconde exatamente esses registros.
+    /// </summary>
+    /// <param name="db">Contexto do banco de dados.</param>
+    /// <returns>Consulta somente com clientes excluídos.</returns>
+    private static IQueryable<Cliente> Lixeira(AppDbContext db) =>
+        db.Clientes.IgnoreQueryFilters().Where(c => c.Deletado);
+
+    /// <summary>
+    /// Desfaz o soft delete de um cliente.
+    /// </summary>
+    /// <param name="c">Cliente que está na lixeira.</param>
+    /// <param name="agora">Momento da restauração (UTC).</param>
+    private static void Restaurar(Cliente c, DateTime agora)
+    {
+        c.Deletado = false;
+        c.DataExclusao = null;
+        c.DataUltimoRegistro = agora; // A restauração conta como uma modificação do registro
+    }
+
+    /// <summary>
+    /// Avisa as listas abertas de clientes enviados para a lixeira: saem da lista de ativos e entram na lixeira.
+    /// </summary>
+    /// <param name="request">Requisição que fez a exclusão.</param>
+    /// <param name="ids">IDs dos clientes excluídos.</param>
+    private static void PublicarExclusao(HttpRequest request, IEnumerable<int> ids)
+    {
+        var lista = ids.ToList();
+        Eventos.Publicar(request, FluxoAtivos, Eventos.Removido, lista);
+        Eventos.Publicar(request, FluxoLixeira, Eventos.Criado, lista);
+    }
+
+    /// <summary>
+    /// Avisa as listas abertas de clientes restaurados: saem da lixeira e voltam para a lista de ativos.
+    /// </summary>
+    /// <param name="request">Requisição que fez a restauração.</param>
+    /// <param name="ids">IDs dos clientes restaurados.</param>
+    private static void PublicarRestauracao(HttpRequest request, IEnumerable<int> ids)
+    {
+        var lista = ids.ToList();
+        Eventos.Publicar(request, FluxoLixeira, Eventos.Removido, lista);
+        Eventos.Publicar(request, FluxoAtivos, Eventos.Criado, lista);
+    }
+
+    /// <summary>
+    /// Monta o resultado de uma operação em lote: um item por ID enviado, na mesma ordem.
+    /// </summary>
+    /// <param name="ids">IDs enviados (sem repetições).</param>
+    /// <param name="processados">Clientes em que a operação foi aplicada.</param>
+    /// <param name="mensagemFalha">Mensagem dos IDs que não foram processados.</param>
+    /// <param name="recusados">Mensagens próprias de IDs encontrados, mas não processados (opcional).</param>
+    /// <returns>Resultado de cada ID.</returns>
+    private static List<ResultadoLoteDto> ResultadosLote(
+        List<int> ids, List<Cliente> processados, string mensagemFalha, IReadOnlyDictionary<int, string>? recusados = null)
+    {
+        var encontrados = processados.Select(c => c.Id).ToHashSet();
+        return ids
+            .Select(id => new ResultadoLoteDto
+            {
+                Id = id,
+                Sucesso = encontrados.Contains(id),
+                Mensagem = encontrados.Contains(id) ? null : recusados?.GetValueOrDefault(id) ?? mensagemFalha
+            })
+            .ToList();
+    }
+
+    /// <summary>
+    /// Valida cada linha de uma importação com as regras de <see cref="ClienteCreateDto"/>.
+    /// O CPF/CNPJ de uma linha válida também não pode ser o de um cliente ativo, nem o de uma
+    /// linha anterior do arquivo (a primeira linha com o documento é importada; as demais, recusadas).
+    /// </summary>
+    /// <param name="dto">Linhas recebidas.</param>
+    /// <param name="db">Contexto do banco de dados.</param>
+    /// <returns>Um resultado por linha, na mesma ordem.</returns>
+    private static async Task<List<ClienteImportacaoLinhaDto>> ValidarLinhas(ClienteImportacaoDto dto, AppDbContext db)
+    {
+        var resultados = dto.Linhas
+            .Select((linha, indice) =>
+            {
+                var erros = linha is null
+                    ? new Dictionary<string, string[]> { [""] = ["Linha vazia."] }
+                    : Validacao.Validar(linha);
+
+                return new ClienteImportacaoLinhaDto
+                {
+                    Indice = indice,
+                    Valida = erros.Count == 0,
+                    Erros = erros
+                };
+            })
+            .ToList();
+
+        var comDocumento = resultados
+            .Where(r => r.Valida)
+            .Select(r => (Resultado: r, Documento: Documento.Normalizar(dto.Linhas[r.Indice]!.Documento)))
+            .Where(d => d.Documento is not null)
+            .ToList();
+        if (comDocumento.Count == 0)
+            return resultados;
+
+        var documentos = comDocumento.Select(d => d.Documento!).Distinct().ToList();
+        var emUso = (await db.Clientes
+            .Where(c => c.Documento != null && documentos.Contains(c.Documento))
+            .Select(c => c.Documento!)
+            .ToListAsync()).ToHashSet();
+
+        var noArquivo = new HashSet<string>();
+        foreach (var (resultado, documento) in comDocumento)
+        {
+            var erro = emUso.Contains(documento!) ? "Já existe um cliente com este CPF/CNPJ."
+                : !noArquivo.Add(documento!) ? "CPF/CNPJ repetido em outra linha do arquivo."
+                : null;
+            if (erro is null) continue;
+
+            resultado.Valida = false;
+            resultado.Erros = new Dictionary<string, string[]> { ["documento"] = [erro] };
+        }
+
+        return resultados;
+    }
+
+    /// <summary>
+    /// Resposta HTTP 400 para um filtro avançado inválido (erros na chave "filter").
+    /// </summary>
+    private static IResult FiltroInvalido(Dictionary<string, string[]> erros) =>
+        Results.ValidationProblem(erros, title: "O filtro é inválido.");
+
+    /// <summary>
+    /// Aplica o filtro de coluna + texto enviado pelo CrudList sobre a consulta de clientes,
+    /// junto (por E) com as condições do filtro avançado, quando houver.
+    /// Apenas as colunas conhecidas são aceitas; qualquer outra é ignorada (sem filtro).
+    /// Colunas numéricas (id, idade) usam comparação exata; colunas de texto usam "contém"
+    /// (no documento, sem considerar a pontuação digitada).
+    /// </summary>
+    /// <param name="query">Consulta base de clientes.</param>
+    /// <param name="column">Nome da coluna de filtro (id, nome, endereco, idade, telefone, documento).</param>
+    /// <param name="search">Texto de pesquisa digitado pelo usuário.</param>
+    /// <param name="condicoes">Predicado do filtro avançado (ver <see cref="Filtragem.TentarMontar"/>), ou null.</param>
+    /// <returns>Consulta com o filtro aplicado.</returns>
+    private static IQueryable<Cliente> AplicarFiltro(
+        IQueryable<Cliente> query, string? column, string? search, Expression<Func<Cliente, bool>>? condicoes)
+    {
+        if (condicoes is not null)
+            query = query.Where(condicoes);
+
+        // Sem texto de pesquisa não há o que filtrar
+        if (string.IsNullOrWhiteSpace(search) || string.IsNullOrWhiteSpace(column))
+            return query;
+
+        var termo = search.Trim();
+
+        switch (column.Trim().ToLowerInvariant())
+        {
+            // Colunas numéricas: se o texto não for um número, nenhum registro pode corresponder
+            case "id":
+                return int.TryParse(termo, out var id)
+                    ? query.Where(c => c.Id == id)
+                    : query.Where(c => false);
+
+            case "idade":
+                return int.TryParse(termo, out var idade)
+                    ? query.Where(c => c.Idade == idade)
+                    : query.Where(c => false);
+
+            // Colunas de texto: busca parcial (o EF traduz Contains para LIKE com escape dos curingas)
+            case "nome":
+                return query.Where(c => c.Nome.Contains(termo));
+
+            case "endereco":
+                return query.Where(c => c.Endereco != null && c.Endereco.Contains(termo));
+
+            case "telefone":
+                return query.Where(c => c.Telefone != null && c.Telefone.Contains(termo));
+
+            // O documento é gravado sem formatação: a pesquisa também ignora pontos, barra e hífen
+            case "documento":
+                var documento = Documento.Normalizar(termo);
+                return documento is null
+                    ? query.Where(c => false)
+                    : query.Where(c => c.Documento != null && c.Documento.Contains(documento));
+
+            // Coluna desconhecida: ignora o filtro em vez de gerar erro
+            default:
+                return query;
+        }
+    }
+
+    /// <summary>
+    /// Aplica a ordenação pedida pelo CrudList (sort=nome,idade&amp;dir=asc,desc).
+    /// Somente colunas conhecidas são aceitas, então o texto vindo da URL nunca chega ao SQL.
+    /// Sem nenhuma coluna válida, ordena por nome; o Id é sempre o último critério de desempate
+    /// para que a paginação seja estável (registros não se repetem nem somem entre páginas).
+    /// </summary>
+    /// <param name="query">Consulta de clientes (já filtrada).</param>
+    /// <param name="sort">Colunas separadas por vírgula, em ordem de prioridade.</param>
+    /// <param name="dir">Direções ("asc"/"desc") separadas por vírgula, paralelas às colunas.</param>
+    /// <returns>Consulta ordenada.</returns>
+    private static IOrderedQueryable<Cliente> AplicarOrdenacao(IQueryable<Cliente> query, string? sort, string? dir)
+    {
+        var colunas = (sort ?? "").Split(',', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries);
+        var direcoes = (dir ?? "").Split(',', StringSplitOptions.TrimEntries);
+
+        IOrderedQueryable<Cliente>? ordenada = null;
+        var usadas = new HashSet<string>(); // Evita ordenar duas vezes pela mesma coluna
+
+        for (var i = 0; i < colunas.Length; i++)
+        {
+            var coluna = colunas[i].ToLowerInvariant();
+            if (!usadas.Add(coluna)) continue;
+
+            var desc = i < direcoes.Length && direcoes[i].Equals("desc", StringComparison.OrdinalIgnoreCase);
+
+            ordenada = coluna switch
+            {
+                "id" => Ordenar(query, ordenada, c => c.Id, desc),
+                "nome" => Ordenar(query, ordenada, c => c.Nome, desc),
+                "endereco" => Ordenar(query, ordenada, c => c.Endereco, desc),
+                "idade" => Ordenar(query, ordenada, c => c.Idade, desc),
+                "telefone" => Ordenar(query, ordenada, c => c.Telefone, desc),
+                "documento" => Ordenar(query, ordenada, c => c.Documento, desc),
+                "datacadastro" => Ordenar(query, ordenada, c => c.DataCadastro, desc),
+                "dataultimoregistro" => Ordenar(query, ordenada, c => c.DataUltimoRegistro, desc),
+                "dataexclusao" => Ordenar(query, ordenada, c => c.DataExclusao, desc), // Usada pela lixeira
+                _ => ordenada // Coluna desconhecida: ignorada
+            };
+        }
+
+        // Ordenação padrão quando nenhuma coluna válida foi informada
+        ordenada ??= query.OrderBy(c => c.Nome);
+
+        return ordenada.ThenBy(c => c.Id);
+    }
+
+    /// <summary>
+    /// Adiciona um critério de ordenação: OrderBy no primeiro critério, ThenBy nos seguintes.
+    /// </summary>
+    /// <typeparam name="TKey">Tipo da propriedade usada na ordenação.</typeparam>
+    /// <param name="query">Consulta original (usada quando ainda não há ordenação).</param>
+    /// <param name="atual">Consulta já ordenada pelos critérios anteriores, ou null.</param>
+    /// <param name="chave">Propriedade usada na ordenação.</param>
+    /// <param name="desc">true para ordem decrescente.</param>
+    /// <returns>Consulta ordenada incluindo o novo critério.</returns>
+    private static IOrderedQueryable<Cliente> Ordenar<TKey>(
+        IQueryable<Cliente> query,
+        IOrderedQueryable<Cliente>? atual,
+        Expression<Func<Cliente, TKey>> chave,
+        bool desc)
+    {
+        if (atual is null)
+            return desc ? query.OrderByDescending(chave) : query.OrderBy(chave);
+
+        return desc ? atual.ThenByDescending(chave) : atual.ThenBy(chave);
     }
 }
@@ -0,0 +1,92 @@
+using System.Security.Cryptography;
+using System.Text.Json;
+using Microsoft.Extensions.Options;
+
+namespace WebAppEstudo.Endpoints;
+
+/// <summary>
+/// Utilitário de requisições condicionais (ETag / If-None-Match) para os endpoints de leitura.
+/// O front-end guarda as respostas em cache (ver dataCache.js) e, ao revalidar, envia o ETag
+/// recebido no If-None-Match: se nada mudou, a resposta é um HTTP 304 sem corpo.
+/// </summary>
+public static class Condicional
+{
+    /// <summary>
+    /// Verifica se o cabeçalho If-None-Match da requisição contém o ETag atual do recurso.
+    /// A comparação é fraca (ignora o prefixo W/), como pede a especificação para o If-None-Match.
+    /// </summary>
+    /// <param name="request">Requisição recebida.</param>
+    /// <param name="etag">ETag atual do recurso (com as aspas).</param>
+    /// <returns>true se o cliente já tem a versão atual.</returns>
+    public static bool NaoModificado(HttpRequest request, string etag)
+    {
+        var ifNoneMatch = request.Headers.IfNoneMatch.ToString();
+        if (string.IsNullOrWhiteSpace(ifNoneMatch))
+            return false;
+        if (ifNoneMatch.Trim() == "*")
+            return true;
+
+        var atual = SemPrefixoFraco(etag);
+        return ifNoneMatch
+            .Split(',', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries)
+            .Any(v => string.Equals(SemPrefixoFraco(v), atual, StringComparison.OrdinalIgnoreCase));
+    }
+
+    /// <summary>
+    /// Resposta condicional para um recurso com versão conhecida (ex: rowversion do registro):
+    /// HTTP 304 se o cliente já tem essa versão; senão HTTP 200 com os dados.
+    /// Em ambos os casos o ETag vai no cabeçalho.
+    /// </summary>
+    /// <param name="http">Contexto da requisição.</param>
+    /// <param name="etag">ETag do recurso (com as aspas).</param>
+    /// <param name="dados">Corpo da resposta (serializado só quando necessário).</param>
+    /// <returns>Resultado HTTP 304 ou 200.</returns>
+    public static IResult Ok<T>(HttpContext http, string etag, T dados)
+    {
+        PrepararCabecalhos(http.Response, etag);
+        return NaoModificado(http.Request, etag)
+            ? Results.StatusCode(StatusCodes.Status304NotModified)
+            : Results.Ok(dados);
+    }
+
+    /// <summary>
+    /// Resposta condicional para dados sem versão própria (ex: uma página da listagem):
+    /// o ETag é fraco e calculado a partir do JSON da resposta, então qualquer mudança
+    /// nos itens, no total ou na ordem gera um ETag diferente.
+    /// A consulta ao banco acontece de qualquer forma; o ganho é não trafegar o corpo.
+    /// </summary>
+    /// <param name="http">Contexto da requisição.</param>
+    /// <param name="dados">Corpo da resposta.</param>
+    /// <returns>Resultado HTTP 304 ou 200 (JSON com as mesmas opções dos demais endpoints).</returns>
+    public static IResult Json<T>(HttpContext http, T dados)
+    {
+        var opcoes = http.RequestServices.GetRequiredService<IOptions<Microsoft.AspNetCore.Http.Json.JsonOptions>>().Value;
+        var corpo = JsonSerializer.SerializeToUtf8Bytes(dados, opcoes.SerializerOptions);
+        var etag = $"W/\"{Convert.ToHexString(SHA256.HashData(corpo))[..32]}\"";
+
+        PrepararCabecalhos(http.Response, etag);
+        return NaoModificado(http.Request, etag)
+            ? Results.StatusCode(StatusCodes.Status304NotModified)
+            : Results.Bytes(corpo, "application/json; charset=utf-8");
+    }
+
+    /// <summary>
+    /// Define o ETag e pede que o navegador sempre revalide a resposta antes de reaproveitá-la
+    /// (quem decide quando usar o cache é o front-end, não o cache HTTP do navegador).
+    /// </summary>
+    private static void PrepararCabecalhos(HttpResponse response, string etag)
+    {
+        response.Headers.ETag = etag;
+        response.Headers.CacheControl = "no-cache";
+    }
+
+    /// <summary>
+    /// Remove o prefixo de ETag fraco (W/) e as aspas, para comparar só o valor.
+    /// </summary>
+    private static string SemPrefixoFraco(string etag)
+    {
+        var valor = etag.Trim();
+        if (valor.StartsWith("W/")) valor = valor[2..];
+        return valor.Trim('"');
+    }
+}
@@ -0,0 +1,151 @@
+using System.Collections.Concurrent;
+using System.Text.Json;
+using System.Threading.Channels;
+using Microsoft.AspNetCore.Http.Features;
+
+namespace WebAppEstudo.Endpoints;
+
+/// <summary>
+/// Utilitário de eventos ao vivo (Server-Sent Events) das telas de lista.
+/// Depois de cada SaveChanges, os endpoints publicam o que mudou num fluxo (ex: "clientes",
+/// "clientes/lixeira") com <see cref="Publicar"/>; cada lista aberta no navegador acompanha o seu
+/// fluxo por uma conexão GET que fica aberta (<see cref="Transmitir"/>) e atualiza as linhas sem
+/// recarregar a página (ver liveUpdates no crudList.js).
+/// Os inscritos ficam na memória do processo: com mais de uma instância do servidor, cada uma
+/// só avisa as conexões que recebeu.
+/// </summary>
+public static class Eventos
+{
+    /// <summary>Registros que passaram a fazer parte da lista (cadastro, importação, restauração).</summary>
+    public const string Criado = "criado";
+
+    /// <summary>Registros da lista com dados alterados (o evento leva os itens atualizados).</summary>
+    public const string Alterado = "alterado";
+
+    /// <summary>Registros que saíram da lista (exclusão, restauração a partir da lixeira).</summary>
+    public const string Removido = "removido";
+
+    /// <summary>
+    /// Cabeçalho com o identificador da aba que fez a alteração. O evento volta com esse valor
+    /// em "origem", para a própria aba ignorá-lo (ela já atualizou a lista ao salvar).
+    /// </summary>
+    public const string CabecalhoOrigem = "X-Origem";
+
+    /// <summary>
+    /// Intervalo sem eventos após o qual um comentário é enviado, para proxies e o navegador
+    /// não encerrarem a conexão por inatividade.
+    /// </summary>
+    private static readonly TimeSpan IntervaloSinal = TimeSpan.FromSeconds(20);
+
+    /// <summary>
+    /// Eventos guardados por conexão enquanto ela não consegue enviá-los (conexão lenta).
+    /// Acima disso os mais antigos são descartados: a lista se corrige na próxima carga.
+    /// </summary>
+    private const int CapacidadePorConexao = 100;
+
+    /// <summary>Tamanho máximo do identificador de origem repassado nos eventos.</summary>
+    private const int TamanhoMaximoOrigem = 64;
+
+    /// <summary>
+    /// Conexões abertas: o canal de cada uma e o fluxo que ela acompanha.
+    /// </summary>
+    private static readonly ConcurrentDictionary<Channel<Evento>, string> Inscritos = new();
+
+    /// <summary>
+    /// Opções de JSON dos eventos (camelCase, como nas respostas da API).
+    /// </summary>
+    private static readonly JsonSerializerOptions Json = new(JsonSerializerDefaults.Web);
+
+    /// <summary>
+    /// Evento pronto para envio: o tipo (nome do evento SSE) e os dados já serializados.
+    /// </summary>
+    private sealed record Evento(string Tipo, string Dados);
+
+    /// <summary>
+    /// Publica um evento para as conexões que acompanham o fluxo.
+    /// Deve ser chamado depois do SaveChanges, para ninguém ser avisado de uma alteração que não foi gravada.
+    /// Os dados do evento são { ids, itens, origem }.
+    /// </summary>
+    /// <param name="request">Requisição que fez a alteração (de onde vem o cabeçalho de origem).</param>
+    /// <param name="fluxo">Fluxo de eventos (ex: "clientes").</param>
+    /// <param name="tipo">Tipo do evento (<see cref="Criado"/>, <see cref="Alterado"/> ou <see cref="Removido"/>).</param>
+    /// <param name="ids">IDs dos registros afetados; sem IDs, nada é publicado.</param>
+    /// <param name="itens">Registros no formato da lista (opcional, usado em <see cref="Alterado"/>).</param>
+    public static void Publicar(HttpRequest request, string fluxo, string tipo, IEnumerable<int> ids, object? itens = null)
+    {
+        var lista = ids.ToList();
+        if (lista.Count == 0)
+            return;
+
+        var origem = request.Headers[CabecalhoOrigem].ToString();
+        var dados = JsonSerializer.Serialize(new
+        {
+            ids = lista,
+            itens,
+            origem = origem.Length is > 0 and <= TamanhoMaximoOrigem ? origem : null
+        }, Json);
+
+        var evento = new Evento(tipo, dados);
+        foreach (var (canal, inscrito) in Inscritos)
+        {
+            if (inscrito == fluxo)
+                canal.Writer.TryWrite(evento);
+        }
+    }
+
+    /// <summary>
+    /// Mantém a resposta aberta no formato text/event-stream e envia os eventos do fluxo
+    /// até o navegador encerrar a conexão. O EventSource do navegador reconecta sozinho
+    /// se a conexão cair (após o tempo informado em "retry").
+    /// </summary>
+    /// <param name="http">Contexto da requisição.</param>
+    /// <param name="fluxo">Fluxo de eventos acompanhado pela conexão (ex: "clientes").</param>
+    /// <param name="ct">Cancelado quando o navegador encerra a conexão.</param>
+    public static async Task Transmitir(HttpContext http, string fluxo, CancellationToken ct)
+    {
+        var canal = Channel.CreateBounded<Evento>(new BoundedChannelOptions(CapacidadePorConexao)
+        {
+            FullMode = BoundedChannelFullMode.DropOldest,
+            SingleReader = true
+        });
+        Inscritos[canal] = fluxo;
+
+        try
+        {
+            var response = http.Response;
+            response.ContentType = "text/event-stream";
+            response.Headers.CacheControl = "no-cache";
+            http.Features.Get<IHttpResponseBodyFeature>()?.DisableBuffering();
+
+            await response.WriteAsync("retry: 5000\n\n", ct);
+            await response.Body.FlushAsync(ct);
+
+            while (!ct.IsCancellationRequested)
+            {
+                using var espera = CancellationTokenSource.CreateLinkedTokenSource(ct);
+                espera.CancelAfter(IntervaloSinal);
+
+                try
+                {
+                    var evento = await canal.Reader.ReadAsync(espera.Token);
+                    await response.WriteAsync($"event: {evento.Tipo}\ndata: {evento.Dados}\n\n", ct);
+                }
+                catch (OperationCanceledException) when (!ct.IsCancellationRequested)
+                {
+                    // Nenhum evento no intervalo: um comentário SSE (ignorado pelo navegador) mantém a conexão viva
+                    await response.WriteAsync(": sinal\n\n", ct);
+                }
+
+                await response.Body.FlushAsync(ct);
+            }
+        }
+        catch (OperationCanceledException)
+        {
+            // O navegador fechou a conexão (página fechada, troca de lista)
+        }
+        finally
+        {
+            Inscritos.TryRemove(canal, out _);
+        }
+    }
+}
@@ -0,0 +1,390 @@
+using System.Globalization;
+using System.IO.Compression;
+using System.Text;
+using System.Xml;
+using WebAppEstudo.Data;
+
+namespace WebAppEstudo.Endpoints;
+
+/// <summary>
+/// Utilitário de exportação de listagens para CSV e XLSX.
+/// Os registros são lidos do banco um a um (IAsyncEnumerable) e escritos direto na resposta,
+/// sem carregar a lista inteira em memória, o que permite exportar filtros muito grandes.
+/// </summary>
+public static class Exportacao
+{
+    /// <summary>
+    /// Content-Type dos arquivos CSV.
+    /// </summary>
+    public const string ContentTypeCsv = "text/csv; charset=utf-8";
+
+    /// <summary>
+    /// Content-Type dos arquivos XLSX (planilha do Excel).
+    /// </summary>
+    public const string ContentTypeXlsx = "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+
+    /// <summary>
+    /// Tipos de formatação aceitos (os mesmos do CellRenderer no front-end, exceto badge).
+    /// </summary>
+    private static readonly HashSet<string> TiposValidos = new(StringComparer.OrdinalIgnoreCase)
+    {
+        "text", "number", "date", "datetime", "time", "phone", "document", "boolean"
+    };
+
+    /// <summary>
+    /// Cultura usada na formatação dos valores (padrão brasileiro, como na tela).
+    /// </summary>
+    private static readonly CultureInfo PtBr = CultureInfo.GetCultureInfo("pt-BR");
+
+    /// <summary>
+    /// Descreve uma coluna exportável.
+    /// </summary>
+    /// <param name="Campo">Nome do campo pedido pelo front-end (ex: "nome").</param>
+    /// <param name="Titulo">Título exibido no cabeçalho do arquivo.</param>
+    /// <param name="Tipo">Tipo de formatação (text, number, date, datetime, time, phone, document ou boolean).</param>
+    /// <param name="Valor">Função que extrai o valor do registro.</param>
+    public sealed record Coluna<T>(string Campo, string Titulo, string Tipo, Func<T, object?> Valor);
+
+    /// <summary>
+    /// Monta a lista de colunas pedida pelo front-end a partir das colunas disponíveis.
+    /// Campos desconhecidos são ignorados; títulos e tipos ausentes ou inválidos usam o padrão da coluna.
+    /// Sem nenhum campo válido, todas as colunas disponíveis são exportadas.
+    /// </summary>
+    /// <param name="disponiveis">Colunas que o endpoint permite exportar.</param>
+    /// <param name="campos">Campos pedidos, na ordem desejada.</param>
+    /// <param name="titulos">Títulos paralelos a <paramref name="campos"/>.</param>
+    /// <param name="tipos">Tipos paralelos a <paramref name="campos"/>.</param>
+    /// <returns>Colunas a exportar.</returns>
+    public static List<Coluna<T>> MontarColunas<T>(
+        IReadOnlyList<Coluna<T>> disponiveis, string[]? campos, string[]? titulos, string[]? tipos)
+    {
+        var colunas = new List<Coluna<T>>();
+
+        for (var i = 0; i < (campos?.Length ?? 0); i++)
+        {
+            var coluna = disponiveis.FirstOrDefault(c =>
+                string.Equals(c.Campo, campos![i]?.Trim(), StringComparison.OrdinalIgnoreCase));
+            if (coluna is null || colunas.Contains(coluna)) continue;
+
+            var titulo = titulos is not null && i < titulos.Length ? titulos[i]?.Trim() : null;
+            var tipo = tipos is not null && i < tipos.Length ? tipos[i]?.Trim() : null;
+
+            colunas.Add(coluna with
+            {
+                Titulo = string.IsNullOrEmpty(titulo) ? coluna.Titulo : titulo[..Math.Min(titulo.Length, 100)],
+                Tipo = tipo is not null && TiposValidos.Contains(tipo) ? tipo.ToLowerInvariant() : coluna.Tipo
+            });
+        }
+
+        return colunas.Count > 0 ? colunas : disponiveis.ToList();
+    }
+
+    // ========================================
+    // CSV
+    // ========================================
+
+    /// <summary>
+    /// Gera um CSV no padrão do Excel brasileiro: UTF-8 com BOM (acentos corretos)
+    /// e ponto e vírgula como separador (a vírgula é o separador decimal).
+    /// Cada registro é escrito assim que chega do banco.
+    /// </summary>
+    /// <param name="linhas">Registros a exportar (normalmente uma consulta com AsAsyncEnumerable).</param>
+    /// <param name="colunas">Colunas do arquivo.</param>
+    /// <param name="nomeArquivo">Nome sugerido para o download.</param>
+    /// <param name="ct">Cancelado se o usuário interromper o download.</param>
+    /// <returns>Resultado que escreve o arquivo na resposta.</returns>
+    public static IResult Csv<T>(IAsyncEnumerable<T> linhas, IReadOnlyList<Coluna<T>> colunas, string nomeArquivo, CancellationToken ct) =>
+        Results.Stream(async saida =>
+        {
+            // BOM escrito à mão: o Excel só reconhece UTF-8 com ele
+            await saida.WriteAsync(Encoding.UTF8.GetPreamble(), ct);
+
+            await using var writer = new StreamWriter(saida, new UTF8Encoding(false), bufferSize: 16 * 1024, leaveOpen: true);
+            await writer.WriteAsync(LinhaCsv(colunas.Select(c => CampoCsv(c.Titulo, texto: true))));
+
+            await foreach (var item in linhas.WithCancellation(ct))
+            {
+                await writer.WriteAsync(LinhaCsv(colunas.Select(c =>
+                    CampoCsv(FormatarTexto(c.Valor(item), c.Tipo), texto: !EhNumericoOuData(c.Tipo)))));
+            }
+        }, ContentTypeCsv, nomeArquivo);
+
+    /// <summary>
+    /// Junta os campos de uma linha do CSV, terminando com CRLF.
+    /// </summary>
+    private static string LinhaCsv(IEnumerable<string> campos) => string.Join(';', campos) + "\r\n";
+
+    /// <summary>
+    /// Prepara um valor para o CSV: coloca entre aspas quando contém separador, aspas ou quebra de linha.
+    /// Textos que começam com =, +, - ou @ recebem um apóstrofo para não serem interpretados
+    /// como fórmula pelo Excel (injeção de fórmulas).
+    /// </summary>
+    private static string CampoCsv(string valor, bool texto)
+    {
+        if (texto && valor.Length > 0 && "=+-@\t\r".Contains(valor[0]))
+            valor = "'" + valor;
+
+        return valor.IndexOfAny([';', '"', '\r', '\n']) >= 0
+            ? "\"" + valor.Replace("\"", "\"\"") + "\""
+            : valor;
+    }
+
+    // ========================================
+    // XLSX
+    // ========================================
+
+    /// <summary>
+    /// Gera uma planilha XLSX com o cabeçalho em negrito e congelado.
+    /// Números e datas são gravados como valores nativos do Excel (permitem somar, filtrar, ordenar).
+    /// O pacote é montado em um arquivo temporário (o formato ZIP exige escrita síncrona)
+    /// e depois copiado para a resposta; o arquivo é apagado ao final.
+    /// </summary>
+    /// <param name="linhas">Registros a exportar.</param>
+    /// <param name="colunas">Colunas da planilha.</param>
+    /// <param name="nomeArquivo">Nome sugerido para o download.</param>
+    /// <param name="nomePlanilha">Nome da aba (até 31 caracteres).</param>
+    /// <param name="ct">Cancelado se o usuário interromper o download.</param>
+    /// <returns>Resultado que escreve o arquivo na resposta.</returns>
+    public static IResult Xlsx<T>(IAsyncEnumerable<T> linhas, IReadOnlyList<Coluna<T>> colunas, string nomeArquivo, string nomePlanilha, CancellationToken ct) =>
+        Results.Stream(async saida =>
+        {
+            await using var arquivo = new FileStream(
+                Path.Combine(Path.GetTempPath(), Path.GetRandomFileName()),
+                FileMode.CreateNew, FileAccess.ReadWrite, FileShare.None, 81920,
+                FileOptions.DeleteOnClose | FileOptions.Asynchronous);
+
+            using (var zip = new ZipArchive(arquivo, ZipArchiveMode.Create, leaveOpen: true))
+            {
+                EscreverEntrada(zip, "[Content_Types].xml", ContentTypesXml);
+                EscreverEntrada(zip, "_rels/.rels", RelsXml);
+                EscreverEntrada(zip, "xl/workbook.xml", WorkbookXml(nomePlanilha));
+                EscreverEntrada(zip, "xl/_rels/workbook.xml.rels", WorkbookRelsXml);
+                EscreverEntrada(zip, "xl/styles.xml", StylesXml);
+
+                var planilha = zip.CreateEntry("xl/worksheets/sheet1.xml", CompressionLevel.Fastest);
+                await using var destino = planilha.Open();
+                await EscreverPlanilhaAsync(destino, linhas, colunas, ct);
+            }
+
+            arquivo.Position = 0;
+            await arquivo.CopyToAsync(saida, ct);
+        }, ContentTypeXlsx, nomeArquivo);
+
+    /// <summary>
+    /// Escreve o XML da planilha (cabeçalho + uma linha por registro).
+    /// </summary>
+    private static async Task EscreverPlanilhaAsync<T>(Stream destino, IAsyncEnumerable<T> linhas, IReadOnlyList<Coluna<T>> colunas, CancellationToken ct)
+    {
+        // A entrada do ZIP fica no arquivo temporário, então a escrita síncrona não bloqueia a resposta
+        using var xml = XmlWriter.Create(destino, new XmlWriterSettings { Encoding = new UTF8Encoding(false) });
+
+        xml.WriteStartDocument(standalone: true);
+        xml.WriteStartElement("worksheet", NsPlanilha);
+
+        // Congela a primeira linha (cabeçalho)
+        xml.WriteStartElement("sheetViews");
+        xml.WriteStartElement("sheetView");
+        xml.WriteAttributeString("workbookViewId", "0");
+        xml.WriteStartElement("pane");
+        xml.WriteAttributeString("ySplit", "1");
+        xml.WriteAttributeString("topLeftCell", "A2");
+        xml.WriteAttributeString("activePane", "bottomLeft");
+        xml.WriteAttributeString("state", "frozen");
+        xml.WriteEndElement();
+        xml.WriteEndElement();
+        xml.WriteEndElement();
+
+        xml.WriteStartElement("sheetData");
+
+        // Cabeçalho em negrito (estilo 1)
+        xml.WriteStartElement("row");
+        foreach (var coluna in colunas)
+            EscreverCelulaTexto(xml, coluna.Titulo, estilo: "1");
+        xml.WriteEndElement();
+
+        await foreach (var item in linhas.WithCancellation(ct))
+        {
+            xml.WriteStartElement("row");
+            foreach (var coluna in colunas)
+                EscreverCelula(xml, coluna.Valor(item), coluna.Tipo);
+            xml.WriteEndElement();
+        }
+
+        xml.WriteEndElement(); // sheetData
+        xml.WriteEndElement(); // worksheet
+        xml.WriteEndDocument();
+    }
+
+    /// <summary>
+    /// Escreve uma célula: número, data (com o formato do tipo) ou texto formatado.
+    /// </summary>
+    private static void EscreverCelula(XmlWriter xml, object? valor, string tipo)
+    {
+        if (valor is null)
+        {
+            xml.WriteStartElement("c");
+            xml.WriteEndElement();
+            return;
+        }
+
+        if (tipo == "number" && valor is int or long or short or decimal or double or float)
+        {
+            xml.WriteStartElement("c");
+            xml.WriteElementString("v", Convert.ToDouble(valor, CultureInfo.InvariantCulture).ToString("R", CultureInfo.InvariantCulture));
+            xml.WriteEndElement();
+            return;
+        }
+
+        if (valor is DateTime data && tipo is "date" or "datetime" or "time")
+        {
+            // Estilos 2, 3 e 4 de styles.xml: data, data e hora, hora
+            var estilo = tipo == "date" ? "2" : tipo == "datetime" ? "3" : "4";
+            xml.WriteStartElement("c");
+            xml.WriteAttributeString("s", estilo);
+            xml.WriteElementString("v", data.ToOADate().ToString("R", CultureInfo.InvariantCulture));
+            xml.WriteEndElement();
+            return;
+        }
+
+        EscreverCelulaTexto(xml, FormatarTexto(valor, tipo), estilo: null);
+    }
+
+    /// <summary>
+    /// Escreve uma célula de texto (inline string, sem tabela de strings compartilhadas).
+    /// </summary>
+    private static void EscreverCelulaTexto(XmlWriter xml, string texto, string? estilo)
+    {
+        xml.WriteStartElement("c");
+        xml.WriteAttributeString("t", "inlineStr");
+        if (estilo is not null) xml.WriteAttributeString("s", estilo);
+        xml.WriteStartElement("is");
+        xml.WriteStartElement("t");
+        xml.WriteAttributeString("xml", "space", null, "preserve");
+        xml.WriteString(RemoverCaracteresInvalidos(texto));
+        xml.WriteEndElement();
+        xml.WriteEndElement();
+        xml.WriteEndElement();
+    }
+
+    /// <summary>
+    /// Remove caracteres de controle que não são permitidos em XML (gerariam um arquivo corrompido).
+    /// </summary>
+    private static string RemoverCaracteresInvalidos(string texto) =>
+        texto.All(XmlConvert.IsXmlChar) ? texto : new string(texto.Where(XmlConvert.IsXmlChar).ToArray());
+
+    /// <summary>
+    /// Cria uma entrada do pacote com conteúdo fixo.
+    /// </summary>
+    private static void EscreverEntrada(ZipArchive zip, string caminho, string conteudo)
+    {
+        var entrada = zip.CreateEntry(caminho, CompressionLevel.Fastest);
+        using var writer = new StreamWriter(entrada.Open(), new UTF8Encoding(false));
+        writer.Write(conteudo);
+    }
+
+    private const string NsPlanilha = "http://schemas.openxmlformats.org/spreadsheetml/2006/main";
+
+    private const string ContentTypesXml =
+        """<?xml version="1.0" encoding="UTF-8" standalone="yes"?>""" +
+        """<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">""" +
+        """<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>""" +
+        """<Default Extension="xml" ContentType="application/xml"/>""" +
+        """<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>""" +
+        """<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>""" +
+        """<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>""" +
+        """</Types>""";
+
+    private const string RelsXml =
+        """<?xml version="1.0" encoding="UTF-8" standalone="yes"?>""" +
+        """<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">""" +
+        """<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>""" +
+        """</Relationships>""";
+
+    private const string WorkbookRelsXml =
+        """<?xml version="1.0" encoding="UTF-8" standalone="yes"?>""" +
+        """<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">""" +
+        """<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>""" +
+        """<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>""" +
+        """</Relationships>""";
+
+    // Estilos: 0 = padrão, 1 = cabeçalho em negrito, 2 = data, 3 = data e hora, 4 = hora
+    private const string StylesXml =
+        """<?xml version="1.0" encoding="UTF-8" standalone="yes"?>""" +
+        """<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">""" +
+        """<numFmts count="3"><numFmt numFmtId="164" formatCode="dd/mm/yyyy"/><numFmt numFmtId="165" formatCode="dd/mm/yyyy hh:mm"/><numFmt numFmtId="166" formatCode="hh:mm"/></numFmts>""" +
+        """<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>""" +
+        """<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>""" +
+        """<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>""" +
+        """<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>""" +
+        """<cellXfs count="5">""" +
+        """<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>""" +
+        """<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>""" +
+        """<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>""" +
+        """<xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>""" +
+        """<xf numFmtId="166" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>""" +
+        """</cellXfs>""" +
+        """<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>""" +
+        """</styleSheet>""";
+
+    /// <summary>
+    /// XML do workbook com uma única aba.
+    /// </summary>
+    private static string WorkbookXml(string nomePlanilha)
+    {
+        // O Excel limita o nome da aba a 31 caracteres e não aceita : \ / ? * [ ]
+        var nome = new string(nomePlanilha.Where(c => !@":\/?*[]".Contains(c)).Take(31).ToArray());
+        return """<?xml version="1.0" encoding="UTF-8" standalone="yes"?>""" +
+            """<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">""" +
+            $"""<sheets><sheet name="{System.Security.SecurityElement.Escape(nome)}" sheetId="1" r:id="rId1"/></sheets>""" +
+            """</workbook>""";
+    }
+
+    // ========================================
+    // FORMATAÇÃO
+    // ========================================
+
+    /// <summary>
+    /// Indica se o tipo representa números ou datas (valores que não recebem proteção contra fórmulas).
+    /// </summary>
+    private static bool EhNumericoOuData(string tipo) => tipo is "number" or "date" or "datetime" or "time";
+
+    /// <summary>
+    /// Formata um valor como texto no padrão brasileiro, seguindo as mesmas regras do CellRenderer.
+    /// </summary>
+    /// <param name="valor">Valor do registro.</param>
+    /// <param name="tipo">Tipo da coluna.</param>
+    /// <returns>Texto formatado (vazio para null).</returns>
+    public static string FormatarTexto(object? valor, string tipo)
+    {
+        if (valor is null) return "";
+
+        return (tipo, valor) switch
+        {
+            ("number", IFormattable n) => n.ToString(null, PtBr),
+            ("date", DateTime d) => d.ToString("dd/MM/yyyy", PtBr),
+            ("datetime", DateTime d) => d.ToString("dd/MM/yyyy HH:mm", PtBr),
+            ("time", DateTime d) => d.ToString("HH:mm", PtBr),
+            ("phone", _) => FormatarTelefone(Convert.ToString(valor, PtBr) ?? ""),
+            ("document", _) => Documento.Formatar(Convert.ToString(valor, PtBr)), // CPF/CNPJ
+            ("boolean", bool b) => b ? "Sim" : "Não",
+            _ => Convert.ToString(valor, PtBr) ?? ""
+        };
+    }
+
+    /// <summary>
+    /// Formata um telefone brasileiro a partir dos dígitos (mesmas regras do front-end).
+    /// Se a quantidade de dígitos não for reconhecida, devolve o texto original.
+    /// </summary>
+    private static string FormatarTelefone(string texto)
+    {
+        var d = new string(texto.Where(char.IsAsciiDigit).ToArray());
+        return d.Length switch
+        {
+            11 => $"({d[..2]}) {d[2..7]}-{d[7..]}",  // celular com DDD
+            10 => $"({d[..2]}) {d[2..6]}-{d[6..]}",  // fixo com DDD
+            9 => $"{d[..5]}-{d[5..]}",               // celular sem DDD
+            8 => $"{d[..4]}-{d[4..]}",               // fixo sem DDD
+            _ => texto
+        };
+    }
+}
@@ -0,0 +1,313 @@
+using System.Globalization;
+using System.Linq.Expressions;
+
+namespace WebAppEstudo.Endpoints;
+
+/// <summary>
+/// Utilitário do filtro avançado das listagens (várias condições combinadas com E/OU).
+/// Cada condição chega na query string no formato <c>campo:operador[:valor]</c>
+/// (ex: <c>filter=nome:contains:ana&amp;filter=idade:between:18,30&amp;logic=or</c>) e é
+/// convertida em uma expressão LINQ tipada, que o EF traduz para SQL com parâmetros.
+/// Somente os campos declarados pelo endpoint e os operadores do tipo de cada campo são
+/// aceitos, então o texto da URL nunca chega ao SQL.
+/// </summary>
+/// <remarks>
+/// Operadores por tipo:
+/// <list type="bullet">
+/// <item><c>text</c>: contains, startswith, eq, empty, notempty</item>
+/// <item><c>number</c>: eq, gt, lt, between, empty, notempty</item>
+/// <item><c>date</c>: eq (no dia), lt (antes do dia), gt (depois do dia), between (dias inclusivos), empty, notempty</item>
+/// </list>
+/// O valor de between é "inicio,fim"; datas usam o formato yyyy-MM-dd.
+/// Os conectores (logic) ficam entre condições consecutivas; o E é avaliado antes do OU,
+/// como no SQL: "a E b OU c" equivale a "(a E b) OU c".
+/// </remarks>
+public static class Filtragem
+{
+    /// <summary>
+    /// Quantidade máxima de condições em um filtro.
+    /// </summary>
+    public const int MaximoCondicoes = 20;
+
+    /// <summary>
+    /// Tamanho máximo do valor de uma condição de texto.
+    /// </summary>
+    private const int TamanhoMaximoValor = 200;
+
+    /// <summary>
+    /// Operadores aceitos por tipo de campo.
+    /// </summary>
+    private static readonly Dictionary<string, string[]> Operadores = new()
+    {
+        ["text"] = ["contains", "startswith", "eq", "empty", "notempty"],
+        ["number"] = ["eq", "gt", "lt", "between", "empty", "notempty"],
+        ["date"] = ["eq", "gt", "lt", "between", "empty", "notempty"],
+    };
+
+    /// <summary>
+    /// Descreve um campo filtrável.
+    /// </summary>
+    /// <param name="Nome">Nome do campo usado na query string (ex: "dataCadastro").</param>
+    /// <param name="Tipo">Tipo do campo: text, number ou date.</param>
+    /// <param name="Valor">Expressão que lê o campo do registro (ex: c =&gt; c.Nome).</param>
+    /// <param name="Normalizar">Conversão do valor digitado para o formato gravado (opcional, campos de texto).</param>
+    public sealed record Campo<T>(string Nome, string Tipo, LambdaExpression Valor, Func<string, string>? Normalizar = null);
+
+    /// <summary>
+    /// Declara um campo de texto. Com <paramref name="normalizar"/>, o valor da condição é convertido
+    /// antes da comparação (ex: CPF digitado com pontuação, gravado só com os dígitos).
+    /// </summary>
+    public static Campo<T> Texto<T>(string nome, Expression<Func<T, string?>> valor, Func<string, string>? normalizar = null) =>
+        new(nome, "text", valor, normalizar);
+
+    /// <summary>
+    /// Declara um campo numérico (inteiro).
+    /// </summary>
+    public static Campo<T> Numero<T>(string nome, Expression<Func<T, int?>> valor) => new(nome, "number", valor);
+
+    /// <summary>
+    /// Declara um campo de data (a hora é ignorada nas comparações).
+    /// </summary>
+    public static Campo<T> Data<T>(string nome, Expression<Func<T, DateTime?>> valor) => new(nome, "date", valor);
+
+    /// <summary>
+    /// Converte as condições recebidas em um predicado para o Where.
+    /// </summary>
+    /// <param name="campos">Campos que o endpoint permite filtrar.</param>
+    /// <param name="filtros">Condições no formato campo:operador[:valor].</param>
+    /// <param name="logica">Conectores ("and"/"or") separados por vírgula, entre condições consecutivas.
+    /// Qualquer valor diferente de "or" é tratado como "and".</param>
+    /// <param name="predicado">Predicado montado, ou null quando não há condições.</param>
+    /// <param name="erros">Mensagens de erro na chave "filter" (formato de ValidationProblem).</param>
+    /// <returns>true se todas as condições são válidas.</returns>
+    public static bool TentarMontar<T>(
+        IReadOnlyList<Campo<T>> campos,
+        string[]? filtros,
+        string? logica,
+        out Expression<Func<T, bool>>? predicado,
+        out Dictionary<string, string[]> erros)
+    {
+        predicado = null;
+        erros = [];
+
+        var condicoes = (filtros ?? []).Where(f => !string.IsNullOrWhiteSpace(f)).ToArray();
+        if (condicoes.Length == 0) return true;
+
+        if (condicoes.Length > MaximoCondicoes)
+        {
+            erros["filter"] = [$"O filtro aceita no máximo {MaximoCondicoes} condições."];
+            return false;
+        }
+
+        var conectores = (logica ?? "").Split(',', StringSplitOptions.TrimEntries);
+        var parametro = Expression.Parameter(typeof(T), "c");
+        var mensagens = new List<string>();
+
+        // Grupos de condições unidas por E; os grupos são unidos por OU
+        var grupos = new List<Expression>();
+        Expression? grupo = null;
+
+        for (var i = 0; i < condicoes.Length; i++)
+        {
+            var condicao = Condicao(campos, condicoes[i], parametro, out var erro);
+            if (condicao is null)
+            {
+                mensagens.Add($"Condição {i + 1}: {erro}");
+                continue;
+            }
+
+            var ou = i > 0 && i - 1 < conectores.Length && conectores[i - 1].Equals("or", StringComparison.OrdinalIgnoreCase);
+            if (ou && grupo is not null)
+            {
+                grupos.Add(grupo);
+                grupo = null;
+            }
+
+            grupo = grupo is null ? condicao : Expression.AndAlso(grupo, condicao);
+        }
+
+        if (mensagens.Count > 0)
+        {
+            erros["filter"] = mensagens.ToArray();
+            return false;
+        }
+
+        grupos.Add(grupo!);
+        predicado = Expression.Lambda<Func<T, bool>>(grupos.Aggregate(Expression.OrElse), parametro);
+        return true;
+    }
+
+    /// <summary>
+    /// Converte uma condição (campo:operador[:valor]) em expressão.
+    /// </summary>
+    /// <param name="campos">Campos filtráveis.</param>
+    /// <param name="texto">Condição recebida.</param>
+    /// <param name="parametro">Parâmetro do registro (c) compartilhado pelo predicado inteiro.</param>
+    /// <param name="erro">Motivo da rejeição, quando a condição é inválida.</param>
+    /// <returns>Expressão booleana, ou null se a condição for inválida.</returns>
+    private static Expression? Condicao<T>(IReadOnlyList<Campo<T>> campos, string texto, ParameterExpression parametro, out string? erro)
+    {
+        erro = null;
+
+        // O valor é tudo o que vem depois do segundo ":" (pode conter ":")
+        var partes = texto.Split(':', 3);
+        var nome = partes[0].Trim();
+        var operador = partes.Length > 1 ? partes[1].Trim().ToLowerInvariant() : "";
+        var valor = partes.Length > 2 ? partes[2].Trim() : "";
+
+        var campo = campos.FirstOrDefault(c => c.Nome.Equals(nome, StringComparison.OrdinalIgnoreCase));
+        if (campo is null)
+        {
+            erro = $"o campo \"{nome}\" não pode ser filtrado.";
+            return null;
+        }
+
+        if (!Operadores[campo.Tipo].Contains(operador))
+        {
+            erro = $"o operador \"{operador}\" não se aplica ao campo \"{campo.Nome}\".";
+            return null;
+        }
+
+        // O acesso ao campo (ex: c.Nome), reescrito sobre o parâmetro comum
+        var acesso = new TrocaParametro(campo.Valor.Parameters[0], parametro).Visit(campo.Valor.Body);
+
+        if (operador is "empty" or "notempty")
+        {
+            var vazio = campo.Tipo == "text"
+                ? Expression.OrElse(
+                    Expression.Equal(acesso, Expression.Constant(null, typeof(string))),
+                    Expression.Equal(acesso, Expression.Constant("")))
+                : Expression.Equal(acesso, Expression.Constant(null, acesso.Type));
+            return operador == "empty" ? vazio : Expression.Not(vazio);
+        }
+
+        if (campo.Normalizar is not null && valor.Length > 0)
+            valor = campo.Normalizar(valor);
+
+        if (valor.Length == 0)
+        {
+            erro = $"informe um valor para o campo \"{campo.Nome}\".";
+            return null;
+        }
+
+        return campo.Tipo switch
+        {
+            "text" => CondicaoTexto(acesso, operador, valor, out erro),
+            "number" => CondicaoNumero(acesso, operador, valor, out erro),
+            _ => CondicaoData(acesso, operador, valor, out erro),
+        };
+    }
+
+    /// <summary>
+    /// Condição sobre um campo de texto. Contains e StartsWith viram LIKE com os curingas escapados.
+    /// </summary>
+    private static Expression? CondicaoTexto(Expression acesso, string operador, string valor, out string? erro)
+    {
+        erro = null;
+        if (valor.Length > TamanhoMaximoValor)
+        {
+            erro = $"o valor pode ter no máximo {TamanhoMaximoValor} caracteres.";
+            return null;
+        }
+
+        var parametro = Parametro(valor);
+        if (operador == "eq") return Expression.Equal(acesso, parametro);
+
+        var metodo = typeof(string).GetMethod(operador == "contains" ? nameof(string.Contains) : nameof(string.StartsWith), [typeof(string)])!;
+        return Expression.AndAlso(
+            Expression.NotEqual(acesso, Expression.Constant(null, typeof(string))),
+            Expression.Call(acesso, metodo, parametro));
+    }
+
+    /// <summary>
+    /// Condição sobre um campo numérico.
+    /// </summary>
+    private static Expression? CondicaoNumero(Expression acesso, string operador, string valor, out string? erro)
+    {
+        erro = null;
+        var limites = operador == "between" ? valor.Split(',', StringSplitOptions.TrimEntries) : [valor];
+        var numeros = new int?[limites.Length];
+
+        for (var i = 0; i < limites.Length; i++)
+        {
+            if (!int.TryParse(limites[i], NumberStyles.Integer, CultureInfo.InvariantCulture, out var numero))
+            {
+                erro = $"\"{limites[i]}\" não é um número inteiro.";
+                return null;
+            }
+            numeros[i] = numero;
+        }
+
+        switch (operador)
+        {
+            case "eq": return Expression.Equal(acesso, Parametro(numeros[0]));
+            case "gt": return Expression.GreaterThan(acesso, Parametro(numeros[0]));
+            case "lt": return Expression.LessThan(acesso, Parametro(numeros[0]));
+        }
+
+        if (numeros.Length != 2)
+        {
+            erro = "\"entre\" precisa de dois valores separados por vírgula.";
+            return null;
+        }
+
+        // Limites invertidos são aceitos (entre 30 e 18 = entre 18 e 30)
+        var (inicio, fim) = numeros[0] <= numeros[1] ? (numeros[0], numeros[1]) : (numeros[1], numeros[0]);
+        return Expression.AndAlso(
+            Expression.GreaterThanOrEqual(acesso, Parametro(inicio)),
+            Expression.LessThanOrEqual(acesso, Parametro(fim)));
+    }
+
+    /// <summary>
+    /// Condição sobre um campo de data. As comparações são por dia: "eq" pega do início
+    /// do dia até o início do dia seguinte, e "between" inclui o último dia inteiro.
+    /// </summary>
+    private static Expression? CondicaoData(Expression acesso, string operador, string valor, out string? erro)
+    {
+        erro = null;
+        var limites = operador == "between" ? valor.Split(',', StringSplitOptions.TrimEntries) : [valor];
+        var datas = new DateTime[limites.Length];
+
+        for (var i = 0; i < limites.Length; i++)
+        {
+            if (!DateTime.TryParseExact(limites[i], "yyyy-MM-dd", CultureInfo.InvariantCulture, DateTimeStyles.None, out datas[i]))
+            {
+                erro = $"\"{limites[i]}\" não é uma data válida (use aaaa-mm-dd).";
+                return null;
+            }
+        }
+
+        if (operador == "between" && datas.Length != 2)
+        {
+            erro = "\"entre\" precisa de duas datas separadas por vírgula.";
+            return null;
+        }
+
+        var (inicio, fim) = datas.Length == 2 && datas[1] < datas[0] ? (datas[1], datas[0]) : (datas[0], datas[^1]);
+        DateTime? diaInicio = inicio.Date;
+        DateTime? diaSeguinte = fim.Date.AddDays(1);
+
+        return operador switch
+        {
+            "lt" => Expression.LessThan(acesso, Parametro(diaInicio)),
+            "gt" => Expression.GreaterThanOrEqual(acesso, Parametro(diaSeguinte)),
+            _ => Expression.AndAlso( // eq e between
+                Expression.GreaterThanOrEqual(acesso, Parametro(diaInicio)),
+                Expression.LessThan(acesso, Parametro(diaSeguinte))),
+        };
+    }
+
+    /// <summary>
+    /// Embrulha um valor em uma closure para que o EF o envie como parâmetro SQL
+    /// (e não como literal no texto da consulta).
+    /// </summary>
+    private static Expression Parametro<TV>(TV valor) => ((Expression<Func<TV>>)(() => valor)).Body;
+
+    /// <summary>
+    /// Troca o parâmetro de uma expressão (ex: o "c" de cada campo) pelo parâmetro do predicado.
+    /// </summary>
+    private sealed class TrocaParametro(ParameterExpression de, ParameterExpression para) : ExpressionVisitor
+    {
+        protected override Expression VisitParameter(ParameterExpression node) => node == de ? para : node;
+    }
+}
@@ -0,0 +1,160 @@
+using System.Security.Claims;
+using System.Text.Json;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.EntityFrameworkCore.ChangeTracking;
+using WebAppEstudo.Contracts.Clientes;
+using WebAppEstudo.Data;
+
+namespace WebAppEstudo.Endpoints;
+
+/// <summary>
+/// Utilitário de auditoria dos clientes.
+/// Antes de cada SaveChanges, os endpoints chamam <see cref="Registrar"/>, que percorre os
+/// clientes criados, alterados ou removidos no contexto e adiciona uma linha de
+/// <see cref="ClienteHistorico"/> para cada um, com os valores anteriores e novos dos campos.
+/// Como as linhas são gravadas no mesmo SaveChanges, o histórico nunca fica sem a alteração
+/// (nem a alteração sem o histórico).
+/// </summary>
+public static class Historico
+{
+    /// <summary>Cliente cadastrado (individualmente ou pela importação).</summary>
+    public const string Criacao = "criacao";
+
+    /// <summary>Dados do cliente alterados pela edição.</summary>
+    public const string Alteracao = "alteracao";
+
+    /// <summary>Cliente enviado para a lixeira (soft delete).</summary>
+    public const string Exclusao = "exclusao";
+
+    /// <summary>Cliente restaurado da lixeira.</summary>
+    public const string Restauracao = "restauracao";
+
+    /// <summary>Cliente removido do banco pela lixeira.</summary>
+    public const string ExclusaoDefinitiva = "exclusao_definitiva";
+
+    /// <summary>
+    /// Campos do cliente acompanhados pelo histórico (os editáveis pelo usuário).
+    /// </summary>
+    private static readonly string[] CamposAuditados =
+    [
+        nameof(Cliente.Nome),
+        nameof(Cliente.Endereco),
+        nameof(Cliente.Idade),
+        nameof(Cliente.Telefone),
+        nameof(Cliente.Documento),
+    ];
+
+    /// <summary>
+    /// Opções de JSON da coluna "alteracoes" (camelCase, como nas respostas da API).
+    /// </summary>
+    private static readonly JsonSerializerOptions Json = new(JsonSerializerDefaults.Web);
+
+    /// <summary>
+    /// Adiciona ao contexto o histórico das alterações pendentes nos clientes.
+    /// Deve ser chamado imediatamente antes do SaveChanges.
+    /// Alterações que não mudam nenhum campo (ex: salvar sem editar nada) não geram registro.
+    /// </summary>
+    /// <param name="db">Contexto com as alterações ainda não salvas.</param>
+    /// <param name="usuario">Usuário da requisição (o nome só é gravado se estiver autenticado).</param>
+    public static void Registrar(AppDbContext db, ClaimsPrincipal usuario)
+    {
+        var agora = DateTime.UtcNow;
+        var nomeUsuario = usuario.Identity?.IsAuthenticated == true ? usuario.Identity.Name : null;
+
+        // ToList: a lista de entradas muda ao adicionar os registros de histórico
+        var entradas = db.ChangeTracker.Entries<Cliente>()
+            .Where(e => e.State is EntityState.Added or EntityState.Modified or EntityState.Deleted)
+            .ToList();
+
+        foreach (var entrada in entradas)
+        {
+            var (acao, alteracoes) = Descrever(entrada);
+            if (acao is null)
+                continue;
+
+            var registro = new ClienteHistorico
+            {
+                Acao = acao,
+                Data = agora,
+                Usuario = nomeUsuario,
+                Alteracoes = alteracoes.Count > 0 ? JsonSerializer.Serialize(alteracoes, Json) : null
+            };
+
+            // Na criação o ID ainda não existe: a navegação faz o EF Core preenchê-lo ao salvar
+            if (entrada.State == EntityState.Added)
+                registro.Cliente = entrada.Entity;
+            else
+                registro.ClienteId = entrada.Entity.Id;
+
+            db.ClientesHistorico.Add(registro);
+        }
+    }
+
+    /// <summary>
+    /// Converte um registro do histórico para o DTO da API.
+    /// </summary>
+    /// <param name="h">Registro do histórico.</param>
+    /// <returns>DTO com as alterações já lidas do JSON.</returns>
+    public static ClienteHistoricoDto ParaDto(ClienteHistorico h) => new()
+    {
+        Id = h.Id,
+        Acao = h.Acao,
+        Data = h.Data,
+        Usuario = h.Usuario,
+        Alteracoes = string.IsNullOrEmpty(h.Alteracoes)
+            ? new()
+            : JsonSerializer.Deserialize<List<ClienteAlteracaoDto>>(h.Alteracoes, Json) ?? new()
+    };
+
+    /// <summary>
+    /// Identifica a ação de uma entrada do ChangeTracker e os campos que ela alterou.
+    /// </summary>
+    /// <param name="entrada">Entrada de um cliente criado, alterado ou removido.</param>
+    /// <returns>Ação (nula se nada relevante mudou) e campos alterados.</returns>
+    private static (string? Acao, List<ClienteAlteracaoDto> Alteracoes) Descrever(EntityEntry<Cliente> entrada)
+    {
+        switch (entrada.State)
+        {
+            case EntityState.Added:
+                // Criação: registra os campos preenchidos
+                return (Criacao, Campos(entrada, incluirAnterior: false, incluirNovo: true)
+                    .Where(a => a.Novo is not null)
+                    .ToList());
+
+            case EntityState.Deleted:
+                // Exclusão definitiva: guarda os últimos valores, que deixam de existir no banco
+                return (ExclusaoDefinitiva, Campos(entrada, incluirAnterior: true, incluirNovo: false)
+                    .Where(a => a.Anterior is not null)
+                    .ToList());
+        }
+
+        // Soft delete e restauração são alterações da coluna "deletado"
+        var deletado = entrada.Property(c => c.Deletado);
+        if (deletado.IsModified && !Equals(deletado.OriginalValue, deletado.CurrentValue))
+            return (deletado.CurrentValue ? Exclusao : Restauracao, new());
+
+        var alteracoes = Campos(entrada, incluirAnterior: true, incluirNovo: true)
+            .Where(a => !Equals(a.Anterior, a.Novo))
+            .ToList();
+        return (alteracoes.Count > 0 ? Alteracao : null, alteracoes);
+    }
+
+    /// <summary>
+    /// Lê os valores dos campos auditados de uma entrada do ChangeTracker.
+    /// </summary>
+    /// <param name="entrada">Entrada do cliente.</param>
+    /// <param name="incluirAnterior">Preenche o valor original (lido do banco).</param>
+    /// <param name="incluirNovo">Preenche o valor atual (que será gravado).</param>
+    /// <returns>Um item por campo auditado.</returns>
+    private static IEnumerable<ClienteAlteracaoDto> Campos(EntityEntry<Cliente> entrada, bool incluirAnterior, bool incluirNovo) =>
+        CamposAuditados.Select(nome =>
+        {
+            var propriedade = entrada.Property(nome);
+            return new ClienteAlteracaoDto
+            {
+                Campo = JsonNamingPolicy.CamelCase.ConvertName(nome),
+                Anterior = incluirAnterior ? propriedade.OriginalValue : null,
+                Novo = incluirNovo ? propriedade.CurrentValue : null
+            };
+        });
+}
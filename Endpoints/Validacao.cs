@@ -0,0 +1,102 @@
+using System.ComponentModel.DataAnnotations;
+using System.Reflection;
+using System.Text.Json;
+using System.Text.Json.Nodes;
+
+namespace WebAppEstudo.Endpoints;
+
+/// <summary>
+/// Utilitário de validação dos DTOs recebidos pelos endpoints.
+/// Executa as regras declaradas com Data Annotations ([Required], [MaxLength], [Range], ...)
+/// e agrupa as mensagens por campo, no formato esperado por <see cref="Results.ValidationProblem"/>.
+/// </summary>
+public static class Validacao
+{
+    /// <summary>
+    /// Opções de JSON usadas para ler os campos de uma alteração parcial (camelCase, como nas requisições da API).
+    /// </summary>
+    private static readonly JsonSerializerOptions Json = new(JsonSerializerDefaults.Web);
+
+    /// <summary>
+    /// Valida um DTO e retorna os erros agrupados por campo.
+    /// Os nomes dos campos são devolvidos em camelCase (ex: "nome"), o mesmo padrão do JSON,
+    /// para que o front-end consiga associar cada mensagem ao input correspondente.
+    /// </summary>
+    /// <param name="dto">Objeto a ser validado.</param>
+    /// <returns>Dicionário campo → mensagens. Vazio quando o objeto é válido.</returns>
+    public static Dictionary<string, string[]> Validar(object dto)
+    {
+        var resultados = new List<ValidationResult>();
+        Validator.TryValidateObject(dto, new ValidationContext(dto), resultados, validateAllProperties: true);
+
+        var erros = new Dictionary<string, List<string>>();
+        foreach (var resultado in resultados)
+        {
+            var mensagem = resultado.ErrorMessage ?? "Valor inválido.";
+
+            // Erros sem campo associado ficam na chave vazia (erro geral do formulário)
+            var campos = resultado.MemberNames.Any() ? resultado.MemberNames : new[] { "" };
+            foreach (var campo in campos)
+            {
+                var chave = ParaCamelCase(campo);
+                if (!erros.TryGetValue(chave, out var lista))
+                    erros[chave] = lista = new List<string>();
+                lista.Add(mensagem);
+            }
+        }
+
+        return erros.ToDictionary(e => e.Key, e => e.Value.ToArray());
+    }
+
+    /// <summary>
+    /// Aplica sobre um DTO os campos enviados numa alteração parcial (PATCH), ex: { "telefone": "11987654321" }.
+    /// Só as propriedades presentes no JSON são alteradas; as demais mantêm o valor que o DTO já tinha
+    /// (normalmente os dados atuais do registro). Depois disso, o DTO completo pode ser validado com <see cref="Validar"/>.
+    /// </summary>
+    /// <param name="dto">DTO preenchido com os valores atuais.</param>
+    /// <param name="campos">Campos enviados na requisição.</param>
+    /// <returns>
+    /// Erros por campo (mesmo formato de <see cref="Validar"/>): campos que o DTO não tem,
+    /// valores de tipo errado (ex: texto na idade) ou nenhum campo informado. Vazio quando tudo foi aplicado.
+    /// </returns>
+    public static Dictionary<string, string[]> AplicarCampos(object dto, JsonObject campos)
+    {
+        var erros = new Dictionary<string, string[]>();
+        if (campos.Count == 0)
+        {
+            erros[""] = ["Nenhum campo informado."];
+            return erros;
+        }
+
+        var propriedades = dto.GetType().GetProperties(BindingFlags.Public | BindingFlags.Instance);
+        foreach (var (nome, valor) in campos)
+        {
+            var chave = ParaCamelCase(nome);
+            var propriedade = propriedades.FirstOrDefault(p => p.CanWrite && string.Equals(p.Name, nome, StringComparison.OrdinalIgnoreCase));
+            if (propriedade is null)
+            {
+                erros[chave] = ["Campo desconhecido ou não editável."];
+                continue;
+            }
+
+            try
+            {
+                propriedade.SetValue(dto, valor?.Deserialize(propriedade.PropertyType, Json));
+            }
+            catch (Exception ex) when (ex is JsonException or FormatException or InvalidOperationException)
+            {
+                erros[chave] = ["Valor inválido."];
+            }
+        }
+
+        return erros;
+    }
+
+    /// <summary>
+    /// Converte o nome de uma propriedade C# para camelCase (ex: "DataCadastro" → "dataCadastro").
+    /// </summary>
+    /// <param name="nome">Nome da propriedade.</param>
+    /// <returns>Nome em camelCase.</returns>
+    private static string ParaCamelCase(string nome) =>
+        string.IsNullOrEmpty(nome) ? nome : char.ToLowerInvariant(nome[0]) + nome[1..];
+}
@@ -0,0 +1,201 @@
+using System.Security.Claims;
+using System.Text.Json;
+using Microsoft.EntityFrameworkCore;
+using WebAppEstudo.Contracts.Visoes;
+using WebAppEstudo.Data;
+
+namespace WebAppEstudo.Endpoints;
+
+/// <summary>
+/// Classe estática que define os endpoints das visões salvas das telas de lista.
+/// Cada visão pertence a um usuário e a uma tela; o conteúdo (filtro, ordenação, colunas)
+/// é um JSON definido pelo CrudList, que o servidor apenas guarda e devolve.
+/// Os endpoints exigem um usuário autenticado (HTTP 401 sem ele): sem login, todas as visões
+/// seriam de um mesmo dono e a alteração de um operador mudaria as visões dos demais.
+/// </summary>
+public static class VisoesEndpoints
+{
+    /// <summary>
+    /// Método de extensão que registra os endpoints das visões salvas.
+    /// Agrupa todas as rotas sob o prefixo "/api/visoes/{tela}".
+    /// </summary>
+    /// <param name="app">Instância da aplicação web.</param>
+    public static void MapVisoesEndpoints(this WebApplication app)
+    {
+        var group = app.MapGroup("/api/visoes/{tela:maxlength(50)}")
+            .AddEndpointFilter(async (context, next) =>
+            {
+                // Sem usuário autenticado não há dono para as visões (o front-end as guarda no navegador)
+                if (Dono(context.HttpContext.User) is null)
+                    return Results.Problem(
+                        statusCode: StatusCodes.Status401Unauthorized,
+                        title: "É preciso estar autenticado para guardar visões no servidor.");
+
+                return await next(context);
+            });
+
+        // ========================================
+        // ENDPOINT: LISTAR VISÕES DA TELA
+        // ========================================
+        // GET /api/visoes/clientes
+        // Retorna as visões do usuário para a tela, em ordem alfabética.
+        group.MapGet("", async (string tela, ClaimsPrincipal user, AppDbContext db) =>
+        {
+            var usuario = Dono(user)!; // Garantido pelo filtro do grupo
+            var visoes = await db.VisoesSalvas
+                .AsNoTracking()
+                .Where(v => v.Usuario == usuario && v.Tela == tela)
+                .OrderBy(v => v.Nome)
+                .ToListAsync();
+
+            return Results.Ok(visoes.Select(ParaDto).ToList());
+        })
+        .WithName("ListarVisoes")
+        .WithTags("Visões")
+        .ProducesProblem(StatusCodes.Status401Unauthorized)
+        .Produces<List<VisaoDto>>(StatusCodes.Status200OK);
+
+        // ========================================
+        // ENDPOINT: CRIAR VISÃO
+        // ========================================
+        // POST /api/visoes/clientes
+        // Salva o estado atual da lista com um nome. Nomes repetidos retornam HTTP 409.
+        group.MapPost("", async (string tela, VisaoSalvarDto dto, ClaimsPrincipal user, AppDbContext db) =>
+        {
+            var erros = Validar(dto);
+            if (erros.Count > 0)
+                return Results.ValidationProblem(erros, title: "Um ou mais campos são inválidos.");
+
+            var usuario = Dono(user)!;
+            var nome = dto.Nome.Trim();
+            if (await db.VisoesSalvas.AnyAsync(v => v.Usuario == usuario && v.Tela == tela && v.Nome == nome))
+                return Results.Conflict(new { mensagem = "Já existe uma visão com este nome." });
+
+            var visao = new VisaoSalva { Usuario = usuario, Tela = tela };
+            await Preencher(db, visao, dto);
+            db.VisoesSalvas.Add(visao);
+            await db.SaveChangesAsync();
+
+            return Results.Created($"/api/visoes/{tela}/{visao.Id}", ParaDto(visao));
+        })
+        .WithName("CriarVisao")
+        .WithTags("Visões")
+        .ProducesProblem(StatusCodes.Status401Unauthorized)
+        .Produces<VisaoDto>(StatusCodes.Status201Created)
+        .Produces(StatusCodes.Status409Conflict)
+        .ProducesValidationProblem();
+
+        // ========================================
+        // ENDPOINT: ATUALIZAR VISÃO
+        // ========================================
+        // PUT /api/visoes/clientes/{id}
+        // Renomeia a visão, troca o estado salvo ou a marca como padrão.
+        group.MapPut("/{id:int}", async (string tela, int id, VisaoSalvarDto dto, ClaimsPrincipal user, AppDbContext db) =>
+        {
+            var erros = Validar(dto);
+            if (erros.Count > 0)
+                return Results.ValidationProblem(erros, title: "Um ou mais campos são inválidos.");
+
+            var usuario = Dono(user)!;
+            var visao = await db.VisoesSalvas.FirstOrDefaultAsync(v => v.Id == id && v.Usuario == usuario && v.Tela == tela);
+            if (visao is null)
+                return Results.NotFound(new { mensagem = "Visão não encontrada." });
+
+            var nome = dto.Nome.Trim();
+            if (await db.VisoesSalvas.AnyAsync(v => v.Usuario == usuario && v.Tela == tela && v.Nome == nome && v.Id != id))
+                return Results.Conflict(new { mensagem = "Já existe uma visão com este nome." });
+
+            await Preencher(db, visao, dto);
+            await db.SaveChangesAsync();
+
+            return Results.Ok(ParaDto(visao));
+        })
+        .WithName("AtualizarVisao")
+        .WithTags("Visões")
+        .ProducesProblem(StatusCodes.Status401Unauthorized)
+        .Produces<VisaoDto>(StatusCodes.Status200OK)
+        .Produces(StatusCodes.Status404NotFound)
+        .Produces(StatusCodes.Status409Conflict)
+        .ProducesValidationProblem();
+
+        // ========================================
+        // ENDPOINT: EXCLUIR VISÃO
+        // ========================================
+        // DELETE /api/visoes/clientes/{id}
+        group.MapDelete("/{id:int}", async (string tela, int id, ClaimsPrincipal user, AppDbContext db) =>
+        {
+            var usuario = Dono(user)!;
+            var visao = await db.VisoesSalvas.FirstOrDefaultAsync(v => v.Id == id && v.Usuario == usuario && v.Tela == tela);
+            if (visao is null)
+                return Results.NotFound(new { mensagem = "Visão não encontrada." });
+
+            db.VisoesSalvas.Remove(visao);
+            await db.SaveChangesAsync();
+
+            return Results.NoContent();
+        })
+        .WithName("ExcluirVisao")
+        .WithTags("Visões")
+        .ProducesProblem(StatusCodes.Status401Unauthorized)
+        .Produces(StatusCodes.Status204NoContent)
+        .Produces(StatusCodes.Status404NotFound);
+    }
+
+    /// <summary>
+    /// Dono das visões da requisição: o nome (ou identificador) do usuário autenticado.
+    /// </summary>
+    /// <returns>Dono das visões, ou null sem um usuário autenticado e identificado.</returns>
+    private static string? Dono(ClaimsPrincipal user)
+    {
+        if (user.Identity?.IsAuthenticated != true)
+            return null;
+
+        var nome = user.Identity.Name ?? user.FindFirstValue(ClaimTypes.NameIdentifier);
+        return string.IsNullOrWhiteSpace(nome) ? null : nome;
+    }
+
+    /// <summary>
+    /// Valida o DTO: as regras declaradas e o estado, que precisa ser um objeto JSON de tamanho limitado.
+    /// </summary>
+    private static Dictionary<string, string[]> Validar(VisaoSalvarDto dto)
+    {
+        var erros = Validacao.Validar(dto);
+
+        if (dto.Estado.ValueKind != JsonValueKind.Object)
+            erros["estado"] = ["O estado da visão deve ser um objeto JSON."];
+        else if (dto.Estado.GetRawText().Length > VisaoSalvarDto.TamanhoMaximoEstado)
+            erros["estado"] = [$"O estado da visão não pode ter mais de {VisaoSalvarDto.TamanhoMaximoEstado} caracteres."];
+
+        return erros;
+    }
+
+    /// <summary>
+    /// Copia os dados do DTO para a visão. Marcar a visão como padrão desmarca a padrão anterior
+    /// do mesmo usuário e tela (as duas alterações vão no mesmo SaveChanges).
+    /// </summary>
+    private static async Task Preencher(AppDbContext db, VisaoSalva visao, VisaoSalvarDto dto)
+    {
+        visao.Nome = dto.Nome.Trim();
+        visao.Estado = dto.Estado.GetRawText();
+        visao.Padrao = dto.Padrao;
+        visao.DataUltimoRegistro = DateTime.UtcNow;
+
+        if (!dto.Padrao) return;
+
+        var anteriores = await db.VisoesSalvas
+            .Where(v => v.Usuario == visao.Usuario && v.Tela == visao.Tela && v.Padrao && v.Id != visao.Id)
+            .ToListAsync();
+        anteriores.ForEach(v => v.Padrao = false);
+    }
+
+    /// <summary>
+    /// Converte uma visão para o DTO da API.
+    /// </summary>
+    private static VisaoDto ParaDto(VisaoSalva v) => new()
+    {
+        Id = v.Id,
+        Nome = v.Nome,
+        Padrao = v.Padrao,
+        Estado = JsonSerializer.Deserialize<JsonElement>(v.Estado)
+    };
+}
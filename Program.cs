@@ -46,6 +46,9 @@ app.UseStaticFiles();
 // Isso mantém o Program.cs limpo e organiza os endpoints em arquivos separados.
 app.MapClientesEndpoints();
 
+// Endpoints das visões salvas das telas de lista (filtro, ordenação e colunas por usuário).
+app.MapVisoesEndpoints();
+
 // ========================================
 // INICIALIZAÇÃO DO SERVIDOR
 // ========================================
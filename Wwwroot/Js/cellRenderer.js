@@ -0,0 +1,224 @@
+// ========================================
+// RENDERIZAÇÃO SEGURA DE CÉLULAS
+// ========================================
+// Este arquivo contém a camada que transforma valores vindos da API em conteúdo de tela:
+// - Todo valor é inserido como texto (textContent), nunca como HTML
+// - Formatadores por tipo: número, data/hora (pt-BR), telefone, booleano e badge
+// - Conteúdo rico só é aceito como nó DOM criado pela própria tela (opt-in explícito)
+//
+// É usado pelo CrudList para montar as células da tabela, mas pode ser usado por
+// qualquer tela que precise exibir valores formatados (ex: modais de visualização).
+
+(() => {
+  // ========================================
+  // UTILITÁRIOS
+  // ========================================
+  /**
+   * Indica se um valor deve ser tratado como "vazio" (célula em branco).
+   *
+   * @param {*} value - Valor a ser verificado
+   * @returns {boolean} true para null, undefined ou string vazia
+   */
+  function isEmpty(value) {
+    return value === null || value === undefined || value === '';
+  }
+
+  /**
+   * Converte um valor em Date, aceitando objetos Date, timestamps e strings ISO.
+   *
+   * @param {*} value - Valor a ser convertido
+   * @returns {Date|null} Data válida ou null se não for possível converter
+   */
+  function toDate(value) {
+    const date = value instanceof Date ? value : new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  /**
+   * Opções de Intl.DateTimeFormat que descrevem componentes da data/hora. O Intl lança
+   * TypeError se elas forem combinadas com dateStyle/timeStyle.
+   */
+  const DATE_COMPONENTS = [
+    'weekday', 'era', 'year', 'month', 'day', 'dayPeriod',
+    'hour', 'minute', 'second', 'fractionalSecondDigits', 'timeZoneName',
+  ];
+
+  /**
+   * Junta os estilos padrão de um formatador de data com as opções da coluna.
+   * Se a coluna pedir componentes (ex: { hour: '2-digit' }), os estilos padrão são descartados.
+   *
+   * @param {Object} styles - Estilos padrão (ex: { dateStyle: 'short' })
+   * @param {Object} [opts] - Opções da coluna
+   * @returns {Object} Opções para toLocale*String
+   */
+  function dateOptions(styles, opts) {
+    const hasComponents = DATE_COMPONENTS.some(key => opts?.[key] !== undefined);
+    return hasComponents ? { ...opts } : { ...styles, ...opts };
+  }
+
+  /**
+   * Formata um telefone brasileiro a partir dos dígitos.
+   * Se a quantidade de dígitos não for reconhecida, devolve o texto original.
+   *
+   * @param {*} value - Telefone com ou sem formatação
+   * @returns {string} Telefone formatado (ex: "(11) 98765-4321")
+   */
+  function formatPhone(value) {
+    const text = String(value);
+    const digits = text.replace(/\D/g, '');
+
+    switch (digits.length) {
+      case 11: return `(${digits.slice(0, 2)}) ${digits.slice(2, 7)}-${digits.slice(7)}`; // celular com DDD
+      case 10: return `(${digits.slice(0, 2)}) ${digits.slice(2, 6)}-${digits.slice(6)}`; // fixo com DDD
+      case 9:  return `${digits.slice(0, 5)}-${digits.slice(5)}`;                          // celular sem DDD
+      case 8:  return `${digits.slice(0, 4)}-${digits.slice(4)}`;                          // fixo sem DDD
+      default: return text;
+    }
+  }
+
+  // ========================================
+  // FORMATADORES POR TIPO
+  // ========================================
+  /**
+   * Formatadores disponíveis, indexados pelo tipo da coluna.
+   * Cada formatador recebe o valor (já garantido como não vazio) e as opções da coluna,
+   * e devolve SEMPRE uma string (que será inserida como texto).
+   */
+  const formatters = {
+    /** Texto simples (padrão). */
+    text: value => String(value),
+
+    /** Número no padrão pt-BR. Opções: as mesmas de Intl.NumberFormat. */
+    number: (value, opts) => {
+      const n = Number(value);
+      if (!Number.isFinite(n)) return String(value);
+      return new Intl.NumberFormat('pt-BR', opts).format(n);
+    },
+
+    /** Somente a data (ex: 31/12/2024). */
+    date: (value, opts) => {
+      const d = toDate(value);
+      return d ? d.toLocaleDateString('pt-BR', dateOptions({ dateStyle: 'short' }, opts)) : String(value);
+    },
+
+    /** Data e hora (ex: 31/12/2024 14:30). */
+    datetime: (value, opts) => {
+      const d = toDate(value);
+      return d
+        ? d.toLocaleString('pt-BR', dateOptions({ dateStyle: 'short', timeStyle: 'short' }, opts))
+        : String(value);
+    },
+
+    /** Somente a hora (ex: 14:30). */
+    time: (value, opts) => {
+      const d = toDate(value);
+      return d ? d.toLocaleTimeString('pt-BR', dateOptions({ timeStyle: 'short' }, opts)) : String(value);
+    },
+
+    /** Telefone brasileiro. */
+    phone: value => formatPhone(value),
+
+    /** Booleano. Opções: { trueLabel = 'Sim', falseLabel = 'Não' }. */
+    boolean: (value, opts) => {
+      const truthy = value === true || value === 1 || value === 'true' || value === '1';
+      return truthy ? (opts?.trueLabel ?? 'Sim') : (opts?.falseLabel ?? 'Não');
+    },
+
+    /** Badge: o texto exibido vem de opts.map[valor].label (ou do próprio valor). */
+    badge: (value, opts) => opts?.map?.[value]?.label ?? String(value),
+  };
+
+  /**
+   * Formata um valor de acordo com o tipo informado.
+   * Valores vazios sempre resultam em string vazia.
+   *
+   * @param {*} value - Valor a ser formatado
+   * @param {string} [type='text'] - Tipo do valor (text, number, date, datetime, time, phone, boolean, badge)
+   * @param {Object} [opts] - Opções específicas do tipo
+   * @returns {string} Valor formatado como texto
+   */
+  function format(value, type, opts) {
+    if (isEmpty(value)) return '';
+    const fmt = formatters[type ?? 'text'];
+    if (!fmt) {
+      console.warn('CellRenderer: tipo desconhecido', type);
+      return String(value);
+    }
+    return fmt(value, opts);
+  }
+
+  // ========================================
+  // RENDERIZAÇÃO DE CÉLULAS
+  // ========================================
+  /**
+   * Preenche um elemento (normalmente um <td>) com o valor de uma coluna.
+   *
+   * Regras de segurança:
+   * - Strings e números são sempre inseridos com textContent (HTML é exibido literalmente)
+   * - Conteúdo rico só é aceito se a coluna tiver render() e ele devolver um Node
+   *   (a tela cria o nó com createElement, nunca a partir de HTML vindo da API)
+   *
+   * @param {HTMLElement} el - Elemento que receberá o conteúdo
+   * @param {*} value - Valor da célula
+   * @param {Object} [column] - Definição da coluna (type, format, render, align)
+   * @param {Object} [item] - Item completo da API (repassado ao render())
+   */
+  function renderInto(el, value, column, item) {
+    const col = column ?? {};
+    el.textContent = '';
+
+    // Opt-in explícito: render() pode devolver um nó DOM confiável
+    if (typeof col.render === 'function') {
+      const out = col.render(value, item);
+      if (out instanceof Node) {
+        el.appendChild(out);
+      } else {
+        el.textContent = isEmpty(out) ? '' : String(out);
+      }
+      return;
+    }
+
+    const text = format(value, col.type, col.format);
+
+    // Badge: o texto vai dentro de um <span> com a variante de cor da opção
+    if (col.type === 'badge' && text) {
+      const badge = document.createElement('span');
+      const variant = col.format?.map?.[value]?.variant ?? 'neutral';
+      badge.className = `cell-badge cell-badge-${variant}`;
+      badge.textContent = text;
+      el.appendChild(badge);
+      return;
+    }
+
+    el.textContent = text;
+
+    // Números ficam alinhados à direita por padrão (pode ser sobrescrito por column.align)
+    const align = col.align ?? (col.type === 'number' ? 'end' : null);
+    if (align) el.classList.add(`text-${align}`);
+  }
+
+  /**
+   * Cria um <td> com o valor formatado de uma coluna.
+   *
+   * @param {*} value - Valor da célula
+   * @param {Object} [column] - Definição da coluna
+   * @param {Object} [item] - Item completo da API
+   * @returns {HTMLTableCellElement} Célula pronta para ser inserida na linha
+   */
+  function createCell(value, column, item) {
+    const td = document.createElement('td');
+    renderInto(td, value, column, item);
+    return td;
+  }
+
+  // ========================================
+  // EXPORTAÇÃO GLOBAL
+  // ========================================
+  // Expõe a camada de renderização no escopo global para o CrudList e as telas
+  window.CellRenderer = {
+    format,
+    renderInto,
+    createCell,
+    formatters, // Permite registrar novos tipos: CellRenderer.formatters.cep = v => ...
+  };
+})();
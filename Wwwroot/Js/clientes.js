@@ -3,288 +3,1228 @@
 // ========================================
 // Este arquivo implementa a lógica específica da tela de gerenciamento de clientes.
 // Ele utiliza o motor genérico CrudList (definido em crudList.js) para gerenciar
-// a listagem, paginação e filtros, e implementa os modais de CRUD específicos para clientes.
+// a listagem, paginação e filtros, e o CrudForm (definido em crudForm.js) para gerar
+// os modais de CRUD a partir do schema de campos do cliente.
 
 (() => {
   // ========================================
   // VERIFICAÇÃO DE DEPENDÊNCIAS
   // ========================================
-  // Verifica se o CrudList foi carregado antes deste script
+  // Verifica se o CrudList e o CrudForm foram carregados antes deste script
   if (!window.CrudList) {
     console.error('CrudList não encontrado. Certifique-se de carregar /js/crudList.js antes de /js/clientes.js');
     return;
   }
+  if (!window.CrudForm) {
+    console.error('CrudForm não encontrado. Certifique-se de carregar /js/crudForm.js antes de /js/clientes.js');
+    return;
+  }
+  if (!window.LatestRequest) {
+    console.error('LatestRequest não encontrado. Certifique-se de carregar /js/latestRequest.js antes de /js/clientes.js');
+    return;
+  }
+  if (!window.AppToast) {
+    console.error('AppToast não encontrado. Certifique-se de carregar /js/toast.js antes de /js/clientes.js');
+    return;
+  }
+  if (!window.DataCache) {
+    console.error('DataCache não encontrado. Certifique-se de carregar /js/dataCache.js antes de /js/clientes.js');
+    return;
+  }
+  if (!window.OfflineQueue) {
+    console.error('OfflineQueue não encontrado. Certifique-se de carregar /js/offlineQueue.js antes de /js/clientes.js');
+    return;
+  }
+  if (!window.CpfCnpj) {
+    console.error('CpfCnpj não encontrado. Certifique-se de carregar /js/cpfCnpj.js antes de /js/clientes.js');
+    return;
+  }
+  if (!window.CsvImport) {
+    console.error('CsvImport não encontrado. Certifique-se de carregar /js/csvImport.js antes de /js/clientes.js');
+    return;
+  }
 
   // ========================================
-  // REFERÊNCIAS AOS ELEMENTOS DOM
+  // SCHEMA DOS CAMPOS
   // ========================================
-  // Armazena referências a todos os elementos DOM que serão manipulados
-  const els = {
-    // Modal de visualização
-    viewBackdrop: document.getElementById('cliente-modal-backdrop'),
-    viewCloseBtn: document.getElementById('modal-close-btn'),
-    v: {
-      id:       document.getElementById('m-id'),
-      nome:     document.getElementById('m-nome'),
-      endereco: document.getElementById('m-endereco'),
-      idade:    document.getElementById('m-idade'),
-      telefone: document.getElementById('m-telefone'),
-      dataCadastro: document.getElementById('m-datacadastro'),
-      dataUltimoRegistro: document.getElementById('m-dataultimoregistro'),
-    },
-
-    // Modal de edição
-    editBackdrop: document.getElementById('cliente-edit-backdrop'),
-    editCloseBtn: document.getElementById('edit-close-btn'),
-    editCancelBtn: document.getElementById('edit-cancel-btn'),
-    editForm: document.getElementById('edit-form'),
-    e: {
-      id:       document.getElementById('e-id'),
-      nome:     document.getElementById('e-nome'),
-      endereco: document.getElementById('e-endereco'),
-      idade:    document.getElementById('e-idade'),
-      telefone: document.getElementById('e-telefone'),
-    },
-
-    // Modal de novo cliente
-    newBackdrop: document.getElementById('cliente-new-backdrop'),
-    newCloseBtn: document.getElementById('new-close-btn'),
-    newCancelBtn: document.getElementById('new-cancel-btn'),
-    newForm: document.getElementById('new-form'),
-    n: {
-      nome:     document.getElementById('n-nome'),
-      endereco: document.getElementById('n-endereco'),
-      idade:    document.getElementById('n-idade'),
-      telefone: document.getElementById('n-telefone'),
-    },
-  };
+  // Descrição única dos campos do cliente. A partir dela o CrudForm gera os modais de
+  // visualização, edição e criação, preenche os campos e monta os payloads.
+  // Os limites acompanham as validações de Data/Cliente.cs.
+  const fields = [
+    { name: 'id',                 label: 'ID',               type: 'number', readOnly: true, show: { edit: false, new: false } },
+    { name: 'nome',               label: 'Nome',             required: true, maxLength: 200 },
+    { name: 'endereco',           label: 'Endereço',         maxLength: 200 },
+    { name: 'idade',              label: 'Idade',            type: 'number', integer: true, min: 0, max: 150 },
+    { name: 'telefone',           label: 'Telefone',         type: 'tel', maxLength: 30 },
+    { name: 'documento',          label: 'CPF/CNPJ',         type: 'document' },
+    { name: 'dataCadastro',       label: 'Data de Cadastro', type: 'datetime', readOnly: true, show: { edit: false, new: false } },
+    { name: 'dataUltimoRegistro', label: 'Último Registro',  type: 'datetime', readOnly: true, show: { edit: false, new: false } },
+  ];
 
   // ========================================
   // FUNÇÕES AUXILIARES
   // ========================================
 
+  // Busca de detalhes (visualizar/editar): abrir outro cliente cancela a busca anterior,
+  // evitando que uma resposta atrasada abra o modal com o cliente errado
+  const detailRequest = new LatestRequest({ timeout: 15000 });
+
   /**
-   * Faz uma requisição HTTP e retorna o JSON da resposta.
-   * Lança um erro se a resposta não for bem-sucedida.
+   * Busca os dados completos de um cliente.
+   * Os detalhes passam pelo DataCache: abrir de novo o mesmo cliente (ex: visualizar e depois
+   * editar) usa a resposta guardada, revalidada em segundo plano pelo ETag. Se ela tiver mudado
+   * e o modal de visualização ainda mostrar o cliente, os dados exibidos são atualizados.
+   * 
+   * @param {number} id - ID do cliente
+   * @returns {Promise<Object>} Cliente retornado pela API
+   * @throws {DOMException} AbortError se outro cliente foi pedido antes desta resposta chegar
+   */
+  function fetchCliente(id) {
+    return detailRequest.run(signal => DataCache.get(`/api/clientes/${id}`, {
+      signal,
+      onUpdate: atual => form.refreshView(atual),
+    }));
+  }
+
+  /**
+   * Envia uma alteração (POST/PUT/PATCH/DELETE) para a API. Em seguida o DataCache descarta as
+   * respostas guardadas de clientes (listas, lixeira, detalhes e históricos), para a próxima
+   * leitura trazer os dados novos.
+   * A requisição leva a origem da lista (list.liveHeaders), para a própria tela ignorar o
+   * evento ao vivo que a alteração gera.
    * 
    * @param {string} url - URL da requisição
    * @param {Object} options - Opções do fetch (method, headers, body, etc.)
+   * @returns {Promise<Response>} Resposta da API
+   */
+  function send(url, options) {
+    const headers = { ...options.headers, ...list.liveHeaders() };
+    return DataCache.mutate(url, { ...options, headers }, ENDPOINT_ATIVOS);
+  }
+
+  /**
+   * Retorna o JSON de uma resposta da API.
+   * Lança um erro se a resposta não for bem-sucedida; a mensagem do erro é o corpo
+   * da resposta ({ mensagem } ou ProblemDetails), que o AppToast.error sabe ler.
+   * 
+   * @param {Response} resp - Resposta do fetch
    * @returns {Promise<Object>} Objeto JSON da resposta
-   * @throws {Error} Se a resposta não for bem-sucedida (status >= 400)
+   * @throws {Error} Se a resposta não for bem-sucedida (status >= 400), com o status em `status`
    */
-  async function fetchJson(url, options) {
-    const resp = await fetch(url, options);
+  async function readJson(resp) {
     if (!resp.ok) {
       const txt = await resp.text();
-      throw new Error(txt || `Erro HTTP ${resp.status}`);
+      const err = new Error(txt || `Erro HTTP ${resp.status}`);
+      err.status = resp.status;
+      throw err;
     }
     return await resp.json();
   }
 
   /**
-   * Abre um modal adicionando a classe 'show'.
+   * Monta a requisição que grava um formulário (PUT na edição, POST na criação).
+   * A mesma requisição é enviada na hora ou, sem conexão, guardada na fila offline.
+   * 
+   * @param {string} mode - 'edit' ou 'new'
+   * @param {Object} payload - Dados montados pelo CrudForm
+   * @param {number|null} id - ID do cliente em edição (null na criação)
+   * @param {string|null} [version] - Versão lida ao abrir a edição, enviada no If-Match
+   * @returns {{url: string, method: string, headers: Object, body: string}} Requisição
+   */
+  function saveRequest(mode, payload, id, version) {
+    const isEdit = mode === 'edit';
+    const headers = { 'Content-Type': 'application/json' };
+    if (isEdit && version) headers['If-Match'] = `"${version}"`;
+
+    return {
+      url: isEdit ? `/api/clientes/${id}` : '/api/clientes',
+      method: isEdit ? 'PUT' : 'POST',
+      headers,
+      body: JSON.stringify(payload),
+    };
+  }
+
+  /**
+   * Lê o corpo de uma resposta de erro como ProblemDetails.
+   * 
+   * @param {string} txt - Corpo da resposta
+   * @returns {Object|null} ProblemDetails, ou null se o corpo não for JSON
+   */
+  function parseProblem(txt) {
+    try {
+      const problem = JSON.parse(txt);
+      return problem && typeof problem === 'object' ? problem : null;
+    } catch {
+      return null; // Corpo não é JSON
+    }
+  }
+
+  /**
+   * Envia o payload de um formulário para a API (PUT na edição, POST na criação).
+   * 
+   * @param {string} mode - 'edit' ou 'new'
+   * @param {Object} payload - Dados montados pelo CrudForm
+   * @param {number|null} id - ID do cliente em edição (null na criação)
+   * @param {string|null} [version] - Versão lida ao abrir a edição, enviada no If-Match
+   * @throws {TypeError} Sem conexão com o servidor (a tela guarda a alteração na fila offline)
+   * @throws {Error} Se a resposta não for bem-sucedida, com o status em `status`. Em erros de
+   *   validação (HTTP 400, ou 409 no CPF/CNPJ de outro cliente, com ValidationProblemDetails), o erro
+   *   traz `errors` (campo → mensagens) e `title`; em conflitos de versão (HTTP 412), traz o cliente
+   *   atual em `current`.
+   */
+  async function saveCliente(mode, payload, id, version) {
+    const { url, ...options } = saveRequest(mode, payload, id, version);
+    const resp = await send(url, options);
+    if (!resp.ok) throw await responseError(resp, mode === 'edit' ? 'Erro ao salvar alterações.' : 'Erro ao criar cliente.');
+  }
+
+  /**
+   * Monta o erro de uma gravação recusada pela API, com o status em `status`.
+   * Em erros de validação traz `errors` (campo → mensagens) e `title`; em conflitos de versão,
+   * o cliente atual em `current` e a explicação em `detail`.
+   * 
+   * @param {Response} resp - Resposta com erro
+   * @param {string} fallback - Mensagem usada se a resposta não tiver corpo
+   * @returns {Promise<Error>} Erro para ser lançado
+   */
+  async function responseError(resp, fallback) {
+    const txt = await resp.text();
+    const err = new Error(txt || fallback);
+    err.status = resp.status;
+
+    // Repassa os erros por campo (ou, no conflito de versão, os dados atuais do cliente)
+    const problem = parseProblem(txt);
+    if (problem && typeof problem.errors === 'object') {
+      err.errors = problem.errors;
+      err.title = problem.title;
+    }
+    if (problem?.atual) {
+      err.current = problem.atual;
+      err.detail = problem.detail;
+    }
+
+    return err;
+  }
+
+  /**
+   * Monta a requisição que altera um campo de um cliente (PATCH, usado pela edição na célula).
+   * Com a versão da linha no If-Match, a API recusa a alteração (HTTP 412) se outra pessoa
+   * gravou o cliente depois que a lista foi carregada.
+   * 
+   * @param {number} id - ID do cliente
+   * @param {string} key - Campo alterado, em camelCase (ex: 'telefone')
+   * @param {*} value - Novo valor
+   * @param {string|null} [version] - Versão do cliente exibida na lista, enviada no If-Match
+   * @returns {{url: string, method: string, headers: Object, body: string}} Requisição
+   */
+  function patchRequest(id, key, value, version) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (version) headers['If-Match'] = `"${version}"`;
+
+    return {
+      url: `/api/clientes/${id}`,
+      method: 'PATCH',
+      headers,
+      body: JSON.stringify({ [key]: value }),
+    };
+  }
+
+  /**
+   * Altera um campo de um cliente na API (PATCH /api/clientes/{id}).
+   * 
+   * @param {number} id - ID do cliente
+   * @param {string} key - Campo alterado, em camelCase
+   * @param {*} value - Novo valor
+   * @param {string|null} [version] - Versão do cliente exibida na lista, enviada no If-Match
+   * @returns {Promise<Object>} Cliente atualizado, no formato da lista
+   * @throws {TypeError} Sem conexão com o servidor (a tela guarda a alteração na fila offline)
+   * @throws {Error} Se a resposta não for bem-sucedida (ver responseError)
+   */
+  async function patchCliente(id, key, value, version) {
+    const { url, ...options } = patchRequest(id, key, value, version);
+    const resp = await send(url, options);
+    if (!resp.ok) throw await responseError(resp, 'Erro ao salvar alteração.');
+    return await resp.json();
+  }
+
+  /**
+   * Adapta um conflito de versão (HTTP 412) da edição na célula para o CrudList: a mensagem
+   * fica na própria célula, com o valor atual do campo, e a linha passa a mostrar o cliente atual
+   * (uma nova tentativa grava sobre a versão atual).
+   * 
+   * @param {Error} err - Erro do PATCH, com o cliente atual em `current`
+   * @param {string} key - Campo em edição, em camelCase
+   * @returns {Error} O mesmo erro, com `errors` e `item`
+   */
+  function cellConflict(err, key) {
+    const currentValue = form.formatValue(key, err.current[key]) || '—';
+    err.errors = {
+      [key]: [`Outra pessoa alterou este cliente (valor atual: ${currentValue}). Salve de novo para gravar o seu valor ou tecle Esc para manter o atual.`],
+    };
+    err.item = err.current;
+    return err;
+  }
+
+  // IDs por requisição nas operações em lote (IdsLoteDto.MaximoIds na API)
+  const MAX_IDS_LOTE = 1000;
+
+  /**
+   * Envia uma lista de IDs para um endpoint de operação em lote.
+   * A API aceita até MAX_IDS_LOTE IDs por requisição: uma seleção maior (ex: "Selecionar todos")
+   * é enviada em partes, na ordem. Se uma parte falhar depois de outras terem sido processadas,
+   * os IDs restantes voltam como falhas (o que já foi feito continua valendo).
+   * 
+   * @param {string} url - Endpoint (ex: '/api/clientes/excluir-em-lote')
+   * @param {number[]} ids - IDs dos clientes
+   * @returns {Promise<Object[]>} Resultado por ID: [{ id, sucesso, mensagem }]
+   * @throws {Error} Se a primeira parte falhar (nada foi processado)
+   */
+  async function postIds(url, ids) {
+    const resultados = [];
+    for (let i = 0; i < ids.length; i += MAX_IDS_LOTE) {
+      const parte = ids.slice(i, i + MAX_IDS_LOTE);
+      try {
+        resultados.push(...await readJson(await send(url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ ids: parte }),
+        })));
+      } catch (err) {
+        if (i === 0) throw err;
+        console.error(err);
+        const mensagem = 'Não processado: a requisição desta parte do lote falhou.';
+        ids.slice(i).forEach(id => resultados.push({ id, sucesso: false, mensagem }));
+        break;
+      }
+    }
+    return resultados;
+  }
+
+  /**
+   * Separa os IDs de um resultado em lote entre os que deram certo e os que falharam.
+   * 
+   * @param {Object[]} resultados - Resposta da API: [{ id, sucesso, mensagem }]
+   * @returns {{ok: number[], falhas: Object[]}} IDs processados e resultados com falha
+   */
+  function splitResults(resultados) {
+    const ok = resultados.filter(r => r.sucesso ?? r.Sucesso).map(r => r.id ?? r.Id);
+    const falhas = resultados.filter(r => !(r.sucesso ?? r.Sucesso));
+    return { ok, falhas };
+  }
+
+  /**
+   * Descreve as falhas de uma operação em lote, uma por linha (ex: "#3: Cliente não encontrado.").
+   * 
+   * @param {Object[]} falhas - Resultados com falha
+   * @returns {string} Texto com as falhas
+   */
+  function describeFailures(falhas) {
+    return falhas
+      .map(r => `#${r.id ?? r.Id}: ${r.mensagem ?? r.Mensagem ?? 'erro desconhecido'}`)
+      .join('\n');
+  }
+
+  /**
+   * Informa as falhas de uma operação em lote em um aviso (ex: "3 de 5 clientes excluídos.").
+   * 
+   * @param {number} okCount - Quantidade de clientes processados
+   * @param {number} total - Quantidade de clientes enviados
+   * @param {string} acao - Particípio usado na mensagem (ex: 'excluídos', 'restaurados')
+   * @param {Object[]} falhas - Resultados com falha
+   */
+  function warnFailures(okCount, total, acao, falhas) {
+    AppToast.warning(describeFailures(falhas), { title: `${okCount} de ${total} clientes ${acao}.` });
+  }
+
+  /**
+   * Aplica o resultado de uma operação em lote: mantém selecionados apenas os IDs que
+   * falharam (para o usuário poder tentar novamente), recarrega a lista e informa o resultado.
    * 
-   * @param {HTMLElement} el - Elemento do modal (backdrop)
+   * @param {number[]} ids - IDs enviados
+   * @param {Object[]} resultados - Resposta da API: [{ id, sucesso, mensagem }]
+   * @param {string} acao - Particípio usado na mensagem (ex: 'excluídos', 'restaurados')
    */
-  function openModal(el) {
-    if (el) el.classList.add('show');
+  async function applyBatchResult(ids, resultados, acao) {
+    const { ok, falhas } = splitResults(resultados);
+    list.setSelection(falhas.map(r => r.id ?? r.Id));
+    await list.loadPage();
+
+    if (falhas.length) warnFailures(ok.length, ids.length, acao, falhas);
+    else AppToast.success(`${ok.length} clientes ${acao}.`);
   }
 
   /**
-   * Fecha um modal removendo a classe 'show'.
+   * Registra na URL o cliente aberto no modal (?view=42 ou ?edit=42), sem criar
+   * uma nova entrada no histórico. Assim o endereço da página pode ser enviado
+   * como link direto para o cliente.
    * 
-   * @param {HTMLElement} el - Elemento do modal (backdrop)
+   * @param {'view'|'edit'|null} mode - Modal aberto (null remove o parâmetro)
+   * @param {number} [id] - ID do cliente
    */
-  function closeModal(el) {
-    if (el) el.classList.remove('show');
+  function setLinkParam(mode, id) {
+    const url = new URL(location.href);
+    url.searchParams.delete('view');
+    url.searchParams.delete('edit');
+    if (mode) url.searchParams.set(mode, String(id));
+    history.replaceState(history.state, '', url);
   }
 
   // ========================================
-  // PREENCHIMENTO DOS MODAIS
+  // LIXEIRA
   // ========================================
+  // A mesma lista mostra os clientes ativos ou a lixeira (clientes excluídos), trocando o
+  // endpoint do CrudList. O modo fica na URL (?lixeira=1): recarregar a página ou usar
+  // Voltar/Avançar mantém a lista em que o usuário estava.
+  const ENDPOINT_ATIVOS = '/api/clientes';
+  const ENDPOINT_LIXEIRA = '/api/clientes/lixeira';
+
+  let inTrash = new URLSearchParams(location.search).get('lixeira') === '1';
+
+  const title = document.querySelector('#clientes-title');
+  const btnTrash = document.querySelector('#btn-trash');
+  const btnRestore = document.querySelector('#btn-restore');
+  const btnDelete = document.querySelector('#btn-delete');
+
+  // Botões que só fazem sentido na lista de clientes ativos
+  const activeOnlyButtons = ['#btn-view', '#btn-edit', '#btn-new', '#btn-export-csv', '#btn-export-xlsx', '#btn-import-csv']
+    .map(sel => document.querySelector(sel))
+    .filter(Boolean);
+
+  /**
+   * Ajusta a tela ao modo atual: título, botões visíveis e a coluna "Excluído em".
+   */
+  function applyTrashUi() {
+    if (title) title.textContent = inTrash ? 'Lixeira de clientes' : 'Lista de clientes';
+    if (btnTrash) {
+      btnTrash.textContent = inTrash ? '📋 Clientes ativos' : '🗑️ Lixeira';
+      btnTrash.setAttribute('aria-pressed', inTrash ? 'true' : 'false');
+    }
+    if (btnDelete) btnDelete.textContent = inTrash ? '❌ Excluir definitivamente' : '🗑️ Excluir';
+    if (btnRestore) btnRestore.hidden = !inTrash;
+    activeOnlyButtons.forEach(btn => { btn.hidden = inTrash; });
+    list.setColumnHidden('dataExclusao', !inTrash);
+  }
 
   /**
-   * Preenche o modal de visualização com os dados do cliente.
-   * Trata tanto propriedades em camelCase quanto PascalCase (retornadas pela API).
+   * Alterna entre a lista de ativos e a lixeira, criando uma entrada no histórico.
+   * A lista volta para a primeira página e a seleção é limpa; filtro e ordenação são mantidos.
    * 
-   * @param {Object} c - Objeto cliente retornado pela API
+   * @param {boolean} trash - true para abrir a lixeira
    */
-  function fillViewModal(c) {
-    if (!c) return;
-    const v = els.v;
+  function setTrashMode(trash) {
+    if (trash === inTrash) return;
+    inTrash = trash;
 
-    // Extrai os valores, tratando ambas as convenções de nomenclatura
-    const id       = c.id ?? c.Id ?? 0;
-    const nome     = c.nome ?? c.Nome ?? '';
-    const endereco = c.endereco ?? c.Endereco ?? '';
-    const idade    = c.idade ?? c.Idade ?? null;
-    const telefone = c.telefone ?? c.Telefone ?? '';
-    const dataCadastro = c.dataCadastro ?? c.DataCadastro ?? '';
-    const dataUltimoRegistro = c.dataUltimoRegistro ?? c.DataUltimoRegistro ?? '';
+    const url = new URL(location.href);
+    ['page', 'view', 'edit'].forEach(name => url.searchParams.delete(name));
+    if (trash) url.searchParams.set('lixeira', '1');
+    else url.searchParams.delete('lixeira');
+    history.pushState(null, '', url);
 
-    // Função auxiliar para formatar data/hora
-    function formatarData(dataStr) {
-      if (!dataStr) return '';
-      try {
-        const data = new Date(dataStr);
-        return data.toLocaleString('pt-BR', { 
-          dateStyle: 'short', 
-          timeStyle: 'short' 
-        });
-      } catch {
-        return dataStr;
+    applyTrashUi();
+    list.setEndpoint(trash ? ENDPOINT_LIXEIRA : ENDPOINT_ATIVOS);
+  }
+
+  /**
+   * Restaura clientes da lixeira no servidor (um com POST /lixeira/{id}/restaurar; vários em lote).
+   * 
+   * @param {number[]} ids - IDs dos clientes
+   * @returns {Promise<Object[]>} Resultado por ID: [{ id, sucesso, mensagem }]
+   * @throws {Error} Se a requisição falhar
+   */
+  async function restoreOnServer(ids) {
+    if (ids.length > 1) return await postIds('/api/clientes/lixeira/restaurar-em-lote', ids);
+
+    const resp = await send(`/api/clientes/lixeira/${ids[0]}/restaurar`, { method: 'POST' });
+    if (!resp.ok) {
+      const txt = await resp.text();
+      throw new Error(txt || 'Erro ao restaurar cliente.');
+    }
+    return [{ id: ids[0], sucesso: true }];
+  }
+
+  /**
+   * Restaura clientes da lixeira (botão "Restaurar").
+   * 
+   * @param {number[]} ids - IDs dos clientes
+   */
+  async function restoreClientes(ids) {
+    try {
+      const resultados = await restoreOnServer(ids);
+      if (ids.length > 1) {
+        await applyBatchResult(ids, resultados, 'restaurados');
+      } else {
+        list.clearSelection();
+        await list.loadPage();
+        AppToast.success('Cliente restaurado.');
       }
+    } catch (err) {
+      console.error(err);
+      AppToast.error(err, ids.length === 1 ? 'Falha ao restaurar cliente.' : 'Falha ao restaurar clientes.');
     }
+  }
+
+  /**
+   * Exclui clientes da lixeira definitivamente (remoção física, sem volta), após confirmação.
+   * 
+   * @param {number[]} ids - IDs dos clientes
+   */
+  async function purgeClientes(ids) {
+    const pergunta = ids.length === 1
+      ? 'Excluir este cliente definitivamente? Esta ação não pode ser desfeita.'
+      : `Excluir os ${ids.length} clientes selecionados definitivamente? Esta ação não pode ser desfeita.`;
+    if (!confirm(pergunta)) return;
 
-    // Preenche os campos do modal
-    if (v.id)       v.id.textContent = id || '';
-    if (v.nome)     v.nome.textContent = nome;
-    if (v.endereco) v.endereco.textContent = endereco || '';
-    if (v.idade)    v.idade.textContent = idade != null ? String(idade) : '';
-    if (v.telefone) v.telefone.textContent = telefone || '';
-    if (v.dataCadastro) v.dataCadastro.textContent = formatarData(dataCadastro);
-    if (v.dataUltimoRegistro) v.dataUltimoRegistro.textContent = formatarData(dataUltimoRegistro);
+    try {
+      if (ids.length === 1) {
+        const resp = await send(`/api/clientes/lixeira/${ids[0]}`, { method: 'DELETE' });
+        if (!resp.ok) {
+          const txt = await resp.text();
+          throw new Error(txt || 'Erro ao excluir cliente.');
+        }
+        list.clearSelection();
+        await list.loadPage();
+        AppToast.success('Cliente excluído definitivamente.');
+      } else {
+        const resultados = await postIds('/api/clientes/lixeira/excluir-em-lote', ids);
+        await applyBatchResult(ids, resultados, 'excluídos definitivamente');
+      }
+    } catch (err) {
+      console.error(err);
+      AppToast.error(err, ids.length === 1 ? 'Falha ao excluir cliente definitivamente.' : 'Falha ao excluir clientes definitivamente.');
+    }
   }
 
+  // ========================================
+  // EXCLUSÃO COM DESFAZER
+  // ========================================
+  // A exclusão de clientes ativos não pede confirmação: as linhas saem da tabela na hora,
+  // a requisição é enviada e um aviso oferece "Desfazer" por alguns segundos. Como a
+  // exclusão é um soft delete, desfazer é restaurar o cliente da lixeira.
+
+  // Tempo em que o "Desfazer" fica disponível, em ms
+  const UNDO_TIMEOUT = 8000;
+
   /**
-   * Preenche o modal de edição com os dados do cliente.
+   * Exclui clientes no servidor (um com DELETE /{id}; vários em lote).
    * 
-   * @param {Object} c - Objeto cliente retornado pela API
+   * @param {number[]} ids - IDs dos clientes
+   * @returns {Promise<Object[]>} Resultado por ID: [{ id, sucesso, mensagem }]
+   * @throws {Error} Se a requisição falhar
    */
-  function fillEditModal(c) {
-    if (!c) return;
-    const e = els.e;
+  async function deleteOnServer(ids) {
+    if (ids.length > 1) return await postIds('/api/clientes/excluir-em-lote', ids);
 
-    // Extrai os valores, tratando ambas as convenções de nomenclatura
-    const id       = c.id ?? c.Id ?? 0;
-    const nome     = c.nome ?? c.Nome ?? '';
-    const endereco = c.endereco ?? c.Endereco ?? '';
-    const idade    = c.idade ?? c.Idade ?? null;
-    const telefone = c.telefone ?? c.Telefone ?? '';
+    const resp = await send(`/api/clientes/${ids[0]}`, { method: 'DELETE' });
+    if (!resp.ok) {
+      const txt = await resp.text();
+      throw new Error(txt || 'Erro ao excluir cliente.');
+    }
+    return [{ id: ids[0], sucesso: true }];
+  }
 
-    // Preenche os campos do formulário
-    if (e.id)       e.id.value = id || '';
-    if (e.nome)     e.nome.value = nome;
-    if (e.endereco) e.endereco.value = endereco || '';
-    if (e.idade)    e.idade.value = idade != null ? String(idade) : '';
-    if (e.telefone) e.telefone.value = telefone || '';
+  /**
+   * Exclui clientes ativos com a possibilidade de desfazer.
+   * As linhas saem da tabela antes da resposta; se o servidor falhar, elas voltam selecionadas.
+   * 
+   * @param {number[]} ids - IDs dos clientes
+   */
+  async function deleteWithUndo(ids) {
+    list.removeRows(ids);
+
+    let resultados;
+    try {
+      resultados = await deleteOnServer(ids);
+    } catch (err) {
+      list.restoreRows(ids);
+
+      // Sem conexão: a exclusão vai para a fila e as linhas voltam marcadas como pendentes
+      if (OfflineQueue.isNetworkError(err)) {
+        await queueDelete(ids);
+        return;
+      }
+
+      console.error(err);
+      list.setSelection(ids);
+      AppToast.error(err, ids.length === 1 ? 'Falha ao excluir cliente.' : 'Falha ao excluir clientes.');
+      return;
+    }
+
+    // Os que falharam voltam para a tabela, selecionados, para o usuário poder tentar novamente
+    const { ok, falhas } = splitResults(resultados);
+    if (falhas.length) {
+      const falhaIds = falhas.map(r => r.id ?? r.Id);
+      list.restoreRows(falhaIds);
+      list.setSelection(falhaIds);
+      warnFailures(ok.length, ids.length, 'excluídos', falhas);
+    }
+    if (!ok.length) return;
+
+    AppToast.success(ok.length === 1 ? 'Cliente excluído.' : `${ok.length} clientes excluídos.`, {
+      duration: UNDO_TIMEOUT,
+      action: { label: 'Desfazer', onClick: () => undoDelete(ok) },
+    });
+  }
+
+  /**
+   * Desfaz uma exclusão: devolve as linhas à tabela na hora e restaura os clientes no servidor.
+   * Se a página foi recarregada nesse meio tempo, recarrega de novo para mostrá-los.
+   * 
+   * @param {number[]} ids - IDs dos clientes excluídos
+   */
+  async function undoDelete(ids) {
+    const restored = list.restoreRows(ids);
+
+    let resultados;
+    try {
+      resultados = await restoreOnServer(ids);
+    } catch (err) {
+      console.error(err);
+      list.removeRows(ids);
+      AppToast.error(err, 'Falha ao desfazer a exclusão.');
+      return;
+    }
+
+    const { ok, falhas } = splitResults(resultados);
+    if (falhas.length) {
+      list.removeRows(falhas.map(r => r.id ?? r.Id));
+      warnFailures(ok.length, ids.length, 'restaurados', falhas);
+    }
+
+    if (restored < ids.length) await list.loadPage();
+    list.setSelection(ok);
+
+    // O botão "Desfazer" sumiu com o aviso: devolve o foco à tabela
+    if (document.activeElement === document.body) list.focusActiveRow();
+  }
+
+  // ========================================
+  // ALTERAÇÕES OFFLINE
+  // ========================================
+  // Sem conexão, salvar e excluir não se perdem: a alteração vai para a OfflineQueue (IndexedDB)
+  // e é enviada quando a conexão voltar, na ordem em que foi feita. As linhas com alterações
+  // pendentes ficam marcadas na tabela, e a barra de sincronização mostra as pendências.
+  // Uma alteração recusada pelo servidor (ex: o cliente foi alterado por outra pessoa) segura
+  // as seguintes até o usuário revisá-la no formulário ou descartá-la.
+
+  const syncStatus = document.querySelector('#clientes-sync-status');
+
+  // Operações da fila, do último aviso da OfflineQueue
+  let queued = [];
+
+  // Operação com conflito aberta para revisão no formulário (sai da fila quando o formulário é salvo)
+  let reviewing = null;
+
+  /**
+   * Guarda na fila a gravação de um formulário. Duas edições do mesmo cliente sem conexão
+   * viram uma só operação, com a versão lida na primeira.
+   * 
+   * @param {string} mode - 'edit' ou 'new'
+   * @param {Object} payload - Dados montados pelo CrudForm
+   * @param {number|null} id - ID do cliente em edição (null na criação)
+   * @param {string|null} version - Versão lida ao abrir a edição
+   */
+  async function queueSave(mode, payload, id, version) {
+    const isEdit = mode === 'edit';
+    await OfflineQueue.enqueue({
+      ...saveRequest(mode, payload, id, version),
+      key: isEdit ? `update:${id}` : null,
+      label: isEdit ? `Alteração do cliente #${id}` : `Cadastro de "${payload.Nome}"`,
+      affects: ENDPOINT_ATIVOS,
+      data: { kind: isEdit ? 'update' : 'create', id, payload },
+    });
   }
 
   /**
-   * Limpa todos os campos do formulário de novo cliente.
+   * Guarda na fila a alteração de um campo feita na célula. Duas alterações do mesmo campo
+   * sem conexão viram uma só operação.
+   * 
+   * @param {number} id - ID do cliente
+   * @param {string} key - Campo alterado, em camelCase
+   * @param {*} value - Novo valor
+   * @param {string|null} version - Versão do cliente exibida na lista (null depois de outra alteração na fila)
    */
-  function clearNewForm() {
-    const n = els.n;
-    Object.keys(n).forEach(k => {
-      if (n[k]) n[k].value = '';
+  async function queuePatch(id, key, value, version) {
+    await OfflineQueue.enqueue({
+      ...patchRequest(id, key, value, version),
+      key: `patch:${id}:${key}`,
+      label: `Alteração do cliente #${id}`,
+      affects: ENDPOINT_ATIVOS,
+      data: { kind: 'patch', id, payload: { [key]: value } },
     });
   }
 
   /**
-   * Constrói o payload (corpo da requisição) para atualização de cliente.
-   * Extrai os valores dos campos do formulário de edição.
+   * Guarda na fila a exclusão de clientes (uma operação por cliente), com a opção de desfazer
+   * enquanto elas não forem enviadas.
    * 
-   * @returns {Object} Objeto com os dados do cliente para enviar à API
+   * @param {number[]} ids - IDs dos clientes
    */
-  function buildEditPayload() {
-    const e = els.e;
+  async function queueDelete(ids) {
+    const ops = [];
+    for (const id of ids) {
+      ops.push(await OfflineQueue.enqueue({
+        method: 'DELETE',
+        url: `/api/clientes/${id}`,
+        label: `Exclusão do cliente #${id}`,
+        affects: ENDPOINT_ATIVOS,
+        data: { kind: 'delete', id },
+      }));
+    }
+    list.refreshRowStatus();
 
-    const nome     = (e.nome?.value ?? '').trim();
-    const endereco = (e.endereco?.value ?? '').trim();
-    const idadeRaw = e.idade?.value ?? '';
-    const telefone = (e.telefone?.value ?? '').trim();
+    const message = ids.length === 1
+      ? 'Sem conexão: a exclusão do cliente será enviada quando a conexão voltar.'
+      : `Sem conexão: a exclusão dos ${ids.length} clientes será enviada quando a conexão voltar.`;
+    AppToast.info(message, {
+      duration: UNDO_TIMEOUT,
+      action: { label: 'Desfazer', onClick: () => ops.forEach(op => OfflineQueue.remove(op.seq)) },
+    });
+  }
 
-    return {
-      Nome: nome,
-      Endereco: endereco || null,
-      Idade: idadeRaw ? parseInt(idadeRaw, 10) : null,
-      Telefone: telefone || null
+  /**
+   * Indica se a edição de um cliente deve ir para a fila mesmo com conexão: se já houver uma
+   * alteração dele aguardando envio (pelo formulário ou na célula), a nova precisa ser enviada depois dela.
+   * 
+   * @param {number} id - ID do cliente
+   * @returns {boolean} true se houver uma alteração pendente (sem conflito) do cliente
+   */
+  function hasQueuedUpdate(id) {
+    return queued.some(op => ['update', 'patch'].includes(op.data?.kind) && op.data.id === id && !op.conflict);
+  }
+
+  /**
+   * Estado de uma linha da tabela conforme a fila (cfg.rowStatus do CrudList).
+   * 
+   * @param {number} id - ID do cliente
+   * @returns {{status: string, label: string}|null} Estado da linha, ou null sem pendências
+   */
+  function queuedStatus(id) {
+    const ops = queued.filter(op => op.data?.id === id);
+    if (!ops.length) return null;
+    if (ops.some(op => op.conflict)) return { status: 'conflict', label: 'Alteração recusada pelo servidor: veja a barra de sincronização' };
+    if (ops.some(op => op.data.kind === 'delete')) return { status: 'pending-delete', label: 'Exclusão aguardando envio' };
+    return { status: 'pending', label: 'Alteração aguardando envio' };
+  }
+
+  /**
+   * Atualiza a barra de sincronização: conexão, alterações pendentes e o conflito que
+   * está segurando a fila (com os botões Revisar, Tentar de novo e Descartar).
+   * 
+   * @param {Object} event - Estado da fila: { ops, syncing, online }
+   */
+  function renderSyncStatus({ ops, syncing, online }) {
+    if (!syncStatus) return;
+
+    const conflict = ops.find(op => op.conflict);
+    syncStatus.hidden = online && !ops.length;
+    syncStatus.classList.toggle('is-offline', !online);
+    syncStatus.classList.toggle('has-conflict', !!conflict);
+    syncStatus.replaceChildren();
+    if (syncStatus.hidden) return;
+
+    const parts = [];
+    if (!online) parts.push('📴 Sem conexão.');
+    if (syncing) parts.push('Enviando alterações…');
+    else if (ops.length) parts.push(ops.length === 1 ? '1 alteração aguardando envio.' : `${ops.length} alterações aguardando envio.`);
+
+    const text = document.createElement('span');
+    text.textContent = parts.join(' ');
+    syncStatus.appendChild(text);
+
+    const button = (label, onClick) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'selection-link';
+      btn.textContent = label;
+      btn.addEventListener('click', onClick);
+      syncStatus.appendChild(btn);
     };
+
+    if (conflict) {
+      const detail = document.createElement('span');
+      detail.className = 'sync-conflict';
+      const reason = AppToast.describeError(conflict.conflict.message);
+      detail.textContent = `⚠️ Não foi possível enviar: ${conflict.label}.${reason ? ` ${reason}` : ''}`;
+      syncStatus.appendChild(detail);
+
+      if (conflict.data?.kind !== 'delete' && conflict.conflict.status !== 404) button('Revisar', () => reviewConflict(conflict));
+      button('Tentar de novo', () => OfflineQueue.retry(conflict.seq));
+      button('Descartar', () => discardConflict(conflict));
+    } else if (online && ops.length && !syncing) {
+      button('Sincronizar agora', () => OfflineQueue.sync());
+    }
   }
 
   /**
-   * Constrói o payload (corpo da requisição) para criação de novo cliente.
-   * Extrai os valores dos campos do formulário de novo cliente.
+   * Abre uma alteração recusada no formulário, para o usuário decidir o que gravar.
+   * - Cadastro: o formulário de novo cliente volta preenchido, com os erros do servidor
+   * - Edição: o formulário abre com os dados atuais do cliente e os valores digitados offline
+   *   (na alteração feita na célula, só o campo alterado); em conflito de versão, o modal de
+   *   conflito mostra as diferenças
+   * Ao salvar o formulário, a operação sai da fila e as seguintes são enviadas.
    * 
-   * @returns {Object} Objeto com os dados do cliente para enviar à API
+   * @param {Object} op - Operação com conflito
    */
-  function buildNewPayload() {
-    const n = els.n;
+  async function reviewConflict(op) {
+    const { kind, id, payload } = op.data;
+    const problem = parseProblem(op.conflict.message);
 
-    const nome     = (n.nome?.value ?? '').trim();
-    const endereco = (n.endereco?.value ?? '').trim();
-    const idadeRaw = n.idade?.value ?? '';
-    const telefone = (n.telefone?.value ?? '').trim();
+    if (kind === 'create') {
+      reviewing = op;
+      form.openNew();
+      form.fillForm('new', payload);
+      if (problem?.errors) form.showErrors('new', problem.errors, problem.title);
+      return;
+    }
 
-    return {
-      Nome: nome,
-      Endereco: endereco || null,
-      Idade: idadeRaw ? parseInt(idadeRaw, 10) : null,
-      Telefone: telefone || null,
+    let current;
+    try {
+      current = await fetchCliente(id);
+    } catch (err) {
+      if (LatestRequest.isSuperseded(err)) return;
+      console.error(err);
+      AppToast.error(err, 'Falha ao carregar o cliente para revisar a alteração.');
+      return;
+    }
+
+    reviewing = op;
+    form.openEdit(current);
+    form.fillForm('edit', kind === 'patch' ? { ...current, ...payload } : payload);
+    if (problem?.errors) {
+      form.showErrors('edit', problem.errors, problem.title);
+      return;
+    }
+
+    // Alteração feita na célula: o formulário já abre com os dados atuais e o valor digitado por cima,
+    // e salvá-lo grava sobre a versão atual
+    if (kind === 'patch') return;
+
+    const choice = await form.resolveConflict(payload, current,
+      'Esta alteração foi feita sem conexão e, enquanto isso, outra pessoa alterou o cliente.');
+    if (choice === 'overwrite') {
+      await form.submit('edit');
+    } else if (choice === 'reload') {
+      await OfflineQueue.remove(op.seq); // O usuário ficou com os valores atuais
+      reviewing = null;
+      AppToast.info('A alteração feita sem conexão foi descartada.');
+    }
+  }
+
+  /**
+   * Descarta uma alteração recusada (após confirmação) e retoma o envio das seguintes.
+   * 
+   * @param {Object} op - Operação com conflito
+   */
+  async function discardConflict(op) {
+    if (!confirm(`Descartar "${op.label}"? Esta alteração não será enviada.`)) return;
+    if (reviewing?.seq === op.seq) reviewing = null;
+    await OfflineQueue.remove(op.seq);
+  }
+
+  /**
+   * Recebe os avisos da fila: atualiza a barra e as linhas marcadas e, quando alterações
+   * foram enviadas, recarrega a lista e informa o usuário.
+   * 
+   * @param {Object} event - Estado da fila: { ops, synced, syncing, online }
+   */
+  async function onQueueChange(event) {
+    queued = event.ops;
+    renderSyncStatus(event);
+    list.refreshRowStatus();
+
+    if (!event.synced.length) return;
+    await list.loadPage();
+    AppToast.success(event.synced.length === 1
+      ? '1 alteração feita sem conexão foi enviada.'
+      : `${event.synced.length} alterações feitas sem conexão foram enviadas.`);
+  }
+
+  // ========================================
+  // HISTÓRICO
+  // ========================================
+  // Aba "Histórico" do modal de detalhes: linha do tempo das ações registradas pela API
+  // (GET /api/clientes/{id}/historico), da mais recente para a mais antiga, com o valor
+  // anterior e o novo de cada campo alterado.
+
+  // Abrir o histórico de outro cliente cancela a busca anterior
+  const historyRequest = new LatestRequest({ timeout: 15000 });
+
+  // Texto exibido para cada ação do histórico
+  const HISTORY_ACTIONS = {
+    criacao: 'Cadastro',
+    alteracao: 'Alteração',
+    exclusao: 'Enviado para a lixeira',
+    restauracao: 'Restaurado da lixeira',
+    exclusao_definitiva: 'Excluído definitivamente',
+  };
+
+  /**
+   * Exibe uma mensagem no lugar da linha do tempo (carregando, vazio ou erro).
+   * 
+   * @param {HTMLElement} panel - Painel da aba
+   * @param {string} text - Mensagem
+   */
+  function setHistoryMessage(panel, text) {
+    const p = document.createElement('p');
+    p.className = 'history-message';
+    p.textContent = text;
+    panel.replaceChildren(p);
+  }
+
+  /**
+   * Gera o item da linha do tempo de um registro do histórico.
+   * Na alteração, cada campo mostra "anterior → novo"; no cadastro e na exclusão
+   * definitiva, apenas o valor que o campo passou a ter (ou tinha).
+   * 
+   * @param {Object} registro - Registro da API: { acao, data, usuario, alteracoes: [{ campo, anterior, novo }] }
+   * @returns {HTMLLIElement} Item da lista
+   */
+  function renderHistoryEntry(registro) {
+    const li = document.createElement('li');
+    li.className = `history-entry history-${registro.acao}`;
+
+    const head = document.createElement('div');
+    head.className = 'history-head';
+    const action = document.createElement('strong');
+    action.textContent = HISTORY_ACTIONS[registro.acao] ?? registro.acao;
+    const meta = document.createElement('span');
+    meta.className = 'history-meta';
+    const when = CellRenderer.format(registro.data, 'datetime');
+    meta.textContent = registro.usuario ? `${when} · ${registro.usuario}` : when;
+    head.append(action, meta);
+    li.appendChild(head);
+
+    const alteracoes = registro.alteracoes ?? [];
+    if (alteracoes.length) {
+      const dl = document.createElement('dl');
+      dl.className = 'history-changes';
+      alteracoes.forEach(({ campo, anterior, novo }) => {
+        const dt = document.createElement('dt');
+        dt.textContent = fields.find(f => f.name === campo)?.label ?? campo;
+
+        const dd = document.createElement('dd');
+        const oldValue = form.formatValue(campo, anterior) || '—';
+        const newValue = form.formatValue(campo, novo) || '—';
+        if (registro.acao === 'alteracao') {
+          const del = document.createElement('del');
+          del.textContent = oldValue;
+          const ins = document.createElement('ins');
+          ins.textContent = newValue;
+          dd.append(del, ' → ', ins);
+        } else {
+          dd.textContent = registro.acao === 'exclusao_definitiva' ? oldValue : newValue;
+        }
+
+        dl.append(dt, dd);
+      });
+      li.appendChild(dl);
+    }
+
+    return li;
+  }
+
+  /**
+   * Preenche a aba "Histórico" com a linha do tempo do cliente exibido no modal.
+   * 
+   * @param {HTMLElement} panel - Painel da aba (vazio)
+   * @param {Object} cliente - Cliente exibido no modal de detalhes
+   */
+  async function renderHistory(panel, cliente) {
+    const id = cliente?.id ?? cliente?.Id;
+    setHistoryMessage(panel, 'Carregando histórico…');
+
+    // Histórico guardado no DataCache: aparece na hora e é revalidado em segundo plano; se mudou
+    // e o painel ainda mostra este cliente, a linha do tempo é refeita
+    const onUpdate = atual => {
+      const shown = form.state.viewRecord;
+      if (panel.isConnected && (shown?.id ?? shown?.Id) === id) fillHistory(panel, atual);
     };
+
+    let registros;
+    try {
+      registros = await historyRequest.run(signal => DataCache.get(`/api/clientes/${id}/historico`, { signal, onUpdate }));
+    } catch (err) {
+      if (LatestRequest.isSuperseded(err)) return; // O histórico de outro cliente foi pedido depois
+      console.error(err);
+      const detail = AppToast.describeError(err);
+      setHistoryMessage(panel, detail ? `Não foi possível carregar o histórico: ${detail}` : 'Não foi possível carregar o histórico.');
+      return;
+    }
+
+    fillHistory(panel, registros);
+  }
+
+  /**
+   * Monta a linha do tempo no painel da aba "Histórico".
+   * 
+   * @param {HTMLElement} panel - Painel da aba
+   * @param {Object[]} registros - Registros do histórico, do mais recente para o mais antigo
+   */
+  function fillHistory(panel, registros) {
+    if (!registros.length) {
+      setHistoryMessage(panel, 'Nenhuma alteração registrada para este cliente.');
+      return;
+    }
+
+    const ol = document.createElement('ol');
+    ol.className = 'history-timeline';
+    registros.forEach(registro => ol.appendChild(renderHistoryEntry(registro)));
+    panel.replaceChildren(ol);
   }
 
   // ========================================
-  // CONFIGURAÇÃO DO CrudList
+  // CONFIGURAÇÃO DO CrudForm
   // ========================================
-  
+
   let list; // Variável que armazenará a instância do CrudList
 
+  /**
+   * Formulário de clientes: gera os modais de visualizar, editar e novo a partir do schema.
+   */
+  const form = new CrudForm({
+    idPrefix: 'cliente',
+    fields,
+    versionField: 'versao', // Enviada no If-Match do PUT (controle de concorrência)
+
+    // Aba extra do modal de detalhes, carregada ao ser aberta
+    viewTabs: [{ name: 'historico', label: 'Histórico', onShow: renderHistory }],
+
+    // Ao fechar um modal depois que a lista foi redesenhada, devolve o foco à linha ativa
+    onRestoreFocus: () => list.focusActiveRow(),
+
+    // Ao fechar qualquer modal, o link direto deixa de valer; fechar o formulário sem salvar
+    // encerra a revisão de uma alteração recusada (ela continua na fila)
+    onClose: mode => {
+      setLinkParam(null);
+      if (mode !== 'view') reviewing = null;
+    },
+    titles: {
+      view: 'Detalhes do cliente',
+      edit: 'Editar cliente',
+      new: 'Novo cliente',
+    },
+
+    /**
+     * Callback chamado ao enviar o formulário de edição ou de novo cliente.
+     * Grava na API e recarrega a lista (a primeira página, no caso de um novo cliente).
+     * Se outra pessoa alterou o cliente desde que a edição foi aberta (HTTP 412), mostra
+     * as diferenças e deixa o usuário sobrescrever ou recarregar os valores atuais.
+     * Sem conexão, a alteração vai para a fila offline e o modal é fechado normalmente.
+     * 
+     * @param {string} mode - 'edit' ou 'new'
+     * @param {Object} payload - Dados do formulário
+     * @param {number|null} id - ID do cliente em edição
+     * @param {string|null} version - Versão do cliente lida ao abrir a edição
+     * @returns {Promise<boolean>} false para manter o modal aberto em caso de erro
+     */
+    async onSubmit(mode, payload, id, version) {
+      if (mode === 'edit' && !id) {
+        AppToast.error('ID inválido para edição.');
+        return false;
+      }
+
+      // Uma alteração deste cliente ainda aguarda envio: a nova vai para a fila, depois dela
+      if (mode === 'edit' && hasQueuedUpdate(id)) {
+        await queueSave(mode, payload, id, version);
+        AppToast.info('Alteração guardada. Ela será enviada depois da alteração anterior deste cliente.');
+        return true;
+      }
+
+      // Alteração recusada aberta para revisão (ver reviewConflict): sai da fila ao ser gravada
+      const reviewed = reviewing && (reviewing.data.kind === 'create' ? mode === 'new' : reviewing.data.id === id)
+        ? reviewing
+        : null;
+
+      try {
+        await saveCliente(mode, payload, id, version);
+      } catch (err) {
+        // Sem conexão: a alteração vai para a fila e é enviada quando a conexão voltar
+        if (OfflineQueue.isNetworkError(err)) {
+          if (reviewed) {
+            await OfflineQueue.remove(reviewed.seq);
+            reviewing = null;
+          }
+          await queueSave(mode, payload, id, version);
+          AppToast.info('Sem conexão: a alteração foi guardada neste dispositivo e será enviada quando a conexão voltar.');
+          return true;
+        }
+        // Erros de validação da API: exibe cada mensagem abaixo do campo correspondente
+        if (err.errors) {
+          form.showErrors(mode, err.errors, err.title);
+          return false;
+        }
+        // Conflito de versão: o usuário escolhe entre gravar por cima ou recarregar
+        if (err.status === 412 && err.current) {
+          const choice = await form.resolveConflict(payload, err.current, err.detail);
+          if (choice === 'overwrite') return await this.onSubmit(mode, payload, id, form.state.editVersion);
+          if (choice === 'reload') AppToast.info('O formulário foi atualizado com os valores atuais do cliente.');
+          return false;
+        }
+        console.error(err);
+        AppToast.error(err, mode === 'edit' ? 'Falha ao salvar alterações.' : 'Falha ao criar cliente.');
+        return false;
+      }
+
+      if (reviewed) {
+        await OfflineQueue.remove(reviewed.seq);
+        reviewing = null;
+      }
+
+      if (mode === 'new') list.state.page = 1; // Volta para a primeira página
+      await list.loadPage();
+      AppToast.success(mode === 'edit' ? 'Alterações salvas.' : 'Cliente criado.');
+      return true;
+    },
+  });
+
+  // ========================================
+  // CONFIGURAÇÃO DO CrudList
+  // ========================================
+
+  /**
+   * Regras da edição na célula (cfg.columns[].editable) de um campo do schema: o tipo do input
+   * e a validação do próprio formulário, para a célula aceitar os mesmos valores que o modal.
+   * 
+   * @param {string} name - Nome do campo no schema (ex: 'telefone')
+   * @returns {Object} { type, required, validate }
+   */
+  function cellEditor(name) {
+    const field = fields.find(f => f.name === name);
+    return {
+      type: field.type ?? 'text',
+      required: !!field.required,
+      validate: value => form.validateField(field, { [form.payloadKey(field)]: value }),
+    };
+  }
+
   /**
    * Objeto de configuração para o CrudList.
    * Define os seletores dos elementos, callbacks e comportamentos específicos da tela de clientes.
    */
   const cfg = {
-    // URL base da API de clientes
-    endpoint: '/api/clientes',
+    // URL base da API de clientes (ou da lixeira, conforme a URL da página)
+    endpoint: inTrash ? ENDPOINT_LIXEIRA : ENDPOINT_ATIVOS,
 
     // Seletores dos elementos da tabela e paginação
     tableBodySelector: '#tb-clientes tbody',
     pagerInfoSelector: '#clientes-pg-info',
     pagerPrevSelector: '#clientes-pg-prev',
     pagerNextSelector: '#clientes-pg-next',
+    pageSizeSelector: '#clientes-pg-size',
 
     // Seletores dos campos de filtro
     filterColumnSelector: '#filter-column',
     filterTextSelector: '#filter-text',
 
+    // Filtro avançado: condições por campo, combinadas com E/OU (parâmetros filter/logic da API)
+    filterBuilderSelector: '#clientes-filter-builder',
+    filterFields: [
+      { key: 'id',                 label: 'ID',               type: 'number' },
+      { key: 'nome',               label: 'Nome',             type: 'text' },
+      { key: 'endereco',           label: 'Endereço',         type: 'text' },
+      { key: 'idade',              label: 'Idade',            type: 'number' },
+      { key: 'telefone',           label: 'Telefone',         type: 'text' },
+      { key: 'documento',          label: 'CPF/CNPJ',         type: 'text' }, // Com ou sem pontuação
+      { key: 'dataCadastro',       label: 'Data de Cadastro', type: 'date' },
+      { key: 'dataUltimoRegistro', label: 'Último Registro',  type: 'date' },
+    ],
+
+    // Visões salvas (filtro, ordenação, itens por página e colunas), guardadas no navegador.
+    // Para guardá-las no servidor, por usuário, informe endpoint: '/api/visoes/clientes'
+    // (exige login; sem usuário autenticado, elas continuam no navegador)
+    savedViews: { selector: '#clientes-views', screen: 'clientes' },
+
+    // Seletor de colunas: mostrar/ocultar, reordenar e redimensionar, com o layout lembrado no navegador
+    columnChooser: { selector: '#clientes-columns', screen: 'clientes' },
+
     // Seletores dos botões de ação
     btnViewSelector: '#btn-view',
     btnEditSelector: '#btn-edit',
     btnNewSelector: '#btn-new',
     btnDeleteSelector: '#btn-delete',
 
+    // Exportação de todos os clientes do filtro (GET /api/clientes/exportar)
+    btnExportCsvSelector: '#btn-export-csv',
+    btnExportXlsxSelector: '#btn-export-xlsx',
+
+    // Seleção múltipla (checkbox, Shift+clique, Ctrl+clique) e contador de selecionados
+    multiSelect: true,
+    selectionInfoSelector: '#clientes-selection-info',
+
+    // Página, filtro e ordenação ficam na URL (recarregar ou compartilhar o link mantém a lista)
+    syncUrl: true,
+
     // Configurações de paginação e filtro
     defaultColumn: 'nome', // Coluna padrão para filtro
-    pageSize: 50,          // Número de itens por página
-    columnsCount: 5,       // Número de colunas da tabela (ID, Nome, Endereço, Idade, Telefone)
+    pageSize: 50,          // Número de itens por página (o usuário pode trocar no select da paginação)
 
-    /**
-     * Função que mapeia um objeto cliente (retornado pela API) para uma linha da tabela.
-     * 
-     * @param {Object} c - Objeto cliente
-     * @returns {Object} Objeto com { id, cells } onde cells é um array de valores para cada coluna
-     */
-    mapRow: (c) => {
-      // Extrai os valores, tratando ambas as convenções de nomenclatura
-      const id       = c.id ?? c.Id ?? 0;
-      const nome     = c.nome ?? c.Nome ?? '';
-      const endereco = c.endereco ?? c.Endereco ?? '';
-      const idade    = c.idade ?? c.Idade ?? '';
-      const telefone = c.telefone ?? c.Telefone ?? '';
-
-      return {
-        id,
-        cells: [
-          id,
-          nome,
-          endereco,
-          idade != null && idade !== '' ? idade : '',
-          telefone,
-        ],
-      };
+    // Rolagem virtual: os clientes são carregados em lotes de pageSize conforme a rolagem, sem
+    // botões de página. Sem esta opção, a lista volta à paginação com Anterior/Próxima.
+    virtualScroll: true,
+
+    // Páginas guardadas no DataCache: voltar a uma consulta já vista mostra os clientes na hora,
+    // enquanto a API confirma (pelo ETag) se algo mudou
+    cache: true,
+
+    // Atualização ao vivo (GET /api/clientes/eventos, ou /api/clientes/lixeira/eventos na lixeira):
+    // clientes alterados, incluídos ou excluídos por outras pessoas aparecem sem recarregar a lista
+    liveUpdates: { bannerSelector: '#clientes-live-banner' },
+
+    // Edição na célula (duplo clique ou F2 nas colunas com editable): grava só o campo alterado,
+    // com PATCH /api/clientes/{id}. Na lixeira os clientes não podem ser editados.
+    inlineEdit: {
+      canEdit: () => !inTrash,
+
+      /**
+       * Grava o campo editado na célula, com a versão da linha no If-Match. Os erros de validação
+       * da API e o conflito de versão (outra pessoa alterou o cliente) aparecem na própria célula.
+       * Sem conexão (ou com outra alteração do cliente ainda na fila), a alteração vai para a
+       * fila offline e a célula já mostra o novo valor, com a linha marcada como pendente.
+       * 
+       * @param {number} id - ID do cliente
+       * @param {string} key - Campo alterado (ex: 'telefone')
+       * @param {*} value - Novo valor
+       * @param {Object} item - Cliente exibido na linha
+       * @returns {Promise<Object>} Cliente atualizado, no formato da lista
+       */
+      async onSave(id, key, value, item) {
+        const waiting = hasQueuedUpdate(id);
+        if (!waiting) {
+          try {
+            return await patchCliente(id, key, value, item.versao);
+          } catch (err) {
+            if (err.status === 412 && err.current) throw cellConflict(err, key);
+            if (!OfflineQueue.isNetworkError(err)) throw err;
+          }
+        }
+
+        // Atrás de outra alteração deste cliente na fila, a versão da linha deixa de ser a atual
+        // quando a anterior for gravada: a alteração vai sem If-Match
+        await queuePatch(id, key, value, waiting ? null : item.versao);
+        AppToast.info(waiting
+          ? 'Alteração guardada. Ela será enviada depois da alteração anterior deste cliente.'
+          : 'Sem conexão: a alteração foi guardada neste dispositivo e será enviada quando a conexão voltar.');
+        return { ...item, [key]: value };
+      },
     },
 
+    // Colunas da tabela, na ordem padrão; o valor de cada célula vem do campo de mesmo nome
+    // do item da API (camelCase ou PascalCase). Todas podem ser ordenadas pelo usuário, e os
+    // campos editáveis do formulário também podem ser alterados na própria célula.
+    columns: [
+      { key: 'id',                 label: 'ID',               sortable: true, type: 'number', format: { useGrouping: false } },
+      { key: 'nome',               label: 'Nome',             sortable: true, editable: cellEditor('nome') },
+      { key: 'endereco',           label: 'Endereço',         sortable: true, editable: cellEditor('endereco') },
+      { key: 'idade',              label: 'Idade',            sortable: true, type: 'number', editable: cellEditor('idade') },
+      { key: 'telefone',           label: 'Telefone',         sortable: true, type: 'phone', editable: cellEditor('telefone') },
+      { key: 'documento',          label: 'CPF/CNPJ',         sortable: true, type: 'document', editable: cellEditor('documento') },
+      { key: 'dataCadastro',       label: 'Data de Cadastro', sortable: true, type: 'datetime', hidden: true },
+      { key: 'dataUltimoRegistro', label: 'Último Registro',  sortable: true, type: 'datetime', hidden: true },
+      { key: 'dataExclusao',       label: 'Excluído em',      sortable: true, type: 'datetime', hidden: true, toggleable: false }, // Só aparece na lixeira
+    ],
+    defaultSort: [{ key: 'nome', dir: 'asc' }], // Ordenação inicial (mesma da API)
+
     /**
      * Callback chamado ao clicar no botão "Visualizar" ou dar duplo clique em uma linha.
      * Busca os dados completos do cliente na API e abre o modal de visualização.
@@ -292,13 +1232,16 @@
      * @param {number} id - ID do cliente selecionado
      */
     async onView(id) {
+      if (inTrash) return; // Clientes na lixeira não têm detalhes nem edição
       try {
-        const c = await fetchJson(`/api/clientes/${id}`);
-        fillViewModal(c);
-        openModal(els.viewBackdrop);
+        const c = await fetchCliente(id);
+        form.openView(c);
+        setLinkParam('view', id);
       } catch (err) {
+        if (LatestRequest.isSuperseded(err)) return; // Outro cliente foi pedido depois deste
         console.error(err);
-        alert('Falha ao carregar detalhes do cliente.');
+        setLinkParam(null);
+        AppToast.error(err, 'Falha ao carregar detalhes do cliente.');
       }
     },
 
@@ -309,13 +1252,16 @@
      * @param {number} id - ID do cliente selecionado
      */
     async onEdit(id) {
+      if (inTrash) return;
       try {
-        const c = await fetchJson(`/api/clientes/${id}`);
-        fillEditModal(c);
-        openModal(els.editBackdrop);
+        const c = await fetchCliente(id);
+        form.openEdit(c);
+        setLinkParam('edit', id);
       } catch (err) {
+        if (LatestRequest.isSuperseded(err)) return; // Outro cliente foi pedido depois deste
         console.error(err);
-        alert('Falha ao carregar cliente para edição.');
+        setLinkParam(null);
+        AppToast.error(err, 'Falha ao carregar cliente para edição.');
       }
     },
 
@@ -324,153 +1270,120 @@
      * Limpa o formulário e abre o modal de novo cliente.
      */
     onNew() {
-      clearNewForm();
-      openModal(els.newBackdrop);
+      if (inTrash) return;
+      form.openNew();
     },
 
     /**
-     * Callback chamado ao clicar no botão "Excluir".
-     * Solicita confirmação e, se confirmado, envia uma requisição DELETE para a API.
+     * Callback chamado ao clicar no botão "Excluir" com um único cliente selecionado.
+     * Exclui na hora, com a opção de desfazer (DELETE /api/clientes/{id}).
+     * Na lixeira, o botão exclui o cliente definitivamente (com confirmação).
      * 
      * @param {number} id - ID do cliente a ser excluído
      */
     async onDelete(id) {
-      if (!confirm('Deseja realmente excluir este cliente?')) return;
-      try {
-        const resp = await fetch(`/api/clientes/${id}`, { method: 'DELETE' });
-        if (!resp.ok) {
-          const txt = await resp.text();
-          throw new Error(txt || 'Erro ao excluir cliente.');
-        }
-        // Recarrega a página atual após a exclusão
-        await list.loadPage();
-      } catch (err) {
-        console.error(err);
-        alert('Falha ao excluir cliente.');
-      }
+      if (inTrash) await purgeClientes([id]);
+      else await deleteWithUndo([id]);
+    },
+
+    /**
+     * Callback chamado ao clicar no botão "Excluir" com vários clientes selecionados.
+     * Exclui todos em uma única requisição, com a opção de desfazer, e informa os que falharam.
+     * Na lixeira, o botão exclui os clientes definitivamente (com confirmação).
+     * 
+     * @param {number[]} ids - IDs dos clientes a serem excluídos
+     */
+    async onBulkDelete(ids) {
+      if (inTrash) await purgeClientes(ids);
+      else await deleteWithUndo(ids);
+    },
+
+    /**
+     * Callback chamado sempre que a seleção muda: o botão "Restaurar" exige ao menos um cliente.
+     * 
+     * @param {number[]} ids - IDs selecionados
+     */
+    onSelectionChange(ids) {
+      if (btnRestore) btnRestore.disabled = ids.length === 0;
+    },
+
+    /**
+     * Estado de cada linha conforme a fila offline: alteração ou exclusão aguardando envio,
+     * ou recusada pelo servidor (ver ALTERAÇÕES OFFLINE).
+     * 
+     * @param {number} id - ID do cliente da linha
+     * @returns {{status: string, label: string}|null} Estado da linha
+     */
+    rowStatus(id) {
+      return inTrash ? null : queuedStatus(id);
+    },
+
+    /**
+     * Callback chamado no Voltar/Avançar do navegador, antes de a lista recarregar:
+     * alterna entre ativos e lixeira conforme a entrada do histórico.
+     */
+    onHistoryNavigate() {
+      const trash = new URLSearchParams(location.search).get('lixeira') === '1';
+      if (trash === inTrash) return;
+      inTrash = trash;
+      applyTrashUi();
+      list.setEndpoint(trash ? ENDPOINT_LIXEIRA : ENDPOINT_ATIVOS, { load: false });
     },
   };
 
   // Cria a instância do CrudList com a configuração definida
   list = new CrudList(cfg);
 
-  // ========================================
-  // EVENTOS DOS MODAIS
-  // ========================================
-
-  // ----- Modal de Visualização -----
-  
-  // Fecha o modal ao clicar no botão de fechar (X)
-  els.viewCloseBtn?.addEventListener('click', () => closeModal(els.viewBackdrop));
-  
-  // Fecha o modal ao clicar fora dele (no backdrop)
-  els.viewBackdrop?.addEventListener('click', ev => {
-    if (ev.target === els.viewBackdrop) closeModal(els.viewBackdrop);
+  // Conecta o botão da lixeira e ajusta a tela ao modo inicial
+  applyTrashUi();
+  btnTrash?.addEventListener('click', () => setTrashMode(!inTrash));
+  btnRestore?.addEventListener('click', () => {
+    const ids = list.getSelectedIds();
+    if (ids.length) restoreClientes(ids);
   });
 
-  // ----- Modal de Edição -----
-  
-  // Fecha o modal ao clicar no botão de fechar (X)
-  els.editCloseBtn?.addEventListener('click', () => closeModal(els.editBackdrop));
-  
-  // Fecha o modal ao clicar no botão "Cancelar"
-  els.editCancelBtn?.addEventListener('click', () => closeModal(els.editBackdrop));
-  
-  // Fecha o modal ao clicar fora dele (no backdrop)
-  els.editBackdrop?.addEventListener('click', ev => {
-    if (ev.target === els.editBackdrop) closeModal(els.editBackdrop);
-  });
+  // Acompanha a fila offline: barra de sincronização, linhas pendentes e envios concluídos
+  OfflineQueue.subscribe(onQueueChange);
 
+  // ========================================
+  // IMPORTAÇÃO DE CSV
+  // ========================================
   /**
-   * Evento de submit do formulário de edição.
-   * Valida os dados, envia uma requisição PUT para a API e recarrega a lista.
+   * Assistente de importação: usa os campos e as regras do formulário de novo cliente.
    */
-  els.editForm?.addEventListener('submit', async ev => {
-    ev.preventDefault(); // Previne o comportamento padrão de submit
-
-    // Extrai o ID do campo oculto
-    const idRaw = els.e.id?.value ?? '';
-    const id = parseInt(idRaw || '0', 10);
-    if (!id) {
-      alert('ID inválido para edição.');
-      return;
-    }
-
-    // Constrói o payload com os dados do formulário
-    const payload = buildEditPayload();
-    if (!payload.Nome || !payload.Nome.trim()) {
-      alert('Nome é obrigatório.');
-      return;
-    }
+  const importer = new CsvImport({
+    idPrefix: 'clientes-import',
+    form,
+    title: 'Importar clientes (CSV)',
+    aliases: { nome: ['cliente'], endereco: ['logradouro'], telefone: ['fone', 'celular'], documento: ['cpf', 'cnpj'] },
+    validateEndpoint: '/api/clientes/importar/validar',
+    importEndpoint: '/api/clientes/importar',
+    reportFileName: 'clientes-rejeitados.csv',
 
-    try {
-      // Envia a requisição PUT para a API
-      const resp = await fetch(`/api/clientes/${id}`, {
-        method: 'PUT',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload),
-      });
-      if (!resp.ok) {
-        const txt = await resp.text();
-        throw new Error(txt || 'Erro ao salvar alterações.');
-      }
-      
-      // Fecha o modal e recarrega a lista
-      closeModal(els.editBackdrop);
+    // A importação é enviada pelo CsvImport: aqui são descartadas as respostas guardadas de
+    // clientes e a lista volta para a primeira página, como após cadastrar um cliente
+    async onImported({ imported }) {
+      if (!imported) return;
+      DataCache.invalidate(ENDPOINT_ATIVOS);
+      list.state.page = 1;
       await list.loadPage();
-    } catch (err) {
-      console.error(err);
-      alert('Falha ao salvar alterações.');
-    }
-  });
-
-  // ----- Modal de Novo Cliente -----
-  
-  // Fecha o modal ao clicar no botão de fechar (X)
-  els.newCloseBtn?.addEventListener('click', () => closeModal(els.newBackdrop));
-  
-  // Fecha o modal ao clicar no botão "Cancelar"
-  els.newCancelBtn?.addEventListener('click', () => closeModal(els.newBackdrop));
-  
-  // Fecha o modal ao clicar fora dele (no backdrop)
-  els.newBackdrop?.addEventListener('click', ev => {
-    if (ev.target === els.newBackdrop) closeModal(els.newBackdrop);
+    },
   });
 
-  /**
-   * Evento de submit do formulário de novo cliente.
-   * Valida os dados, envia uma requisição POST para a API e recarrega a lista.
-   */
-  els.newForm?.addEventListener('submit', async ev => {
-    ev.preventDefault(); // Previne o comportamento padrão de submit
-
-    // Constrói o payload com os dados do formulário
-    const payload = buildNewPayload();
-    if (!payload.Nome || !payload.Nome.trim()) {
-      alert('Nome é obrigatório.');
-      return;
-    }
+  const btnImport = document.querySelector('#btn-import-csv');
+  if (btnImport) {
+    btnImport.disabled = false;
+    btnImport.addEventListener('click', () => importer.open());
+  }
 
-    try {
-      // Envia a requisição POST para a API
-      const resp = await fetch('/api/clientes', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload),
-      });
-      if (!resp.ok) {
-        const txt = await resp.text();
-        throw new Error(txt || 'Erro ao criar cliente.');
-      }
-      
-      // Fecha o modal, limpa o formulário e recarrega a primeira página
-      closeModal(els.newBackdrop);
-      clearNewForm();
-      list.state.page = 1; // Volta para a primeira página
-      await list.loadPage();
-    } catch (err) {
-      console.error(err);
-      alert('Falha ao criar cliente.');
-    }
-  });
+  // ========================================
+  // LINKS DIRETOS
+  // ========================================
+  // Abre o modal pedido na URL: ?view=42 (detalhes) ou ?edit=42 (edição)
+  const link = new URLSearchParams(location.search);
+  const editId = parseInt(link.get('edit') ?? '', 10);
+  const viewId = parseInt(link.get('view') ?? '', 10);
+  if (editId > 0) cfg.onEdit(editId);
+  else if (viewId > 0) cfg.onView(viewId);
+  else if (link.has('view') || link.has('edit')) setLinkParam(null); // ID inválido: descarta o parâmetro
 })();
@@ -0,0 +1,184 @@
+// ========================================
+// DOCUMENTO FISCAL (CPF/CNPJ)
+// ========================================
+// Este arquivo contém as regras do documento fiscal no front-end, as mesmas de Data/Documento.cs:
+// - Normalização: o documento é tratado só com letras e dígitos (sem pontos, barra, hífen)
+// - Validação dos dígitos verificadores do CPF (11 dígitos) e do CNPJ (14 caracteres),
+//   inclusive o CNPJ alfanumérico, com letras nas 12 primeiras posições
+// - Formatação para exibição e máscara aplicada enquanto o usuário digita
+//
+// É usado pelo CrudForm (campos do tipo 'document') e registra o tipo 'document' no
+// CellRenderer, para as colunas do CrudList e o modal de visualização.
+
+(() => {
+  // ========================================
+  // CONSTANTES
+  // ========================================
+  /**
+   * Pesos dos dígitos verificadores do CNPJ (o segundo dígito usa a lista inteira; o primeiro, sem o 6 inicial).
+   */
+  const CNPJ_WEIGHTS = [6, 5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2];
+
+  /**
+   * Tamanho do documento formatado mais longo (CNPJ: "00.000.000/0000-00"), usado no maxlength dos inputs.
+   */
+  const MASKED_LENGTH = 18;
+
+  // ========================================
+  // UTILITÁRIOS
+  // ========================================
+  /**
+   * Remove a formatação de um documento (ex: "123.456.789-09" → "12345678909").
+   * Letras são convertidas para maiúsculas (CNPJ alfanumérico).
+   *
+   * @param {*} value - Documento digitado, com ou sem formatação
+   * @returns {string|null} Documento sem formatação, ou null se não houver nenhum caractere significativo
+   */
+  function normalize(value) {
+    if (value === null || value === undefined) return null;
+    const text = String(value).toUpperCase().replace(/[^0-9A-Z]/g, '');
+    return text || null;
+  }
+
+  /**
+   * Valor de um caractere no cálculo dos verificadores: código ASCII menos 48
+   * (dígitos valem 0 a 9; letras, de 17 em diante).
+   *
+   * @param {string} ch - Caractere do documento
+   * @returns {number} Valor do caractere
+   */
+  function charValue(ch) {
+    return ch.charCodeAt(0) - 48;
+  }
+
+  /**
+   * Dígito verificador pelo módulo 11: resto menor que 2 vira 0; senão, 11 menos o resto.
+   *
+   * @param {number} sum - Soma ponderada dos caracteres
+   * @returns {number} Dígito verificador
+   */
+  function mod11(sum) {
+    const rest = sum % 11;
+    return rest < 2 ? 0 : 11 - rest;
+  }
+
+  /**
+   * Confere os dois dígitos verificadores de um CPF (11 dígitos, sem formatação).
+   * Sequências de um só dígito (ex: 111.111.111-11) passam no cálculo, mas não são CPFs válidos.
+   *
+   * @param {string} cpf - CPF sem formatação
+   * @returns {boolean} true se os verificadores conferem
+   */
+  function isValidCpf(cpf) {
+    if (/^(.)\1*$/.test(cpf)) return false;
+
+    for (let size = 9; size <= 10; size++) {
+      let sum = 0;
+      for (let i = 0; i < size; i++) sum += charValue(cpf[i]) * (size + 1 - i);
+      if (charValue(cpf[size]) !== mod11(sum)) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Confere os dois dígitos verificadores de um CNPJ (14 caracteres, sem formatação).
+   *
+   * @param {string} cnpj - CNPJ sem formatação
+   * @returns {boolean} true se os verificadores conferem
+   */
+  function isValidCnpj(cnpj) {
+    if (/^(.)\1*$/.test(cnpj)) return false;
+
+    for (let size = 12; size <= 13; size++) {
+      const weights = CNPJ_WEIGHTS.slice(13 - size);
+      let sum = 0;
+      for (let i = 0; i < size; i++) sum += charValue(cnpj[i]) * weights[i];
+      if (charValue(cnpj[size]) !== mod11(sum)) return false;
+    }
+    return true;
+  }
+
+  // ========================================
+  // VALIDAÇÃO E FORMATAÇÃO
+  // ========================================
+  /**
+   * Valida um documento digitado (com ou sem formatação), com as mesmas mensagens da API.
+   *
+   * @param {*} value - Documento digitado
+   * @returns {string|null} Mensagem de erro, ou null se o documento for válido ou não tiver sido informado
+   */
+  function validate(value) {
+    if (value === null || value === undefined || String(value).trim() === '') return null;
+
+    // Além de letras e dígitos, só a pontuação das máscaras é aceita
+    if (/[^0-9A-Za-z./\- ]/.test(String(value))) {
+      return 'O documento deve conter apenas números (CPF) ou números e letras (CNPJ).';
+    }
+
+    const text = normalize(value) ?? '';
+    if (text.length === 11) {
+      if (!/^\d+$/.test(text)) return 'O CPF deve conter apenas números.';
+      return isValidCpf(text) ? null : 'CPF inválido: os dígitos verificadores não conferem.';
+    }
+    if (text.length === 14) {
+      if (!/^\d{2}$/.test(text.slice(12))) return 'Os dois últimos caracteres do CNPJ devem ser números.';
+      return isValidCnpj(text) ? null : 'CNPJ inválido: os dígitos verificadores não conferem.';
+    }
+    return 'O documento deve ser um CPF (11 dígitos) ou um CNPJ (14 caracteres).';
+  }
+
+  /**
+   * Formata um documento para exibição (ex: "123.456.789-09", "12.345.678/0001-95").
+   * Se o tamanho não for o de um CPF ou CNPJ, devolve o texto original.
+   *
+   * @param {*} value - Documento, com ou sem formatação
+   * @returns {string} Documento formatado
+   */
+  function format(value) {
+    const d = normalize(value) ?? '';
+    if (d.length === 11) return `${d.slice(0, 3)}.${d.slice(3, 6)}.${d.slice(6, 9)}-${d.slice(9)}`;
+    if (d.length === 14) return `${d.slice(0, 2)}.${d.slice(2, 5)}.${d.slice(5, 8)}/${d.slice(8, 12)}-${d.slice(12)}`;
+    return value === null || value === undefined ? '' : String(value);
+  }
+
+  /**
+   * Aplica a máscara a um documento incompleto, enquanto é digitado.
+   * Até 11 dígitos a máscara é a do CPF (000.000.000-00); com mais caracteres, ou com
+   * alguma letra, passa a ser a do CNPJ (00.000.000/0000-00). O excesso é descartado.
+   *
+   * @param {string} value - Texto do input
+   * @returns {string} Texto com a máscara
+   */
+  function mask(value) {
+    const d = (normalize(value) ?? '').slice(0, 14);
+    const isCpf = d.length <= 11 && /^\d*$/.test(d);
+    const separators = isCpf
+      ? { 3: '.', 6: '.', 9: '-' }
+      : { 2: '.', 5: '.', 8: '/', 12: '-' };
+
+    let out = '';
+    [...d].forEach((ch, i) => {
+      out += (separators[i] ?? '') + ch;
+    });
+    return out;
+  }
+
+  // Registra o tipo 'document' na camada de renderização (colunas e modal de visualização)
+  if (window.CellRenderer) {
+    window.CellRenderer.formatters.document = value => format(value);
+  } else {
+    console.error('CellRenderer não encontrado. Certifique-se de carregar /js/cellRenderer.js antes de /js/cpfCnpj.js');
+  }
+
+  // ========================================
+  // EXPORTAÇÃO GLOBAL
+  // ========================================
+  // Expõe as regras no escopo global para o CrudForm e as telas
+  window.CpfCnpj = {
+    normalize,
+    validate,
+    format,
+    mask,
+    MASKED_LENGTH,
+  };
+})();
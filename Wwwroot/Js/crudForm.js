@@ -0,0 +1,1011 @@
+// ========================================
+// MOTOR GENÉRICO DE FORMULÁRIOS (MODAIS DE CRUD)
+// ========================================
+// Este arquivo contém uma classe reutilizável que gera, a partir de um único schema de campos:
+// - O modal de visualização (lista de rótulos e valores formatados, com abas extras opcionais)
+// - O modal de edição (formulário preenchido com o registro atual)
+// - O modal de criação (formulário em branco)
+//
+// Também preenche os modais a partir de objetos da API (camelCase ou PascalCase),
+// valida os campos com mensagens abaixo de cada input (bloqueando o envio),
+// exibe os erros por campo devolvidos pela API (ValidationProblemDetails),
+// monta o payload enviado nas requisições POST/PUT e, quando a gravação é recusada
+// por conflito de versão, compara campo a campo "seus valores × valores atuais".
+//
+// Cada tela só precisa descrever seus campos e implementar o callback de gravação.
+
+(() => {
+  // ========================================
+  // UTILITÁRIOS
+  // ========================================
+  /**
+   * Converte um nome de campo em camelCase para PascalCase (ex: 'dataCadastro' → 'DataCadastro').
+   *
+   * @param {string} name - Nome em camelCase
+   * @returns {string} Nome em PascalCase
+   */
+  function toPascal(name) {
+    return name.charAt(0).toUpperCase() + name.slice(1);
+  }
+
+  /**
+   * Lê o valor de um campo em um objeto da API, aceitando camelCase e PascalCase.
+   *
+   * @param {Object} obj - Objeto retornado pela API
+   * @param {string} name - Nome do campo em camelCase
+   * @returns {*} Valor encontrado ou null
+   */
+  function readValue(obj, name) {
+    if (!obj) return null;
+    return obj[name] ?? obj[toPascal(name)] ?? null;
+  }
+
+  /**
+   * Tipo de exibição (CellRenderer) usado no modal de visualização para cada tipo de campo.
+   */
+  const VIEW_TYPES = {
+    number: 'number',
+    tel: 'phone',
+    document: 'document',
+    date: 'date',
+    datetime: 'datetime',
+    boolean: 'boolean',
+  };
+
+  /**
+   * Tipo do <input> gerado para cada tipo de campo.
+   */
+  const INPUT_TYPES = {
+    text: 'text',
+    number: 'number',
+    tel: 'tel',
+    document: 'text',
+    email: 'email',
+    date: 'date',
+    datetime: 'datetime-local',
+  };
+
+  /**
+   * Modos suportados pelo formulário.
+   */
+  const MODES = ['view', 'edit', 'new'];
+
+  // ========================================
+  // CLASSE PRINCIPAL: CrudForm
+  // ========================================
+  /**
+   * Motor genérico que gera os modais de visualização, edição e criação de um recurso.
+   *
+   * @class
+   */
+  class CrudForm {
+    /**
+     * Construtor da classe CrudForm.
+     *
+     * @param {Object} cfg - Objeto de configuração
+     * @param {string} cfg.idPrefix - Prefixo dos IDs gerados no DOM (ex: 'cliente')
+     * @param {Object[]} cfg.fields - Schema dos campos, na ordem de exibição
+     * @param {string} cfg.fields[].name - Nome do campo em camelCase (ex: 'nome')
+     * @param {string} cfg.fields[].label - Rótulo exibido (ex: 'Nome')
+     * @param {string} [cfg.fields[].type='text'] - text, textarea, number, tel, document (CPF/CNPJ), email, date, datetime ou boolean
+     * @param {boolean} [cfg.fields[].required=false] - Campo obrigatório
+     * @param {number} [cfg.fields[].maxLength] - Tamanho máximo (campos de texto)
+     * @param {number} [cfg.fields[].min] - Valor mínimo (campos numéricos)
+     * @param {number} [cfg.fields[].max] - Valor máximo (campos numéricos)
+     * @param {boolean} [cfg.fields[].integer=false] - Aceita apenas números inteiros (campos numéricos)
+     * @param {Function} [cfg.fields[].validate] - (valor, payload) => string|null; regra extra do campo
+     * @param {boolean} [cfg.fields[].readOnly=false] - Exibido nos formulários, mas não editável nem enviado
+     * @param {{view?: boolean, edit?: boolean, new?: boolean}} [cfg.fields[].show] - Em quais modais o campo aparece (padrão: todos)
+     * @param {string} [cfg.fields[].payloadName] - Nome do campo no payload (padrão: PascalCase do name)
+     * @param {string} [cfg.keyField='id'] - Campo que identifica o registro em edição
+     * @param {Object[]} [cfg.viewTabs] - Abas extras do modal de visualização (a primeira aba, "Detalhes", é sempre gerada)
+     * @param {string} cfg.viewTabs[].name - Identificador da aba (ex: 'historico')
+     * @param {string} cfg.viewTabs[].label - Texto da aba (ex: 'Histórico')
+     * @param {Function} cfg.viewTabs[].onShow - (panel, obj) => void; chamado ao abrir a aba, com o painel vazio e o registro exibido
+     * @param {string} [cfg.versionField] - Campo com a versão do registro (ex: 'versao'); guardada ao abrir a edição
+     *   e repassada ao onSubmit, para a tela enviá-la no If-Match
+     * @param {{view?: string, edit?: string, new?: string}} [cfg.titles] - Títulos dos modais
+     * @param {string} [cfg.containerSelector] - Onde os modais serão inseridos (padrão: body)
+     * @param {Function} [cfg.onRestoreFocus] - Chamado ao fechar um modal se o elemento que o abriu não existir mais
+     * @param {Function} [cfg.onClose] - (mode) => void; chamado sempre que um modal for fechado
+     * @param {Function} [cfg.onSubmit] - async (mode, payload, id, version) => boolean|void; devolva false para manter o modal aberto
+     *   (para exibir erros da API nos campos, chame showErrors(mode, errors) antes de devolver false)
+     */
+    constructor(cfg) {
+      this.cfg = cfg;
+      this.fields = cfg.fields ?? [];
+      this.keyField = cfg.keyField ?? 'id';
+
+      // Estado interno do formulário
+      this.state = {
+        editId: null,     // ID do registro aberto no modal de edição
+        editVersion: null, // Versão do registro em edição (cfg.versionField)
+        submitting: false, // Indica se há uma gravação em andamento
+        conflictResolve: null, // Conclui a escolha pendente no modal de conflito
+        viewRecord: null, // Registro exibido no modal de visualização (repassado às abas extras)
+      };
+
+      // Referências aos elementos gerados, por modo:
+      // { backdrop, form, inputs: { nome: el }, errors: { nome: el }, formError, values: { nome: el } }
+      this.els = {};
+
+      // Gera os modais
+      this.init();
+    }
+
+    // ========================================
+    // INICIALIZAÇÃO
+    // ========================================
+    /**
+     * Gera os três modais e os insere no container configurado.
+     */
+    init() {
+      const container = this.cfg.containerSelector
+        ? document.querySelector(this.cfg.containerSelector)
+        : document.body;
+
+      if (!container) {
+        console.warn('CrudForm: container não encontrado para', this.cfg);
+        return;
+      }
+
+      if (!window.CellRenderer) {
+        console.error('CellRenderer não encontrado. Certifique-se de carregar /js/cellRenderer.js antes de /js/crudForm.js');
+        return;
+      }
+
+      if (!window.AppModal) {
+        console.error('AppModal não encontrado. Certifique-se de carregar /js/modal.js antes de /js/crudForm.js');
+        return;
+      }
+
+      MODES.forEach(mode => {
+        this.els[mode] = mode === 'view' ? this.buildViewModal() : this.buildFormModal(mode);
+        container.appendChild(this.els[mode].backdrop);
+      });
+
+      this.els.conflict = this.buildConflictModal();
+      container.appendChild(this.els.conflict.backdrop);
+    }
+
+    /**
+     * Retorna os campos exibidos em um modo.
+     *
+     * @param {string} mode - 'view', 'edit' ou 'new'
+     * @returns {Object[]} Campos do schema visíveis naquele modo
+     */
+    fieldsFor(mode) {
+      return this.fields.filter(f => f.show?.[mode] ?? true);
+    }
+
+    /**
+     * Gera o id de um elemento do DOM (ex: 'cliente-edit-nome').
+     *
+     * @param {string} mode - Modo do modal
+     * @param {string} suffix - Sufixo do elemento
+     * @returns {string} ID do elemento
+     */
+    domId(mode, suffix) {
+      return `${this.cfg.idPrefix}-${mode}-${suffix}`;
+    }
+
+    // ========================================
+    // GERAÇÃO DOS MODAIS
+    // ========================================
+    /**
+     * Gera a estrutura comum de um modal (backdrop, cabeçalho com título e botão fechar, corpo)
+     * usando o utilitário AppModal, que cuida de acessibilidade, Esc e prisão de foco.
+     *
+     * @param {string} mode - Modo do modal
+     * @returns {{backdrop: HTMLElement, body: HTMLElement}} Backdrop e corpo do modal
+     */
+    buildModalShell(mode) {
+      const defaultTitles = { view: 'Detalhes', edit: 'Editar', new: 'Novo' };
+
+      const { backdrop, body } = window.AppModal.create({
+        id: this.domId(mode, 'backdrop'),
+        title: this.cfg.titles?.[mode] ?? defaultTitles[mode],
+        onClose: () => this.cfg.onClose?.(mode),
+      });
+
+      return { backdrop, body };
+    }
+
+    /**
+     * Gera o modal de visualização: um <dl> com um par rótulo/valor por campo.
+     *
+     * @returns {Object} Referências do modal ({ backdrop, values })
+     */
+    buildViewModal() {
+      const { backdrop, body } = this.buildModalShell('view');
+
+      const dl = document.createElement('dl');
+      dl.className = 'app-modal-dl';
+      dl.id = this.domId('view', 'panel-detalhes');
+
+      const values = {};
+      this.fieldsFor('view').forEach(field => {
+        const wrap = document.createElement('div');
+        const dt = document.createElement('dt');
+        const dd = document.createElement('dd');
+        dt.textContent = field.label;
+        dd.id = this.domId('view', field.name);
+        wrap.append(dt, dd);
+        dl.appendChild(wrap);
+        values[field.name] = dd;
+      });
+
+      const tabs = this.buildViewTabs(body, dl);
+      return { backdrop, values, ...tabs };
+    }
+
+    /**
+     * Gera as abas do modal de visualização ("Detalhes" + cfg.viewTabs), no padrão WAI-ARIA:
+     * role="tablist"/"tab"/"tabpanel", setas ←/→ (e Home/End) para trocar de aba.
+     * Sem cfg.viewTabs, o modal mostra apenas os detalhes, sem abas.
+     *
+     * @param {HTMLElement} body - Corpo do modal
+     * @param {HTMLElement} detailsPanel - Painel dos detalhes (o <dl> dos campos)
+     * @returns {{tabs: Object, panels: Object}} Botões e painéis das abas, por nome
+     */
+    buildViewTabs(body, detailsPanel) {
+      const extra = this.cfg.viewTabs ?? [];
+      if (!extra.length) {
+        body.appendChild(detailsPanel);
+        return { tabs: {}, panels: {} };
+      }
+
+      const tablist = document.createElement('div');
+      tablist.className = 'app-modal-tabs';
+      tablist.setAttribute('role', 'tablist');
+
+      const tabs = {};
+      const panels = { detalhes: detailsPanel };
+
+      [{ name: 'detalhes', label: 'Detalhes' }, ...extra].forEach(def => {
+        const panel = panels[def.name] ?? document.createElement('div');
+        panel.id = this.domId('view', `panel-${def.name}`);
+        panel.setAttribute('role', 'tabpanel');
+        panel.tabIndex = 0;
+        panels[def.name] = panel;
+
+        const tab = document.createElement('button');
+        tab.type = 'button';
+        tab.className = 'app-modal-tab';
+        tab.id = this.domId('view', `tab-${def.name}`);
+        tab.textContent = def.label;
+        tab.setAttribute('role', 'tab');
+        tab.setAttribute('aria-controls', panel.id);
+        panel.setAttribute('aria-labelledby', tab.id);
+        tab.addEventListener('click', () => this.showViewTab(def.name));
+        tabs[def.name] = tab;
+        tablist.appendChild(tab);
+      });
+
+      // Setas trocam de aba (e movem o foco para ela)
+      tablist.addEventListener('keydown', ev => {
+        const names = Object.keys(tabs);
+        const current = names.findIndex(name => tabs[name] === document.activeElement);
+        if (current < 0) return;
+
+        let next = null;
+        if (ev.key === 'ArrowRight') next = (current + 1) % names.length;
+        else if (ev.key === 'ArrowLeft') next = (current - 1 + names.length) % names.length;
+        else if (ev.key === 'Home') next = 0;
+        else if (ev.key === 'End') next = names.length - 1;
+        if (next === null) return;
+
+        ev.preventDefault();
+        this.showViewTab(names[next]);
+        tabs[names[next]].focus();
+      });
+
+      body.append(tablist, ...Object.values(panels));
+      return { tabs, panels };
+    }
+
+    /**
+     * Mostra uma aba do modal de visualização. As abas extras são preenchidas
+     * pelo onShow da tela a cada vez que são abertas (o painel é limpo antes).
+     *
+     * @param {string} name - Nome da aba ('detalhes' ou um dos cfg.viewTabs)
+     */
+    showViewTab(name) {
+      const { tabs, panels } = this.els.view;
+      if (!tabs[name]) return;
+
+      Object.keys(tabs).forEach(key => {
+        const active = key === name;
+        tabs[key].setAttribute('aria-selected', active ? 'true' : 'false');
+        tabs[key].tabIndex = active ? 0 : -1; // Só a aba ativa entra na ordem do Tab
+        panels[key].hidden = !active;
+      });
+
+      const def = this.cfg.viewTabs?.find(t => t.name === name);
+      if (def) {
+        panels[name].replaceChildren();
+        def.onShow?.(panels[name], this.state.viewRecord);
+      }
+    }
+
+    /**
+     * Gera um modal de formulário (edição ou criação) com um input por campo.
+     * Abaixo de cada input fica o espaço para a mensagem de erro do campo.
+     *
+     * @param {string} mode - 'edit' ou 'new'
+     * @returns {Object} Referências do modal ({ backdrop, form, inputs, errors, formError, submitBtn })
+     */
+    buildFormModal(mode) {
+      const { backdrop, body } = this.buildModalShell(mode);
+
+      const form = document.createElement('form');
+      form.className = 'edit-form-grid';
+      form.id = this.domId(mode, 'form');
+      form.noValidate = true; // A validação é feita pelo CrudForm, com mensagens em português
+
+      // Erro geral do formulário (mensagens da API que não pertencem a um campo)
+      const formError = document.createElement('div');
+      formError.className = 'form-error';
+      formError.setAttribute('role', 'alert');
+      formError.hidden = true;
+      form.appendChild(formError);
+
+      const inputs = {};
+      const errors = {};
+      this.fieldsFor(mode).forEach(field => {
+        const label = document.createElement('label');
+        const span = document.createElement('span');
+        span.textContent = field.required ? `${field.label} *` : field.label;
+
+        const input = this.buildInput(mode, field);
+
+        const error = document.createElement('small');
+        error.className = 'field-error';
+        error.id = this.domId(mode, `${field.name}-error`);
+        input.setAttribute('aria-describedby', error.id);
+
+        label.append(span, input, error);
+        form.appendChild(label);
+        inputs[field.name] = input;
+        errors[field.name] = error;
+
+        // Depois que o campo foi marcado como inválido, revalida a cada alteração
+        const revalidate = () => {
+          if (input.classList.contains('is-invalid')) {
+            this.setFieldError(mode, field.name, this.validateField(field, this.buildPayload(mode)));
+          }
+        };
+        input.addEventListener('input', revalidate);
+        input.addEventListener('blur', revalidate);
+      });
+
+      // Botões Cancelar / Salvar
+      const actions = document.createElement('div');
+      actions.className = 'modal-actions';
+
+      const cancelBtn = document.createElement('button');
+      cancelBtn.type = 'button';
+      cancelBtn.className = 'btn-modern secondary';
+      cancelBtn.textContent = 'Cancelar';
+      cancelBtn.addEventListener('click', () => this.close(mode));
+
+      const submitBtn = document.createElement('button');
+      submitBtn.type = 'submit';
+      submitBtn.className = 'btn-modern primary';
+      submitBtn.textContent = 'Salvar';
+
+      actions.append(cancelBtn, submitBtn);
+      form.appendChild(actions);
+      body.appendChild(form);
+
+      // Evento de submit: monta o payload e delega a gravação à tela
+      form.addEventListener('submit', ev => {
+        ev.preventDefault(); // Previne o comportamento padrão de submit
+        this.submit(mode);
+      });
+
+      return { backdrop, form, inputs, errors, formError, submitBtn };
+    }
+
+    /**
+     * Gera o modal de conflito de versão, aberto sobre o formulário de edição:
+     * uma tabela com os campos que diferem e as opções Sobrescrever / Recarregar.
+     *
+     * @returns {Object} Referências do modal ({ backdrop, message, tbody, overwriteBtn, reloadBtn })
+     */
+    buildConflictModal() {
+      const { backdrop, body } = window.AppModal.create({
+        id: this.domId('conflict', 'backdrop'),
+        title: 'Conflito de edição',
+        onClose: () => this.finishConflict('cancel'),
+      });
+
+      const message = document.createElement('p');
+      message.className = 'conflict-hint';
+
+      const tableWrap = document.createElement('div');
+      tableWrap.className = 'conflict-diff-wrapper';
+      const table = document.createElement('table');
+      table.className = 'table-modern conflict-diff';
+      const thead = document.createElement('thead');
+      const headRow = document.createElement('tr');
+      ['Campo', 'Seus valores', 'Valores atuais'].forEach(text => {
+        const th = document.createElement('th');
+        th.scope = 'col';
+        th.textContent = text;
+        headRow.appendChild(th);
+      });
+      thead.appendChild(headRow);
+      const tbody = document.createElement('tbody');
+      table.append(thead, tbody);
+      tableWrap.appendChild(table);
+
+      const actions = document.createElement('div');
+      actions.className = 'modal-actions';
+
+      const cancelBtn = document.createElement('button');
+      cancelBtn.type = 'button';
+      cancelBtn.className = 'btn-modern secondary';
+      cancelBtn.textContent = 'Continuar editando';
+      cancelBtn.addEventListener('click', () => this.finishConflict('cancel'));
+
+      const reloadBtn = document.createElement('button');
+      reloadBtn.type = 'button';
+      reloadBtn.className = 'btn-modern secondary';
+      reloadBtn.textContent = 'Recarregar valores atuais';
+      reloadBtn.addEventListener('click', () => this.finishConflict('reload'));
+
+      const overwriteBtn = document.createElement('button');
+      overwriteBtn.type = 'button';
+      overwriteBtn.className = 'btn-modern primary';
+      overwriteBtn.textContent = 'Sobrescrever com os meus';
+      overwriteBtn.addEventListener('click', () => this.finishConflict('overwrite'));
+
+      actions.append(cancelBtn, reloadBtn, overwriteBtn);
+      body.append(message, tableWrap, actions);
+
+      return { backdrop, message, tbody, reloadBtn, overwriteBtn, current: null };
+    }
+
+    /**
+     * Cria o elemento de entrada de um campo, aplicando as restrições do schema.
+     *
+     * @param {string} mode - Modo do formulário
+     * @param {Object} field - Definição do campo
+     * @returns {HTMLElement} Input, textarea ou select
+     */
+    buildInput(mode, field) {
+      const type = field.type ?? 'text';
+      let input;
+
+      if (type === 'textarea') {
+        input = document.createElement('textarea');
+        input.rows = field.rows ?? 3;
+      } else if (type === 'boolean') {
+        input = document.createElement('select');
+        [['', ''], ['true', 'Sim'], ['false', 'Não']].forEach(([value, text]) => {
+          input.appendChild(new Option(text, value));
+        });
+      } else {
+        input = document.createElement('input');
+        input.type = INPUT_TYPES[type] ?? 'text';
+      }
+
+      input.id = this.domId(mode, field.name);
+      input.name = field.name;
+      input.className = 'form-control form-control-sm';
+
+      // Restrições do schema também viram atributos do HTML (ex: maxlength limita a digitação)
+      if (field.required) input.required = true;
+      if (field.maxLength != null) input.maxLength = field.maxLength;
+      if (field.min != null) input.min = String(field.min);
+      if (field.max != null) input.max = String(field.max);
+      if (field.integer) input.step = '1';
+      if (field.readOnly) {
+        input.readOnly = true;
+        input.tabIndex = -1;
+      }
+
+      // CPF/CNPJ: a máscara é aplicada enquanto o usuário digita (o payload vai sem ela)
+      if (type === 'document' && window.CpfCnpj) {
+        if (field.maxLength == null) input.maxLength = window.CpfCnpj.MASKED_LENGTH;
+        input.autocomplete = 'off';
+        input.spellcheck = false;
+        input.addEventListener('input', () => this.applyMask(input, window.CpfCnpj.mask));
+      }
+
+      return input;
+    }
+
+    /**
+     * Reaplica uma máscara ao texto do input, mantendo o cursor depois do mesmo caractere
+     * significativo (letra ou dígito) em que ele estava antes da formatação.
+     *
+     * @param {HTMLInputElement} input - Input com a máscara
+     * @param {Function} mask - (texto) => texto formatado
+     */
+    applyMask(input, mask) {
+      const masked = mask(input.value);
+      if (masked === input.value) return;
+
+      const caret = input.selectionStart ?? input.value.length;
+      const significant = input.value.slice(0, caret).replace(/[^0-9A-Za-z]/g, '').length;
+
+      input.value = masked;
+
+      let pos = 0;
+      for (let seen = 0; pos < masked.length && seen < significant; pos++) {
+        if (/[0-9A-Za-z]/.test(masked[pos])) seen++;
+      }
+      input.setSelectionRange?.(pos, pos);
+    }
+
+    // ========================================
+    // PREENCHIMENTO E LEITURA
+    // ========================================
+    /**
+     * Preenche o modal de visualização com os dados de um registro.
+     *
+     * @param {Object} obj - Objeto retornado pela API
+     */
+    fillView(obj) {
+      const { values } = this.els.view;
+      this.fieldsFor('view').forEach(field => {
+        values[field.name].textContent = this.formatValue(field.name, readValue(obj, field.name));
+      });
+    }
+
+    /**
+     * Formata o valor de um campo como no modal de visualização (ex: telefone com máscara).
+     * Usado também pelas telas para exibir valores do schema fora dos modais (ex: histórico).
+     *
+     * @param {string} name - Nome do campo no schema
+     * @param {*} value - Valor no formato da API
+     * @returns {string} Texto formatado ('' para valores vazios)
+     */
+    formatValue(name, value) {
+      const field = this.fields.find(f => f.name === name);
+      if (!field) return window.CellRenderer.format(value, 'text');
+      const viewType = field.viewType ?? VIEW_TYPES[field.type] ?? 'text';
+      return window.CellRenderer.format(value, viewType, field.format);
+    }
+
+    /**
+     * Preenche um formulário (edição ou criação) com os dados de um registro.
+     *
+     * @param {string} mode - 'edit' ou 'new'
+     * @param {Object} [obj] - Objeto retornado pela API (ausente = limpa o formulário)
+     */
+    fillForm(mode, obj) {
+      const { inputs } = this.els[mode];
+      this.fieldsFor(mode).forEach(field => {
+        const value = readValue(obj, field.name);
+        inputs[field.name].value = this.toInputValue(field, value);
+      });
+      this.clearErrors(mode);
+    }
+
+    /**
+     * Converte um valor da API para o formato aceito pelo input.
+     *
+     * @param {Object} field - Definição do campo
+     * @param {*} value - Valor vindo da API
+     * @returns {string} Valor para o atributo value do input
+     */
+    toInputValue(field, value) {
+      if (value === null || value === undefined) return '';
+      switch (field.type) {
+        case 'date':
+          return String(value).slice(0, 10); // yyyy-MM-dd
+        case 'datetime':
+          return String(value).slice(0, 16); // yyyy-MM-ddTHH:mm
+        case 'document':
+          return window.CpfCnpj?.mask(value) ?? String(value); // Já com a máscara
+        default:
+          return String(value);
+      }
+    }
+
+    /**
+     * Converte o valor digitado para o tipo enviado à API.
+     * Campos vazios viram null (exceto obrigatórios de texto, que viram '').
+     *
+     * @param {Object} field - Definição do campo
+     * @param {string} raw - Valor do input
+     * @returns {*} Valor para o payload
+     */
+    fromInputValue(field, raw) {
+      const text = (raw ?? '').trim();
+      switch (field.type) {
+        case 'number': {
+          if (!text) return null;
+          const n = Number(text);
+          return Number.isFinite(n) ? n : NaN; // NaN sinaliza "não é número" para a validação
+        }
+        case 'boolean':
+          return text === '' ? null : text === 'true';
+        case 'document':
+          // Sem pontuação, como a API grava; um texto só com pontuação continua inválido
+          return window.CpfCnpj?.normalize(text) ?? (text || null);
+        default:
+          return text || (field.required ? '' : null);
+      }
+    }
+
+    /**
+     * Nome de um campo no payload (field.payloadName ou o PascalCase do name).
+     *
+     * @param {Object} field - Definição do campo
+     * @returns {string} Chave do campo no payload
+     */
+    payloadKey(field) {
+      return field.payloadName ?? toPascal(field.name);
+    }
+
+    /**
+     * Monta o payload de um formulário (somente campos editáveis daquele modo).
+     *
+     * @param {string} mode - 'edit' ou 'new'
+     * @returns {Object} Objeto com os dados para enviar à API (chaves em PascalCase por padrão)
+     */
+    buildPayload(mode) {
+      const { inputs } = this.els[mode];
+      const payload = {};
+      this.fieldsFor(mode)
+        .filter(field => !field.readOnly)
+        .forEach(field => {
+          payload[this.payloadKey(field)] = this.fromInputValue(field, inputs[field.name].value);
+        });
+      return payload;
+    }
+
+    // ========================================
+    // VALIDAÇÃO
+    // ========================================
+    /**
+     * Valida um campo de acordo com o schema.
+     *
+     * @param {Object} field - Definição do campo
+     * @param {Object} payload - Payload completo do formulário (para regras que dependem de outros campos)
+     * @returns {string|null} Mensagem de erro ou null se o valor for válido
+     */
+    validateField(field, payload) {
+      if (field.readOnly) return null;
+
+      const value = payload[this.payloadKey(field)];
+      const empty = value === null || value === '';
+
+      if (empty) {
+        return field.required ? `${field.label} é obrigatório.` : null;
+      }
+
+      if (field.type === 'number') {
+        if (Number.isNaN(value)) return `${field.label} deve ser um número.`;
+        if (field.integer && !Number.isInteger(value)) return `${field.label} deve ser um número inteiro.`;
+        if (field.min != null && field.max != null && (value < field.min || value > field.max)) {
+          return `${field.label} deve estar entre ${field.min} e ${field.max}.`;
+        }
+        if (field.min != null && value < field.min) return `${field.label} deve ser no mínimo ${field.min}.`;
+        if (field.max != null && value > field.max) return `${field.label} deve ser no máximo ${field.max}.`;
+      }
+
+      if (typeof value === 'string' && field.maxLength != null && value.length > field.maxLength) {
+        return `${field.label} não pode ter mais de ${field.maxLength} caracteres.`;
+      }
+
+      // CPF/CNPJ: tamanho e dígitos verificadores (mesmas regras e mensagens da API)
+      if (field.type === 'document' && window.CpfCnpj) {
+        const message = window.CpfCnpj.validate(value);
+        if (message) return message;
+      }
+
+      // Regra extra definida pela tela
+      if (typeof field.validate === 'function') {
+        return field.validate(value, payload) || null;
+      }
+
+      return null;
+    }
+
+    /**
+     * Valida todos os campos de um formulário e exibe as mensagens.
+     *
+     * @param {string} mode - 'edit' ou 'new'
+     * @returns {boolean} true se o formulário for válido
+     */
+    validate(mode) {
+      const payload = this.buildPayload(mode);
+      let valid = true;
+
+      this.fieldsFor(mode).forEach(field => {
+        const message = this.validateField(field, payload);
+        this.setFieldError(mode, field.name, message);
+        if (message) valid = false;
+      });
+
+      return valid;
+    }
+
+    /**
+     * Exibe (ou limpa) a mensagem de erro de um campo.
+     *
+     * @param {string} mode - 'edit' ou 'new'
+     * @param {string} name - Nome do campo
+     * @param {string|string[]|null} message - Mensagem(ns) de erro; vazio para limpar
+     */
+    setFieldError(mode, name, message) {
+      const input = this.els[mode]?.inputs[name];
+      const error = this.els[mode]?.errors[name];
+      if (!input || !error) return;
+
+      const text = Array.isArray(message) ? message.join(' ') : (message ?? '');
+      error.textContent = text;
+      input.classList.toggle('is-invalid', !!text);
+      input.setAttribute('aria-invalid', text ? 'true' : 'false');
+    }
+
+    /**
+     * Exibe erros por campo vindos da API (ex: ValidationProblemDetails.errors).
+     * As chaves podem estar em camelCase ou PascalCase; erros de campos que não
+     * existem no formulário são exibidos no topo, como erro geral.
+     *
+     * @param {string} mode - 'edit' ou 'new'
+     * @param {Object<string, string[]|string>} errors - Mapa campo → mensagens
+     * @param {string} [generalMessage] - Mensagem geral opcional (ex: título do ProblemDetails)
+     */
+    showErrors(mode, errors, generalMessage) {
+      const { inputs, formError } = this.els[mode];
+      const general = [];
+
+      Object.entries(errors ?? {}).forEach(([key, messages]) => {
+        const name = key ? key.charAt(0).toLowerCase() + key.slice(1) : '';
+        if (inputs[name]) this.setFieldError(mode, name, messages);
+        else general.push(...[].concat(messages));
+      });
+
+      if (!general.length && generalMessage && !Object.keys(errors ?? {}).length) {
+        general.push(generalMessage);
+      }
+
+      formError.textContent = general.join(' ');
+      formError.hidden = !general.length;
+
+      this.focusFirstInvalid(mode);
+    }
+
+    /**
+     * Remove todas as mensagens de erro de um formulário.
+     *
+     * @param {string} mode - 'edit' ou 'new'
+     */
+    clearErrors(mode) {
+      const { formError } = this.els[mode];
+      this.fieldsFor(mode).forEach(field => this.setFieldError(mode, field.name, null));
+      formError.textContent = '';
+      formError.hidden = true;
+    }
+
+    /**
+     * Move o foco para o primeiro campo inválido do formulário.
+     *
+     * @param {string} mode - 'edit' ou 'new'
+     */
+    focusFirstInvalid(mode) {
+      this.els[mode]?.form.querySelector('.is-invalid')?.focus();
+    }
+
+    // ========================================
+    // ABERTURA E FECHAMENTO
+    // ========================================
+    /**
+     * Abre o modal de visualização com os dados do registro.
+     *
+     * @param {Object} obj - Objeto retornado pela API
+     */
+    openView(obj) {
+      this.state.viewRecord = obj;
+      this.fillView(obj);
+      this.showViewTab('detalhes'); // Sempre abre na aba de detalhes
+      this.open('view');
+    }
+
+    /**
+     * Atualiza o modal de visualização com dados mais novos do registro exibido
+     * (ex: quando a revalidação do cache traz uma versão diferente).
+     * Não faz nada se o modal estiver fechado ou mostrando outro registro.
+     *
+     * @param {Object} obj - Objeto retornado pela API
+     */
+    refreshView(obj) {
+      const current = this.state.viewRecord;
+      if (!current || !this.els.view?.backdrop.classList.contains('show')) return;
+      if (readValue(current, this.keyField) !== readValue(obj, this.keyField)) return;
+
+      this.state.viewRecord = obj;
+      this.fillView(obj);
+    }
+
+    /**
+     * Abre o modal de edição preenchido com os dados do registro.
+     *
+     * @param {Object} obj - Objeto retornado pela API
+     */
+    openEdit(obj) {
+      this.state.editId = readValue(obj, this.keyField);
+      this.state.editVersion = this.cfg.versionField ? readValue(obj, this.cfg.versionField) : null;
+      this.fillForm('edit', obj);
+      this.open('edit');
+    }
+
+    /**
+     * Abre o modal de criação com o formulário em branco.
+     */
+    openNew() {
+      this.fillForm('new', null);
+      this.open('new');
+    }
+
+    /**
+     * Abre um modal e move o foco para dentro dele: o primeiro campo editável
+     * nos formulários, ou o botão fechar na visualização.
+     * Ao fechar, o foco volta para quem abriu (ou para cfg.onRestoreFocus, se o elemento sumiu).
+     *
+     * @param {string} mode - Modo do modal
+     */
+    open(mode) {
+      const refs = this.els[mode];
+      if (!refs) return;
+
+      const firstInput = refs.inputs
+        ? Object.values(refs.inputs).find(input => !input.readOnly && !input.disabled)
+        : null;
+
+      window.AppModal.open(refs.backdrop, {
+        initialFocus: firstInput ?? undefined,
+        fallbackFocus: this.cfg.onRestoreFocus,
+      });
+    }
+
+    /**
+     * Fecha um modal e devolve o foco.
+     *
+     * @param {string} mode - Modo do modal
+     */
+    close(mode) {
+      window.AppModal.close(this.els[mode]?.backdrop);
+    }
+
+    // ========================================
+    // GRAVAÇÃO
+    // ========================================
+    /**
+     * Valida o formulário, monta o payload e chama cfg.onSubmit. Fecha o modal ao final,
+     * a menos que o callback devolva false (ex: erro ao salvar).
+     * Se algum campo for inválido, o envio é bloqueado e o foco vai para o primeiro erro.
+     *
+     * @param {string} mode - 'edit' ou 'new'
+     */
+    async submit(mode) {
+      if (this.state.submitting || !this.cfg.onSubmit) return;
+
+      this.clearErrors(mode);
+      if (!this.validate(mode)) {
+        this.focusFirstInvalid(mode);
+        return;
+      }
+
+      const { submitBtn } = this.els[mode];
+      const payload = this.buildPayload(mode);
+      const id = mode === 'edit' ? this.state.editId : null;
+      const version = mode === 'edit' ? this.state.editVersion : null;
+
+      this.state.submitting = true;
+      submitBtn.disabled = true; // Evita duplo envio
+
+      try {
+        const result = await this.cfg.onSubmit(mode, payload, id, version);
+        if (result !== false) this.close(mode);
+      } finally {
+        this.state.submitting = false;
+        submitBtn.disabled = false;
+      }
+    }
+
+    // ========================================
+    // CONFLITO DE VERSÃO
+    // ========================================
+    /**
+     * Lista os campos editáveis em que os valores do formulário diferem dos valores atuais do registro.
+     *
+     * @param {Object} payload - Payload que a tela tentou gravar
+     * @param {Object} current - Registro atual, como devolvido pela API
+     * @returns {{field: Object, mine: *, theirs: *}[]} Campos diferentes, na ordem do formulário
+     */
+    diffFields(payload, current) {
+      return this.fieldsFor('edit')
+        .filter(field => !field.readOnly)
+        .map(field => ({
+          field,
+          mine: payload[this.payloadKey(field)],
+          // Passa o valor atual pelo mesmo caminho do formulário, para comparar no mesmo formato
+          theirs: this.fromInputValue(field, this.toInputValue(field, readValue(current, field.name))),
+        }))
+        .filter(({ mine, theirs }) => !Object.is(mine, theirs));
+    }
+
+    /**
+     * Abre, sobre o formulário de edição, o modal de conflito: mostra campo a campo
+     * os valores digitados e os valores atuais do registro e espera a escolha do usuário.
+     * - 'overwrite': a versão em edição passa a ser a atual; a tela deve gravar de novo
+     * - 'reload': o formulário é preenchido com os valores atuais (as alterações são descartadas)
+     * - 'cancel': nada muda; o usuário continua editando
+     *
+     * @param {Object} payload - Payload que a tela tentou gravar
+     * @param {Object} current - Registro atual, como devolvido pela API (com cfg.versionField)
+     * @param {string} [message] - Explicação exibida acima da tabela
+     * @returns {Promise<'overwrite'|'reload'|'cancel'>} Escolha do usuário
+     */
+    resolveConflict(payload, current, message) {
+      const refs = this.els.conflict;
+      refs.current = current;
+      refs.message.textContent = message ?? 'Este registro foi alterado por outra pessoa depois que você abriu a edição.';
+
+      const diffs = this.diffFields(payload, current);
+      refs.tbody.replaceChildren(...diffs.map(({ field, mine, theirs }) => {
+        const tr = document.createElement('tr');
+        const th = document.createElement('th');
+        th.scope = 'row';
+        th.textContent = field.label;
+        const cells = [mine, theirs].map(value => {
+          const td = document.createElement('td');
+          td.textContent = this.formatValue(field.name, value) || '—';
+          return td;
+        });
+        tr.append(th, ...cells);
+        return tr;
+      }));
+
+      if (!diffs.length) {
+        const tr = document.createElement('tr');
+        const td = document.createElement('td');
+        td.colSpan = 3;
+        td.className = 'text-center text-muted';
+        td.textContent = 'Os valores atuais já são iguais aos seus.';
+        tr.appendChild(td);
+        refs.tbody.appendChild(tr);
+      }
+
+      return new Promise(resolve => {
+        this.finishConflict('cancel'); // Um conflito anterior ainda aberto é cancelado
+        this.state.conflictResolve = resolve;
+        window.AppModal.open(refs.backdrop, { initialFocus: refs.reloadBtn });
+      });
+    }
+
+    /**
+     * Conclui a escolha do modal de conflito: aplica a opção, fecha o modal e resolve a promessa.
+     *
+     * @param {'overwrite'|'reload'|'cancel'} choice - Opção escolhida
+     */
+    finishConflict(choice) {
+      const resolve = this.state.conflictResolve;
+      if (!resolve) return;
+      this.state.conflictResolve = null;
+
+      const { current } = this.els.conflict;
+      if (choice !== 'cancel' && this.cfg.versionField) {
+        this.state.editVersion = readValue(current, this.cfg.versionField);
+      }
+      if (choice === 'reload') this.fillForm('edit', current);
+
+      window.AppModal.close(this.els.conflict.backdrop);
+      resolve(choice);
+    }
+  }
+
+  // ========================================
+  // EXPORTAÇÃO GLOBAL
+  // ========================================
+  // Expõe a classe CrudForm no escopo global para que outros scripts possam usá-la
+  window.CrudForm = CrudForm;
+})();
@@ -3,10 +3,25 @@
 // ========================================
 // Este arquivo contém uma classe reutilizável que gerencia a lógica de:
 // - Listagem de dados em tabela
-// - Paginação
-// - Filtros por coluna e texto
-// - Seleção de itens
+// - Paginação (a requisição mais recente vence; as anteriores são canceladas)
+// - Rolagem virtual, como alternativa à paginação: as páginas são carregadas conforme a rolagem
+//   e só as linhas visíveis ficam no DOM
+// - Cache das páginas já vistas, revalidadas em segundo plano (via DataCache, em dataCache.js)
+// - Atualização ao vivo pelos eventos do servidor (Server-Sent Events): linhas alteradas, incluídas
+//   ou excluídas por outras pessoas mudam no lugar, e registros novos fora da área exibida são avisados
+// - Filtros por coluna e texto, e filtro avançado com várias condições (via FilterBuilder, em filterBuilder.js)
+// - Ordenação por coluna (clique no cabeçalho, Shift+clique para várias colunas)
+// - Colunas configuráveis pelo usuário: mostrar/ocultar, arrastar para reordenar e redimensionar
+//   (o layout é lembrado por tela)
+// - Renderização segura e formatada das células (via CellRenderer, em cellRenderer.js)
+// - Navegação completa pelo teclado (setas, Enter, F2, Delete, Insert)
+// - Edição na própria célula (opt-in): duplo clique ou F2 abre o input da coluna, Enter/Tab salva
+//   (pela tela, normalmente com um PATCH do campo) e Esc cancela, com os erros exibidos na célula
+// - Estado da lista na URL (recarregar a página ou Voltar/Avançar restauram a lista)
+// - Seleção de itens (uma linha ou várias, com checkbox, Shift e Ctrl)
 // - Ações de CRUD (Visualizar, Editar, Novo, Excluir)
+// - Exportação de todos os registros do filtro para CSV ou XLSX (gerada no servidor)
+// - Visões salvas: filtro, ordenação, itens por página e colunas com um nome (via SavedViews, em savedViews.js)
 //
 // Cada tela específica (clientes, produtos, etc.) só precisa fornecer uma configuração
 // e implementar os callbacks para as ações.
@@ -31,6 +46,64 @@
     };
   }
 
+  /**
+   * Largura mínima (px) de uma coluna redimensionada pelo usuário.
+   */
+  const MIN_COLUMN_WIDTH = 48;
+
+  /**
+   * Passo (px) do redimensionamento pelo teclado (setas sobre a alça do cabeçalho).
+   */
+  const COLUMN_WIDTH_STEP = 16;
+
+  /**
+   * Altura (px) estimada de uma linha na rolagem virtual, até a primeira linha ser medida.
+   */
+  const VIRTUAL_ROW_HEIGHT = 37;
+
+  /**
+   * Linhas renderizadas além das visíveis, acima e abaixo, na rolagem virtual
+   * (evita linhas em branco durante uma rolagem rápida).
+   */
+  const VIRTUAL_OVERSCAN = 10;
+
+  /**
+   * Duração (ms) do destaque de uma linha incluída ou alterada por um evento ao vivo.
+   */
+  const LIVE_HIGHLIGHT = 2000;
+
+  /**
+   * Tempo (ms) em que uma linha excluída por um evento ao vivo fica esmaecendo antes de sair.
+   */
+  const LIVE_REMOVE_DELAY = 400;
+
+  /**
+   * Espera (ms) para juntar eventos de inclusão seguidos numa só consulta à API.
+   */
+  const LIVE_BATCH_DELAY = 300;
+
+  /**
+   * Tipo do input da edição na célula, pelo tipo da coluna (os demais usam 'text').
+   */
+  const CELL_EDIT_TYPES = {
+    number: 'number',
+    phone: 'tel',
+    date: 'date',
+    datetime: 'datetime',
+  };
+
+  /**
+   * Tipo do <input> gerado para cada tipo de edição na célula.
+   */
+  const CELL_INPUT_TYPES = {
+    text: 'text',
+    number: 'number',
+    tel: 'tel',
+    email: 'email',
+    date: 'date',
+    datetime: 'datetime-local',
+  };
+
   // ========================================
   // CLASSE PRINCIPAL: CrudList
   // ========================================
@@ -56,16 +129,77 @@
      * @param {string} [cfg.btnNewSelector] - Seletor CSS do botão "Novo" (opcional)
      * @param {string} [cfg.btnDeleteSelector] - Seletor CSS do botão "Excluir" (opcional)
      * @param {number} [cfg.pageSize=20] - Número de itens por página
+     * @param {string} [cfg.pageSizeSelector] - Seletor CSS do select de itens por página (opcional; as opções são os tamanhos aceitos)
+     * @param {boolean|Object} [cfg.virtualScroll=false] - Rolagem virtual no lugar da paginação: as páginas (de pageSize itens)
+     *   são carregadas conforme a rolagem e só as linhas visíveis ficam no DOM. Os botões Anterior/Próxima e o select
+     *   de itens por página são ocultados.
+     * @param {number} [cfg.virtualScroll.rowHeight=37] - Altura estimada de uma linha em px (a altura real é medida na primeira renderização)
+     * @param {number} [cfg.virtualScroll.overscan=10] - Linhas extras renderizadas acima e abaixo das visíveis
      * @param {string} [cfg.defaultColumn] - Coluna padrão para filtro (ex: 'descricao')
-     * @param {number} [cfg.columnsCount=1] - Número de colunas da tabela (para colspan em mensagens)
      * @param {string} [cfg.columnParamName='column'] - Nome do parâmetro de coluna na query string
      * @param {string} [cfg.searchParamName='search'] - Nome do parâmetro de busca na query string
-     * @param {Function} cfg.mapRow - Função que mapeia um item da API para uma linha da tabela
-     *   Deve retornar: { id: number, cells: (string|number)[] }
+     * @param {string} [cfg.filterBuilderSelector] - Seletor CSS do contêiner do filtro avançado (opcional, requer cfg.filterFields)
+     * @param {Object[]} [cfg.filterFields] - Campos do filtro avançado: { key, label, type: 'text'|'number'|'date' }
+     * @param {string} [cfg.filterParamName='filter'] - Nome do parâmetro das condições do filtro avançado
+     * @param {string} [cfg.logicParamName='logic'] - Nome do parâmetro dos conectores (E/OU) do filtro avançado
+     * @param {Object[]} [cfg.columns] - Definição das colunas, na ordem padrão; o cabeçalho da tabela é gerado a partir delas
+     * @param {string} cfg.columns[].key - Nome da coluna enviado à API (ex: 'nome')
+     * @param {string} [cfg.columns[].label] - Título do cabeçalho (padrão: o texto do <th> existente na mesma posição)
+     * @param {Function} [cfg.columns[].value] - (item) => valor cru da célula (padrão: item[key], em camelCase ou PascalCase)
+     * @param {boolean} [cfg.columns[].sortable=false] - Se true, o cabeçalho fica clicável para ordenar
+     * @param {string} [cfg.columns[].type='text'] - Tipo da célula: text, number, date, datetime, time, phone, document (CPF/CNPJ, ver cpfCnpj.js), boolean ou badge
+     * @param {Object} [cfg.columns[].format] - Opções do formatador do tipo (ex: { map } para badge)
+     * @param {Function} [cfg.columns[].render] - (valor, item) => Node|string; opt-in para conteúdo rico (somente nós DOM criados pela tela)
+     * @param {string} [cfg.columns[].align] - Alinhamento da célula ('start', 'center' ou 'end')
+     * @param {boolean} [cfg.columns[].hidden=false] - Se true, a coluna começa oculta (ver setColumnHidden)
+     * @param {boolean} [cfg.columns[].toggleable=true] - Se false, a visibilidade é controlada só pela tela (fora do seletor de colunas e das visões salvas)
+     * @param {number} [cfg.columns[].width] - Largura inicial em px (padrão: automática)
+     * @param {boolean|Object} [cfg.columns[].editable=false] - Permite editar a coluna na própria célula (requer cfg.inlineEdit)
+     * @param {string} [cfg.columns[].editable.type] - text, number, tel, email, date ou datetime (padrão: conforme o tipo da coluna)
+     * @param {boolean} [cfg.columns[].editable.required=false] - Campo obrigatório (vazio vira '' em vez de null)
+     * @param {Function} [cfg.columns[].editable.validate] - (valor, item) => string|null; mensagem exibida na célula
+     * @param {Object} [cfg.columnChooser] - Seletor de colunas e layout lembrado por tela (opcional)
+     * @param {string} [cfg.columnChooser.selector] - Seletor CSS do contêiner do botão "Colunas"
+     * @param {string} cfg.columnChooser.screen - Nome da tela (ex: 'clientes'); o layout fica no localStorage
+     * @param {{key: string, dir: ('asc'|'desc')}[]} [cfg.defaultSort] - Ordenação inicial (vazia = ordem padrão da API)
+     * @param {string} [cfg.sortParamName='sort'] - Nome do parâmetro de colunas de ordenação na query string
+     * @param {string} [cfg.dirParamName='dir'] - Nome do parâmetro de direções de ordenação na query string
+     * @param {Function} [cfg.mapRow] - Alternativa a cfg.columns[].value: mapeia um item da API para uma linha
+     *   Deve retornar: { id: number, cells: any[] } (valores crus, na ordem de definição de cfg.columns)
      * @param {Function} [cfg.onView] - Callback chamado ao clicar em "Visualizar"
      * @param {Function} [cfg.onEdit] - Callback chamado ao clicar em "Editar"
      * @param {Function} [cfg.onNew] - Callback chamado ao clicar em "Novo"
-     * @param {Function} [cfg.onDelete] - Callback chamado ao clicar em "Excluir"
+     * @param {Function} [cfg.onDelete] - Callback chamado ao clicar em "Excluir" com uma linha selecionada
+     * @param {boolean} [cfg.multiSelect=false] - Habilita a seleção de várias linhas (checkbox, Shift+clique, Ctrl+clique)
+     * @param {string} [cfg.selectionInfoSelector] - Seletor CSS do contador de seleção (opcional)
+     * @param {string} [cfg.idsEndpoint] - URL que devolve os IDs de todos os registros do filtro (padrão: endpoint + '/ids')
+     * @param {Function} [cfg.onBulkDelete] - Callback chamado ao clicar em "Excluir" com várias linhas selecionadas (recebe os IDs)
+     * @param {boolean} [cfg.syncUrl=false] - Guarda página, filtro e ordenação na query string (e a seleção no histórico)
+     * @param {number} [cfg.requestTimeout=15000] - Tempo limite das requisições da lista em ms (0 = sem limite)
+     * @param {boolean} [cfg.cache=false] - Busca as páginas pelo DataCache (dataCache.js): uma página já vista aparece na hora
+     *   e é revalidada em segundo plano, sendo renderizada de novo se tiver mudado
+     * @param {boolean|Object} [cfg.liveUpdates=false] - Atualização ao vivo pelo fluxo de eventos (Server-Sent Events) da API:
+     *   eventos criado, alterado e removido, com os dados { ids, itens, origem }. Linhas alteradas são atualizadas e as
+     *   removidas saem no lugar; registros novos entram se caírem na área exibida, senão são contados no aviso
+     * @param {string} [cfg.liveUpdates.endpoint] - URL do fluxo de eventos (padrão: endpoint + '/eventos')
+     * @param {string} [cfg.liveUpdates.bannerSelector] - Seletor CSS do aviso "N novos registros" (opcional)
+     * @param {Object} [cfg.inlineEdit] - Edição na própria célula das colunas com editable (duplo clique ou F2)
+     * @param {Function} cfg.inlineEdit.onSave - async (id, key, valor, item) => Object|void; grava o campo e devolve o item
+     *   atualizado (sem retorno, a célula mostra o valor digitado). Para exibir erros da API na célula, lance um erro
+     *   com `errors` (campo → mensagens, como no ValidationProblemDetails); num conflito de versão, inclua também
+     *   `item` com o registro atual, que passa a ser exibido na linha
+     * @param {Function} [cfg.inlineEdit.canEdit] - (id, key) => boolean; permite bloquear a edição (ex: na lixeira)
+     * @param {string} [cfg.btnExportCsvSelector] - Seletor CSS do botão "Exportar CSV" (opcional)
+     * @param {string} [cfg.btnExportXlsxSelector] - Seletor CSS do botão "Exportar XLSX" (opcional)
+     * @param {string} [cfg.exportEndpoint] - URL de exportação (padrão: endpoint + '/exportar')
+     * @param {Function} [cfg.onSelectionChange] - Callback chamado sempre que a seleção muda (recebe os IDs)
+     * @param {Function} [cfg.rowStatus] - (id) => { status, label } | null: estado extra de uma linha (ex: alteração
+     *   pendente de envio), aplicado em data-status e no title da linha. Após mudar, a tela chama refreshRowStatus()
+     * @param {Function} [cfg.onHistoryNavigate] - Callback chamado no Voltar/Avançar, antes de a lista ler a URL e recarregar
+     * @param {Object} [cfg.savedViews] - Visões salvas da tela (opcional)
+     * @param {string} cfg.savedViews.selector - Seletor CSS do contêiner do seletor de visões
+     * @param {string} cfg.savedViews.screen - Nome da tela (ex: 'clientes'); separa as visões de cada tela
+     * @param {string} [cfg.savedViews.endpoint] - URL das visões no servidor, por usuário autenticado (padrão e sem login: localStorage)
      */
     constructor(cfg) {
       this.cfg = cfg;
@@ -83,6 +217,18 @@
         filterText: cfg.filterTextSelector
           ? document.querySelector(cfg.filterTextSelector)
           : null,
+        filterBuilder: cfg.filterBuilderSelector
+          ? document.querySelector(cfg.filterBuilderSelector)
+          : null,
+        pageSize: cfg.pageSizeSelector
+          ? document.querySelector(cfg.pageSizeSelector)
+          : null,
+        savedViews: cfg.savedViews?.selector
+          ? document.querySelector(cfg.savedViews.selector)
+          : null,
+        columnChooser: cfg.columnChooser?.selector
+          ? document.querySelector(cfg.columnChooser.selector)
+          : null,
 
         btnView: cfg.btnViewSelector
           ? document.querySelector(cfg.btnViewSelector)
@@ -96,19 +242,88 @@
         btnDelete: cfg.btnDeleteSelector
           ? document.querySelector(cfg.btnDeleteSelector)
           : null,
+        btnExportCsv: cfg.btnExportCsvSelector
+          ? document.querySelector(cfg.btnExportCsvSelector)
+          : null,
+        btnExportXlsx: cfg.btnExportXlsxSelector
+          ? document.querySelector(cfg.btnExportXlsxSelector)
+          : null,
+
+        selectionInfo: cfg.selectionInfoSelector
+          ? document.querySelector(cfg.selectionInfoSelector)
+          : null,
+        liveBanner: cfg.liveUpdates?.bannerSelector
+          ? document.querySelector(cfg.liveUpdates.bannerSelector)
+          : null,
       };
 
+      // O cabeçalho é localizado a partir da própria tabela do tbody
+      this.els.thead = this.els.tbody?.closest('table')?.querySelector('thead') ?? null;
+
       // Estado interno da lista
       this.state = {
         page: 1,                           // Página atual
         pageSize: cfg.pageSize ?? 20,      // Itens por página
         total: 0,                          // Total de itens (retornado pela API)
-        selectedId: null,                  // ID do item selecionado
+        selectedId: null,                  // ID do item selecionado (quando há exatamente um)
+        selectedIds: new Set(),            // IDs selecionados (mantidos ao trocar de página)
+        anchorId: null,                    // Última linha clicada (início do intervalo do Shift+clique)
+        activeId: null,                    // Linha com o foco do teclado
         column: cfg.defaultColumn ?? null, // Coluna de filtro atual
         search: '',                        // Texto de busca atual
+        conditions: [],                    // Condições do filtro avançado: [{ field, op, value, logic }]
+        sort: (cfg.defaultSort ?? []).map(s => ({ ...s })), // Ordenação atual: [{ key, dir }]
         loading: false,                    // Indica se está carregando dados
       };
 
+      // Requisições da lista: uma nova consulta cancela a anterior
+      this.request = window.LatestRequest
+        ? new window.LatestRequest({ timeout: cfg.requestTimeout ?? 15000 })
+        : null;
+
+      // Rolagem virtual: itens carregados pela posição na lista (posições ainda não carregadas ficam vazias)
+      const vs = cfg.virtualScroll;
+      this.virtual = vs
+        ? {
+          rowHeight: vs.rowHeight ?? VIRTUAL_ROW_HEIGHT, // Altura de uma linha (medida na primeira renderização)
+          overscan: vs.overscan ?? VIRTUAL_OVERSCAN,     // Linhas extras acima e abaixo das visíveis
+          measured: false,                               // Se a altura da linha já foi medida
+          items: [],                                     // Itens por posição; length = total de registros
+          query: null,                                   // Consulta (endpoint + filtros, sem a página) dos itens
+          fetched: new Set(),                            // Páginas já pedidas para a consulta atual
+          loading: null,                                 // Página sendo carregada: { page }
+          paused: false,                                 // Após um erro, só tenta de novo na próxima rolagem
+          range: { first: 0, last: -1 },                 // Posições das linhas visíveis (sem as extras)
+          removed: new Map(),                            // Itens retirados com removeRows: id -> { position, item }
+        }
+        : null;
+
+      // Páginas seguintes da rolagem virtual: canal próprio, para não cancelar a consulta principal
+      this.pageRequest = vs && window.LatestRequest
+        ? new window.LatestRequest({ timeout: cfg.requestTimeout ?? 15000 })
+        : null;
+
+      // Item exibido em cada linha renderizada (reaproveitamento na rolagem virtual e edição na célula)
+      this.rowItems = new WeakMap();
+
+      // Edição na célula: o editor aberto (uma célula por vez) e a última coluna editada (usada pelo F2)
+      this.cellEdit = null;
+      this.lastEditKey = null;
+
+      // Atualização ao vivo: conexão com o fluxo de eventos e registros a avisar ou destacar
+      this.live = cfg.liveUpdates
+        ? {
+          source: null,         // EventSource do fluxo do endpoint atual
+          origin: window.crypto?.randomUUID?.() ?? `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`,
+          incoming: new Set(),  // IDs incluídos aguardando a consulta que decide onde eles caem
+          timer: null,          // Espera para juntar as inclusões (LIVE_BATCH_DELAY)
+          newIds: new Set(),    // Registros novos fora da área exibida (contados no aviso)
+          highlight: new Set(), // Registros a destacar quando forem renderizados
+          dropped: false,       // A conexão caiu (o EventSource reconecta sozinho)
+          stale: false,         // A conexão voltou: eventos do intervalo podem ter sido perdidos
+        }
+        : null;
+
       // Inicializa a lista
       this.init();
     }
@@ -125,16 +340,66 @@
         return;
       }
 
+      if (!window.CellRenderer) {
+        console.error('CellRenderer não encontrado. Certifique-se de carregar /js/cellRenderer.js antes de /js/crudList.js');
+        return;
+      }
+
+      if (!this.request) {
+        console.error('LatestRequest não encontrado. Certifique-se de carregar /js/latestRequest.js antes de /js/crudList.js');
+        return;
+      }
+
+      if (!window.AppToast) {
+        console.error('AppToast não encontrado. Certifique-se de carregar /js/toast.js antes de /js/crudList.js');
+        return;
+      }
+
+      if (this.cfg.cache && !window.DataCache) {
+        console.error('DataCache não encontrado. Certifique-se de carregar /js/dataCache.js antes de /js/crudList.js');
+        return;
+      }
+
+      if (this.els.filterBuilder && !window.FilterBuilder) {
+        console.error('FilterBuilder não encontrado. Certifique-se de carregar /js/filterBuilder.js antes de /js/crudList.js');
+        return;
+      }
+
+      if (this.els.savedViews && (!window.SavedViews || !window.AppModal)) {
+        console.error('SavedViews não encontrado. Certifique-se de carregar /js/modal.js e /js/savedViews.js antes de /js/crudList.js');
+        return;
+      }
+
+      // Colunas: layout lembrado da tela (ordem, visibilidade e larguras) e cabeçalho da tabela
+      this.initColumns();
+
+      // Restaura o estado guardado na URL (link compartilhado, recarga ou Voltar/Avançar)
+      if (this.cfg.syncUrl) this.readUrlState();
+
       // Conecta os eventos de filtros, paginação e ações
       this.wireFilters();
+      this.wirePageSize();
       this.wirePager();
+      if (this.virtual) this.wireVirtualScroll();
       this.wireActions();
+      this.wireExport();
+      this.wireSelectAll();
+      this.wireSort();
+      this.wireColumnLayout();
+      this.wireColumnChooser();
+      this.wireKeyboard();
+      if (this.cfg.syncUrl) this.wireHistory();
+      if (this.live) this.connectLive();
+
+      // Oculta as colunas marcadas como hidden e aplica as larguras
+      this.updateColumnsUi();
 
       // Desabilita os botões de ação até que um item seja selecionado
       this.setActionsDisabled(true);
 
-      // Carrega a primeira página de dados
-      this.loadPage();
+      // Carrega a primeira página de dados (com visões salvas, depois de aplicar a visão padrão)
+      if (this.els.savedViews) this.wireSavedViews();
+      else this.loadPage();
     }
 
     // ========================================
@@ -153,260 +418,2349 @@
     }
 
     /**
-     * Limpa a seleção atual da tabela.
-     * Remove a classe 'selected' de todas as linhas e desabilita os botões de ação.
+     * Número de colunas da tabela, incluindo a coluna de checkbox (para colspan em mensagens).
+     * 
+     * @returns {number} Quantidade de colunas
      */
-    clearSelection() {
-      if (!this.els.tbody) return;
-      this.els.tbody
-        .querySelectorAll('tr')
-        .forEach(tr => tr.classList.remove('selected'));
-      this.state.selectedId = null;
-      this.setActionsDisabled(true);
+    colspan() {
+      return (this.cfg.columns?.length || 1) + (this.cfg.multiSelect ? 1 : 0);
     }
 
     /**
-     * Constrói a query string para a requisição à API.
-     * Inclui parâmetros de paginação e filtros (se houver).
+     * Cabeçalhos das colunas de dados (sem a coluna de checkbox), na ordem exibida.
      * 
-     * @returns {string} Query string formatada (ex: "page=1&pageSize=20&column=nome&search=João")
+     * @returns {HTMLTableCellElement[]} Cabeçalhos da tabela
      */
-    buildQueryString() {
-      const p = new URLSearchParams();
-      p.set('page', this.state.page.toString());
-      p.set('pageSize', this.state.pageSize.toString());
+    columnHeaders() {
+      return this.els.thead ? [...this.els.thead.querySelectorAll('th:not(.select-cell)')] : [];
+    }
 
-      // Adiciona filtros apenas se ambos (coluna e texto) estiverem preenchidos
-      if (this.state.column && this.state.search) {
-        const colParam = this.cfg.columnParamName ?? 'column';
-        const searchParam = this.cfg.searchParamName ?? 'search';
-        p.set(colParam, this.state.column);
-        p.set(searchParam, this.state.search);
-      }
+    /**
+     * Extrai o ID de uma linha da tabela (atributo data-id).
+     * 
+     * @param {HTMLElement} tr - Linha da tabela
+     * @returns {number|null} ID da linha ou null se não houver
+     */
+    rowId(tr) {
+      return parseInt(tr.getAttribute('data-id') || '0', 10) || null;
+    }
 
-      return p.toString();
+    /**
+     * ID de um item da API (o mesmo que vai no data-id da linha).
+     * 
+     * @param {Object} item - Item retornado pela API
+     * @returns {number|null} ID do item
+     */
+    itemId(item) {
+      const id = this.cfg.mapRow ? this.cfg.mapRow(item).id : (item.id ?? item.Id);
+      return parseInt(id ?? '0', 10) || null;
     }
 
     /**
-     * Atualiza a interface de paginação (texto informativo e estado dos botões).
+     * IDs das linhas carregadas, na ordem da lista: as linhas da página ou, na rolagem virtual,
+     * todos os itens já carregados (inclusive os que estão fora da área visível).
+     * 
+     * @returns {number[]} IDs das linhas
      */
-    updatePagerUi() {
-      const { pagerInfo, pagerPrev, pagerNext } = this.els;
-      const { page, pageSize, total } = this.state;
+    listIds() {
+      if (this.virtual) return this.virtual.items.filter(Boolean).map(item => this.itemId(item));
+      return [...this.els.tbody.querySelectorAll('tr[data-id]')].map(tr => this.rowId(tr));
+    }
 
-      // Calcula o intervalo de itens exibidos (ex: "Mostrando 1-20 de 100")
-      const start = total === 0 ? 0 : (page - 1) * pageSize + 1;
-      const end = Math.min(page * pageSize, total);
+    // ========================================
+    // FONTE DE DADOS E COLUNAS
+    // ========================================
+    /**
+     * Troca a URL de onde a lista busca os registros (ex: alternar entre ativos e lixeira).
+     * A lista volta para a primeira página e a seleção é limpa; filtro e ordenação são mantidos.
+     * Os endpoints de IDs e de exportação padrão acompanham a troca (endpoint + '/ids', endpoint + '/exportar').
+     * 
+     * @param {string} endpoint - Nova URL base da API
+     * @param {Object} [opts] - Opções
+     * @param {boolean} [opts.load=true] - Se false, apenas troca a URL (quem chamou recarrega a lista)
+     */
+    setEndpoint(endpoint, { load = true } = {}) {
+      if (endpoint === this.cfg.endpoint) return;
 
-      // Atualiza o texto informativo
-      if (pagerInfo) {
-        pagerInfo.textContent = `Mostrando ${start}-${end} de ${total}`;
-      }
+      this.request?.abort(); // Uma resposta da fonte anterior nunca deve ser exibida
+      this.pageRequest?.abort();
+      this.cfg.endpoint = endpoint;
+      this.state.page = 1;
+      this.state.total = 0;
+      this.state.selectedIds = new Set();
+      this.state.anchorId = null;
+      this.state.activeId = null;
+      if (this.live) this.connectLive(); // Cada fonte tem o seu fluxo de eventos
 
-      // Desabilita o botão "Anterior" se estiver na primeira página
-      if (pagerPrev) {
-        if (page <= 1) pagerPrev.classList.add('is-disabled');
-        else pagerPrev.classList.remove('is-disabled');
-      }
+      if (load) this.loadPage();
+    }
 
-      // Desabilita o botão "Próxima" se estiver na última página
-      if (pagerNext) {
-        if (end >= total) pagerNext.classList.add('is-disabled');
-        else pagerNext.classList.remove('is-disabled');
+    /**
+     * Mostra ou oculta uma coluna da tabela (cabeçalho e células).
+     * Uma coluna oculta deixa de ordenar a lista e não entra na exportação.
+     * 
+     * @param {string} key - Nome da coluna (cfg.columns[].key)
+     * @param {boolean} hidden - true para ocultar
+     */
+    setColumnHidden(key, hidden) {
+      const col = this.column(key);
+      if (!col || !!col.hidden === hidden) return;
+
+      col.hidden = hidden;
+      if (hidden && this.state.sort.some(s => s.key === key)) {
+        this.state.sort = this.state.sort.filter(s => s.key !== key);
+        this.updateSortUi();
       }
+      this.updateColumnsUi();
+
+      // Colunas da tela (ex: "Excluído em" na lixeira) não fazem parte do layout do usuário
+      if (col.toggleable !== false) this.saveColumnLayout();
+      this.renderColumnChooser();
     }
 
     /**
-     * Renderiza uma linha da tabela a partir de um item da API.
-     * Usa a função cfg.mapRow fornecida pelo usuário para mapear os dados.
+     * Aplica a visibilidade (cfg.columns[].hidden) e a largura (cfg.columns[].width)
+     * aos cabeçalhos e às linhas já exibidas.
+     */
+    updateColumnsUi() {
+      this.columnHeaders().forEach(th => {
+        const col = this.column(th.dataset.col);
+        th.hidden = !!col?.hidden;
+        th.style.width = col?.width ? `${col.width}px` : '';
+      });
+
+      this.els.tbody?.querySelectorAll('tr[data-id]').forEach(tr => this.arrangeRow(tr, false));
+    }
+
+    // ========================================
+    // LAYOUT DAS COLUNAS
+    // ========================================
+    // A ordem fica em this.columnOrder (chaves de cfg.columns); a visibilidade e a largura,
+    // em cada coluna (hidden, width). Cada <th> e <td> leva a chave da coluna em data-col,
+    // então reordenar é só mover as células, sem buscar os dados de novo.
+
+    /**
+     * Definição de uma coluna pela chave.
      * 
-     * @param {Object} item - Item retornado pela API
-     * @returns {string} HTML da linha (<tr>...</tr>)
+     * @param {string} key - Nome da coluna (cfg.columns[].key)
+     * @returns {Object|undefined} Coluna de cfg.columns
      */
-    renderRow(item) {
-      if (!this.cfg.mapRow) {
-        throw new Error('CrudList: cfg.mapRow(item) não foi definido.');
-      }
+    column(key) {
+      return (this.cfg.columns ?? []).find(c => c.key === key);
+    }
 
-      // Chama a função de mapeamento fornecida pelo usuário
-      const row = this.cfg.mapRow(item);
-      const id = row.id;
-      const cells = row.cells ?? [];
+    /**
+     * Colunas na ordem exibida.
+     * 
+     * @returns {Object[]} Colunas de cfg.columns
+     */
+    orderedColumns() {
+      const columns = this.cfg.columns ?? [];
+      if (!this.columnOrder) return columns;
+      return this.columnOrder.map(key => this.column(key)).filter(Boolean);
+    }
 
-      // Gera o HTML das células
-      const tds = cells
-        .map(val => `<td>${val ?? ''}</td>`)
-        .join('');
+    /**
+     * Guarda o layout padrão da tela, aplica o layout lembrado e gera o cabeçalho da tabela.
+     */
+    initColumns() {
+      const columns = this.cfg.columns ?? [];
+      this.columnOrder = columns.map(c => c.key);
+      this.defaultLayout = {
+        order: [...this.columnOrder],
+        hidden: columns.filter(c => c.hidden).map(c => c.key),
+        widths: Object.fromEntries(columns.map(c => [c.key, c.width ?? null])),
+      };
 
-      // Retorna a linha completa com o atributo data-id para identificação
-      return `<tr data-id="${id}">${tds}</tr>`;
+      this.loadColumnLayout();
+      this.buildHeader();
     }
 
     /**
-     * Conecta os eventos de clique e duplo clique nas linhas da tabela.
-     * - Clique simples: seleciona a linha e habilita os botões de ação
-     * - Duplo clique: abre o modal de visualização (se configurado)
+     * Chave do localStorage onde fica o layout das colunas da tela.
+     * 
+     * @returns {string|null} Chave, ou null se a tela não lembra o layout
      */
-    wireRowSelection() {
-      if (!this.els.tbody) return;
+    columnLayoutKey() {
+      const screen = this.cfg.columnChooser?.screen;
+      return screen ? `crudList.columns.${screen}` : null;
+    }
 
-      this.els.tbody.querySelectorAll('tr').forEach(tr => {
-        // Evento de clique simples: seleciona a linha
-        tr.addEventListener('click', () => {
-          // Remove a seleção de todas as linhas
-          this.els.tbody
-            .querySelectorAll('tr')
-            .forEach(x => x.classList.remove('selected'));
+    /**
+     * Aplica o layout lembrado (ordem, colunas ocultas e larguras). Colunas desconhecidas
+     * são ignoradas; colunas novas na tela, que o layout ainda não conhece, mantêm o padrão.
+     */
+    loadColumnLayout() {
+      const key = this.columnLayoutKey();
+      if (!key) return;
 
-          // Adiciona a classe 'selected' à linha clicada
-          tr.classList.add('selected');
+      let saved = null;
+      try {
+        saved = JSON.parse(localStorage.getItem(key) ?? 'null');
+      } catch {
+        saved = null; // Conteúdo corrompido ou localStorage indisponível: layout padrão
+      }
+      if (!saved || typeof saved !== 'object') return;
 
-          // Extrai o ID da linha e atualiza o estado
-          const id = parseInt(tr.getAttribute('data-id') || '0', 10) || null;
-          this.state.selectedId = id;
+      const known = Array.isArray(saved.order)
+        ? saved.order.filter((k, i, all) => this.columnOrder.includes(k) && all.indexOf(k) === i)
+        : [];
+      this.columnOrder = [...known, ...this.columnOrder.filter(k => !known.includes(k))];
 
-          // Habilita os botões de ação se um ID válido foi selecionado
-          this.setActionsDisabled(!(id && id > 0));
-        });
+      const hidden = Array.isArray(saved.hidden) ? saved.hidden : [];
+      this.toggleableColumns()
+        .filter(c => known.includes(c.key))
+        .forEach(c => { c.hidden = hidden.includes(c.key); });
 
-        // Evento de duplo clique: abre o modal de visualização
-        tr.addEventListener('dblclick', () => {
-          const id = parseInt(tr.getAttribute('data-id') || '0', 10) || null;
-          if (id && this.cfg.onView) {
-            this.cfg.onView(id);
-          }
-        });
+      const widths = saved.widths && typeof saved.widths === 'object' ? saved.widths : {};
+      (this.cfg.columns ?? []).forEach(c => {
+        const width = widths[c.key];
+        if (Number.isFinite(width) && width >= MIN_COLUMN_WIDTH) c.width = Math.round(width);
       });
     }
 
-    // ========================================
-    // CARREGAMENTO DE PÁGINA
-    // ========================================
     /**
-     * Carrega uma página de dados da API e atualiza a tabela.
-     * Esta é a função principal que orquestra a busca e renderização dos dados.
+     * Grava o layout atual das colunas no localStorage da tela.
      */
-    async loadPage() {
-      const { tbody, pagerInfo, pagerPrev, pagerNext } = this.els;
-      if (!tbody) return;
-      if (this.state.loading) return; // Evita múltiplas requisições simultâneas
+    saveColumnLayout() {
+      const key = this.columnLayoutKey();
+      if (!key) return;
 
-      this.state.loading = true;
-      this.clearSelection(); // Limpa a seleção ao carregar nova página
+      const layout = {
+        order: this.columnOrder,
+        hidden: this.toggleableColumns().filter(c => c.hidden).map(c => c.key),
+        widths: Object.fromEntries((this.cfg.columns ?? []).filter(c => c.width).map(c => [c.key, c.width])),
+      };
+      try {
+        localStorage.setItem(key, JSON.stringify(layout));
+      } catch {
+        // Sem localStorage (ex: navegação privada): o layout vale só até recarregar a página
+      }
+    }
 
-      const colspan = this.cfg.columnsCount ?? 1;
+    /**
+     * Gera os cabeçalhos das colunas a partir de cfg.columns, na ordem atual.
+     * Colunas sem label usam o texto do <th> que estava na mesma posição no HTML.
+     */
+    buildHeader() {
+      const headRow = this.els.thead?.querySelector('tr');
+      if (!headRow) return;
 
-      // Exibe mensagem de carregamento
-      tbody.innerHTML = `
-        <tr>
-          <td colspan="${colspan}" class="text-center text-muted">Carregando...</td>
-        </tr>
-      `;
-      if (pagerInfo) pagerInfo.textContent = 'Carregando...';
-      pagerPrev?.classList.add('is-disabled');
-      pagerNext?.classList.add('is-disabled');
+      const existing = [...headRow.querySelectorAll('th:not(.select-cell)')];
+      (this.cfg.columns ?? []).forEach((col, index) => {
+        col.label ??= existing[index]?.textContent.trim() || col.key;
+      });
+      existing.forEach(th => th.remove());
 
-      try {
-        // Constrói a URL com os parâmetros de paginação e filtros
-        const qs = this.buildQueryString();
-        const url = `${this.cfg.endpoint}?${qs}`;
+      this.orderedColumns().forEach(col => {
+        const th = document.createElement('th');
+        th.scope = 'col';
+        th.dataset.col = col.key;
+        const label = document.createElement('span');
+        label.className = 'col-label';
+        label.textContent = col.label;
+        th.appendChild(label);
+        headRow.appendChild(th);
+      });
+    }
 
-        // Faz a requisição à API
-        const resp = await fetch(url);
-        if (!resp.ok) {
-          const txt = await resp.text();
-          throw new Error(txt || `Erro HTTP ${resp.status}`);
-        }
+    /**
+     * Coloca as células de uma linha (cabeçalho ou corpo) na ordem atual e aplica a visibilidade.
+     * A célula de checkbox, sem data-col, fica sempre em primeiro.
+     * 
+     * @param {HTMLTableRowElement} tr - Linha
+     * @param {boolean} [reorder=true] - Se false, só aplica a visibilidade
+     */
+    arrangeRow(tr, reorder = true) {
+      const cells = new Map([...tr.cells].filter(td => td.dataset.col).map(td => [td.dataset.col, td]));
+      this.orderedColumns().forEach(col => {
+        const td = cells.get(col.key);
+        if (!td) return;
+        td.hidden = !!col.hidden;
+        if (reorder) tr.appendChild(td);
+      });
+    }
 
-        const data = await resp.json();
-        let items = [];
-        let total = 0;
-
-        // A API pode retornar um array simples ou um objeto com { items, total }
-        if (Array.isArray(data)) {
-          items = data;
-          total = data.length;
-        } else if (data && typeof data === 'object') {
-          if (Array.isArray(data.items)) items = data.items;
-          if (typeof data.total === 'number') total = data.total;
-          else total = items.length;
-        }
+    /**
+     * Reordena as células do cabeçalho, das linhas exibidas e das linhas retiradas
+     * com removeRows (que podem voltar à tabela com restoreRows).
+     */
+    arrangeColumns() {
+      const headRow = this.els.thead?.querySelector('tr');
+      if (headRow) this.arrangeRow(headRow);
+      this.els.tbody?.querySelectorAll('tr[data-id]').forEach(tr => this.arrangeRow(tr));
+      this.removedRows?.forEach(tr => this.arrangeRow(tr));
+      this.updateColumnsUi();
+    }
 
-        this.state.total = total;
+    /**
+     * Move uma coluna para outra posição e lembra o novo layout.
+     * 
+     * @param {string} key - Nome da coluna
+     * @param {number} index - Nova posição (0 = primeira)
+     */
+    moveColumn(key, index) {
+      const from = this.columnOrder.indexOf(key);
+      if (from < 0) return;
 
-        // Se não houver itens, exibe mensagem
-        if (!items.length) {
-          tbody.innerHTML = `
-            <tr>
-              <td colspan="${colspan}" class="text-center text-muted">
-                Nenhum registro encontrado.
-              </td>
-            </tr>
-          `;
-        } else {
-          // Renderiza as linhas da tabela
-          tbody.innerHTML = items.map(item => this.renderRow(item)).join('');
-        }
+      const order = this.columnOrder.filter(k => k !== key);
+      const to = Math.max(0, Math.min(index, order.length));
+      if (to === from) return;
+      order.splice(to, 0, key);
+      this.columnOrder = order;
 
-        // Conecta os eventos de seleção nas novas linhas
-        this.wireRowSelection();
+      this.arrangeColumns();
+      this.saveColumnLayout();
+      this.renderColumnChooser();
+    }
 
-        // Atualiza a interface de paginação
-        this.updatePagerUi();
+    /**
+     * Define a largura de uma coluna (null volta à largura automática) e lembra o novo layout.
+     * 
+     * @param {string} key - Nome da coluna
+     * @param {number|null} width - Largura em px
+     */
+    setColumnWidth(key, width) {
+      const col = this.column(key);
+      if (!col) return;
 
-        // Habilita o botão "Novo" após o carregamento
-        if (this.els.btnNew) this.els.btnNew.disabled = false;
+      col.width = width == null ? null : Math.max(MIN_COLUMN_WIDTH, Math.round(width));
+      this.updateColumnsUi();
+      this.saveColumnLayout();
+    }
 
-      } catch (err) {
-        console.error('CrudList loadPage error:', err);
-        tbody.innerHTML = `
-          <tr>
-            <td colspan="${colspan}" class="text-center text-muted">
-              Erro ao carregar dados.
-            </td>
-          </tr>
-        `;
-        if (pagerInfo) pagerInfo.textContent = 'Erro ao carregar';
-      } finally {
-        this.state.loading = false;
+    /**
+     * Mostra ou oculta uma coluna a pedido do usuário (seletor de colunas).
+     * Se a coluna ordenava a lista, a lista é recarregada sem ela.
+     * 
+     * @param {string} key - Nome da coluna
+     * @param {boolean} hidden - true para ocultar
+     */
+    toggleColumn(key, hidden) {
+      const sorted = this.state.sort.some(s => s.key === key);
+      this.setColumnHidden(key, hidden);
+
+      if (hidden && sorted) {
+        this.state.page = 1;
+        this.loadPage();
+      } else {
+        this.savedViews?.sync();
       }
     }
 
-    // ========================================
-    // FILTROS
-    // ========================================
     /**
-     * Conecta os eventos dos campos de filtro (select de coluna e input de texto).
+     * Volta as colunas ao layout padrão da tela (ordem, visibilidade e larguras).
      */
-    wireFilters() {
-      const { filterColumn, filterText } = this.els;
+    resetColumns() {
+      const { order, hidden, widths } = this.defaultLayout;
+      this.columnOrder = [...order];
+      (this.cfg.columns ?? []).forEach(c => { c.width = widths[c.key]; });
 
-      // Filtro de coluna (select)
-      if (filterColumn) {
-        // Garante que o estado inicial da coluna está sincronizado com o select
-        if (!this.state.column) {
-          this.state.column = filterColumn.value || null;
-        }
+      const sorted = this.toggleableColumns().some(c => hidden.includes(c.key) && this.state.sort.some(s => s.key === c.key));
+      this.toggleableColumns().forEach(c => { c.hidden = hidden.includes(c.key); });
+      this.state.sort = this.state.sort.filter(s => !this.column(s.key)?.hidden);
 
-        // Evento de mudança de coluna: recarrega a primeira página
-        filterColumn.addEventListener('change', () => {
-          this.state.column = filterColumn.value || null;
-          this.state.page = 1; // Volta para a primeira página ao filtrar
-          this.loadPage();
-        });
+      this.arrangeColumns();
+      this.updateSortUi();
+      this.saveColumnLayout();
+      this.renderColumnChooser();
+
+      if (sorted) {
+        this.state.page = 1;
+        this.loadPage();
+      } else {
+        this.savedViews?.sync();
       }
+    }
 
-      // Filtro de texto (input)
-      if (filterText) {
-        // Função que dispara a busca
-        const shoot = () => {
-          this.state.search = filterText.value || '';
-          this.state.page = 1; // Volta para a primeira página ao filtrar
-          this.loadPage();
-        };
+    /**
+     * Conecta o arraste (reordenar) e a alça de largura (redimensionar) de cada cabeçalho.
+     * - Arrastar o cabeçalho e soltar sobre outro: a coluna passa para antes/depois dele
+     * - Arrastar a alça na borda direita: ajusta a largura; duplo clique volta ao automático
+     * - Setas ←/→ com o foco na alça: diminuem/aumentam a largura
+     */
+    wireColumnLayout() {
+      this.columnHeaders().forEach(th => {
+        const key = th.dataset.col;
+        const col = this.column(key);
+        if (!col) return;
 
-        // Evento de digitação com debounce (aguarda 250ms após parar de digitar)
-        filterText.addEventListener('input', debounce(shoot, 250));
+        // Reordenar arrastando o cabeçalho
+        th.draggable = true;
+        th.addEventListener('dragstart', ev => {
+          this.dragColumn = key;
+          ev.dataTransfer?.setData('text/plain', key);
+          if (ev.dataTransfer) ev.dataTransfer.effectAllowed = 'move';
+          th.classList.add('is-dragging');
+        });
+        th.addEventListener('dragover', ev => {
+          if (!this.dragColumn || this.dragColumn === key) return;
+          ev.preventDefault(); // Permite soltar aqui
+          const rect = th.getBoundingClientRect();
+          const after = ev.clientX > rect.left + rect.width / 2;
+          th.classList.toggle('drop-before', !after);
+          th.classList.toggle('drop-after', after);
+        });
+        th.addEventListener('dragleave', () => th.classList.remove('drop-before', 'drop-after'));
+        th.addEventListener('drop', ev => {
+          ev.preventDefault();
+          const after = th.classList.contains('drop-after');
+          th.classList.remove('drop-before', 'drop-after');
+          const dragged = this.dragColumn;
+          if (!dragged || dragged === key) return;
+          const order = this.columnOrder.filter(k => k !== dragged);
+          this.moveColumn(dragged, order.indexOf(key) + (after ? 1 : 0));
+        });
+        th.addEventListener('dragend', () => {
+          this.dragColumn = null;
+          th.classList.remove('is-dragging');
+        });
+
+        // Alça de largura na borda direita do cabeçalho
+        const handle = document.createElement('span');
+        handle.className = 'col-resizer';
+        handle.tabIndex = 0;
+        handle.setAttribute('role', 'separator');
+        handle.setAttribute('aria-orientation', 'vertical');
+        handle.setAttribute('aria-label', `Largura da coluna ${col.label}`);
+        handle.title = 'Arraste para ajustar a largura (duplo clique: automática)';
+        th.appendChild(handle);
+
+        handle.addEventListener('pointerdown', ev => {
+          ev.preventDefault();
+          ev.stopPropagation();
+          const startX = ev.clientX;
+          const startWidth = th.getBoundingClientRect().width;
+          th.draggable = false; // Enquanto redimensiona, o cabeçalho não é arrastado
+
+          const move = e => {
+            col.width = Math.max(MIN_COLUMN_WIDTH, Math.round(startWidth + e.clientX - startX));
+            th.style.width = `${col.width}px`;
+          };
+          const up = () => {
+            document.removeEventListener('pointermove', move);
+            document.removeEventListener('pointerup', up);
+            th.draggable = true;
+            this.saveColumnLayout();
+
+            // O clique que encerra o arraste não deve ordenar a coluna
+            this.ignoreHeaderClick = true;
+            setTimeout(() => { this.ignoreHeaderClick = false; });
+          };
+          document.addEventListener('pointermove', move);
+          document.addEventListener('pointerup', up);
+        });
+
+        handle.addEventListener('click', ev => ev.stopPropagation());
+        handle.addEventListener('dblclick', ev => {
+          ev.stopPropagation();
+          this.setColumnWidth(key, null);
+        });
+        handle.addEventListener('keydown', ev => {
+          if (ev.key === 'Tab') return;
+          ev.stopPropagation(); // Enter/Espaço na alça não ordenam a coluna
+          if (ev.key !== 'ArrowLeft' && ev.key !== 'ArrowRight') return;
+          ev.preventDefault();
+          const current = col.width ?? th.getBoundingClientRect().width;
+          this.setColumnWidth(key, current + (ev.key === 'ArrowRight' ? COLUMN_WIDTH_STEP : -COLUMN_WIDTH_STEP));
+        });
+      });
+    }
+
+    /**
+     * Monta o botão "Colunas" e o painel com as colunas que o usuário pode mostrar, ocultar e reordenar.
+     */
+    wireColumnChooser() {
+      const container = this.els.columnChooser;
+      if (!container) return;
+
+      const panelId = `column-chooser-${this.cfg.columnChooser.screen ?? 'lista'}`;
+      const toggle = document.createElement('button');
+      toggle.type = 'button';
+      toggle.className = 'column-chooser-toggle';
+      toggle.textContent = '☰ Colunas';
+      toggle.setAttribute('aria-expanded', 'false');
+      toggle.setAttribute('aria-controls', panelId);
+
+      const panel = document.createElement('div');
+      panel.className = 'column-chooser-panel';
+      panel.id = panelId;
+      panel.hidden = true;
+      panel.setAttribute('role', 'group');
+      panel.setAttribute('aria-label', 'Colunas da tabela');
+
+      const list = document.createElement('ul');
+      list.className = 'column-chooser-list';
+
+      const reset = document.createElement('button');
+      reset.type = 'button';
+      reset.className = 'column-chooser-reset';
+      reset.textContent = 'Restaurar padrão';
+      reset.addEventListener('click', () => this.resetColumns());
+
+      panel.append(list, reset);
+      container.classList.add('column-chooser');
+      container.replaceChildren(toggle, panel);
+      this.chooser = { container, toggle, panel, list };
+
+      const setOpen = open => {
+        panel.hidden = !open;
+        toggle.setAttribute('aria-expanded', open ? 'true' : 'false');
+      };
+      toggle.addEventListener('click', () => {
+        setOpen(panel.hidden);
+        if (!panel.hidden) panel.querySelector('input')?.focus();
+      });
+
+      // Esc fecha o painel e devolve o foco ao botão; clicar fora também fecha
+      panel.addEventListener('keydown', ev => {
+        if (ev.key !== 'Escape') return;
+        ev.preventDefault();
+        ev.stopPropagation();
+        setOpen(false);
+        toggle.focus();
+      });
+      document.addEventListener('click', ev => {
+        if (!panel.hidden && !container.contains(ev.target)) setOpen(false);
+      });
+
+      this.renderColumnChooser();
+    }
+
+    /**
+     * Recria a lista do seletor de colunas (checkbox e botões ▲/▼ de cada coluna),
+     * mantendo o foco no mesmo controle quando a lista é refeita.
+     */
+    renderColumnChooser() {
+      if (!this.chooser) return;
+      const { list } = this.chooser;
+
+      const focused = list.contains(document.activeElement) ? document.activeElement : null;
+      const focusKey = focused?.closest('li')?.dataset.col;
+      const focusRole = focused?.dataset.role;
+
+      const columns = this.orderedColumns().filter(c => c.toggleable !== false);
+      const visibleCount = (this.cfg.columns ?? []).filter(c => !c.hidden).length;
+
+      list.replaceChildren(...columns.map((col, index) => {
+        const li = document.createElement('li');
+        li.dataset.col = col.key;
+
+        const label = document.createElement('label');
+        const box = document.createElement('input');
+        box.type = 'checkbox';
+        box.checked = !col.hidden;
+        box.dataset.role = 'toggle';
+        box.disabled = !col.hidden && visibleCount <= 1; // A tabela mantém ao menos uma coluna
+        box.addEventListener('change', () => this.toggleColumn(col.key, !box.checked));
+        label.append(box, ` ${col.label}`);
+
+        const move = (text, role, ariaLabel, target) => {
+          const btn = document.createElement('button');
+          btn.type = 'button';
+          btn.className = 'column-chooser-move';
+          btn.textContent = text;
+          btn.dataset.role = role;
+          btn.setAttribute('aria-label', ariaLabel);
+          btn.disabled = !target;
+          // Passa para antes (▲) ou depois (▼) da vizinha na lista
+          btn.addEventListener('click', () => {
+            const order = this.columnOrder.filter(k => k !== col.key);
+            this.moveColumn(col.key, order.indexOf(target.key) + (role === 'down' ? 1 : 0));
+          });
+          return btn;
+        };
+
+        li.append(
+          label,
+          move('▲', 'up', `Mover ${col.label} para a esquerda`, columns[index - 1]),
+          move('▼', 'down', `Mover ${col.label} para a direita`, columns[index + 1]));
+        return li;
+      }));
+
+      if (focusKey) {
+        const li = list.querySelector(`li[data-col="${focusKey}"]`);
+        const target = li?.querySelector(`[data-role="${focusRole}"]:not(:disabled)`) ?? li?.querySelector('input');
+        target?.focus();
+      }
+    }
+
+    // ========================================
+    // REMOÇÃO OTIMISTA DE LINHAS
+    // ========================================
+    /**
+     * Retira da tabela as linhas dos IDs informados, sem esperar a resposta do servidor
+     * (ex: exclusão com "Desfazer"). As linhas ficam guardadas até a próxima carga da página
+     * e voltam para a mesma posição com restoreRows (ao desfazer ou se o servidor falhar).
+     * Os IDs saem da seleção e o total da paginação é ajustado. Se a página ficar vazia,
+     * ela é recarregada.
+     * 
+     * @param {number[]} ids - IDs das linhas
+     */
+    removeRows(ids) {
+      const { tbody } = this.els;
+      if (!tbody) return;
+      if (this.virtual) return this.removeVirtualRows(ids);
+      this.removedRows ??= new Map();
+
+      const hadFocus = tbody.contains(document.activeElement);
+      let removed = 0;
+
+      ids.forEach(id => {
+        this.state.selectedIds.delete(id);
+        const tr = tbody.querySelector(`tr[data-id="${id}"]`);
+        if (!tr) return;
+
+        // A linha ativa vai embora: a seguinte (ou a anterior) assume o seu lugar
+        if (this.state.activeId === id) {
+          const next = tr.nextElementSibling ?? tr.previousElementSibling;
+          this.state.activeId = next ? this.rowId(next) : null;
+        }
+
+        this.removedRows.set(id, tr);
+        tr.remove();
+        removed++;
+      });
+
+      this.state.total = Math.max(0, this.state.total - removed);
+
+      if (!tbody.querySelector('tr[data-id]')) {
+        this.loadPage();
+        return;
+      }
+
+      this.updateSelectionUi();
+      this.updatePagerUi();
+      if (hadFocus) this.focusActiveRow();
+      else if (this.state.activeId) this.setActiveRow(this.state.activeId);
+    }
+
+    /**
+     * Devolve à tabela, na posição original, linhas retiradas com removeRows.
+     * Linhas de uma página que já foi recarregada não existem mais e são ignoradas.
+     * 
+     * @param {number[]} ids - IDs das linhas
+     * @returns {number} Quantidade de linhas devolvidas (menor que ids.length se a página mudou)
+     */
+    restoreRows(ids) {
+      if (this.virtual) return this.restoreVirtualRows(ids);
+      const { tbody } = this.els;
+      const order = this.pageIds ?? [];
+      let restored = 0;
+
+      ids
+        .filter(id => this.removedRows?.has(id))
+        .sort((a, b) => order.indexOf(a) - order.indexOf(b))
+        .forEach(id => {
+          const tr = this.removedRows.get(id);
+          this.removedRows.delete(id);
+          this.arrangeRow(tr); // As colunas podem ter mudado enquanto a linha estava fora
+
+          // Insere antes da primeira linha exibida que vinha depois dela na página
+          const position = order.indexOf(id);
+          const before = [...tbody.querySelectorAll('tr[data-id]')]
+            .find(row => order.indexOf(this.rowId(row)) > position);
+          tbody.insertBefore(tr, before ?? null);
+          restored++;
+        });
+
+      if (restored) {
+        this.state.total += restored;
+        this.updateSelectionUi();
+        this.updatePagerUi();
+      }
+      return restored;
+    }
+
+    // ========================================
+    // SELEÇÃO
+    // ========================================
+    /**
+     * Retorna os IDs selecionados (em qualquer página).
+     * 
+     * @returns {number[]} IDs selecionados
+     */
+    getSelectedIds() {
+      return [...this.state.selectedIds];
+    }
+
+    /**
+     * Substitui a seleção atual pelos IDs informados.
+     * 
+     * @param {number[]} ids - IDs a serem selecionados
+     */
+    setSelection(ids) {
+      this.state.selectedIds = new Set(ids);
+      this.updateSelectionUi();
+    }
+
+    /**
+     * Marca ou desmarca um ID, mantendo os demais selecionados.
+     * 
+     * @param {number} id - ID da linha
+     * @param {boolean} [selected] - Estado desejado (ausente = inverte o atual)
+     */
+    toggleSelection(id, selected) {
+      const set = this.state.selectedIds;
+      const on = selected ?? !set.has(id);
+      if (on) set.add(id);
+      else set.delete(id);
+      this.updateSelectionUi();
+    }
+
+    /**
+     * Seleciona todas as linhas carregadas entre a última linha clicada e a linha informada.
+     * 
+     * @param {number} toId - ID da linha final do intervalo
+     */
+    selectRange(toId) {
+      const ids = this.listIds();
+      const from = ids.indexOf(this.state.anchorId);
+      const to = ids.indexOf(toId);
+
+      // Sem âncora nesta página: seleciona apenas a linha clicada
+      if (from < 0 || to < 0) {
+        this.toggleSelection(toId, true);
+        return;
+      }
+
+      const [start, end] = from < to ? [from, to] : [to, from];
+      ids.slice(start, end + 1).forEach(id => this.state.selectedIds.add(id));
+      this.updateSelectionUi();
+    }
+
+    /**
+     * Limpa a seleção atual da tabela.
+     * Remove a classe 'selected' de todas as linhas e desabilita os botões de ação.
+     */
+    clearSelection() {
+      this.state.selectedIds.clear();
+      this.state.anchorId = null;
+      this.updateSelectionUi();
+    }
+
+    /**
+     * Seleciona todos os registros que atendem ao filtro atual (em todas as páginas).
+     * Os IDs são obtidos do endpoint de IDs (cfg.idsEndpoint ou endpoint + '/ids'), que devolve
+     * { ids, total } (ou só a lista de IDs). Se o servidor cortou a lista no seu limite, a seleção
+     * fica com os IDs recebidos e um aviso informa quantos registros ficaram de fora.
+     */
+    async selectAllMatching() {
+      const p = new URLSearchParams(this.buildQueryString());
+      p.delete('page');
+      p.delete('pageSize');
+      const url = `${this.cfg.idsEndpoint ?? `${this.cfg.endpoint}/ids`}?${p.toString()}`;
+
+      try {
+        const resp = await fetch(url);
+        if (!resp.ok) {
+          const txt = await resp.text();
+          throw new Error(txt || `Erro HTTP ${resp.status}`);
+        }
+        const data = await resp.json();
+        const ids = Array.isArray(data) ? data : (data?.ids ?? data?.Ids ?? []);
+        const total = Array.isArray(data) ? ids.length : (data?.total ?? data?.Total ?? ids.length);
+        this.setSelection(ids);
+
+        if (ids.length < total) {
+          window.AppToast.warning(
+            `Foram selecionados os primeiros ${ids.length} de ${total} registros (limite de uma seleção). ` +
+            'Refine o filtro para alcançar os demais.');
+        }
+      } catch (err) {
+        console.error('CrudList selectAllMatching error:', err);
+        window.AppToast.error(err, 'Falha ao selecionar todos os registros.');
+      }
+    }
+
+    /**
+     * Sincroniza a interface com a seleção: destaque e checkbox das linhas,
+     * checkbox do cabeçalho, contador de seleção e estado dos botões de ação.
+     * Visualizar/Editar exigem exatamente uma linha; Excluir aceita várias (se houver onBulkDelete).
+     */
+    updateSelectionUi() {
+      const { tbody, thead, btnView, btnEdit, btnDelete } = this.els;
+      const set = this.state.selectedIds;
+      const count = set.size;
+
+      this.state.selectedId = count === 1 ? [...set][0] : null;
+      this.saveSelectionToHistory();
+
+      // Linhas exibidas e contagem das linhas carregadas (a página ou, na rolagem virtual, os itens já carregados)
+      tbody?.querySelectorAll('tr[data-id]').forEach(tr => this.paintRow(tr));
+      const ids = this.listIds();
+      const pageRows = ids.length;
+      const pageSelected = ids.filter(id => set.has(id)).length;
+
+      // Checkbox do cabeçalho: marcado (página toda), indeterminado (parte) ou desmarcado
+      const headBox = thead?.querySelector('.select-cell input');
+      if (headBox) {
+        headBox.checked = pageRows > 0 && pageSelected === pageRows;
+        headBox.indeterminate = pageSelected > 0 && pageSelected < pageRows;
+      }
+
+      // Botões de ação
+      if (btnView) btnView.disabled = count !== 1;
+      if (btnEdit) btnEdit.disabled = count !== 1;
+      if (btnDelete) btnDelete.disabled = count === 0 || (count > 1 && !this.cfg.onBulkDelete);
+
+      this.updateSelectionInfo(pageRows > 0 && pageSelected === pageRows);
+      this.cfg.onSelectionChange?.(this.getSelectedIds());
+    }
+
+    /**
+     * Aplica a uma linha o estado informado pela tela (cfg.rowStatus): o código vai em
+     * data-status (usado pelo CSS) e a descrição no title.
+     * 
+     * @param {HTMLTableRowElement} tr - Linha da tabela
+     */
+    paintStatus(tr) {
+      if (!this.cfg.rowStatus) return;
+      const info = this.cfg.rowStatus(this.rowId(tr));
+      if (info) {
+        tr.dataset.status = info.status;
+        tr.title = info.label ?? '';
+      } else {
+        delete tr.dataset.status;
+        tr.removeAttribute('title');
+      }
+    }
+
+    /**
+     * Reaplica o estado da tela (cfg.rowStatus) às linhas exibidas, sem recarregar a lista.
+     */
+    refreshRowStatus() {
+      this.els.tbody?.querySelectorAll('tr[data-id]').forEach(tr => this.paintStatus(tr));
+    }
+
+    /**
+     * Aplica a uma linha o estado de seleção (destaque, aria-selected e checkbox).
+     * 
+     * @param {HTMLTableRowElement} tr - Linha da tabela
+     */
+    paintRow(tr) {
+      const on = this.state.selectedIds.has(this.rowId(tr));
+      tr.classList.toggle('selected', on);
+      tr.setAttribute('aria-selected', on ? 'true' : 'false');
+      const box = tr.querySelector('.select-cell input');
+      if (box) box.checked = on;
+    }
+
+    /**
+     * Atualiza o contador de seleção ("N selecionados") e os atalhos
+     * "Selecionar todos os X registros" e "Limpar seleção".
+     * 
+     * @param {boolean} pageFullySelected - true se todas as linhas da página estão selecionadas
+     */
+    updateSelectionInfo(pageFullySelected) {
+      const { selectionInfo } = this.els;
+      if (!selectionInfo) return;
+
+      const count = this.state.selectedIds.size;
+      const total = this.state.total;
+      selectionInfo.replaceChildren();
+      selectionInfo.hidden = count === 0;
+      if (!count) return;
+
+      const text = document.createElement('span');
+      text.textContent = count === 1 ? '1 selecionado' : `${count} selecionados`;
+      selectionInfo.appendChild(text);
+
+      // Oferece selecionar todo o filtro quando a página inteira já está marcada
+      if (pageFullySelected && count < total) {
+        const all = document.createElement('button');
+        all.type = 'button';
+        all.className = 'selection-link';
+        all.textContent = `Selecionar todos os ${total} registros`;
+        all.addEventListener('click', () => this.selectAllMatching());
+        selectionInfo.appendChild(all);
+      }
+
+      const clear = document.createElement('button');
+      clear.type = 'button';
+      clear.className = 'selection-link';
+      clear.textContent = 'Limpar seleção';
+      clear.addEventListener('click', () => this.clearSelection());
+      selectionInfo.appendChild(clear);
+    }
+
+    /**
+     * Adiciona ao cabeçalho a coluna de checkbox que marca/desmarca todas as linhas da página
+     * (na rolagem virtual, todas as já carregadas). Só é usada com cfg.multiSelect.
+     */
+    wireSelectAll() {
+      const { thead } = this.els;
+      const headRow = thead?.querySelector('tr');
+      if (!this.cfg.multiSelect || !headRow) return;
+
+      const th = document.createElement('th');
+      th.className = 'select-cell';
+      const box = document.createElement('input');
+      box.type = 'checkbox';
+      box.setAttribute('aria-label', this.virtual ? 'Selecionar todas as linhas carregadas' : 'Selecionar todas as linhas da página');
+      th.appendChild(box);
+      headRow.prepend(th);
+
+      box.addEventListener('change', () => {
+        this.listIds().forEach(id => {
+          if (box.checked) this.state.selectedIds.add(id);
+          else this.state.selectedIds.delete(id);
+        });
+        this.updateSelectionUi();
+      });
+    }
+
+    /**
+     * Constrói a query string para a requisição à API.
+     * Inclui parâmetros de paginação e filtros (se houver).
+     * 
+     * @returns {string} Query string formatada (ex: "page=1&pageSize=20&column=nome&search=João")
+     */
+    buildQueryString() {
+      const p = new URLSearchParams();
+      p.set('page', this.state.page.toString());
+      p.set('pageSize', this.state.pageSize.toString());
+
+      // Adiciona filtros apenas se ambos (coluna e texto) estiverem preenchidos
+      if (this.state.column && this.state.search) {
+        const colParam = this.cfg.columnParamName ?? 'column';
+        const searchParam = this.cfg.searchParamName ?? 'search';
+        p.set(colParam, this.state.column);
+        p.set(searchParam, this.state.search);
+      }
+
+      // Filtro avançado: um parâmetro por condição e os conectores (ex: filter=idade:gt:30&filter=nome:empty&logic=or)
+      if (this.state.conditions.length) {
+        const { filter, logic } = window.FilterBuilder.serialize(this.state.conditions);
+        filter.forEach(f => p.append(this.cfg.filterParamName ?? 'filter', f));
+        if (logic) p.set(this.cfg.logicParamName ?? 'logic', logic);
+      }
+
+      // Adiciona a ordenação como listas paralelas (ex: sort=nome,idade&dir=asc,desc)
+      if (this.state.sort.length) {
+        const sortParam = this.cfg.sortParamName ?? 'sort';
+        const dirParam = this.cfg.dirParamName ?? 'dir';
+        p.set(sortParam, this.state.sort.map(s => s.key).join(','));
+        p.set(dirParam, this.state.sort.map(s => s.dir).join(','));
+      }
+
+      return p.toString();
+    }
+
+    /**
+     * Atualiza a interface de paginação (texto informativo e estado dos botões).
+     */
+    updatePagerUi() {
+      const { pagerInfo, pagerPrev, pagerNext } = this.els;
+      const { page, pageSize, total } = this.state;
+
+      // Rolagem virtual: o intervalo é o das linhas visíveis (não há botões de página)
+      if (this.virtual) {
+        const { first, last } = this.virtual.range;
+        if (pagerInfo) pagerInfo.textContent = total ? `Mostrando ${first + 1}-${last + 1} de ${total}` : 'Mostrando 0-0 de 0';
+        return;
+      }
+
+      // Calcula o intervalo de itens exibidos (ex: "Mostrando 1-20 de 100")
+      const start = total === 0 ? 0 : (page - 1) * pageSize + 1;
+      const end = Math.min(page * pageSize, total);
+
+      // Atualiza o texto informativo
+      if (pagerInfo) {
+        pagerInfo.textContent = `Mostrando ${start}-${end} de ${total}`;
+      }
+
+      // Desabilita o botão "Anterior" se estiver na primeira página
+      if (pagerPrev) {
+        if (page <= 1) pagerPrev.classList.add('is-disabled');
+        else pagerPrev.classList.remove('is-disabled');
+      }
+
+      // Desabilita o botão "Próxima" se estiver na última página
+      if (pagerNext) {
+        if (end >= total) pagerNext.classList.add('is-disabled');
+        else pagerNext.classList.remove('is-disabled');
+      }
+    }
+
+    /**
+     * Renderiza uma linha da tabela a partir de um item da API.
+     * O valor de cada coluna vem de cfg.columns[].value(item), do campo com o nome da coluna
+     * (camelCase ou PascalCase) ou, se definido, de cfg.mapRow (células na ordem de cfg.columns).
+     * O CellRenderer monta cada célula (valores sempre inseridos como texto), e as células
+     * seguem a ordem atual das colunas.
+     * 
+     * @param {Object} item - Item retornado pela API
+     * @returns {HTMLTableRowElement} Linha da tabela com o atributo data-id
+     */
+    renderRow(item) {
+      const columns = this.cfg.columns ?? [];
+      const row = this.cfg.mapRow ? this.cfg.mapRow(item) : null;
+      const valueOf = (col, index) => (row ? row.cells?.[index] : this.cellValue(col, item));
+
+      // Monta a linha via DOM: o id vai em dataset e cada valor passa pelo formatador da coluna
+      const tr = document.createElement('tr');
+      tr.dataset.id = String(row ? row.id ?? '' : this.itemId(item) ?? '');
+      tr.tabIndex = -1; // Focável pelo teclado (apenas a linha ativa entra na ordem do Tab)
+
+      // Coluna de checkbox (seleção múltipla)
+      if (this.cfg.multiSelect) {
+        const td = document.createElement('td');
+        td.className = 'select-cell';
+        const box = document.createElement('input');
+        box.type = 'checkbox';
+        box.setAttribute('aria-label', 'Selecionar linha');
+        td.appendChild(box);
+        tr.appendChild(td);
+      }
+
+      const id = this.rowId(tr);
+      const cells = new Map(columns.map((col, index) => {
+        const td = window.CellRenderer.createCell(valueOf(col, index), col, item);
+        td.dataset.col = col.key;
+        if (col.hidden) td.hidden = true;
+        if (this.canEditCell(id, col)) td.classList.add('is-editable');
+        return [col.key, td];
+      }));
+
+      // Registro com uma célula em edição: o editor passa para a nova linha, com o que já foi digitado
+      const edit = this.cellEdit;
+      if (edit && edit.id === id && cells.has(edit.col.key)) {
+        if (edit.td.contains(document.activeElement)) {
+          queueMicrotask(() => {
+            if (this.cellEdit === edit && edit.td.isConnected) edit.input.focus({ preventScroll: true });
+          });
+        }
+        cells.set(edit.col.key, edit.td);
+      }
+
+      this.orderedColumns().forEach(col => tr.appendChild(cells.get(col.key)));
+      this.rowItems.set(tr, item);
+      this.paintStatus(tr);
+      if (this.live?.highlight.delete(id)) this.flashRow(tr);
+
+      return tr;
+    }
+
+    /**
+     * Valor cru de uma coluna em um item: cfg.columns[].value(item), o campo com o nome da coluna
+     * (camelCase ou PascalCase) ou, se definido, a célula correspondente de cfg.mapRow.
+     * 
+     * @param {Object} col - Definição da coluna
+     * @param {Object} item - Item retornado pela API
+     * @returns {*} Valor da célula
+     */
+    cellValue(col, item) {
+      if (this.cfg.mapRow) return this.cfg.mapRow(item).cells?.[(this.cfg.columns ?? []).indexOf(col)];
+      const pascal = col.key.charAt(0).toUpperCase() + col.key.slice(1);
+      return col.value ? col.value(item) : (item[col.key] ?? item[pascal]);
+    }
+
+    /**
+     * Conecta os eventos de clique e duplo clique nas linhas da tabela (ou só nas informadas).
+     * - Clique simples: seleciona somente a linha clicada
+     * - Ctrl+clique ou clique no checkbox: adiciona/remove a linha da seleção (cfg.multiSelect)
+     * - Shift+clique: seleciona o intervalo desde a última linha clicada (cfg.multiSelect)
+     * - Duplo clique: edita a célula, se ela for editável (cfg.inlineEdit); senão abre o modal de visualização
+     * 
+     * @param {Iterable<HTMLTableRowElement>} [rows] - Linhas a conectar (padrão: todas as linhas exibidas)
+     */
+    wireRowSelection(rows = this.els.tbody?.querySelectorAll('tr[data-id]') ?? []) {
+      const multi = !!this.cfg.multiSelect;
+
+      rows.forEach(tr => {
+        const id = this.rowId(tr);
+        if (!id) return;
+
+        // Evento de clique: seleciona a linha de acordo com as teclas pressionadas
+        tr.addEventListener('click', ev => {
+          const onCheckbox = ev.target.closest?.('.select-cell');
+
+          if (multi && ev.shiftKey && this.state.anchorId) {
+            this.selectRange(id);
+          } else if (multi && (ev.ctrlKey || ev.metaKey || onCheckbox)) {
+            this.toggleSelection(id);
+          } else {
+            this.setSelection([id]);
+          }
+
+          // Guarda a linha como âncora para o próximo Shift+clique
+          if (!ev.shiftKey) this.state.anchorId = id;
+          this.setActiveRow(id);
+        });
+
+        // Evita selecionar o texto da tabela ao usar Shift+clique
+        tr.addEventListener('mousedown', ev => {
+          if (multi && ev.shiftKey) ev.preventDefault();
+        });
+
+        // Evento de duplo clique: edita a célula ou abre o modal de visualização
+        tr.addEventListener('dblclick', ev => {
+          if (ev.target.closest?.('.select-cell')) return;
+          const td = ev.target.closest?.('td.is-editable');
+          if (td) {
+            this.startCellEdit(tr, td.dataset.col);
+          } else if (this.cfg.onView) {
+            this.cfg.onView(id);
+          }
+        });
+      });
+    }
+
+    // ========================================
+    // CARREGAMENTO DE PÁGINA
+    // ========================================
+    /**
+     * Carrega uma página de dados da API e atualiza a tabela.
+     * Esta é a função principal que orquestra a busca e renderização dos dados.
+     * 
+     * Se for chamada com uma requisição ainda em andamento (ex: digitação rápida no filtro),
+     * a anterior é cancelada e somente a resposta da consulta mais recente é exibida.
+     * Na rolagem virtual (cfg.virtualScroll), a carga fica a cargo de loadVirtual.
+     */
+    async loadPage() {
+      const { tbody, pagerInfo, pagerPrev, pagerNext } = this.els;
+      if (!tbody) return;
+      if (this.virtual) return this.loadVirtual();
+
+      this.state.loading = true;
+
+      let reload = false;     // Indica se a página precisa ser recarregada ao final (página fora do intervalo)
+      let superseded = false; // Indica se uma consulta mais nova assumiu a tela
+
+      // Exibe mensagem de carregamento
+      this.showMessage('Carregando...');
+      if (pagerInfo) pagerInfo.textContent = 'Carregando...';
+      pagerPrev?.classList.add('is-disabled');
+      pagerNext?.classList.add('is-disabled');
+
+      try {
+        // Constrói a URL com os parâmetros de paginação e filtros
+        const qs = this.buildQueryString();
+        const url = `${this.cfg.endpoint}?${qs}`;
+
+        // Faz a requisição à API (cancelada se outra consulta começar antes do fim)
+        const { items, total } = await this.request.run(signal => this.fetchList(url, signal));
+
+        // O estado mudou sem disparar uma nova consulta: busca de novo em vez de exibir dados antigos
+        if (qs !== this.buildQueryString()) {
+          reload = true;
+          return;
+        }
+
+        this.state.total = total;
+
+        // Página fora do intervalo (ex: a última página ficou vazia após exclusões):
+        // volta para a última página válida e recarrega
+        const maxPage = Math.ceil(total / this.state.pageSize) || 1;
+        if (!items.length && this.state.page > maxPage) {
+          this.state.page = maxPage;
+          this.replaceUrl = true; // A correção não gera uma nova entrada no histórico
+          reload = true;
+          return;
+        }
+
+        // Se não houver itens, exibe mensagem
+        if (!items.length) {
+          this.showMessage('Nenhum registro encontrado.');
+        } else {
+          // Renderiza as linhas da tabela
+          tbody.replaceChildren(...items.map(item => this.renderRow(item)));
+        }
+
+        // Ordem das linhas da página (usada para devolver à posição original as linhas removidas)
+        this.pageIds = [...tbody.querySelectorAll('tr[data-id]')].map(tr => this.rowId(tr));
+        this.removedRows = new Map();
+
+        // Conecta os eventos de seleção nas novas linhas e marca as que já estavam selecionadas
+        // (a seleção é mantida ao trocar de página)
+        this.wireRowSelection();
+        this.updateSelectionUi();
+        this.restoreRowFocus();
+
+        // Atualiza a interface de paginação
+        this.updatePagerUi();
+
+        // Registra o estado na URL, marca a visão salva e habilita os botões
+        this.finishLoad();
+
+      } catch (err) {
+        // Consulta substituída por uma mais nova: ela é quem atualiza a tela
+        if (window.LatestRequest.isSuperseded(err)) {
+          superseded = true;
+          return;
+        }
+
+        console.error('CrudList loadPage error:', err);
+        this.showLoadError(err);
+      } finally {
+        if (!superseded) this.state.loading = false;
+
+        // Executado também quando o bloco try sai antecipadamente com return
+        if (reload) await this.loadPage();
+      }
+    }
+
+    /**
+     * Busca uma página na API e normaliza a resposta.
+     * A API pode retornar um array simples ou um objeto com { items, total }
+     * (o envelope é o formato usado pelas listagens paginadas no servidor).
+     * Com cfg.cache, a página vem do DataCache: se estava guardada, chega na hora e é revalidada
+     * em segundo plano (ver refreshFromCache).
+     * 
+     * @param {string} url - URL da página (com a query string)
+     * @param {AbortSignal} signal - Sinal de cancelamento (LatestRequest)
+     * @returns {Promise<{items: Object[], total: number}>} Itens da página e total de registros do filtro
+     */
+    async fetchList(url, signal) {
+      let data;
+      if (this.cfg.cache) {
+        data = await window.DataCache.get(url, { signal, onUpdate: () => this.refreshFromCache(url) });
+      } else {
+        const resp = await fetch(url, { signal });
+        if (!resp.ok) {
+          const txt = await resp.text();
+          throw new Error(txt || `Erro HTTP ${resp.status}`);
+        }
+        data = await resp.json();
+      }
+
+      if (Array.isArray(data)) return { items: data, total: data.length };
+      const items = Array.isArray(data?.items) ? data.items : [];
+      return { items, total: typeof data?.total === 'number' ? data.total : items.length };
+    }
+
+    /**
+     * Chamado pelo DataCache quando a revalidação de uma página guardada trouxe dados diferentes
+     * dos exibidos. Se a página ainda faz parte da lista atual, a lista é carregada de novo
+     * (agora a partir do cache já atualizado, sem nova requisição); a seleção, o foco e,
+     * na rolagem virtual, a posição da rolagem são mantidos.
+     * 
+     * @param {string} url - URL da página revalidada
+     */
+    async refreshFromCache(url) {
+      if (this.state.loading) return; // Uma carga mais nova já está a caminho
+
+      const p = new URLSearchParams(url.slice(url.indexOf('?') + 1));
+      if (this.virtual) {
+        p.delete('page');
+        if (`${this.cfg.endpoint}?${p.toString()}` !== this.virtual.query) return;
+      } else if (url !== `${this.cfg.endpoint}?${this.buildQueryString()}`) {
+        return;
+      }
+
+      // Recriar as linhas tira o foco da tabela: ele volta para a linha ativa
+      const hadFocus = this.els.tbody.contains(document.activeElement);
+      await this.loadPage();
+      if (hadFocus && !this.els.tbody.contains(document.activeElement)) this.focusActiveRow();
+    }
+
+    /**
+     * Substitui o conteúdo da tabela por uma linha de mensagem (ex: "Carregando...").
+     * 
+     * @param {string} text - Mensagem (inserida como texto)
+     */
+    showMessage(text) {
+      const tr = document.createElement('tr');
+      const td = document.createElement('td');
+      td.colSpan = this.colspan();
+      td.className = 'text-center text-muted';
+      td.textContent = text;
+      tr.appendChild(td);
+      this.els.tbody.replaceChildren(tr);
+    }
+
+    /**
+     * Exibe na tabela o erro de uma consulta, com a mensagem do servidor se houver (ex: filtro inválido).
+     * 
+     * @param {Error} err - Erro da requisição
+     */
+    showLoadError(err) {
+      const detail = window.AppToast.describeError(err);
+      this.showMessage(err.name === 'TimeoutError'
+        ? 'O servidor demorou demais para responder. Tente novamente.'
+        : (detail ? `Erro ao carregar dados: ${detail}` : 'Erro ao carregar dados.'));
+      if (this.els.pagerInfo) this.els.pagerInfo.textContent = 'Erro ao carregar';
+    }
+
+    /**
+     * Etapas finais de uma carga bem-sucedida: registra o estado na URL, marca a visão salva
+     * correspondente (se houver), limpa o aviso de registros novos e habilita os botões "Novo" e de exportação.
+     */
+    finishLoad() {
+      this.writeUrlState();
+      this.savedViews?.sync();
+
+      // A lista acabou de vir do servidor: os registros novos avisados já estão nela
+      if (this.live) {
+        this.live.newIds.clear();
+        this.live.stale = false;
+        this.updateLiveBanner();
+      }
+
+      if (this.els.btnNew) this.els.btnNew.disabled = false;
+      if (this.els.btnExportCsv) this.els.btnExportCsv.disabled = false;
+      if (this.els.btnExportXlsx) this.els.btnExportXlsx.disabled = false;
+    }
+
+    // ========================================
+    // ROLAGEM VIRTUAL
+    // ========================================
+    // Com cfg.virtualScroll a lista inteira fica numa só rolagem: os itens ficam em
+    // this.virtual.items pela posição na lista, as páginas são pedidas à API quando a rolagem
+    // chega a posições ainda vazias e só as linhas visíveis (mais algumas de folga) vão para o DOM.
+    // Linhas espaçadoras acima e abaixo dão à tabela a altura da lista completa.
+
+    /**
+     * Consulta atual sem a página (endpoint, itens por página, filtros e ordenação).
+     * Itens carregados com outra consulta não valem para a lista atual.
+     * 
+     * @returns {string} URL da consulta sem o parâmetro page
+     */
+    virtualQuery() {
+      const p = new URLSearchParams(this.buildQueryString());
+      p.delete('page');
+      return `${this.cfg.endpoint}?${p.toString()}`;
+    }
+
+    /**
+     * Carrega a lista na rolagem virtual.
+     * - Consulta nova (filtro, ordenação, endpoint): volta ao topo e carrega a primeira página
+     * - Mesma consulta (ex: após salvar um registro): mantém a posição da rolagem e recarrega a
+     *   página visível; as demais são buscadas de novo quando a rolagem passar por elas
+     */
+    async loadVirtual() {
+      const { tbody, pagerInfo } = this.els;
+      const v = this.virtual;
+      const refresh = this.virtualQuery() === v.query && v.items.length > 0;
+
+      this.pageRequest.abort();
+      v.loading = null;
+      v.query = null; // Até a resposta chegar, a rolagem não usa os itens antigos
+      this.state.loading = true;
+      this.state.page = refresh ? Math.floor(v.range.first / this.state.pageSize) + 1 : 1;
+
+      let reload = false;
+      let superseded = false;
+
+      if (!refresh) {
+        this.showMessage('Carregando...');
+        if (this.scroller) this.scroller.scrollTop = 0;
+      }
+      if (pagerInfo) pagerInfo.textContent = 'Carregando...';
+
+      try {
+        const qs = this.buildQueryString();
+        const { items, total } = await this.request.run(signal => this.fetchList(`${this.cfg.endpoint}?${qs}`, signal));
+
+        // O estado mudou sem disparar uma nova consulta: busca de novo em vez de exibir dados antigos
+        if (qs !== this.buildQueryString()) {
+          reload = true;
+          return;
+        }
+
+        this.state.total = total;
+        v.query = this.virtualQuery();
+        v.items = new Array(total);
+        v.fetched = new Set([this.state.page]);
+        v.paused = false;
+        v.removed = new Map();
+        this.storeVirtualPage(this.state.page, items);
+
+        if (!total) {
+          v.range = { first: 0, last: -1 };
+          this.showMessage('Nenhum registro encontrado.');
+        } else {
+          if (!refresh) tbody.replaceChildren(); // Tira a mensagem "Carregando..."
+          this.renderVirtual();
+        }
+
+        // Marca as linhas que já estavam selecionadas e mantém a linha ativa navegável pelo Tab
+        this.updateSelectionUi();
+        this.restoreRowFocus();
+        this.updatePagerUi();
+
+        // Registra o estado na URL, marca a visão salva e habilita os botões
+        this.finishLoad();
+
+      } catch (err) {
+        // Consulta substituída por uma mais nova: ela é quem atualiza a tela
+        if (window.LatestRequest.isSuperseded(err)) {
+          superseded = true;
+          return;
+        }
+
+        console.error('CrudList loadVirtual error:', err);
+        v.items = [];
+        this.showLoadError(err);
+      } finally {
+        if (!superseded) this.state.loading = false;
+        if (reload) await this.loadPage();
+      }
+    }
+
+    /**
+     * Guarda os itens de uma página nas suas posições da lista.
+     * 
+     * @param {number} page - Número da página
+     * @param {Object[]} items - Itens retornados pela API
+     */
+    storeVirtualPage(page, items) {
+      const { items: all } = this.virtual;
+      const offset = (page - 1) * this.state.pageSize;
+      items.forEach((item, i) => {
+        if (offset + i < all.length) all[offset + i] = item;
+      });
+    }
+
+    /**
+     * Renderiza as linhas da área visível (mais as de folga) a partir da posição da rolagem,
+     * reaproveitando as linhas que continuam na área, e pede as páginas que faltam.
+     */
+    renderVirtual() {
+      const v = this.virtual;
+      const { tbody, thead } = this.els;
+      const total = v.items.length;
+      if (!v.query || !total || !this.scroller) return;
+
+      // Posições visíveis (o cabeçalho fixo cobre o topo da área de rolagem)
+      const rh = v.rowHeight;
+      const headHeight = thead?.offsetHeight ?? 0;
+      const first = Math.min(total - 1, Math.floor(this.scroller.scrollTop / rh));
+      const visible = Math.max(1, Math.ceil((this.scroller.clientHeight - headHeight) / rh));
+      const last = Math.min(total - 1, first + visible - 1);
+      v.range = { first, last };
+
+      // Área renderizada; o início é sempre par para as cores alternadas não trocarem durante a rolagem
+      let start = Math.max(0, first - v.overscan);
+      start -= start % 2;
+      const end = Math.min(total - 1, last + v.overscan);
+
+      // Linhas já exibidas, pelo item que mostram (sobrevivem a mudanças de posição, como em removeRows)
+      const current = new Map([...tbody.querySelectorAll('tr[data-index]')].map(tr => [this.rowItems.get(tr), tr]));
+      const rows = [];
+      const fresh = [];
+      let gap = 0; // Linhas seguidas ainda não carregadas
+      const flushGap = () => {
+        if (gap) rows.push(this.virtualSpacer(gap * rh, true));
+        gap = 0;
+      };
+
+      if (start > 0) rows.push(this.virtualSpacer(start * rh));
+      for (let i = start; i <= end; i++) {
+        const item = v.items[i];
+        if (!item) {
+          gap++;
+          continue;
+        }
+        flushGap();
+
+        let tr = current.get(item);
+        if (!tr) {
+          tr = this.renderRow(item);
+          fresh.push(tr);
+        }
+        tr.dataset.index = String(i);
+        tr.setAttribute('aria-rowindex', String(i + 2)); // A linha 1 é a do cabeçalho
+        rows.push(tr);
+      }
+      flushGap();
+      if (end < total - 1) rows.push(this.virtualSpacer((total - 1 - end) * rh));
+
+      // Trocar as linhas do tbody tira o foco da linha focada: se ela continua na área, o foco volta
+      // (para a nova linha do mesmo registro, se ela foi recriada ao recarregar a lista)
+      const focused = tbody.contains(document.activeElement) ? document.activeElement : null;
+      const focusedId = focused?.closest('tr[data-id]')?.dataset.id;
+      tbody.replaceChildren(...rows);
+      const refocus = focused?.isConnected ? focused : (focusedId ? tbody.querySelector(`tr[data-id="${focusedId}"]`) : null);
+      refocus?.focus({ preventScroll: true });
+
+      this.wireRowSelection(fresh);
+      fresh.forEach(tr => {
+        this.paintRow(tr);
+        tr.tabIndex = this.rowId(tr) === this.state.activeId ? 0 : -1;
+      });
+      tbody.closest('table')?.setAttribute('aria-rowcount', String(total + 1));
+
+      // Altura real de uma linha (medida uma vez): se for outra, refaz a área com ela
+      if (!v.measured) {
+        const height = fresh[0]?.getBoundingClientRect().height ?? 0;
+        if (height > 0) {
+          v.measured = true;
+          if (Math.abs(height - rh) >= 1) {
+            v.rowHeight = height;
+            this.renderVirtual();
+            return;
+          }
+        }
+      }
+
+      // Foco pedido pelo teclado para uma linha que acabou de ser carregada
+      if (Number.isInteger(this.pendingFocus)) {
+        const tr = tbody.querySelector(`tr[data-index="${this.pendingFocus}"]`);
+        if (tr) {
+          this.pendingFocus = null;
+          this.setActiveRow(this.rowId(tr));
+          tr.focus({ preventScroll: true });
+        }
+      }
+
+      this.updatePagerUi();
+      this.ensureVirtualItems(start, end);
+    }
+
+    /**
+     * Cria uma linha espaçadora: ocupa a altura das linhas fora da área renderizada
+     * ou, com loading, das linhas ainda não carregadas ("Carregando...").
+     * 
+     * @param {number} height - Altura em px
+     * @param {boolean} [loading=false] - Se true, exibe "Carregando..."
+     * @returns {HTMLTableRowElement} Linha espaçadora
+     */
+    virtualSpacer(height, loading = false) {
+      const tr = document.createElement('tr');
+      tr.className = loading ? 'virtual-spacer is-loading' : 'virtual-spacer';
+      if (!loading) tr.setAttribute('aria-hidden', 'true');
+
+      const td = document.createElement('td');
+      td.colSpan = this.colspan();
+      td.style.height = `${height}px`;
+      if (loading) {
+        td.className = 'text-center text-muted';
+        td.textContent = 'Carregando...';
+      }
+      tr.appendChild(td);
+      return tr;
+    }
+
+    /**
+     * Pede a primeira página que falta na área renderizada (uma por vez; ao chegar,
+     * a área é renderizada de novo e a próxima que faltar é pedida).
+     * 
+     * @param {number} start - Primeira posição da área
+     * @param {number} end - Última posição da área
+     */
+    ensureVirtualItems(start, end) {
+      const v = this.virtual;
+      if (v.loading || v.paused) return;
+
+      for (let i = start; i <= end; i++) {
+        if (v.items[i]) continue;
+        const page = Math.floor(i / this.state.pageSize) + 1;
+        if (v.fetched.has(page)) continue;
+        this.loadVirtualPage(page);
+        return;
+      }
+    }
+
+    /**
+     * Carrega uma página da rolagem virtual e renderiza a área de novo.
+     * Se falhar, avisa o usuário e tenta outra vez na próxima rolagem.
+     * 
+     * @param {number} page - Número da página
+     */
+    async loadVirtualPage(page) {
+      const v = this.virtual;
+      const token = { page };
+      v.loading = token;
+      v.fetched.add(page);
+
+      const p = new URLSearchParams(this.buildQueryString());
+      p.set('page', String(page));
+      const url = `${this.cfg.endpoint}?${p.toString()}`;
+
+      try {
+        const { items, total } = await this.pageRequest.run(signal => this.fetchList(url, signal));
+        if (v.loading !== token) return; // A lista foi recarregada enquanto a página vinha
+        v.loading = null;
+
+        // Registros incluídos ou excluídos por outros usuários desde a primeira página
+        if (!total) {
+          this.loadPage();
+          return;
+        }
+        v.items.length = total;
+        this.state.total = total;
+
+        this.storeVirtualPage(page, items);
+        this.renderVirtual();
+        if (this.state.selectedIds.size) this.updateSelectionUi(); // Contagem das linhas carregadas
+      } catch (err) {
+        if (window.LatestRequest.isSuperseded(err) || v.loading !== token) return;
+        v.loading = null;
+        v.fetched.delete(page);
+        v.paused = true; // Sem novas tentativas até o usuário rolar de novo
+
+        console.error('CrudList loadVirtualPage error:', err);
+        window.AppToast.error(err, 'Falha ao carregar mais registros.');
+      }
+    }
+
+    /**
+     * Rola a tabela o mínimo necessário para a linha da posição informada ficar visível.
+     * 
+     * @param {number} index - Posição da linha na lista
+     */
+    scrollToIndex(index) {
+      const { scroller } = this;
+      if (!scroller) return;
+
+      const { rowHeight } = this.virtual;
+      const headHeight = this.els.thead?.offsetHeight ?? 0;
+      const view = Math.max(rowHeight, scroller.clientHeight - headHeight);
+      const top = index * rowHeight;
+
+      if (top < scroller.scrollTop) scroller.scrollTop = top;
+      else if (top + rowHeight > scroller.scrollTop + view) scroller.scrollTop = top + rowHeight - view;
+    }
+
+    /**
+     * Quantidade de linhas visíveis de uma vez (o salto do PageUp/PageDown).
+     * 
+     * @returns {number} Linhas visíveis
+     */
+    visibleRowCount() {
+      const { first, last } = this.virtual.range;
+      return Math.max(1, last - first + 1);
+    }
+
+    /**
+     * Localiza a área de rolagem da tabela e renderiza as linhas conforme a rolagem
+     * (no máximo uma vez por quadro de animação) e ao redimensionar a janela.
+     */
+    wireVirtualScroll() {
+      const { tbody } = this.els;
+      this.scroller = tbody.closest('.app-table-wrapper') ?? tbody.closest('table')?.parentElement ?? null;
+      if (!this.scroller) return;
+      this.scroller.classList.add('is-virtual');
+
+      let frame = null;
+      const schedule = () => {
+        if (frame) return;
+        frame = requestAnimationFrame(() => {
+          frame = null;
+          this.virtual.paused = false; // A rolagem libera nova tentativa após um erro
+          this.renderVirtual();
+        });
+      };
+      this.scroller.addEventListener('scroll', schedule, { passive: true });
+      window.addEventListener('resize', schedule);
+    }
+
+    /**
+     * removeRows na rolagem virtual: retira os itens da lista (as posições seguintes sobem)
+     * e guarda cada um com a posição que tinha na lista completa, antes de qualquer retirada,
+     * para restoreVirtualRows.
+     * 
+     * @param {number[]} ids - IDs das linhas
+     */
+    removeVirtualRows(ids) {
+      const v = this.virtual;
+      const hadFocus = this.els.tbody.contains(document.activeElement);
+      let removed = 0;
+
+      ids.forEach(id => {
+        this.state.selectedIds.delete(id);
+        const index = v.items.findIndex(item => item && this.itemId(item) === id);
+        if (index < 0) return;
+
+        // A linha ativa vai embora: a seguinte (ou a anterior) assume o seu lugar
+        if (this.state.activeId === id) {
+          const next = v.items[index + 1] ?? v.items[index - 1];
+          this.state.activeId = next ? this.itemId(next) : null;
+        }
+
+        // Posição na lista completa: soma as retiradas anteriores que estavam antes dela
+        let position = index;
+        [...v.removed.values()]
+          .map(entry => entry.position)
+          .sort((a, b) => a - b)
+          .forEach(p => { if (p <= position) position++; });
+
+        v.removed.set(id, { position, item: v.items[index] });
+        v.items.splice(index, 1);
+        removed++;
+      });
+      if (!removed) {
+        this.updateSelectionUi();
+        return;
+      }
+
+      this.state.total = v.items.length;
+      v.fetched.clear(); // As posições mudaram: as páginas que faltam são pedidas de novo
+
+      if (!v.items.length) {
+        this.loadPage();
+        return;
+      }
+
+      this.renderVirtual();
+      this.updateSelectionUi();
+      if (hadFocus) this.focusActiveRow();
+      else if (this.state.activeId) this.setActiveRow(this.state.activeId);
+    }
+
+    /**
+     * restoreRows na rolagem virtual: devolve os itens às posições de onde saíram. Cada posição
+     * é descontada das retiradas que continuam fora da lista, então devolver só parte dos itens
+     * (ex: falha de um item numa exclusão em lote) também os põe no lugar certo.
+     * 
+     * @param {number[]} ids - IDs das linhas
+     * @returns {number} Quantidade de linhas devolvidas (menor que ids.length se a lista foi recarregada)
+     */
+    restoreVirtualRows(ids) {
+      const v = this.virtual;
+      const entries = ids
+        .filter(id => v.removed.has(id))
+        .map(id => [id, v.removed.get(id)])
+        .sort((a, b) => a[1].position - b[1].position);
+
+      entries.forEach(([id, { position, item }]) => {
+        v.removed.delete(id);
+        const before = [...v.removed.values()].filter(entry => entry.position < position).length;
+        v.items.splice(Math.min(position - before, v.items.length), 0, item);
+      });
+
+      if (entries.length) {
+        this.state.total = v.items.length;
+        v.fetched.clear();
+        this.renderVirtual();
+        this.updateSelectionUi();
+      }
+      return entries.length;
+    }
+
+    // ========================================
+    // ATUALIZAÇÃO AO VIVO
+    // ========================================
+    // Com cfg.liveUpdates a lista acompanha o fluxo de eventos (Server-Sent Events) do endpoint.
+    // Cada evento traz { ids, itens, origem }:
+    // - alterado: as linhas carregadas dos itens são trocadas pelos dados novos, no lugar
+    // - removido: as linhas carregadas esmaecem e saem, como em removeRows
+    // - criado: a área exibida é consultada de novo; se os registros novos caírem nela, a lista
+    //   é recarregada na mesma posição, senão eles são só contados no aviso "N novos registros"
+    //   (a lista não pula enquanto o usuário está nela)
+    // Eventos com a origem desta lista (alterações feitas pela própria tela, ver liveHeaders) são ignorados.
+
+    /**
+     * Conecta (ou reconecta, após trocar o endpoint) o fluxo de eventos da lista.
+     * O aviso de registros novos e os destaques pendentes da fonte anterior são descartados.
+     */
+    connectLive() {
+      const live = this.live;
+      live.source?.close();
+      live.source = null;
+      clearTimeout(live.timer);
+      live.incoming.clear();
+      live.newIds.clear();
+      live.highlight.clear();
+      live.dropped = false;
+      live.stale = false;
+      this.updateLiveBanner();
+
+      if (!window.EventSource) {
+        console.warn('CrudList: EventSource indisponível, a lista não será atualizada ao vivo.');
+        return;
+      }
+
+      const source = new EventSource(this.cfg.liveUpdates.endpoint ?? `${this.cfg.endpoint}/eventos`);
+      ['criado', 'alterado', 'removido'].forEach(type => {
+        source.addEventListener(type, ev => this.onLiveEvent(type, ev.data));
+      });
+
+      // O EventSource reconecta sozinho; ao voltar, avisa que a lista pode ter perdido eventos
+      source.addEventListener('error', () => { live.dropped = true; });
+      source.addEventListener('open', () => {
+        if (!live.dropped) return;
+        live.dropped = false;
+        live.stale = true;
+        this.updateLiveBanner();
+      });
+
+      live.source = source;
+    }
+
+    /**
+     * Cabeçalhos que identificam esta lista nas alterações feitas pela tela. Os eventos gerados
+     * por elas voltam com a mesma origem e são ignorados, porque a tela já atualiza a lista ao salvar.
+     * 
+     * @example
+     * fetch(url, { method: 'DELETE', headers: { ...list.liveHeaders() } });
+     * 
+     * @returns {Object} Cabeçalhos para o fetch (vazio sem cfg.liveUpdates)
+     */
+    liveHeaders() {
+      return this.live ? { 'X-Origem': this.live.origin } : {};
+    }
+
+    /**
+     * Trata um evento do fluxo: descarta as páginas guardadas no DataCache e aplica a mudança à lista.
+     * 
+     * @param {'criado'|'alterado'|'removido'} type - Tipo do evento
+     * @param {string} raw - Dados do evento (JSON)
+     */
+    onLiveEvent(type, raw) {
+      let data;
+      try {
+        data = JSON.parse(raw);
+      } catch {
+        return;
+      }
+      if (!data || data.origem === this.live.origin) return;
+
+      if (this.cfg.cache) window.DataCache.invalidate(this.cfg.endpoint);
+      const ids = (data.ids ?? []).map(id => parseInt(id, 10)).filter(Boolean);
+
+      if (type === 'alterado') {
+        this.patchRows(data.itens ?? []);
+      } else if (type === 'removido') {
+        this.removeLiveRows(ids);
+      } else if (type === 'criado') {
+        ids.forEach(id => this.live.incoming.add(id));
+        clearTimeout(this.live.timer);
+        this.live.timer = setTimeout(() => this.checkNewRows(), LIVE_BATCH_DELAY);
+      }
+    }
+
+    /**
+     * Troca, no lugar, as linhas carregadas pelos dados novos dos itens (os demais são ignorados).
+     * A seleção, a linha ativa e o foco são mantidos; as linhas trocadas ficam destacadas.
+     * A posição não muda, mesmo que a alteração afete a ordenação ou o filtro: isso vale
+     * a partir da próxima carga da lista.
+     * 
+     * @param {Object[]} items - Itens atualizados, no formato da API
+     * @param {boolean} [highlight=true] - Destaca as linhas trocadas (a edição na célula destaca só a célula)
+     */
+    patchRows(items, highlight = true) {
+      const { tbody } = this.els;
+      const loaded = new Set(this.listIds());
+      const changed = items.filter(item => loaded.has(this.itemId(item)));
+      if (!changed.length) return;
+
+      if (this.virtual) {
+        const v = this.virtual;
+        changed.forEach(item => {
+          const id = this.itemId(item);
+          v.items[v.items.findIndex(old => old && this.itemId(old) === id)] = item;
+          if (highlight) this.live?.highlight.add(id);
+        });
+        this.renderVirtual(); // As linhas são reaproveitadas pelo item: só as trocadas são recriadas
+
+        // Linhas fora da área renderizada já aparecem com os dados novos, sem destaque
+        changed.forEach(item => this.live?.highlight.delete(this.itemId(item)));
+        return;
+      }
+
+      changed.forEach(item => {
+        const id = this.itemId(item);
+        const old = tbody.querySelector(`tr[data-id="${id}"]`);
+        const hadFocus = old.contains(document.activeElement);
+
+        if (highlight) this.live?.highlight.add(id);
+        const tr = this.renderRow(item);
+        tr.tabIndex = old.tabIndex;
+        old.replaceWith(tr);
+        this.wireRowSelection([tr]);
+        this.paintRow(tr);
+        if (hadFocus) tr.focus({ preventScroll: true });
+      });
+    }
+
+    /**
+     * Retira da lista as linhas carregadas dos IDs: elas esmaecem por um instante e saem
+     * com removeRows (a seleção e o total acompanham). IDs que estavam no aviso de registros
+     * novos deixam de ser contados.
+     * 
+     * @param {number[]} ids - IDs dos registros removidos
+     */
+    removeLiveRows(ids) {
+      if (ids.some(id => this.live.newIds.delete(id))) this.updateLiveBanner();
+
+      const loaded = new Set(this.listIds());
+      const gone = ids.filter(id => loaded.has(id));
+      if (!gone.length) return;
+
+      gone.forEach(id => this.els.tbody.querySelector(`tr[data-id="${id}"]`)?.classList.add('is-live-removed'));
+      setTimeout(() => this.removeRows(gone), LIVE_REMOVE_DELAY);
+    }
+
+    /**
+     * Decide onde entram os registros incluídos (eventos "criado" juntados em LIVE_BATCH_DELAY):
+     * consulta de novo a página da área exibida e, se algum deles estiver nela, recarrega a lista
+     * na mesma posição, com as linhas novas destacadas. Os que caem fora da área só aumentam
+     * a contagem do aviso "N novos registros".
+     */
+    async checkNewRows() {
+      const live = this.live;
+      const loaded = new Set(this.listIds());
+      const fresh = [...live.incoming].filter(id => !loaded.has(id));
+      live.incoming.clear();
+      if (!fresh.length) return;
+
+      // Página da área exibida (na rolagem virtual, a da primeira linha visível)
+      const page = this.virtual ? Math.floor(this.virtual.range.first / this.state.pageSize) + 1 : this.state.page;
+      const p = new URLSearchParams(this.buildQueryString());
+      p.set('page', String(page));
+      const query = p.toString();
+
+      let items;
+      try {
+        ({ items } = await this.fetchList(`${this.cfg.endpoint}?${query}`));
+      } catch (err) {
+        // Sem a consulta não dá para saber onde eles caem: ficam no aviso
+        console.warn('CrudList: falha ao consultar os registros novos', err);
+        items = [];
+      }
+
+      // A lista mudou de consulta enquanto isso: a nova carga já traz os registros
+      const current = new URLSearchParams(this.buildQueryString());
+      current.set('page', String(page));
+      if (current.toString() !== query) return;
+
+      // Na rolagem virtual, só contam as posições visíveis da página
+      const offset = (page - 1) * this.state.pageSize;
+      const shown = new Set(items
+        .filter((item, i) => !this.virtual || offset + i <= this.virtual.range.last)
+        .map(item => this.itemId(item)));
+      const inView = fresh.filter(id => shown.has(id));
+      const outside = fresh.filter(id => !shown.has(id));
+
+      if (inView.length) {
+        inView.forEach(id => live.highlight.add(id));
+        const hadFocus = this.els.tbody.contains(document.activeElement);
+        await this.loadPage();
+        if (hadFocus && !this.els.tbody.contains(document.activeElement)) this.focusActiveRow();
+      }
+
+      outside.forEach(id => live.newIds.add(id));
+      this.updateLiveBanner();
+    }
+
+    /**
+     * Atualiza o aviso acima da tabela: "N novos registros" (incluídos fora da área exibida)
+     * ou, após uma queda da conexão com o fluxo, que a lista pode estar desatualizada.
+     * O botão "Atualizar" recarrega a lista na mesma posição, destacando os registros novos.
+     */
+    updateLiveBanner() {
+      const { liveBanner } = this.els;
+      if (!liveBanner) return;
+
+      const count = this.live.newIds.size;
+      liveBanner.replaceChildren();
+      liveBanner.hidden = !count && !this.live.stale;
+      if (liveBanner.hidden) return;
+
+      const text = document.createElement('span');
+      if (count) text.textContent = count === 1 ? '1 novo registro' : `${count} novos registros`;
+      else text.textContent = 'A conexão com o servidor foi retomada: a lista pode estar desatualizada.';
+      liveBanner.appendChild(text);
+
+      const refresh = document.createElement('button');
+      refresh.type = 'button';
+      refresh.className = 'selection-link';
+      refresh.textContent = 'Atualizar';
+      refresh.addEventListener('click', () => {
+        this.live.newIds.forEach(id => this.live.highlight.add(id));
+        this.loadPage();
+      });
+      liveBanner.appendChild(refresh);
+    }
+
+    /**
+     * Destaca uma linha por LIVE_HIGHLIGHT ms (classe is-live-updated, animada pelo CSS).
+     * 
+     * @param {HTMLTableRowElement} tr - Linha da tabela
+     */
+    flashRow(tr) {
+      tr.classList.add('is-live-updated');
+      setTimeout(() => tr.classList.remove('is-live-updated'), LIVE_HIGHLIGHT);
+    }
+
+    // ========================================
+    // EDIÇÃO NA CÉLULA
+    // ========================================
+    /**
+     * Regras de edição de uma coluna (cfg.columns[].editable), com o tipo do input definido.
+     * 
+     * @param {Object} col - Definição da coluna
+     * @returns {Object|null} { type, required, validate }, ou null se a coluna não é editável
+     */
+    cellEditor(col) {
+      if (!col?.editable || !this.cfg.inlineEdit) return null;
+      const opts = typeof col.editable === 'object' ? col.editable : {};
+      return { ...opts, type: opts.type ?? CELL_EDIT_TYPES[col.type] ?? 'text' };
+    }
+
+    /**
+     * Indica se uma célula pode ser editada: coluna editável e liberada por cfg.inlineEdit.canEdit.
+     * 
+     * @param {number|null} id - ID da linha
+     * @param {Object} col - Definição da coluna
+     * @returns {boolean} true se a célula é editável
+     */
+    canEditCell(id, col) {
+      if (!id || !this.cellEditor(col)) return false;
+      return this.cfg.inlineEdit.canEdit?.(id, col.key) ?? true;
+    }
+
+    /**
+     * Colunas editáveis e visíveis de uma linha, na ordem exibida.
+     * 
+     * @param {number} id - ID da linha
+     * @returns {Object[]} Definições das colunas
+     */
+    editableColumns(id) {
+      return this.orderedColumns().filter(col => !col.hidden && this.canEditCell(id, col));
+    }
+
+    /**
+     * Troca o conteúdo de uma célula por um input com o valor atual.
+     * Enter salva, Tab/Shift+Tab salva e passa para a próxima/anterior célula editável da linha,
+     * Esc cancela; sair do input (clique fora) também salva. Uma célula é editada por vez.
+     * 
+     * @param {HTMLTableRowElement} tr - Linha da tabela
+     * @param {string} [key] - Coluna a editar (padrão: a última editada ou a primeira editável)
+     * @returns {boolean} true se a edição foi aberta (ou já havia uma célula em edição)
+     */
+    startCellEdit(tr, key) {
+      // Outra célula ainda em edição: ela precisa ser salva ou cancelada antes
+      if (this.cellEdit) {
+        if (!this.cellEdit.saving && this.cellEdit.td.isConnected) this.cellEdit.input.focus();
+        return true;
+      }
+
+      const id = this.rowId(tr);
+      const item = this.rowItems.get(tr);
+      const columns = id ? this.editableColumns(id) : [];
+      const col = key
+        ? columns.find(c => c.key === key)
+        : (columns.find(c => c.key === this.lastEditKey) ?? columns[0]);
+      const td = col ? [...tr.cells].find(c => c.dataset.col === col.key) : null;
+      if (!item || !td) return false;
+
+      const editor = this.cellEditor(col);
+      const value = this.cellValue(col, item);
+
+      const input = document.createElement('input');
+      input.type = CELL_INPUT_TYPES[editor.type] ?? 'text';
+      input.className = 'cell-editor';
+      input.value = this.toCellInputValue(editor, value);
+      input.setAttribute('aria-label', `${col.label ?? col.key} do registro ${id}`);
+
+      const error = document.createElement('span');
+      error.className = 'cell-error';
+      error.id = `cell-error-${id}-${col.key}`;
+      error.setAttribute('role', 'alert');
+      error.hidden = true;
+      input.setAttribute('aria-describedby', error.id);
+
+      const edit = { id, col, editor, td, input, error, item, initial: input.value, saving: false };
+      this.cellEdit = edit;
+      this.lastEditKey = col.key;
+
+      input.addEventListener('keydown', ev => {
+        ev.stopPropagation(); // As teclas do editor não chegam aos atalhos da linha (handleRowKey)
+        if (ev.isComposing || !['Enter', 'Tab', 'Escape'].includes(ev.key)) return;
+        ev.preventDefault();
+        if (edit.saving) return;
+        if (ev.key === 'Escape') this.cancelCellEdit();
+        else this.commitCellEdit(ev.key === 'Tab' ? (ev.shiftKey ? -1 : 1) : 0);
+      });
+
+      // Cliques no input não selecionam a linha nem abrem a visualização
+      ['mousedown', 'click', 'dblclick'].forEach(type => input.addEventListener(type, ev => ev.stopPropagation()));
+
+      // Sair do input salva. A verificação espera o foco assentar: se a linha foi redesenhada
+      // (ex: evento ao vivo), o editor passa para a nova linha e recebe o foco de volta
+      input.addEventListener('blur', () => {
+        setTimeout(() => {
+          if (this.cellEdit === edit && !edit.saving && document.activeElement !== input) {
+            this.commitCellEdit(0, false);
+          }
+        }, 0);
+      });
+
+      td.replaceChildren(input, error);
+      td.classList.add('is-editing');
+      input.focus();
+      input.select?.();
+      return true;
+    }
+
+    /**
+     * Converte o valor da célula para o formato do input (ex: datas em yyyy-MM-dd).
+     * 
+     * @param {Object} editor - Regras de edição da coluna
+     * @param {*} value - Valor cru da célula
+     * @returns {string} Valor para o input
+     */
+    toCellInputValue(editor, value) {
+      if (value === null || value === undefined) return '';
+      if (editor.type === 'date') return String(value).slice(0, 10);
+      if (editor.type === 'datetime') return String(value).slice(0, 16);
+      return String(value);
+    }
+
+    /**
+     * Converte o texto do input para o valor gravado. Vazio vira null (ou '' em campos obrigatórios);
+     * um número inválido vira NaN, recusado na validação.
+     * 
+     * @param {Object} editor - Regras de edição da coluna
+     * @param {string} raw - Valor do input
+     * @returns {*} Valor para o onSave
+     */
+    fromCellInputValue(editor, raw) {
+      const text = (raw ?? '').trim();
+      if (editor.type === 'number') {
+        if (!text) return null;
+        const n = Number(text);
+        return Number.isFinite(n) ? n : NaN;
+      }
+      return text || (editor.required ? '' : null);
+    }
+
+    /**
+     * Valida o valor de uma célula antes de salvar.
+     * 
+     * @param {Object} col - Definição da coluna
+     * @param {Object} editor - Regras de edição da coluna
+     * @param {*} value - Valor convertido
+     * @param {Object} item - Item da linha
+     * @returns {string|null} Mensagem de erro ou null se o valor for válido
+     */
+    validateCell(col, editor, value, item) {
+      const label = col.label ?? col.key;
+      if ((value === null || value === '') && editor.required) return `${label} é obrigatório.`;
+      if (Number.isNaN(value)) return `${label} deve ser um número.`;
+      return editor.validate?.(value, item) || null;
+    }
+
+    /**
+     * Exibe (ou limpa) a mensagem de erro da célula em edição.
+     * 
+     * @param {Object} edit - Célula em edição
+     * @param {string|string[]|null} message - Mensagem(ns) de erro; vazio para limpar
+     */
+    setCellError(edit, message) {
+      const text = Array.isArray(message) ? message.join(' ') : (message ?? '');
+      edit.error.textContent = text;
+      edit.error.hidden = !text;
+      edit.td.classList.toggle('has-error', !!text);
+      edit.input.setAttribute('aria-invalid', text ? 'true' : 'false');
+    }
+
+    /**
+     * Mensagens de um erro do onSave para a célula: as do campo (errors[key], em camelCase ou
+     * PascalCase) ou, se o erro não citar o campo, as dos demais campos.
+     * 
+     * @param {*} err - Erro lançado pelo onSave
+     * @param {string} key - Coluna em edição
+     * @returns {string|null} Mensagens, ou null se o erro não traz erros por campo
+     */
+    cellErrorMessage(err, key) {
+      const errors = err?.errors;
+      if (!errors || typeof errors !== 'object') return null;
+      const own = errors[key] ?? errors[key.charAt(0).toUpperCase() + key.slice(1)];
+      const messages = own ? [].concat(own) : Object.values(errors).flat();
+      return messages.length ? messages.join(' ') : null;
+    }
+
+    /**
+     * Salva a célula em edição: valida, chama cfg.inlineEdit.onSave (a célula fica com o indicador
+     * de gravação) e, se der certo, troca a linha pelos dados atualizados e destaca a célula.
+     * Se o valor não mudou, só fecha o editor. Em erro, o editor continua aberto com a mensagem.
+     * 
+     * @param {number} [step=0] - 1/-1 para abrir em seguida a próxima/anterior célula editável (Tab/Shift+Tab)
+     * @param {boolean} [refocus=true] - Devolve o foco à linha (ou ao próximo editor); false quando o foco já saiu
+     * @returns {Promise<boolean>} true se a célula foi fechada
+     */
+    async commitCellEdit(step = 0, refocus = true) {
+      const edit = this.cellEdit;
+      if (!edit || edit.saving) return false;
+
+      const { id, col, editor, td, input } = edit;
+      const row = td.closest('tr[data-id]');
+      const item = (row && this.rowItems.get(row)) ?? edit.item;
+
+      // Nada mudou: só fecha o editor
+      if (input.value === edit.initial) {
+        this.closeCellEdit(edit, item);
+        if (refocus) this.afterCellEdit(id, col.key, step);
+        return true;
+      }
+
+      const value = this.fromCellInputValue(editor, input.value);
+      const message = this.validateCell(col, editor, value, item);
+      if (message) {
+        this.setCellError(edit, message);
+        if (refocus) input.focus();
+        return false;
+      }
+
+      // Indicador de gravação: o valor fica visível, mas não editável, até a resposta
+      edit.saving = true;
+      this.setCellError(edit, null);
+      td.classList.add('is-saving');
+      td.setAttribute('aria-busy', 'true');
+      input.readOnly = true;
+
+      let result;
+      try {
+        result = await this.cfg.inlineEdit.onSave(id, col.key, value, item);
+      } catch (err) {
+        edit.saving = false;
+        td.classList.remove('is-saving');
+        td.removeAttribute('aria-busy');
+        input.readOnly = false;
+
+        // A linha saiu da tabela durante a gravação: o erro só pode ser informado pelo aviso
+        if (!td.isConnected) {
+          if (this.cellEdit === edit) this.cellEdit = null;
+          window.AppToast.error(err, 'Falha ao salvar a alteração.');
+          return false;
+        }
+
+        // Conflito de versão: a linha mostra o registro atual, e o editor continua com o valor digitado
+        if (err?.item && typeof err.item === 'object') {
+          edit.item = err.item;
+          this.patchRows([err.item], false);
+        }
+
+        // Erros por campo ficam na célula; os demais também vão para um aviso
+        const errors = this.cellErrorMessage(err, col.key);
+        if (!errors) {
+          console.error(err);
+          window.AppToast.error(err, 'Falha ao salvar a alteração.');
+        }
+        this.setCellError(edit, errors ?? 'Não foi possível salvar.');
+        if (refocus || document.activeElement === document.body) input.focus();
+        return false;
+      }
+
+      // Sem o item atualizado, a célula mostra o valor digitado
+      const updated = result && typeof result === 'object' ? result : { ...item, [col.key]: value };
+      const hadFocus = td.contains(document.activeElement);
+      this.closeCellEdit(edit, updated);
+      this.patchRows([updated], false);
+      this.flashCell(id, col.key);
+      if (refocus || hadFocus) this.afterCellEdit(id, col.key, step);
+      return true;
+    }
+
+    /**
+     * Cancela a célula em edição (Esc): o valor original volta e o foco vai para a linha.
+     */
+    cancelCellEdit() {
+      const edit = this.cellEdit;
+      if (!edit || edit.saving) return;
+      const row = edit.td.closest('tr[data-id]');
+      this.closeCellEdit(edit, (row && this.rowItems.get(row)) ?? edit.item);
+      this.afterCellEdit(edit.id, edit.col.key, 0);
+    }
+
+    /**
+     * Fecha o editor e redesenha o conteúdo da célula a partir do item.
+     * 
+     * @param {Object} edit - Célula em edição
+     * @param {Object} item - Item com os dados a exibir
+     */
+    closeCellEdit(edit, item) {
+      if (this.cellEdit === edit) this.cellEdit = null;
+      const { td, col } = edit;
+      td.classList.remove('is-editing', 'is-saving', 'has-error');
+      td.removeAttribute('aria-busy');
+      window.CellRenderer.renderInto(td, this.cellValue(col, item), col, item);
+    }
+
+    /**
+     * Depois de fechar um editor: abre o da próxima/anterior célula editável da linha (Tab) ou
+     * devolve o foco à linha (Enter, Esc, ou Tab na última célula).
+     * 
+     * @param {number} id - ID da linha
+     * @param {string} key - Coluna que estava em edição
+     * @param {number} step - 1/-1 para seguir para outra célula, 0 para voltar à linha
+     */
+    afterCellEdit(id, key, step) {
+      const tr = this.els.tbody.querySelector(`tr[data-id="${id}"]`);
+      if (!tr) return;
+
+      if (step) {
+        const columns = this.editableColumns(id);
+        const next = columns[columns.findIndex(c => c.key === key) + step];
+        if (next && this.startCellEdit(tr, next.key)) return;
+      }
+
+      this.setActiveRow(id);
+      tr.focus({ preventScroll: true });
+    }
+
+    /**
+     * Destaca por LIVE_HIGHLIGHT ms a célula salva (classe is-cell-saved, animada pelo CSS).
+     * 
+     * @param {number} id - ID da linha
+     * @param {string} key - Coluna
+     */
+    flashCell(id, key) {
+      const tr = this.els.tbody.querySelector(`tr[data-id="${id}"]`);
+      const td = tr ? [...tr.cells].find(c => c.dataset.col === key) : null;
+      if (!td) return;
+      td.classList.add('is-cell-saved');
+      setTimeout(() => td.classList.remove('is-cell-saved'), LIVE_HIGHLIGHT);
+    }
+
+    // ========================================
+    // FILTROS
+    // ========================================
+    /**
+     * Conecta os eventos dos campos de filtro (select de coluna e input de texto)
+     * e monta o filtro avançado, quando configurado.
+     */
+    wireFilters() {
+      const { filterColumn, filterText, filterBuilder } = this.els;
+
+      // Filtro avançado (condições combinadas com E/OU); soma-se ao filtro de coluna + texto
+      if (filterBuilder && this.cfg.filterFields?.length) {
+        this.filterBuilder = new window.FilterBuilder({
+          container: filterBuilder,
+          fields: this.cfg.filterFields,
+          conditions: this.state.conditions,
+          onChange: conditions => {
+            this.state.conditions = conditions;
+            this.state.page = 1; // Volta para a primeira página ao filtrar
+            this.clearSelection(); // A seleção pertence ao filtro anterior
+            this.loadPage();
+          },
+        });
+      }
+
+      // Filtro de coluna (select)
+      if (filterColumn) {
+        // Garante que o estado inicial da coluna está sincronizado com o select
+        if (!this.state.column) {
+          this.state.column = filterColumn.value || null;
+        }
+
+        // Evento de mudança de coluna: recarrega a primeira página
+        filterColumn.addEventListener('change', () => {
+          this.state.column = filterColumn.value || null;
+          this.state.page = 1; // Volta para a primeira página ao filtrar
+          this.clearSelection(); // A seleção pertence ao filtro anterior
+          this.loadPage();
+        });
+      }
+
+      // Filtro de texto (input)
+      if (filterText) {
+        // Função que dispara a busca
+        const shoot = () => {
+          this.state.search = filterText.value || '';
+          this.state.page = 1; // Volta para a primeira página ao filtrar
+          this.clearSelection(); // A seleção pertence ao filtro anterior
+          this.loadPage();
+        };
+
+        // Evento de digitação com debounce (aguarda 250ms após parar de digitar)
+        filterText.addEventListener('input', debounce(shoot, 250));
 
         // Evento de Enter: dispara a busca imediatamente
         filterText.addEventListener('keydown', ev => {
@@ -418,19 +2772,254 @@
       }
     }
 
+    // ========================================
+    // SINCRONIZAÇÃO COM A URL
+    // ========================================
+    /**
+     * Nomes dos parâmetros da URL que guardam o estado da lista (os mesmos enviados à API).
+     * 
+     * @returns {{page: string, pageSize: string, column: string, search: string, filter: string, logic: string, sort: string, dir: string}} Nomes dos parâmetros
+     */
+    urlParamNames() {
+      return {
+        page: 'page',
+        pageSize: 'pageSize',
+        column: this.cfg.columnParamName ?? 'column',
+        search: this.cfg.searchParamName ?? 'search',
+        filter: this.cfg.filterParamName ?? 'filter',
+        logic: this.cfg.logicParamName ?? 'logic',
+        sort: this.cfg.sortParamName ?? 'sort',
+        dir: this.cfg.dirParamName ?? 'dir',
+      };
+    }
+
+    /**
+     * Lê da URL a página, o filtro e a ordenação, e do histórico a seleção.
+     * Parâmetros ausentes voltam ao padrão da tela; valores desconhecidos são ignorados.
+     */
+    readUrlState() {
+      const p = new URLSearchParams(location.search);
+      const n = this.urlParamNames();
+
+      const page = parseInt(p.get(n.page) ?? '', 10);
+      this.state.page = page > 0 ? page : 1;
+
+      // Itens por página: só aceita os tamanhos oferecidos pela tela
+      const pageSize = parseInt(p.get(n.pageSize) ?? '', 10);
+      this.state.pageSize = this.pageSizes().includes(pageSize) ? pageSize : (this.cfg.pageSize ?? 20);
+
+      // Coluna de filtro: só aceita as opções existentes no select
+      this.state.column = this.validColumn(p.get(n.column));
+      this.state.search = p.get(n.search) ?? '';
+
+      // Filtro avançado: condições com campo, operador ou valor inválido são descartadas
+      this.state.conditions = this.cfg.filterFields?.length && window.FilterBuilder
+        ? window.FilterBuilder.parse(p.getAll(n.filter), p.get(n.logic), this.cfg.filterFields)
+        : [];
+
+      // Ordenação: "sort" presente (mesmo vazio) substitui a ordenação padrão
+      if (p.has(n.sort)) {
+        const keys = (p.get(n.sort) ?? '').split(',');
+        const dirs = (p.get(n.dir) ?? '').split(',');
+        this.state.sort = this.validSort(keys.map((key, i) => ({ key, dir: dirs[i] })));
+      } else {
+        this.state.sort = (this.cfg.defaultSort ?? []).map(s => ({ ...s }));
+      }
+
+      // Seleção e linha ativa ficam no history.state (podem ser muitos IDs para a URL)
+      const saved = history.state?.crudList;
+      this.state.selectedIds = new Set(Array.isArray(saved?.selectedIds) ? saved.selectedIds : []);
+      this.state.activeId = saved?.activeId ?? null;
+      this.state.anchorId = null;
+    }
+
+    /**
+     * Grava na URL o estado exibido. Mudanças de página, filtro ou ordenação criam
+     * uma nova entrada no histórico (Voltar/Avançar navegam entre elas); o restante
+     * apenas atualiza a entrada atual. Outros parâmetros da URL são preservados.
+     */
+    writeUrlState() {
+      if (!this.cfg.syncUrl) return;
+
+      const n = this.urlParamNames();
+      const url = new URL(location.href);
+      const p = url.searchParams;
+      const snapshot = () => Object.values(n).map(k => p.getAll(k).join('\t')).join('\n');
+      const before = snapshot();
+
+      Object.values(n).forEach(k => p.delete(k));
+      if (this.state.page > 1 && !this.virtual) p.set(n.page, String(this.state.page)); // Na rolagem virtual não há página
+      if (this.state.pageSize !== (this.cfg.pageSize ?? 20)) p.set(n.pageSize, String(this.state.pageSize));
+      if (this.state.search) {
+        p.set(n.column, this.state.column ?? '');
+        p.set(n.search, this.state.search);
+      }
+      if (this.state.conditions.length) {
+        const { filter, logic } = window.FilterBuilder.serialize(this.state.conditions);
+        filter.forEach(f => p.append(n.filter, f));
+        if (logic) p.set(n.logic, logic);
+      }
+
+      // A ordenação só vai para a URL quando difere da padrão
+      const serialize = sort => sort.map(s => `${s.key}:${s.dir}`).join(',');
+      if (serialize(this.state.sort) !== serialize(this.cfg.defaultSort ?? [])) {
+        p.set(n.sort, this.state.sort.map(s => s.key).join(','));
+        p.set(n.dir, this.state.sort.map(s => s.dir).join(','));
+      }
+
+      const after = snapshot();
+      const state = { ...(history.state ?? {}), crudList: this.selectionSnapshot() };
+
+      // A primeira carga e as correções de página substituem a entrada atual
+      if (before !== after && this.urlWritten && !this.replaceUrl) {
+        history.pushState(state, '', url);
+      } else {
+        history.replaceState(state, '', url);
+      }
+      this.urlWritten = true;
+      this.replaceUrl = false;
+    }
+
+    /**
+     * Indica se a URL traz algum parâmetro do estado da lista (link compartilhado, recarga ou Voltar/Avançar).
+     * 
+     * @returns {boolean} true se houver pelo menos um parâmetro da lista na URL
+     */
+    hasUrlState() {
+      const p = new URLSearchParams(location.search);
+      return Object.values(this.urlParamNames()).some(k => p.has(k));
+    }
+
+    /**
+     * Coluna de filtro válida: a informada, se existir no select, ou a coluna padrão.
+     * 
+     * @param {string|null} column - Coluna pedida (ex: da URL ou de uma visão salva)
+     * @returns {string|null} Coluna a usar
+     */
+    validColumn(column) {
+      const options = this.els.filterColumn ? [...this.els.filterColumn.options].map(o => o.value) : null;
+      return column && (!options || options.includes(column))
+        ? column
+        : (this.cfg.defaultColumn ?? this.state.column);
+    }
+
+    /**
+     * Ordenação válida: somente colunas ordenáveis, sem repetição; direções diferentes de 'desc' viram 'asc'.
+     * 
+     * @param {{key: string, dir: string}[]} sort - Ordenação pedida
+     * @returns {{key: string, dir: ('asc'|'desc')}[]} Ordenação a usar
+     */
+    validSort(sort) {
+      const sortable = (this.cfg.columns ?? []).filter(c => c.sortable).map(c => c.key);
+      return sort
+        .map(s => ({ key: String(s?.key ?? '').trim(), dir: String(s?.dir ?? '').trim() === 'desc' ? 'desc' : 'asc' }))
+        .filter((s, i, all) => sortable.includes(s.key) && all.findIndex(o => o.key === s.key) === i);
+    }
+
+    /**
+     * Seleção e linha ativa no formato guardado em history.state.
+     * 
+     * @returns {{selectedIds: number[], activeId: (number|null)}} Seleção atual
+     */
+    selectionSnapshot() {
+      return { selectedIds: this.getSelectedIds(), activeId: this.state.activeId };
+    }
+
+    /**
+     * Atualiza a seleção guardada na entrada atual do histórico (sem mudar a URL),
+     * para que ela sobreviva a uma recarga da página.
+     */
+    saveSelectionToHistory() {
+      if (!this.cfg.syncUrl || !this.urlWritten) return;
+      history.replaceState({ ...(history.state ?? {}), crudList: this.selectionSnapshot() }, '');
+    }
+
+    /**
+     * Copia o estado atual para os campos de filtro e os cabeçalhos de ordenação.
+     */
+    applyStateToControls() {
+      const { filterColumn, filterText } = this.els;
+      if (filterColumn && this.state.column) filterColumn.value = this.state.column;
+      if (filterText) filterText.value = this.state.search;
+      if (this.els.pageSize) this.els.pageSize.value = String(this.state.pageSize);
+      this.filterBuilder?.setConditions(this.state.conditions);
+      this.updateSortUi();
+    }
+
+    /**
+     * Conecta o Voltar/Avançar do navegador: restaura o estado da entrada e recarrega a lista.
+     */
+    wireHistory() {
+      this.applyStateToControls();
+
+      window.addEventListener('popstate', () => {
+        this.cfg.onHistoryNavigate?.();
+        this.readUrlState();
+        this.applyStateToControls();
+        this.loadPage();
+      });
+    }
+
     // ========================================
     // PAGINAÇÃO
     // ========================================
+    /**
+     * Tamanhos de página aceitos: as opções do select de itens por página, ou só o da configuração.
+     * 
+     * @returns {number[]} Tamanhos aceitos
+     */
+    pageSizes() {
+      const { pageSize } = this.els;
+      return pageSize
+        ? [...pageSize.options].map(o => parseInt(o.value, 10)).filter(n => n > 0)
+        : [this.cfg.pageSize ?? 20];
+    }
+
+    /**
+     * Conecta o select de itens por página: trocar o tamanho volta para a primeira página.
+     * A seleção é mantida, como ao trocar de página.
+     */
+    wirePageSize() {
+      const { pageSize } = this.els;
+      if (!pageSize) return;
+
+      // O tamanho configurado na tela sempre é uma das opções
+      if (!this.pageSizes().includes(this.cfg.pageSize ?? 20)) {
+        pageSize.add(new Option(String(this.cfg.pageSize ?? 20), String(this.cfg.pageSize ?? 20)));
+      }
+      pageSize.value = String(this.state.pageSize);
+
+      // Na rolagem virtual o tamanho da página é só o lote de cada carga: o select fica oculto
+      if (this.virtual) {
+        pageSize.hidden = true;
+        if (pageSize.id) document.querySelector(`label[for="${pageSize.id}"]`)?.setAttribute('hidden', '');
+      }
+
+      pageSize.addEventListener('change', () => {
+        const size = parseInt(pageSize.value, 10);
+        if (!this.pageSizes().includes(size)) return;
+        this.state.pageSize = size;
+        this.state.page = 1;
+        this.loadPage();
+      });
+    }
+
     /**
      * Conecta os eventos dos botões de paginação (Anterior e Próxima).
      */
     wirePager() {
       const { pagerPrev, pagerNext } = this.els;
 
+      // Na rolagem virtual as páginas são carregadas pela própria rolagem
+      if (this.virtual) {
+        if (pagerPrev) pagerPrev.hidden = true;
+        if (pagerNext) pagerNext.hidden = true;
+        return;
+      }
+
       // Botão "Anterior"
       if (pagerPrev) {
         pagerPrev.addEventListener('click', () => {
-          if (this.state.loading) return; // Ignora se já está carregando
           if (this.state.page <= 1) return; // Ignora se já está na primeira página
           this.state.page--;
           this.loadPage();
@@ -440,7 +3029,6 @@
       // Botão "Próxima"
       if (pagerNext) {
         pagerNext.addEventListener('click', () => {
-          if (this.state.loading) return; // Ignora se já está carregando
           const maxPage = Math.ceil(this.state.total / this.state.pageSize) || 1;
           if (this.state.page >= maxPage) return; // Ignora se já está na última página
           this.state.page++;
@@ -449,9 +3037,497 @@
       }
     }
 
+    // ========================================
+    // VISÕES SALVAS
+    // ========================================
+    /**
+     * Monta o seletor de visões salvas e carrega a primeira página. Se a URL não traz
+     * um estado da lista, a visão padrão da tela é aplicada antes da primeira consulta.
+     */
+    wireSavedViews() {
+      const fromUrl = this.cfg.syncUrl && this.hasUrlState();
+
+      this.savedViews = new window.SavedViews({
+        container: this.els.savedViews,
+        screen: this.cfg.savedViews.screen,
+        endpoint: this.cfg.savedViews.endpoint,
+        getState: () => this.getViewState(),
+        onApply: state => this.applyViewState(state),
+      });
+
+      // load() não falha: sem visões, a lista abre no estado padrão
+      this.savedViews.load().then(() => {
+        const view = fromUrl ? null : this.savedViews.defaultView();
+        if (view) this.applyViewState(view.estado, { load: false });
+        this.loadPage();
+      });
+    }
+
+    /**
+     * Colunas cuja visibilidade o usuário controla (as demais são controladas pela tela).
+     * 
+     * @returns {Object[]} Colunas de cfg.columns com toggleable diferente de false
+     */
+    toggleableColumns() {
+      return (this.cfg.columns ?? []).filter(c => c.toggleable !== false);
+    }
+
+    /**
+     * Estado da lista guardado em uma visão salva: filtro, ordenação, itens por página e colunas ocultas.
+     * O filtro avançado usa o mesmo formato da query string (ver FilterBuilder.serialize).
+     * 
+     * @returns {{column: (string|null), search: string, filter: string[], logic: string, sort: Object[], pageSize: number, hiddenColumns: string[]}} Estado
+     */
+    getViewState() {
+      const { filter, logic } = this.state.conditions.length
+        ? window.FilterBuilder.serialize(this.state.conditions)
+        : { filter: [], logic: '' };
+
+      return {
+        column: this.state.search ? this.state.column : null, // A coluna só importa com texto de busca
+        search: this.state.search,
+        filter,
+        logic,
+        sort: this.state.sort.map(s => ({ key: s.key, dir: s.dir })),
+        pageSize: this.state.pageSize,
+        hiddenColumns: this.toggleableColumns().filter(c => c.hidden).map(c => c.key),
+      };
+    }
+
+    /**
+     * Aplica o estado de uma visão salva e volta para a primeira página.
+     * Valores desconhecidos (ex: uma coluna que deixou de existir) são ignorados, como na URL.
+     * 
+     * @param {Object} view - Estado gerado por getViewState
+     * @param {Object} [opts] - Opções
+     * @param {boolean} [opts.load=true] - Se false, apenas aplica o estado (quem chamou recarrega a lista)
+     */
+    applyViewState(view, { load = true } = {}) {
+      const v = view && typeof view === 'object' ? view : {};
+
+      // Colunas visíveis (antes da ordenação: uma coluna oculta não ordena a lista)
+      const hidden = Array.isArray(v.hiddenColumns) ? v.hiddenColumns : [];
+      this.toggleableColumns().forEach(c => { c.hidden = hidden.includes(c.key); });
+      this.updateColumnsUi();
+      this.saveColumnLayout(); // A visão aplicada passa a ser o layout lembrado da tela
+      this.renderColumnChooser();
+
+      this.state.column = this.validColumn(typeof v.column === 'string' ? v.column : null);
+      this.state.search = typeof v.search === 'string' ? v.search : '';
+      this.state.conditions = this.cfg.filterFields?.length && window.FilterBuilder
+        ? window.FilterBuilder.parse(
+          Array.isArray(v.filter) ? v.filter.map(String) : [],
+          typeof v.logic === 'string' ? v.logic : '',
+          this.cfg.filterFields)
+        : [];
+
+      const visible = (this.cfg.columns ?? []).filter(c => !c.hidden).map(c => c.key);
+      this.state.sort = this.validSort(Array.isArray(v.sort) ? v.sort : []).filter(s => visible.includes(s.key));
+      this.state.pageSize = this.pageSizes().includes(v.pageSize) ? v.pageSize : (this.cfg.pageSize ?? 20);
+
+      this.state.page = 1;
+      this.clearSelection(); // A seleção pertence ao filtro anterior
+      this.applyStateToControls();
+
+      if (load) this.loadPage();
+    }
+
+    // ========================================
+    // ORDENAÇÃO
+    // ========================================
+    /**
+     * Torna clicáveis os cabeçalhos das colunas marcadas como sortable em cfg.columns.
+     * - Clique: ordena apenas por aquela coluna, alternando asc → desc → sem ordenação
+     * - Shift+clique: adiciona/alterna a coluna mantendo as demais (ordenação múltipla)
+     */
+    wireSort() {
+      const { thead } = this.els;
+      const columns = this.cfg.columns ?? [];
+      if (!thead || !columns.some(c => c.sortable)) return;
+
+      this.columnHeaders().forEach(th => {
+        const col = this.column(th.dataset.col);
+        if (!col?.sortable) return;
+
+        // Marca o cabeçalho como ordenável e adiciona o espaço para o indicador (▲/▼)
+        th.classList.add('sortable');
+        th.dataset.sortKey = col.key;
+        th.tabIndex = 0;
+        const indicator = document.createElement('span');
+        indicator.className = 'sort-indicator';
+        th.appendChild(indicator);
+
+        th.addEventListener('click', ev => {
+          // Cliques na alça de largura (ou que encerram um redimensionamento) não ordenam
+          if (this.ignoreHeaderClick || ev.target.closest?.('.col-resizer')) return;
+          this.toggleSort(col.key, ev.shiftKey);
+        });
+
+        // Permite ordenar pelo teclado (Enter ou Espaço com o foco no cabeçalho)
+        th.addEventListener('keydown', ev => {
+          if (ev.key === 'Enter' || ev.key === ' ') {
+            ev.preventDefault();
+            this.toggleSort(col.key, ev.shiftKey);
+          }
+        });
+      });
+
+      this.updateSortUi();
+    }
+
+    /**
+     * Alterna a ordenação de uma coluna e recarrega a primeira página.
+     * 
+     * @param {string} key - Nome da coluna (cfg.columns[].key)
+     * @param {boolean} multi - true para manter as outras colunas (Shift+clique)
+     */
+    toggleSort(key, multi) {
+      const current = this.state.sort.find(s => s.key === key);
+
+      // Próxima direção no ciclo: (nenhuma) → asc → desc → (nenhuma)
+      const next = !current ? 'asc' : current.dir === 'asc' ? 'desc' : null;
+
+      if (multi) {
+        // Ordenação múltipla: altera somente a coluna clicada, preservando a posição dela
+        if (!current) this.state.sort.push({ key, dir: next });
+        else if (next) current.dir = next;
+        else this.state.sort = this.state.sort.filter(s => s.key !== key);
+      } else {
+        // Ordenação simples: a coluna clicada passa a ser a única
+        this.state.sort = next ? [{ key, dir: next }] : [];
+      }
+
+      this.state.page = 1; // Volta para a primeira página ao reordenar
+      this.updateSortUi();
+      this.loadPage();
+    }
+
+    /**
+     * Atualiza os indicadores (▲/▼ e a prioridade na ordenação múltipla) e o aria-sort dos cabeçalhos.
+     */
+    updateSortUi() {
+      const { thead } = this.els;
+      if (!thead) return;
+
+      const multi = this.state.sort.length > 1;
+      thead.querySelectorAll('th.sortable').forEach(th => {
+        const index = this.state.sort.findIndex(s => s.key === th.dataset.sortKey);
+        const sort = index >= 0 ? this.state.sort[index] : null;
+        const indicator = th.querySelector('.sort-indicator');
+
+        th.classList.toggle('sorted', !!sort);
+        th.setAttribute('aria-sort', !sort ? 'none' : sort.dir === 'asc' ? 'ascending' : 'descending');
+
+        if (indicator) {
+          const arrow = !sort ? '' : sort.dir === 'asc' ? '▲' : '▼';
+          // Na ordenação múltipla, mostra também a prioridade da coluna (1, 2, ...)
+          indicator.textContent = sort && multi ? `${arrow}${index + 1}` : arrow;
+        }
+      });
+    }
+
+    // ========================================
+    // EXPORTAÇÃO
+    // ========================================
+    /**
+     * Conecta os botões de exportação (CSV e XLSX).
+     */
+    wireExport() {
+      const { btnExportCsv, btnExportXlsx } = this.els;
+      btnExportCsv?.addEventListener('click', () => this.exportTo('csv'));
+      btnExportXlsx?.addEventListener('click', () => this.exportTo('xlsx'));
+    }
+
+    /**
+     * Exporta todos os registros do filtro atual (não só a página) no formato pedido.
+     * O arquivo é gerado e enviado aos poucos pelo servidor; o download é feito pelo
+     * próprio navegador, sem carregar o arquivo inteiro em memória na página.
+     * 
+     * Para cada coluna visível, na ordem exibida, vão o campo (key), o título (label)
+     * e o tipo de formatação (type), para que o arquivo fique igual à tabela.
+     * 
+     * @param {'csv'|'xlsx'} format - Formato do arquivo
+     */
+    exportTo(format) {
+      const p = new URLSearchParams(this.buildQueryString());
+      p.delete('page');
+      p.delete('pageSize');
+      p.set('format', format);
+
+      this.orderedColumns().forEach(col => {
+        if (col.hidden) return;
+        p.append('fields', col.key);
+        p.append('headers', col.label ?? col.key);
+        p.append('types', col.type ?? 'text');
+      });
+
+      const link = document.createElement('a');
+      link.href = `${this.cfg.exportEndpoint ?? `${this.cfg.endpoint}/exportar`}?${p.toString()}`;
+      link.download = ''; // O nome do arquivo vem do servidor (Content-Disposition)
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+    }
+
+    // ========================================
+    // TECLADO
+    // ========================================
+    /**
+     * Conecta os atalhos de teclado da lista:
+     * - ↑/↓: move entre as linhas (passando para a página anterior/seguinte nas pontas)
+     * - Home/End: primeira/última linha da página; PageUp/PageDown: página anterior/seguinte
+     *   (na rolagem virtual: primeira/última linha da lista e uma tela acima/abaixo)
+     * - Shift+↑/↓: estende a seleção; Ctrl+↑/↓: move o foco sem alterar a seleção; Espaço: marca/desmarca
+     * - Enter: visualizar; F2 ou E: editar; Delete: excluir; Insert ou N: novo
+     *   (com cfg.inlineEdit, F2 edita na própria célula: a última coluna editada ou a primeira editável)
+     * Seta para baixo no campo de pesquisa leva o foco à primeira linha.
+     */
+    wireKeyboard() {
+      const { tbody, filterText } = this.els;
+      const table = tbody.closest('table');
+
+      // Semântica de grade para leitores de tela
+      table?.setAttribute('role', 'grid');
+      if (this.cfg.multiSelect) table?.setAttribute('aria-multiselectable', 'true');
+
+      tbody.addEventListener('keydown', ev => this.handleRowKey(ev));
+
+      filterText?.addEventListener('keydown', ev => {
+        if (ev.key === 'ArrowDown') {
+          ev.preventDefault();
+          this.focusRowAt(0);
+        }
+      });
+
+      // Insert / N criam um novo registro de qualquer ponto da tela (fora de campos e modais)
+      document.addEventListener('keydown', ev => {
+        if (ev.defaultPrevented || ev.ctrlKey || ev.altKey || ev.metaKey) return;
+        if (window.AppModal?.isOpen()) return;
+        if (ev.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+        if (tbody.contains(ev.target)) return; // Já tratado em handleRowKey
+
+        if (ev.key === 'Insert' || ev.key === 'n' || ev.key === 'N') {
+          if (this.cfg.onNew && !this.els.btnNew?.disabled) {
+            ev.preventDefault();
+            this.cfg.onNew();
+          }
+        }
+      });
+    }
+
+    /**
+     * Trata as teclas pressionadas com o foco em uma linha da tabela.
+     * 
+     * @param {KeyboardEvent} ev - Evento de teclado
+     */
+    handleRowKey(ev) {
+      const tr = ev.target.closest?.('tr[data-id]');
+      if (!tr || ev.altKey) return;
+
+      // Teclas digitadas no checkbox da linha seguem o comportamento nativo (exceto navegação)
+      const onInput = ev.target !== tr;
+      const id = this.rowId(tr);
+      const multi = !!this.cfg.multiSelect;
+
+      // Posição da linha: na página ou, na rolagem virtual, na lista inteira
+      const rows = [...this.els.tbody.querySelectorAll('tr[data-id]')];
+      const index = this.virtual ? Number(tr.dataset.index) : rows.indexOf(tr);
+      const count = this.virtual ? this.virtual.items.length : rows.length;
+
+      const move = target => {
+        ev.preventDefault();
+        if (this.virtual) {
+          target = Math.max(0, Math.min(target, count - 1));
+        } else {
+          if (target < 0) return this.goToPage(this.state.page - 1, 'last');
+          if (target >= rows.length) return this.goToPage(this.state.page + 1, 'first');
+        }
+
+        // Linha ainda não carregada (rolagem virtual): só o foco vai até ela, ao terminar a carga
+        const item = this.virtual ? this.virtual.items[target] : null;
+        const nextId = this.virtual ? (item ? this.itemId(item) : null) : this.rowId(rows[target]);
+        if (nextId && multi && ev.shiftKey) {
+          this.selectRange(nextId); // Estende a seleção a partir da âncora
+        } else if (nextId && !(multi && (ev.ctrlKey || ev.metaKey))) {
+          this.setSelection([nextId]);
+          this.state.anchorId = nextId;
+        }
+        this.focusRowAt(target);
+      };
+
+      switch (ev.key) {
+        case 'ArrowDown': return move(index + 1);
+        case 'ArrowUp':   return move(index - 1);
+        case 'Home':      return move(0);
+        case 'End':       return move(count - 1);
+        case 'PageDown':
+          if (this.virtual) return move(index + this.visibleRowCount());
+          ev.preventDefault();
+          return this.goToPage(this.state.page + 1, 'first');
+        case 'PageUp':
+          if (this.virtual) return move(index - this.visibleRowCount());
+          ev.preventDefault();
+          return this.goToPage(this.state.page - 1, 'first');
+      }
+
+      if (onInput || ev.ctrlKey || ev.metaKey) return;
+
+      switch (ev.key) {
+        case ' ':
+          ev.preventDefault();
+          if (multi) this.toggleSelection(id);
+          else this.setSelection([id]);
+          this.state.anchorId = id;
+          break;
+
+        case 'Enter':
+          ev.preventDefault();
+          this.cfg.onView?.(id);
+          break;
+
+        case 'F2':
+          ev.preventDefault();
+          if (!this.startCellEdit(tr)) this.cfg.onEdit?.(id);
+          break;
+
+        case 'e':
+        case 'E':
+          ev.preventDefault();
+          this.cfg.onEdit?.(id);
+          break;
+
+        case 'Delete':
+          ev.preventDefault();
+          // Se a linha com foco não faz parte da seleção, ela passa a ser a seleção
+          if (!this.state.selectedIds.has(id)) this.setSelection([id]);
+          this.deleteSelected();
+          break;
+
+        case 'Insert':
+        case 'n':
+        case 'N':
+          ev.preventDefault();
+          this.cfg.onNew?.();
+          break;
+      }
+    }
+
+    /**
+     * Define a linha ativa (a única com tabindex=0, que recebe o foco ao entrar na tabela com Tab).
+     * 
+     * @param {number|null} id - ID da linha
+     */
+    setActiveRow(id) {
+      this.state.activeId = id;
+      this.els.tbody.querySelectorAll('tr[data-id]').forEach(tr => {
+        tr.tabIndex = this.rowId(tr) === id ? 0 : -1;
+      });
+    }
+
+    /**
+     * Move o foco para a linha na posição informada da página atual.
+     * Na rolagem virtual a posição é na lista inteira: a tabela rola até a linha e, se ela
+     * ainda não foi carregada, o foco vai para ela ao fim da carga.
+     * 
+     * @param {number} index - Posição da linha (0 = primeira)
+     */
+    focusRowAt(index) {
+      if (this.virtual) {
+        const count = this.virtual.items.length;
+        if (!count) return;
+        const target = Math.max(0, Math.min(index, count - 1));
+        this.scrollToIndex(target);
+        this.renderVirtual();
+
+        const tr = this.els.tbody.querySelector(`tr[data-index="${target}"]`);
+        if (!tr) {
+          this.pendingFocus = target;
+          return;
+        }
+        this.setActiveRow(this.rowId(tr));
+        tr.focus({ preventScroll: true }); // scrollToIndex já deixou a linha abaixo do cabeçalho fixo
+        return;
+      }
+
+      const rows = this.els.tbody.querySelectorAll('tr[data-id]');
+      const tr = rows[Math.max(0, Math.min(index, rows.length - 1))];
+      if (!tr) return;
+      this.setActiveRow(this.rowId(tr));
+      tr.focus();
+    }
+
+    /**
+     * Move o foco para a linha ativa (ou a primeira da página, se ela não estiver mais visível).
+     * Usado para devolver o foco à tabela depois de fechar um modal.
+     */
+    focusActiveRow() {
+      const tr = this.els.tbody.querySelector(`tr[data-id="${this.state.activeId}"]`);
+      if (tr) {
+        this.setActiveRow(this.state.activeId);
+        tr.focus();
+      } else if (this.virtual) {
+        // Linha ativa fora da área renderizada: rola até ela (ou foca a primeira linha visível)
+        const index = this.virtual.items.findIndex(item => item && this.itemId(item) === this.state.activeId);
+        this.focusRowAt(index >= 0 ? index : this.virtual.range.first);
+      } else {
+        this.focusRowAt(0);
+      }
+    }
+
+    /**
+     * Após renderizar uma página, mantém a linha ativa navegável pelo Tab e,
+     * se a troca de página veio do teclado, coloca o foco na linha pedida.
+     */
+    restoreRowFocus() {
+      const rows = [...this.els.tbody.querySelectorAll('tr[data-id]')];
+      if (!rows.length) return;
+
+      const focus = this.pendingFocus;
+      this.pendingFocus = null;
+
+      if (focus === 'first' || focus === 'last') {
+        this.focusRowAt(focus === 'first' ? 0 : rows.length - 1);
+        return;
+      }
+
+      const active = rows.find(tr => this.rowId(tr) === this.state.activeId) ?? rows[0];
+      this.setActiveRow(this.rowId(active));
+    }
+
+    /**
+     * Vai para outra página (se existir) e coloca o foco na primeira ou última linha dela.
+     * 
+     * @param {number} page - Página de destino
+     * @param {'first'|'last'} focus - Linha que recebe o foco após o carregamento
+     */
+    goToPage(page, focus) {
+      const maxPage = Math.ceil(this.state.total / this.state.pageSize) || 1;
+      if (page < 1 || page > maxPage || page === this.state.page) return;
+      this.state.page = page;
+      this.pendingFocus = focus;
+      this.loadPage();
+    }
+
     // ========================================
     // AÇÕES (BOTÕES)
     // ========================================
+    /**
+     * Exclui os registros selecionados: uma linha chama onDelete(id); várias chamam onBulkDelete(ids).
+     */
+    async deleteSelected() {
+      const ids = this.getSelectedIds();
+      if (!ids.length) return;
+
+      let result;
+      if (ids.length === 1 && this.cfg.onDelete) result = this.cfg.onDelete(ids[0]);
+      else if (this.cfg.onBulkDelete) result = this.cfg.onBulkDelete(ids);
+
+      // Se o callback retornar uma Promise, aguarda sua conclusão
+      if (result instanceof Promise) {
+        await result;
+      }
+    }
+
     /**
      * Conecta os eventos dos botões de ação (Visualizar, Editar, Novo, Excluir).
      * Chama os callbacks fornecidos na configuração.
@@ -474,16 +3550,8 @@
       }
 
       // Botão "Excluir"
-      if (btnDelete && this.cfg.onDelete) {
-        btnDelete.addEventListener('click', async () => {
-          if (!this.state.selectedId) return;
-          const id = this.state.selectedId;
-          const result = this.cfg.onDelete(id);
-          // Se o callback retornar uma Promise, aguarda sua conclusão
-          if (result instanceof Promise) {
-            await result;
-          }
-        });
+      if (btnDelete && (this.cfg.onDelete || this.cfg.onBulkDelete)) {
+        btnDelete.addEventListener('click', () => this.deleteSelected());
       }
 
       // Botão "Novo"
@@ -0,0 +1,721 @@
+// ========================================
+// IMPORTAÇÃO DE CSV
+// ========================================
+// Este arquivo contém uma classe reutilizável que conduz a importação de registros a partir
+// de uma planilha CSV, em um modal com etapas:
+// 1. Escolha do arquivo (UTF-8 ou Windows-1252; separador ; , ou tabulação detectado sozinho)
+// 2. Associação das colunas do arquivo aos campos do cadastro (sugerida pelo nome do cabeçalho)
+// 3. Pré-visualização com a validação de cada linha: as regras do CrudForm no navegador
+//    e, em seguida, as regras do servidor (sem gravar nada)
+// 4. Gravação das linhas válidas em uma única requisição (uma transação no servidor)
+// 5. Download de um relatório com as linhas rejeitadas e o motivo de cada uma
+//
+// Cada tela só precisa informar o CrudForm (campos e regras) e os endpoints de validação e importação.
+
+(() => {
+  // ========================================
+  // UTILITÁRIOS DE CSV
+  // ========================================
+  /**
+   * Lê o conteúdo de um arquivo como texto.
+   * Tenta UTF-8 primeiro; se o arquivo não for UTF-8 válido, usa Windows-1252
+   * (a codificação do "CSV (separado por vírgulas)" salvo pelo Excel em português).
+   *
+   * @param {File} file - Arquivo escolhido pelo usuário
+   * @returns {Promise<string>} Conteúdo do arquivo (sem BOM)
+   */
+  async function readText(file) {
+    const buffer = await file.arrayBuffer();
+    try {
+      return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    } catch {
+      return new TextDecoder('windows-1252').decode(buffer);
+    }
+  }
+
+  /**
+   * Descobre o separador pela primeira linha: o mais frequente entre ; , e tabulação.
+   *
+   * @param {string} text - Conteúdo do arquivo
+   * @returns {string} Separador (padrão ';')
+   */
+  function detectDelimiter(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0] ?? '';
+    const count = ch => firstLine.split(ch).length - 1;
+    return [';', ',', '\t'].reduce((best, ch) => (count(ch) > count(best) ? ch : best), ';');
+  }
+
+  /**
+   * Converte o texto de um CSV em linhas e colunas.
+   * Aceita campos entre aspas (com separadores, quebras de linha e aspas duplicadas dentro).
+   * Linhas totalmente vazias são descartadas.
+   *
+   * @param {string} text - Conteúdo do arquivo
+   * @param {string} delimiter - Separador de colunas
+   * @returns {string[][]} Linhas do arquivo
+   */
+  function parseCsv(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+
+      if (quoted) {
+        if (ch === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (ch === '"') {
+          quoted = false;
+        } else {
+          field += ch;
+        }
+        continue;
+      }
+
+      if (ch === '"' && field === '') {
+        quoted = true;
+      } else if (ch === delimiter) {
+        row.push(field);
+        field = '';
+      } else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && text[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += ch;
+      }
+    }
+
+    row.push(field);
+    rows.push(row);
+
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+  }
+
+  /**
+   * Monta o conteúdo de um CSV no padrão do Excel brasileiro (BOM + ponto e vírgula).
+   *
+   * @param {string[][]} rows - Linhas (a primeira é o cabeçalho)
+   * @returns {string} Conteúdo do arquivo
+   */
+  function toCsv(rows) {
+    const escape = value => {
+      const text = String(value ?? '');
+      return /[;"\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return '\uFEFF' + rows.map(r => r.map(escape).join(';')).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Normaliza um nome de coluna para comparação (sem acentos, espaços ou pontuação).
+   *
+   * @param {string} text - Nome da coluna
+   * @returns {string} Nome normalizado (ex: "Endereço " → "endereco")
+   */
+  function normalize(text) {
+    return String(text ?? '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]/g, '');
+  }
+
+  /**
+   * Mensagem de uma falha do postJson para o modal, lida pelo AppToast.describeError
+   * ({ mensagem }, ProblemDetails ou falta de conexão).
+   *
+   * @param {*} err - Erro capturado
+   * @returns {string} Mensagem para o usuário
+   */
+  function failureMessage(err) {
+    return window.AppToast.describeError(err) ?? (err?.status ? `Erro HTTP ${err.status}.` : 'Erro inesperado.');
+  }
+
+  /**
+   * Envia um JSON via POST e devolve o JSON da resposta.
+   *
+   * @param {string} url - Endpoint
+   * @param {Object} body - Corpo da requisição
+   * @returns {Promise<*>} Resposta da API
+   * @throws {Error} Se a resposta não for bem-sucedida, com o corpo da resposta na mensagem
+   *   (lida por AppToast.describeError) e o status em `status`
+   */
+  async function postJson(url, body) {
+    const resp = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    if (!resp.ok) {
+      const txt = await resp.text();
+      const err = new Error(txt || `Erro HTTP ${resp.status}`);
+      err.status = resp.status;
+      throw err;
+    }
+    return await resp.json();
+  }
+
+  /**
+   * Quantidade máxima de linhas exibidas na pré-visualização (todas são validadas e importadas).
+   */
+  const PREVIEW_LIMIT = 200;
+
+  // ========================================
+  // CLASSE PRINCIPAL: CsvImport
+  // ========================================
+  /**
+   * Assistente de importação de CSV para um cadastro.
+   *
+   * @class
+   */
+  class CsvImport {
+    /**
+     * Construtor da classe CsvImport.
+     *
+     * @param {Object} cfg - Objeto de configuração
+     * @param {string} cfg.idPrefix - Prefixo dos IDs gerados no DOM (ex: 'clientes-import')
+     * @param {CrudForm} cfg.form - Formulário do cadastro: fornece os campos e as regras de validação
+     * @param {string[]} [cfg.fields] - Campos importáveis (padrão: os editáveis do modal "Novo")
+     * @param {Object<string, string[]>} [cfg.aliases] - Outros nomes de coluna aceitos por campo (ex: { nome: ['cliente'] })
+     * @param {string} cfg.validateEndpoint - URL que valida as linhas sem gravar (POST { linhas })
+     * @param {string} cfg.importEndpoint - URL que grava as linhas válidas (POST { linhas })
+     * @param {number} [cfg.maxRows=5000] - Quantidade máxima de linhas por importação
+     * @param {string} [cfg.title='Importar CSV'] - Título do modal
+     * @param {string} [cfg.reportFileName='rejeitados.csv'] - Nome do relatório de linhas rejeitadas
+     * @param {Function} [cfg.onImported] - ({ imported, rejected }) => void; chamado após gravar
+     */
+    constructor(cfg) {
+      this.cfg = cfg;
+      this.els = {};
+      this.state = {
+        step: 'file',   // Etapa atual: file, map, preview ou done
+        fileName: '',
+        headers: [],    // Cabeçalho do arquivo
+        rows: [],       // Linhas do arquivo (sem o cabeçalho)
+        mapping: {},    // Campo → índice da coluna no arquivo (-1 = não importar)
+        results: [],    // Uma entrada por linha: { line, values, payload, errors, status }
+        busy: false,
+      };
+      this.init();
+    }
+
+    // ========================================
+    // INICIALIZAÇÃO
+    // ========================================
+    /**
+     * Verifica as dependências e gera o modal.
+     */
+    init() {
+      if (!window.AppModal) {
+        console.error('AppModal não encontrado. Certifique-se de carregar /js/modal.js antes de /js/csvImport.js');
+        return;
+      }
+      if (!window.AppToast) {
+        console.error('AppToast não encontrado. Certifique-se de carregar /js/toast.js antes de /js/csvImport.js');
+        return;
+      }
+      if (!this.cfg.form) {
+        console.error('CsvImport: cfg.form (CrudForm) não foi informado.');
+        return;
+      }
+
+      const allowed = this.cfg.fields;
+      this.fields = this.cfg.form.fieldsFor('new')
+        .filter(field => !field.readOnly && (!allowed || allowed.includes(field.name)));
+
+      this.buildModal();
+    }
+
+    /**
+     * Gera o modal com as etapas (arquivo, colunas, pré-visualização) e os botões.
+     */
+    buildModal() {
+      const id = suffix => `${this.cfg.idPrefix}-${suffix}`;
+      const { backdrop, body } = window.AppModal.create({
+        id: id('backdrop'),
+        title: this.cfg.title ?? 'Importar CSV',
+        size: 'lg',
+      });
+
+      // Etapa 1: arquivo
+      const fileStep = document.createElement('div');
+      const fileLabel = document.createElement('label');
+      fileLabel.htmlFor = id('file');
+      fileLabel.textContent = 'Arquivo CSV';
+      const fileInput = document.createElement('input');
+      fileInput.type = 'file';
+      fileInput.id = id('file');
+      fileInput.accept = '.csv,text/csv';
+      const hint = document.createElement('p');
+      hint.className = 'import-hint';
+      hint.textContent = 'A primeira linha deve conter os nomes das colunas. '
+        + 'O separador (ponto e vírgula, vírgula ou tabulação) é detectado automaticamente.';
+      fileStep.append(fileLabel, fileInput, hint);
+
+      // Etapa 2: associação de colunas
+      const mapStep = document.createElement('div');
+      const mapInfo = document.createElement('p');
+      mapInfo.className = 'import-hint';
+      const mapGrid = document.createElement('div');
+      mapGrid.className = 'import-map';
+      mapStep.append(mapInfo, mapGrid);
+
+      // Etapa 3: pré-visualização (e resumo final)
+      const previewStep = document.createElement('div');
+      const summary = document.createElement('p');
+      summary.className = 'import-summary';
+      summary.setAttribute('aria-live', 'polite');
+      const tableWrap = document.createElement('div');
+      tableWrap.className = 'import-preview-wrapper';
+      const table = document.createElement('table');
+      table.className = 'table-modern import-preview';
+      tableWrap.appendChild(table);
+      previewStep.append(summary, tableWrap);
+
+      // Mensagem de erro geral
+      const error = document.createElement('div');
+      error.className = 'form-error';
+      error.setAttribute('role', 'alert');
+      error.hidden = true;
+
+      // Botões
+      const actions = document.createElement('div');
+      actions.className = 'modal-actions';
+      const button = (text, variant) => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = `btn-modern ${variant}`;
+        btn.textContent = text;
+        actions.appendChild(btn);
+        return btn;
+      };
+      const btnBack = button('Voltar', 'secondary');
+      const btnReport = button('Baixar rejeitadas', 'secondary');
+      const btnCancel = button('Cancelar', 'secondary');
+      const btnPreview = button('Pré-visualizar', 'primary');
+      const btnImport = button('Importar', 'primary');
+
+      body.append(fileStep, mapStep, previewStep, error, actions);
+      (document.querySelector('main') ?? document.body).appendChild(backdrop);
+
+      this.els = {
+        backdrop, fileStep, fileInput, mapStep, mapInfo, mapGrid, previewStep, summary, table, error,
+        btnBack, btnReport, btnCancel, btnPreview, btnImport,
+      };
+
+      fileInput.addEventListener('change', () => {
+        const file = fileInput.files?.[0];
+        if (file) this.loadFile(file);
+      });
+      btnBack.addEventListener('click', () => this.showStep(this.state.step === 'preview' ? 'map' : 'file'));
+      btnCancel.addEventListener('click', () => this.close());
+      btnPreview.addEventListener('click', () => this.preview());
+      btnImport.addEventListener('click', () => this.commit());
+      btnReport.addEventListener('click', () => this.downloadRejected());
+    }
+
+    // ========================================
+    // ABERTURA, FECHAMENTO E ETAPAS
+    // ========================================
+    /**
+     * Abre o assistente na primeira etapa, sem arquivo escolhido.
+     */
+    open() {
+      if (!this.els.backdrop) return;
+      this.els.fileInput.value = '';
+      this.state.results = [];
+      this.showStep('file');
+      window.AppModal.open(this.els.backdrop, { initialFocus: this.els.fileInput });
+    }
+
+    /**
+     * Fecha o assistente.
+     */
+    close() {
+      window.AppModal.close(this.els.backdrop);
+    }
+
+    /**
+     * Exibe uma etapa e ajusta os botões disponíveis.
+     *
+     * @param {'file'|'map'|'preview'|'done'} step - Etapa
+     */
+    showStep(step) {
+      const { fileStep, mapStep, previewStep, btnBack, btnReport, btnCancel, btnPreview, btnImport } = this.els;
+      this.state.step = step;
+      this.setError(null);
+
+      fileStep.hidden = step !== 'file';
+      mapStep.hidden = step !== 'map';
+      previewStep.hidden = step !== 'preview' && step !== 'done';
+
+      const rejected = this.rejectedResults().length;
+      const valid = this.state.results.filter(r => r.status === 'valid').length;
+
+      btnBack.hidden = step === 'file' || step === 'done';
+      btnPreview.hidden = step !== 'map';
+      btnImport.hidden = step !== 'preview';
+      btnImport.disabled = valid === 0;
+      btnImport.textContent = valid === 1 ? 'Importar 1 linha válida' : `Importar ${valid} linhas válidas`;
+      btnReport.hidden = !(step === 'preview' || step === 'done') || rejected === 0;
+      btnCancel.textContent = step === 'done' ? 'Fechar' : 'Cancelar';
+    }
+
+    /**
+     * Exibe (ou limpa) a mensagem de erro geral do assistente.
+     *
+     * @param {string|null} message - Mensagem; vazio para limpar
+     */
+    setError(message) {
+      this.els.error.textContent = message ?? '';
+      this.els.error.hidden = !message;
+    }
+
+    /**
+     * Bloqueia os botões enquanto uma requisição está em andamento.
+     *
+     * @param {boolean} busy - true durante a requisição
+     */
+    setBusy(busy) {
+      this.state.busy = busy;
+      const { btnBack, btnPreview, btnImport } = this.els;
+      [btnBack, btnPreview].forEach(btn => { btn.disabled = busy; });
+      btnImport.disabled = busy || !this.state.results.some(r => r.status === 'valid');
+    }
+
+    // ========================================
+    // ETAPA 1: ARQUIVO
+    // ========================================
+    /**
+     * Lê o arquivo escolhido e passa para a associação de colunas.
+     *
+     * @param {File} file - Arquivo CSV
+     */
+    async loadFile(file) {
+      let rows;
+      try {
+        const text = await readText(file);
+        rows = parseCsv(text, detectDelimiter(text));
+      } catch (err) {
+        console.error('CsvImport loadFile error:', err);
+        this.setError('Não foi possível ler o arquivo.');
+        return;
+      }
+
+      if (rows.length < 2) {
+        this.setError('O arquivo precisa ter um cabeçalho e ao menos uma linha de dados.');
+        return;
+      }
+
+      const maxRows = this.cfg.maxRows ?? 5000;
+      if (rows.length - 1 > maxRows) {
+        this.setError(`O arquivo tem ${rows.length - 1} linhas; o limite é ${maxRows} por importação.`);
+        return;
+      }
+
+      this.state.fileName = file.name;
+      this.state.headers = rows[0].map((h, i) => h.trim() || `Coluna ${i + 1}`);
+      this.state.rows = rows.slice(1);
+      this.state.mapping = this.guessMapping(this.state.headers);
+      this.state.results = [];
+
+      this.renderMapping();
+      this.showStep('map');
+    }
+
+    // ========================================
+    // ETAPA 2: ASSOCIAÇÃO DE COLUNAS
+    // ========================================
+    /**
+     * Sugere a coluna do arquivo de cada campo, comparando o cabeçalho com o rótulo,
+     * o nome e os apelidos (cfg.aliases) do campo.
+     *
+     * @param {string[]} headers - Cabeçalho do arquivo
+     * @returns {Object<string, number>} Campo → índice da coluna (-1 = não importar)
+     */
+    guessMapping(headers) {
+      const normalized = headers.map(normalize);
+      const mapping = {};
+      this.fields.forEach(field => {
+        const names = [field.label, field.name, ...(this.cfg.aliases?.[field.name] ?? [])].map(normalize);
+        mapping[field.name] = normalized.findIndex(h => names.includes(h));
+      });
+      return mapping;
+    }
+
+    /**
+     * Monta um select por campo com as colunas do arquivo.
+     */
+    renderMapping() {
+      const { mapInfo, mapGrid } = this.els;
+      const { fileName, rows, headers, mapping } = this.state;
+
+      mapInfo.textContent = `${fileName}: ${rows.length} ${rows.length === 1 ? 'linha' : 'linhas'}. `
+        + 'Escolha a coluna do arquivo correspondente a cada campo.';
+      mapGrid.replaceChildren();
+
+      this.fields.forEach(field => {
+        const selectId = `${this.cfg.idPrefix}-map-${field.name}`;
+        const label = document.createElement('label');
+        label.htmlFor = selectId;
+        label.textContent = field.required ? `${field.label} *` : field.label;
+
+        const select = document.createElement('select');
+        select.id = selectId;
+        select.className = 'form-control';
+        const none = document.createElement('option');
+        none.value = '-1';
+        none.textContent = '(não importar)';
+        select.appendChild(none);
+        headers.forEach((header, index) => {
+          const option = document.createElement('option');
+          option.value = String(index);
+          option.textContent = header;
+          select.appendChild(option);
+        });
+        select.value = String(mapping[field.name] ?? -1);
+        select.addEventListener('change', () => {
+          mapping[field.name] = parseInt(select.value, 10);
+        });
+
+        mapGrid.append(label, select);
+      });
+    }
+
+    // ========================================
+    // ETAPA 3: PRÉ-VISUALIZAÇÃO E VALIDAÇÃO
+    // ========================================
+    /**
+     * Converte as linhas do arquivo em payloads e valida cada uma:
+     * primeiro com as regras do CrudForm, depois no servidor (somente as que passaram).
+     */
+    async preview() {
+      const { form } = this.cfg;
+      const { rows, mapping } = this.state;
+
+      // Campos obrigatórios precisam de uma coluna associada
+      const missing = this.fields.filter(f => f.required && !(mapping[f.name] >= 0));
+      if (missing.length) {
+        this.setError(`Escolha a coluna de: ${missing.map(f => f.label).join(', ')}.`);
+        return;
+      }
+
+      // Validação local (mesmas regras do modal "Novo")
+      this.state.results = rows.map((values, index) => {
+        const payload = {};
+        this.fields.forEach(field => {
+          const column = mapping[field.name];
+          payload[form.payloadKey(field)] = form.fromInputValue(field, column >= 0 ? values[column] : '');
+        });
+
+        const errors = {};
+        this.fields.forEach(field => {
+          const message = form.validateField(field, payload);
+          if (message) errors[field.name] = [message];
+        });
+
+        return {
+          line: index + 2, // Linha no arquivo (a linha 1 é o cabeçalho)
+          values,
+          payload,
+          errors,
+          status: Object.keys(errors).length ? 'invalid' : 'valid',
+        };
+      });
+
+      // Validação no servidor (regras oficiais do cadastro), sem gravar
+      const pending = this.state.results.filter(r => r.status === 'valid');
+      if (pending.length) {
+        this.setBusy(true);
+        try {
+          const answers = await postJson(this.cfg.validateEndpoint, { linhas: pending.map(r => r.payload) });
+          this.applyAnswers(pending, answers);
+        } catch (err) {
+          console.error('CsvImport preview error:', err);
+          this.setError(`Falha ao validar as linhas: ${failureMessage(err)}`);
+          return;
+        } finally {
+          this.setBusy(false);
+        }
+      }
+
+      this.showStep('preview');
+      this.renderPreview();
+    }
+
+    /**
+     * Aplica aos resultados locais a resposta do servidor (uma entrada por linha enviada, na mesma ordem).
+     *
+     * @param {Object[]} sent - Resultados das linhas enviadas
+     * @param {Object[]} answers - Resposta da API: [{ indice, valida, id, erros }]
+     * @param {string} [okStatus='valid'] - Situação das linhas aceitas ('valid' ou 'imported')
+     */
+    applyAnswers(sent, answers, okStatus = 'valid') {
+      (Array.isArray(answers) ? answers : []).forEach(answer => {
+        const result = sent[answer.indice ?? answer.Indice];
+        if (!result) return;
+
+        if (answer.valida ?? answer.Valida) {
+          result.status = okStatus;
+          result.id = answer.id ?? answer.Id ?? null;
+        } else {
+          result.status = 'invalid';
+          result.errors = answer.erros ?? answer.Erros ?? {};
+        }
+      });
+    }
+
+    /**
+     * Desenha o resumo e a tabela de pré-visualização (até PREVIEW_LIMIT linhas).
+     */
+    renderPreview() {
+      const { summary, table } = this.els;
+      const { results, step } = this.state;
+
+      const count = status => results.filter(r => r.status === status).length;
+      const rejected = count('invalid');
+      summary.textContent = step === 'done'
+        ? `${count('imported')} importadas, ${rejected} rejeitadas.`
+        : `${count('valid')} válidas, ${rejected} rejeitadas, de ${results.length} linhas.`;
+      if (results.length > PREVIEW_LIMIT) {
+        summary.textContent += ` Exibindo as primeiras ${PREVIEW_LIMIT}.`;
+      }
+
+      // Cabeçalho: linha, campos e situação
+      const thead = document.createElement('thead');
+      const headRow = document.createElement('tr');
+      ['Linha', ...this.fields.map(f => f.label), 'Situação'].forEach(text => {
+        const th = document.createElement('th');
+        th.textContent = text;
+        headRow.appendChild(th);
+      });
+      thead.appendChild(headRow);
+
+      // Corpo: valores como o usuário os verá no cadastro (sempre como texto)
+      const tbody = document.createElement('tbody');
+      results.slice(0, PREVIEW_LIMIT).forEach(result => {
+        const tr = document.createElement('tr');
+        tr.className = `import-row-${result.status}`;
+
+        const lineCell = document.createElement('td');
+        lineCell.textContent = String(result.line);
+        tr.appendChild(lineCell);
+
+        this.fields.forEach(field => {
+          const td = document.createElement('td');
+          const column = this.state.mapping[field.name];
+          td.textContent = column >= 0 ? (result.values[column] ?? '') : '';
+          if (result.errors[field.name]) td.classList.add('is-invalid');
+          tr.appendChild(td);
+        });
+
+        const status = document.createElement('td');
+        status.textContent = result.status === 'invalid'
+          ? this.describeErrors(result.errors)
+          : result.status === 'imported' ? 'Importada' : 'Válida';
+        tr.appendChild(status);
+
+        tbody.appendChild(tr);
+      });
+
+      table.replaceChildren(thead, tbody);
+    }
+
+    /**
+     * Junta os erros de uma linha em um texto (ex: "Nome: O nome é obrigatório.").
+     *
+     * @param {Object<string, string[]>} errors - Erros por campo (camelCase); '' = erro geral
+     * @returns {string} Descrição dos erros
+     */
+    describeErrors(errors) {
+      return Object.entries(errors ?? {})
+        .flatMap(([name, messages]) => {
+          const field = this.fields.find(f => f.name.toLowerCase() === name.toLowerCase());
+          const list = Array.isArray(messages) ? messages : [messages];
+          return list.map(message => (field ? `${field.label}: ${message}` : message));
+        })
+        .join(' ');
+    }
+
+    // ========================================
+    // ETAPA 4: GRAVAÇÃO
+    // ========================================
+    /**
+     * Envia as linhas válidas ao servidor, que grava todas em uma única transação
+     * (e rejeita as que não passarem na validação, sem afetar as demais).
+     */
+    async commit() {
+      const valid = this.state.results.filter(r => r.status === 'valid');
+      if (!valid.length || this.state.busy) return;
+
+      this.setBusy(true);
+      try {
+        const answers = await postJson(this.cfg.importEndpoint, { linhas: valid.map(r => r.payload) });
+        this.applyAnswers(valid, answers, 'imported');
+      } catch (err) {
+        console.error('CsvImport commit error:', err);
+        this.setError(`Falha ao importar: ${failureMessage(err)}`);
+        return;
+      } finally {
+        this.setBusy(false);
+      }
+
+      this.showStep('done');
+      this.renderPreview();
+
+      const imported = this.state.results.filter(r => r.status === 'imported').length;
+      this.cfg.onImported?.({ imported, rejected: this.rejectedResults().length });
+    }
+
+    // ========================================
+    // ETAPA 5: RELATÓRIO DE REJEITADAS
+    // ========================================
+    /**
+     * Linhas rejeitadas (na validação local, na do servidor ou na gravação).
+     *
+     * @returns {Object[]} Resultados com status 'invalid'
+     */
+    rejectedResults() {
+      return this.state.results.filter(r => r.status === 'invalid');
+    }
+
+    /**
+     * Baixa um CSV com as linhas rejeitadas: as colunas originais do arquivo,
+     * o número da linha e o motivo da rejeição. Depois de corrigido, o arquivo pode ser importado de novo.
+     */
+    downloadRejected() {
+      const rejected = this.rejectedResults();
+      if (!rejected.length) return;
+
+      const rows = [
+        [...this.state.headers, 'Linha', 'Erros'],
+        ...rejected.map(r => [
+          ...this.state.headers.map((_, i) => r.values[i] ?? ''),
+          r.line,
+          this.describeErrors(r.errors),
+        ]),
+      ];
+
+      const blob = new Blob([toCsv(rows)], { type: 'text/csv;charset=utf-8' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = this.cfg.reportFileName ?? 'rejeitados.csv';
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+  }
+
+  // ========================================
+  // EXPORTAÇÃO GLOBAL
+  // ========================================
+  // Expõe a classe no escopo global para as telas
+  window.CsvImport = CsvImport;
+})();
@@ -0,0 +1,384 @@
+// ========================================
+// CACHE DE DADOS DA API (STALE-WHILE-REVALIDATE)
+// ========================================
+// Este arquivo contém uma pequena camada de dados compartilhada pelo CrudList e pelas telas:
+// - As respostas dos GETs (páginas da lista, detalhes, histórico) ficam guardadas pela URL
+// - Um pedido já em cache é atendido na hora, e a resposta é revalidada em segundo plano;
+//   se o servidor devolver dados diferentes, quem pediu é avisado (onUpdate) para atualizar a tela
+// - A revalidação é condicional: o ETag recebido vai no If-None-Match e, se nada mudou,
+//   o servidor responde HTTP 304 sem corpo
+// - Depois de um POST/PUT/DELETE, as chaves afetadas são descartadas (invalidate ou mutate),
+//   para a próxima leitura buscar os dados novos
+//
+// As respostas ficam na memória da página e, as últimas MAX_PERSISTED, também num banco próprio
+// do IndexedDB (separado do banco da fila offline, que tem versões independentes). Sem conexão, as páginas da lista e os
+// registros já vistos continuam sendo exibidos, mesmo depois de recarregar o navegador: quando
+// o GET falha por rede, a resposta guardada no IndexedDB é usada.
+
+(() => {
+  /**
+   * Quantidade máxima de respostas guardadas; ao passar dela, a usada há mais tempo sai.
+   */
+  const MAX_ENTRIES = 200;
+
+  /**
+   * Quantidade máxima de respostas copiadas para o IndexedDB (as mais recentes).
+   */
+  const MAX_PERSISTED = 50;
+
+  /**
+   * Banco e store do IndexedDB com a cópia das respostas.
+   */
+  const DB_NAME = 'webappEstudo_cache';
+  const DB_VERSION = 1;
+  const STORE = 'respostas';
+
+  /**
+   * Tempo (ms) de espera por outra aba que impede a atualização do banco para uma versão nova;
+   * depois dele, o cache fica só na memória.
+   */
+  const BLOCKED_TIMEOUT = 3000;
+
+  /**
+   * Tempo (ms) em que uma resposta recém-buscada é usada sem revalidar
+   * (ex: abrir a visualização e logo depois a edição do mesmo registro).
+   */
+  const FRESH_FOR = 2000;
+
+  /**
+   * Tempo limite (ms) das revalidações em segundo plano.
+   */
+  const REVALIDATE_TIMEOUT = 15000;
+
+  // Respostas guardadas: url -> { data, etag, time }. A ordem do Map é a do uso mais recente.
+  const entries = new Map();
+
+  // Revalidações em andamento: url -> Promise (pedidos repetidos aproveitam a mesma)
+  const revalidating = new Map();
+
+  // Incrementado a cada invalidação: respostas de requisições iniciadas antes não são guardadas
+  let generation = 0;
+
+  /**
+   * Devolve uma cópia dos dados guardados, para quem pediu poder alterá-los sem mexer no cache.
+   *
+   * @param {*} data - Dados guardados
+   * @returns {*} Cópia dos dados
+   */
+  function copy(data) {
+    return typeof structuredClone === 'function' ? structuredClone(data) : JSON.parse(JSON.stringify(data));
+  }
+
+  // ========================================
+  // CÓPIA NO INDEXEDDB
+  // ========================================
+  // Conexão com o banco (Promise), aberta no primeiro uso
+  let persistedDb = null;
+
+  /**
+   * Abre o banco da cópia das respostas, criando a store na primeira vez. A Promise sempre
+   * termina: sem IndexedDB, em erro ou com a atualização bloqueada por outra aba por mais de
+   * BLOCKED_TIMEOUT ms, o resultado é null e o cache fica só na memória.
+   *
+   * @returns {Promise<IDBDatabase|null>} Conexão, ou null se o IndexedDB não estiver disponível
+   */
+  function openDb() {
+    if (!window.indexedDB) return Promise.resolve(null);
+
+    return new Promise(resolve => {
+      let settled = false;
+      let timer = null;
+      const finish = conn => {
+        // A conexão que chega depois do tempo limite não é mais usada
+        if (settled) {
+          conn?.close();
+          return;
+        }
+        settled = true;
+        clearTimeout(timer);
+        resolve(conn);
+      };
+      const fail = err => {
+        console.warn('DataCache: IndexedDB indisponível, o cache ficará só na memória.', err);
+        finish(null);
+      };
+
+      let req;
+      try {
+        req = window.indexedDB.open(DB_NAME, DB_VERSION);
+      } catch (err) {
+        fail(err);
+        return;
+      }
+
+      req.onupgradeneeded = () => {
+        if (!req.result.objectStoreNames.contains(STORE)) {
+          req.result.createObjectStore(STORE, { keyPath: 'url' });
+        }
+      };
+      req.onsuccess = () => {
+        const conn = req.result;
+        // Uma aba com uma versão mais nova do banco precisa que esta feche a conexão para atualizá-lo
+        conn.onversionchange = () => {
+          conn.close();
+          persistedDb = Promise.resolve(null);
+        };
+        finish(conn);
+      };
+      req.onerror = () => fail(req.error);
+      req.onblocked = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => fail(new Error('Atualização do banco bloqueada por outra aba.')), BLOCKED_TIMEOUT);
+      };
+    });
+  }
+
+  /**
+   * Executa operações na store de respostas do IndexedDB, numa transação.
+   * Uma falha só é registrada no console: a cópia no IndexedDB apenas complementa a memória.
+   *
+   * @param {'readonly'|'readwrite'} mode - Modo da transação
+   * @param {Function} fn - (store) => IDBRequest|void
+   * @returns {Promise<*>} Resultado da requisição devolvida por fn (undefined sem IndexedDB ou em falhas)
+   */
+  async function withPersisted(mode, fn) {
+    try {
+      persistedDb ??= openDb();
+      const db = await persistedDb;
+      if (!db) return undefined;
+
+      const tx = db.transaction(STORE, mode);
+      const req = fn(tx.objectStore(STORE));
+      return await new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve(req?.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+      });
+    } catch (err) {
+      console.warn('DataCache: falha ao acessar o IndexedDB.', err);
+      return undefined;
+    }
+  }
+
+  /**
+   * Copia uma resposta para o IndexedDB e descarta as mais antigas acima de MAX_PERSISTED.
+   *
+   * @param {string} url - Chave (URL da requisição)
+   * @param {Object} entry - Resposta guardada: { data, etag, time }
+   */
+  function persist(url, entry) {
+    withPersisted('readwrite', saved => {
+      saved.put({ url, ...entry });
+      const all = saved.getAll();
+      all.onsuccess = () => all.result
+        .sort((a, b) => b.time - a.time)
+        .slice(MAX_PERSISTED)
+        .forEach(old => saved.delete(old.url));
+    });
+  }
+
+  /**
+   * Remove do IndexedDB as respostas das URLs que passarem no teste.
+   *
+   * @param {Function} test - (url) => boolean
+   */
+  function unpersist(test) {
+    withPersisted('readwrite', saved => {
+      const keys = saved.getAllKeys();
+      keys.onsuccess = () => keys.result.filter(test).forEach(url => saved.delete(url));
+    });
+  }
+
+  /**
+   * Guarda uma resposta (na memória e no IndexedDB) e descarta as mais antigas acima do limite.
+   *
+   * @param {string} url - Chave (URL da requisição)
+   * @param {*} data - Corpo da resposta (JSON)
+   * @param {string|null} etag - ETag da resposta
+   * @param {number} [time=Date.now()] - Momento em que a resposta foi recebida
+   */
+  function store(url, data, etag, time = Date.now()) {
+    const entry = { data, etag, time };
+    entries.delete(url);
+    entries.set(url, entry);
+    while (entries.size > MAX_ENTRIES) entries.delete(entries.keys().next().value);
+    persist(url, entry);
+  }
+
+  /**
+   * Faz o GET de uma URL, com If-None-Match se houver um ETag guardado.
+   * Lança um erro se a resposta não for bem-sucedida; a mensagem do erro é o corpo
+   * da resposta ({ mensagem } ou ProblemDetails), que o AppToast.error sabe ler.
+   *
+   * @param {string} url - URL da requisição
+   * @param {AbortSignal} [signal] - Sinal de cancelamento
+   * @returns {Promise<{data: *, changed: boolean}>} Dados atuais e se eles mudaram em relação ao cache
+   * @throws {Error} Se a resposta não for bem-sucedida (status >= 400), com o status em `status`
+   */
+  async function request(url, signal) {
+    const cached = entries.get(url);
+    const started = generation;
+    const headers = cached?.etag ? { 'If-None-Match': cached.etag } : {};
+
+    const resp = await fetch(url, { signal, headers });
+
+    // Nada mudou: a resposta guardada continua valendo
+    if (resp.status === 304 && cached) {
+      cached.time = Date.now();
+      return { data: cached.data, changed: false };
+    }
+
+    if (!resp.ok) {
+      const txt = await resp.text();
+      const err = new Error(txt || `Erro HTTP ${resp.status}`);
+      err.status = resp.status;
+      throw err;
+    }
+
+    const data = await resp.json();
+
+    // Uma invalidação no meio do caminho pode ter tornado esta resposta antiga: ela é entregue
+    // a quem pediu, mas não vai para o cache (quem invalidou já vai buscar os dados de novo)
+    if (started !== generation) return { data, changed: false };
+
+    const changed = !cached || JSON.stringify(cached.data) !== JSON.stringify(data);
+    store(url, data, resp.headers.get('ETag'));
+    return { data, changed };
+  }
+
+  /**
+   * Revalida uma resposta guardada em segundo plano (uma revalidação por URL de cada vez).
+   *
+   * @param {string} url - URL da requisição
+   * @returns {Promise<{data: *, changed: boolean}|null>} Resultado, ou null se a revalidação falhou
+   */
+  function revalidate(url) {
+    if (revalidating.has(url)) return revalidating.get(url);
+
+    const ctrl = new AbortController();
+    const timer = setTimeout(() => ctrl.abort(), REVALIDATE_TIMEOUT);
+
+    const promise = request(url, ctrl.signal)
+      .catch(err => {
+        // O registro sumiu (ex: excluído por outra pessoa): a resposta guardada não vale mais
+        if (err.status === 404 || err.status === 410) {
+          entries.delete(url);
+          unpersist(key => key === url);
+        }
+        console.warn('DataCache: falha ao revalidar', url, err);
+        return null;
+      })
+      .finally(() => {
+        clearTimeout(timer);
+        revalidating.delete(url);
+      });
+
+    revalidating.set(url, promise);
+    return promise;
+  }
+
+  // ========================================
+  // LEITURA
+  // ========================================
+  /**
+   * Busca o JSON de uma URL pelo cache.
+   * - Sem cache: faz a requisição e guarda a resposta; se ela falhar por rede (sem conexão),
+   *   usa a resposta guardada no IndexedDB, se houver
+   * - Com cache: devolve os dados guardados na hora e revalida em segundo plano (exceto se a
+   *   resposta tiver chegado há menos de FRESH_FOR ms); se os dados mudaram, chama onUpdate
+   *
+   * @example
+   * const cliente = await DataCache.get('/api/clientes/42', {
+   *   signal,
+   *   onUpdate: atual => form.refreshView(atual),
+   * });
+   *
+   * @param {string} url - URL da requisição (é também a chave do cache)
+   * @param {Object} [opts] - Opções
+   * @param {AbortSignal} [opts.signal] - Sinal de cancelamento da requisição (não cancela a revalidação)
+   * @param {Function} [opts.onUpdate] - (data) => void, chamado se a revalidação trouxer dados novos
+   * @returns {Promise<*>} Dados (cópia; alterá-los não afeta o cache)
+   * @throws {Error} Se não houver cache e a requisição falhar, com o status em `status`
+   * @throws {TypeError} Sem conexão, se a resposta também não estiver no IndexedDB
+   */
+  async function get(url, opts = {}) {
+    const cached = entries.get(url);
+    if (!cached) {
+      try {
+        return copy((await request(url, opts.signal)).data);
+      } catch (err) {
+        // Falha de rede: a resposta guardada no IndexedDB (ex: a página foi recarregada sem conexão)
+        // volta para a memória com o horário original, para ser revalidada quando a conexão voltar
+        const persisted = err instanceof TypeError ? await withPersisted('readonly', saved => saved.get(url)) : undefined;
+        if (!persisted) throw err;
+        store(url, persisted.data, persisted.etag, persisted.time);
+        return copy(persisted.data);
+      }
+    }
+
+    // Marca como usada mais recentemente
+    entries.delete(url);
+    entries.set(url, cached);
+
+    // Sem conexão, os dados guardados são tudo o que há: a revalidação fica para depois
+    if (navigator.onLine !== false && Date.now() - cached.time >= FRESH_FOR) {
+      revalidate(url).then(result => {
+        if (result?.changed) opts.onUpdate?.(copy(result.data));
+      });
+    }
+    return copy(cached.data);
+  }
+
+  // ========================================
+  // INVALIDAÇÃO
+  // ========================================
+  /**
+   * Descarta as respostas guardadas de um recurso: a URL informada e tudo abaixo dela
+   * (ex: '/api/clientes' descarta '/api/clientes?page=2', '/api/clientes/42' e
+   * '/api/clientes/lixeira?page=1'). Revalidações em andamento não gravam mais no cache.
+   *
+   * @param {string|Function} match - Prefixo das URLs, ou (url) => boolean
+   */
+  function invalidate(match) {
+    const test = typeof match === 'function'
+      ? match
+      : url => url === match || url.startsWith(`${match}/`) || url.startsWith(`${match}?`);
+
+    generation++;
+    [...entries.keys()].filter(test).forEach(url => entries.delete(url));
+    unpersist(test);
+  }
+
+  /**
+   * Envia uma alteração (POST/PUT/DELETE) e descarta as respostas guardadas dos recursos afetados.
+   * A invalidação acontece mesmo se a resposta for um erro, porque parte da alteração pode ter
+   * sido aplicada (ex: operações em lote) ou os dados podem ter mudado (ex: conflito de versão).
+   * Numa falha de rede nada chegou ao servidor: o cache é mantido (e continua servindo a tela offline).
+   *
+   * @param {string} url - URL da requisição
+   * @param {Object} options - Opções do fetch (method, headers, body, etc.)
+   * @param {string|string[]} affects - Prefixo(s) das URLs afetadas (ver invalidate)
+   * @returns {Promise<Response>} Resposta do fetch, para quem chamou tratar o resultado
+   * @throws {TypeError} Em falhas de rede (sem conexão)
+   */
+  async function mutate(url, options, affects) {
+    const resp = await fetch(url, options);
+    [].concat(affects).forEach(invalidate);
+    return resp;
+  }
+
+  /**
+   * Descarta todas as respostas guardadas (também as do IndexedDB).
+   */
+  function clear() {
+    generation++;
+    entries.clear();
+    withPersisted('readwrite', saved => saved.clear());
+  }
+
+  // ========================================
+  // EXPORTAÇÃO GLOBAL
+  // ========================================
+  // Expõe o cache no escopo global para o CrudList e as telas
+  window.DataCache = { get, invalidate, mutate, clear };
+})();
@@ -0,0 +1,574 @@
+// ========================================
+// CONSTRUTOR DE FILTROS AVANÇADOS
+// ========================================
+// Este arquivo contém o componente de filtro avançado usado pelo CrudList:
+// - O usuário monta várias condições (campo + operador + valor)
+// - Os operadores dependem do tipo do campo (texto, número ou data)
+// - As condições aparecem como "chips" removíveis; clicar no chip edita a condição
+// - Entre duas condições, um botão alterna o conector E/OU (o E é avaliado antes do OU)
+//
+// As condições vão para a API no formato campo:operador[:valor], um parâmetro "filter"
+// por condição, e os conectores no parâmetro "logic" (ex: "and,or"). O servidor
+// (Endpoints/Filtragem.cs) valida e traduz cada condição para a consulta.
+
+(() => {
+  // ========================================
+  // OPERADORES
+  // ========================================
+  /**
+   * Operadores disponíveis por tipo de campo (os mesmos aceitos pelo servidor).
+   * values: quantidade de valores que o operador pede (0, 1 ou 2).
+   */
+  const OPERATORS = {
+    text: [
+      { op: 'contains', label: 'contém', values: 1 },
+      { op: 'startswith', label: 'começa com', values: 1 },
+      { op: 'eq', label: 'é igual a', values: 1 },
+      { op: 'empty', label: 'está vazio', values: 0 },
+      { op: 'notempty', label: 'não está vazio', values: 0 },
+    ],
+    number: [
+      { op: 'eq', label: '=', values: 1 },
+      { op: 'gt', label: '>', values: 1 },
+      { op: 'lt', label: '<', values: 1 },
+      { op: 'between', label: 'entre', values: 2 },
+      { op: 'empty', label: 'está vazio', values: 0 },
+      { op: 'notempty', label: 'não está vazio', values: 0 },
+    ],
+    date: [
+      { op: 'eq', label: 'em', values: 1 },
+      { op: 'lt', label: 'antes de', values: 1 },
+      { op: 'gt', label: 'depois de', values: 1 },
+      { op: 'between', label: 'entre', values: 2 },
+      { op: 'empty', label: 'está vazio', values: 0 },
+      { op: 'notempty', label: 'não está vazio', values: 0 },
+    ],
+  };
+
+  /**
+   * Quantidade máxima de condições (o mesmo limite do servidor).
+   */
+  const MAX_CONDITIONS = 20;
+
+  /**
+   * Tamanho máximo do valor de uma condição de texto (o mesmo limite do servidor).
+   */
+  const MAX_TEXT_LENGTH = 200;
+
+  /**
+   * Busca a definição de um operador para um tipo de campo.
+   *
+   * @param {string} type - Tipo do campo (text, number ou date)
+   * @param {string} op - Operador
+   * @returns {Object|undefined} Definição do operador, ou undefined se não se aplica ao tipo
+   */
+  function operatorFor(type, op) {
+    return (OPERATORS[type] ?? OPERATORS.text).find(o => o.op === op);
+  }
+
+  // ========================================
+  // FORMATO DA QUERY STRING
+  // ========================================
+  /**
+   * Converte as condições para os parâmetros da API.
+   *
+   * @example
+   * serialize([
+   *   { field: 'nome', op: 'contains', value: 'ana' },
+   *   { field: 'idade', op: 'between', value: '18,30', logic: 'or' },
+   * ]);
+   * // → { filter: ['nome:contains:ana', 'idade:between:18,30'], logic: 'or' }
+   *
+   * @param {Object[]} conditions - Condições: { field, op, value, logic }
+   * @returns {{filter: string[], logic: string}} Um item de filter por condição; logic com os conectores
+   */
+  function serialize(conditions) {
+    return {
+      filter: conditions.map(c => (c.value ? `${c.field}:${c.op}:${c.value}` : `${c.field}:${c.op}`)),
+      logic: conditions.slice(1).map(c => (c.logic === 'or' ? 'or' : 'and')).join(','),
+    };
+  }
+
+  /**
+   * Lê as condições dos parâmetros da URL (o inverso de serialize).
+   * Condições com campo, operador ou valor inválido são descartadas.
+   *
+   * @param {string[]} filters - Valores do parâmetro filter
+   * @param {string} [logic] - Conectores separados por vírgula
+   * @param {Object[]} fields - Campos filtráveis: { key, label, type }
+   * @returns {Object[]} Condições válidas
+   */
+  function parse(filters, logic, fields) {
+    const connectors = (logic ?? '').split(',');
+    const conditions = [];
+
+    filters.slice(0, MAX_CONDITIONS).forEach((text, index) => {
+      // O valor é tudo o que vem depois do segundo ":" (pode conter ":")
+      const [key = '', op = '', ...rest] = text.split(':');
+      const field = fields.find(f => f.key === key);
+      const condition = {
+        field: key,
+        op,
+        value: rest.join(':'),
+        logic: connectors[index - 1]?.trim() === 'or' ? 'or' : 'and',
+      };
+      if (field && !validate(field, condition)) conditions.push(condition);
+    });
+
+    return conditions;
+  }
+
+  /**
+   * Valida uma condição com as mesmas regras do servidor.
+   *
+   * @param {Object} field - Campo filtrado: { key, label, type }
+   * @param {Object} condition - Condição: { op, value }
+   * @returns {string|null} Mensagem de erro, ou null se a condição é válida
+   */
+  function validate(field, condition) {
+    const operator = operatorFor(field.type, condition.op);
+    if (!operator) return 'Escolha um operador.';
+    if (operator.values === 0) return null;
+
+    const values = operator.values === 2 ? condition.value.split(',') : [condition.value];
+    if (values.length !== operator.values || values.some(v => !v)) {
+      return operator.values === 2 ? 'Informe os dois valores.' : 'Informe um valor.';
+    }
+
+    switch (field.type) {
+      case 'number':
+        return values.every(v => /^-?\d+$/.test(v)) ? null : 'Informe um número inteiro.';
+      case 'date':
+        return values.every(v => /^\d{4}-\d{2}-\d{2}$/.test(v)) ? null : 'Informe uma data válida.';
+      default:
+        return condition.value.length > MAX_TEXT_LENGTH
+          ? `O valor pode ter no máximo ${MAX_TEXT_LENGTH} caracteres.`
+          : null;
+    }
+  }
+
+  /**
+   * Formata um valor da condição para exibição no chip.
+   *
+   * @param {string} type - Tipo do campo
+   * @param {string} value - Valor como enviado à API
+   * @returns {string} Valor formatado (datas em dd/mm/aaaa, textos entre aspas)
+   */
+  function displayValue(type, value) {
+    if (type === 'date') return value.split('-').reverse().join('/');
+    if (type === 'number') return value;
+    return `“${value}”`;
+  }
+
+  /**
+   * Texto de uma condição (ex: "Idade entre 18 e 30").
+   *
+   * @param {Object} field - Campo filtrado
+   * @param {Object} condition - Condição
+   * @returns {string} Descrição da condição
+   */
+  function describe(field, condition) {
+    const operator = operatorFor(field.type, condition.op);
+    const parts = [field.label, operator?.label ?? condition.op];
+
+    if (operator?.values === 2) {
+      const [from, to] = condition.value.split(',');
+      parts.push(`${displayValue(field.type, from)} e ${displayValue(field.type, to)}`);
+    } else if (operator?.values === 1) {
+      parts.push(displayValue(field.type, condition.value));
+    }
+
+    return parts.join(' ');
+  }
+
+  // ========================================
+  // CLASSE PRINCIPAL: FilterBuilder
+  // ========================================
+  /**
+   * Componente de filtro avançado: chips das condições + formulário de edição.
+   *
+   * @class
+   */
+  class FilterBuilder {
+    /**
+     * Construtor da classe FilterBuilder.
+     *
+     * @param {Object} cfg - Configuração do componente
+     * @param {HTMLElement} cfg.container - Elemento onde o componente é montado
+     * @param {Object[]} cfg.fields - Campos filtráveis, na ordem do select
+     * @param {string} cfg.fields[].key - Nome do campo enviado à API (ex: 'dataCadastro')
+     * @param {string} cfg.fields[].label - Rótulo exibido (ex: 'Data de Cadastro')
+     * @param {('text'|'number'|'date')} [cfg.fields[].type='text'] - Tipo do campo (define os operadores)
+     * @param {Object[]} [cfg.conditions] - Condições iniciais
+     * @param {Function} [cfg.onChange] - (condições) => void; chamado quando o usuário altera o filtro
+     */
+    constructor(cfg) {
+      this.cfg = cfg;
+      this.fields = cfg.fields.map(f => ({ type: 'text', ...f }));
+      this.conditions = (cfg.conditions ?? []).map(c => ({ ...c }));
+      this.editingIndex = null; // Índice da condição em edição (conditions.length = nova condição)
+
+      this.build();
+      this.render();
+    }
+
+    // ========================================
+    // API PÚBLICA
+    // ========================================
+    /**
+     * Converte condições para os parâmetros da API (ver serialize).
+     *
+     * @param {Object[]} conditions - Condições: { field, op, value, logic }
+     * @returns {{filter: string[], logic: string}} Parâmetros filter e logic
+     */
+    static serialize(conditions) {
+      return serialize(conditions);
+    }
+
+    /**
+     * Lê condições dos parâmetros da URL, descartando as inválidas (ver parse).
+     *
+     * @param {string[]} filters - Valores do parâmetro filter
+     * @param {string} [logic] - Conectores separados por vírgula
+     * @param {Object[]} fields - Campos filtráveis
+     * @returns {Object[]} Condições válidas
+     */
+    static parse(filters, logic, fields) {
+      return parse(filters, logic, fields.map(f => ({ type: 'text', ...f })));
+    }
+
+    /**
+     * Condições atuais (cópia).
+     *
+     * @returns {Object[]} Condições: { field, op, value, logic }
+     */
+    getConditions() {
+      return this.conditions.map(c => ({ ...c }));
+    }
+
+    /**
+     * Substitui as condições exibidas, sem chamar onChange (ex: Voltar/Avançar do navegador).
+     *
+     * @param {Object[]} conditions - Novas condições
+     */
+    setConditions(conditions) {
+      this.conditions = conditions.map(c => ({ ...c }));
+      this.closeEditor({ focus: false });
+      this.render();
+    }
+
+    // ========================================
+    // ESTRUTURA
+    // ========================================
+    /**
+     * Monta a estrutura fixa do componente: lista de chips, botões e formulário de edição.
+     */
+    build() {
+      const root = this.cfg.container;
+      root.classList.add('filter-builder');
+      root.setAttribute('role', 'group');
+      root.setAttribute('aria-label', 'Filtro avançado');
+
+      this.els = {};
+
+      const list = document.createElement('ul');
+      list.className = 'filter-chips';
+      list.setAttribute('aria-label', 'Condições do filtro');
+      this.els.list = list;
+
+      const addBtn = document.createElement('button');
+      addBtn.type = 'button';
+      addBtn.className = 'filter-add';
+      addBtn.textContent = '+ Condição';
+      addBtn.addEventListener('click', () => this.openEditor(this.conditions.length));
+      this.els.addBtn = addBtn;
+
+      const clearBtn = document.createElement('button');
+      clearBtn.type = 'button';
+      clearBtn.className = 'filter-clear';
+      clearBtn.textContent = 'Limpar filtros';
+      clearBtn.addEventListener('click', () => {
+        this.conditions = [];
+        this.closeEditor({ focus: false });
+        this.commit();
+        addBtn.focus();
+      });
+      this.els.clearBtn = clearBtn;
+
+      root.replaceChildren(list, addBtn, clearBtn, this.buildEditor());
+    }
+
+    /**
+     * Monta o formulário de edição de uma condição (campo, operador e até dois valores).
+     *
+     * @returns {HTMLFormElement} Formulário (começa oculto)
+     */
+    buildEditor() {
+      const form = document.createElement('form');
+      form.className = 'filter-editor';
+      form.hidden = true;
+      form.noValidate = true; // A validação é feita por validate(), com as regras do servidor
+
+      const fieldSelect = document.createElement('select');
+      fieldSelect.setAttribute('aria-label', 'Campo');
+      this.fields.forEach(f => fieldSelect.add(new Option(f.label, f.key)));
+
+      const opSelect = document.createElement('select');
+      opSelect.setAttribute('aria-label', 'Operador');
+
+      const valueA = document.createElement('input');
+      valueA.setAttribute('aria-label', 'Valor');
+      const joiner = document.createElement('span');
+      joiner.className = 'filter-editor-joiner';
+      joiner.textContent = 'e';
+      const valueB = document.createElement('input');
+      valueB.setAttribute('aria-label', 'Valor final');
+
+      const error = document.createElement('span');
+      error.className = 'filter-editor-error';
+      error.setAttribute('role', 'alert');
+
+      const applyBtn = document.createElement('button');
+      applyBtn.type = 'submit';
+      applyBtn.className = 'filter-editor-apply';
+      applyBtn.textContent = 'Aplicar';
+
+      const cancelBtn = document.createElement('button');
+      cancelBtn.type = 'button';
+      cancelBtn.className = 'filter-editor-cancel';
+      cancelBtn.textContent = 'Cancelar';
+      cancelBtn.addEventListener('click', () => this.closeEditor());
+
+      form.append(fieldSelect, opSelect, valueA, joiner, valueB, applyBtn, cancelBtn, error);
+      Object.assign(this.els, { form, fieldSelect, opSelect, valueA, joiner, valueB, error, applyBtn });
+
+      fieldSelect.addEventListener('change', () => this.updateEditorOperators());
+      opSelect.addEventListener('change', () => this.updateEditorInputs());
+      form.addEventListener('submit', ev => {
+        ev.preventDefault();
+        this.applyEditor();
+      });
+      form.addEventListener('keydown', ev => {
+        if (ev.key === 'Escape') {
+          ev.preventDefault();
+          ev.stopPropagation(); // Não fecha outros componentes com Esc
+          this.closeEditor();
+        }
+      });
+
+      return form;
+    }
+
+    // ========================================
+    // CHIPS
+    // ========================================
+    /**
+     * Redesenha os chips das condições e o estado dos botões.
+     */
+    render() {
+      const { list, addBtn, clearBtn } = this.els;
+      list.replaceChildren();
+
+      this.conditions.forEach((condition, index) => {
+        const field = this.fields.find(f => f.key === condition.field);
+        if (!field) return;
+
+        const li = document.createElement('li');
+        li.className = 'filter-chip-item';
+
+        // Conector com a condição anterior
+        if (index > 0) {
+          const logicBtn = document.createElement('button');
+          logicBtn.type = 'button';
+          logicBtn.className = 'filter-logic';
+          const or = condition.logic === 'or';
+          logicBtn.textContent = or ? 'OU' : 'E';
+          logicBtn.setAttribute('aria-label', `Conector: ${or ? 'OU' : 'E'}. Clique para trocar para ${or ? 'E' : 'OU'}`);
+          logicBtn.title = 'O E é avaliado antes do OU';
+          logicBtn.addEventListener('click', () => {
+            condition.logic = or ? 'and' : 'or';
+            this.commit();
+            this.els.list.querySelectorAll('.filter-logic')[index - 1]?.focus();
+          });
+          li.appendChild(logicBtn);
+        }
+
+        const text = describe(field, condition);
+        const chip = document.createElement('span');
+        chip.className = 'filter-chip';
+
+        const editBtn = document.createElement('button');
+        editBtn.type = 'button';
+        editBtn.className = 'filter-chip-label';
+        editBtn.textContent = text;
+        editBtn.title = 'Editar condição';
+        editBtn.addEventListener('click', () => this.openEditor(index));
+
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'filter-chip-remove';
+        removeBtn.textContent = '×';
+        removeBtn.setAttribute('aria-label', `Remover condição: ${text}`);
+        removeBtn.addEventListener('click', () => this.removeCondition(index));
+
+        chip.append(editBtn, removeBtn);
+        li.appendChild(chip);
+        list.appendChild(li);
+      });
+
+      list.hidden = this.conditions.length === 0;
+      clearBtn.hidden = this.conditions.length === 0;
+      addBtn.disabled = this.conditions.length >= MAX_CONDITIONS;
+      addBtn.title = addBtn.disabled ? `Máximo de ${MAX_CONDITIONS} condições` : '';
+    }
+
+    /**
+     * Remove uma condição e devolve o foco ao chip vizinho (ou ao botão "+ Condição").
+     *
+     * @param {number} index - Índice da condição
+     */
+    removeCondition(index) {
+      this.conditions.splice(index, 1);
+      if (this.conditions[0]) this.conditions[0].logic = 'and';
+      if (this.editingIndex !== null) this.closeEditor({ focus: false });
+      this.commit();
+
+      const labels = this.els.list.querySelectorAll('.filter-chip-label');
+      (labels[Math.min(index, labels.length - 1)] ?? this.els.addBtn).focus();
+    }
+
+    /**
+     * Redesenha e avisa a tela que o filtro mudou.
+     */
+    commit() {
+      this.render();
+      this.cfg.onChange?.(this.getConditions());
+    }
+
+    // ========================================
+    // EDIÇÃO
+    // ========================================
+    /**
+     * Abre o formulário para editar uma condição ou criar uma nova.
+     *
+     * @param {number} index - Índice da condição (conditions.length para uma nova)
+     */
+    openEditor(index) {
+      const { form, fieldSelect, opSelect } = this.els;
+      const condition = this.conditions[index];
+      this.editingIndex = index;
+
+      fieldSelect.value = condition?.field ?? this.fields[0].key;
+      this.updateEditorOperators();
+      if (condition) {
+        opSelect.value = condition.op;
+        this.updateEditorInputs();
+        const [a = '', b = ''] = operatorFor(this.currentField().type, condition.op)?.values === 2
+          ? condition.value.split(',')
+          : [condition.value];
+        this.els.valueA.value = a;
+        this.els.valueB.value = b;
+      }
+
+      this.els.error.textContent = '';
+      this.els.applyBtn.textContent = condition ? 'Aplicar' : 'Adicionar';
+      form.hidden = false;
+      fieldSelect.focus();
+    }
+
+    /**
+     * Fecha o formulário de edição sem alterar as condições.
+     *
+     * @param {Object} [opts]
+     * @param {boolean} [opts.focus=true] - Devolve o foco ao botão "+ Condição"
+     */
+    closeEditor({ focus = true } = {}) {
+      if (this.els.form.hidden) return;
+      this.els.form.hidden = true;
+      this.editingIndex = null;
+      if (focus) this.els.addBtn.focus();
+    }
+
+    /**
+     * Campo escolhido no formulário de edição.
+     *
+     * @returns {Object} Campo: { key, label, type }
+     */
+    currentField() {
+      return this.fields.find(f => f.key === this.els.fieldSelect.value) ?? this.fields[0];
+    }
+
+    /**
+     * Recria as opções de operador para o tipo do campo escolhido,
+     * mantendo o operador atual quando ele também se aplica ao novo tipo.
+     */
+    updateEditorOperators() {
+      const { opSelect } = this.els;
+      const previous = opSelect.value;
+      const operators = OPERATORS[this.currentField().type] ?? OPERATORS.text;
+
+      opSelect.replaceChildren(...operators.map(o => new Option(o.label, o.op)));
+      if (operators.some(o => o.op === previous)) opSelect.value = previous;
+      this.updateEditorInputs();
+    }
+
+    /**
+     * Ajusta os inputs de valor ao operador: nenhum, um ou dois, do tipo do campo.
+     */
+    updateEditorInputs() {
+      const { opSelect, valueA, valueB, joiner } = this.els;
+      const field = this.currentField();
+      const count = operatorFor(field.type, opSelect.value)?.values ?? 1;
+      const inputType = field.type === 'number' ? 'number' : field.type === 'date' ? 'date' : 'text';
+
+      [valueA, valueB].forEach((input, i) => {
+        if (input.type !== inputType) {
+          input.type = inputType;
+          input.value = '';
+        }
+        input.hidden = i >= count;
+        if (inputType === 'number') input.step = '1';
+        if (inputType === 'text') input.maxLength = MAX_TEXT_LENGTH;
+      });
+      valueA.setAttribute('aria-label', count === 2 ? 'Valor inicial' : 'Valor');
+      joiner.hidden = count < 2;
+    }
+
+    /**
+     * Valida o formulário e grava a condição (nova ou editada).
+     */
+    applyEditor() {
+      const { fieldSelect, opSelect, valueA, valueB, error } = this.els;
+      const field = this.currentField();
+      const count = operatorFor(field.type, opSelect.value)?.values ?? 1;
+      const values = [valueA.value.trim(), valueB.value.trim()].slice(0, count);
+
+      const existing = this.conditions[this.editingIndex];
+      const condition = {
+        field: fieldSelect.value,
+        op: opSelect.value,
+        value: values.join(','),
+        logic: existing?.logic ?? 'and',
+      };
+
+      const message = validate(field, condition);
+      if (message) {
+        error.textContent = message;
+        // Foco no primeiro valor vazio (ou no primeiro valor, se o problema for o formato)
+        const inputs = [valueA, valueB].slice(0, count);
+        (inputs.find(input => !input.value.trim()) ?? inputs[0] ?? opSelect).focus();
+        return;
+      }
+
+      this.conditions[this.editingIndex] = condition;
+      this.closeEditor();
+      this.commit();
+    }
+  }
+
+  // ========================================
+  // EXPORTAÇÃO GLOBAL
+  // ========================================
+  // Expõe a classe FilterBuilder no escopo global para o CrudList
+  window.FilterBuilder = FilterBuilder;
+})();
@@ -0,0 +1,119 @@
+// ========================================
+// REQUISIÇÕES "A ÚLTIMA VENCE"
+// ========================================
+// Este arquivo contém um utilitário para requisições que podem ser disparadas várias
+// vezes seguidas (ex: busca enquanto digita, abrir detalhes de outro registro):
+// - Ao iniciar uma nova requisição, a anterior é cancelada (AbortController)
+// - O resultado de uma requisição antiga nunca é entregue, mesmo que ela termine depois
+// - Cada requisição tem um tempo limite configurável
+//
+// É usado pelo CrudList (carregamento das páginas) e pelas telas (busca de detalhes).
+
+(() => {
+  /**
+   * Cria o erro usado quando uma requisição foi substituída por outra mais nova.
+   *
+   * @returns {DOMException} Erro com name 'AbortError'
+   */
+  function supersededError() {
+    return new DOMException('Requisição substituída por uma mais recente.', 'AbortError');
+  }
+
+  /**
+   * Cria o erro usado quando uma requisição excede o tempo limite.
+   *
+   * @param {number} ms - Tempo limite em milissegundos
+   * @returns {Error} Erro com name 'TimeoutError'
+   */
+  function timeoutError(ms) {
+    const err = new Error(`A requisição excedeu o tempo limite (${ms} ms).`);
+    err.name = 'TimeoutError';
+    return err;
+  }
+
+  // ========================================
+  // CLASSE PRINCIPAL: LatestRequest
+  // ========================================
+  /**
+   * "Canal" de requisições em que apenas a mais recente é aproveitada.
+   *
+   * @example
+   * const req = new LatestRequest({ timeout: 10000 });
+   * const data = await req.run(signal => fetch(url, { signal }).then(r => r.json()));
+   *
+   * @class
+   */
+  class LatestRequest {
+    /**
+     * @param {Object} [opts] - Opções
+     * @param {number} [opts.timeout=15000] - Tempo limite de cada requisição em ms (0 = sem limite)
+     */
+    constructor(opts = {}) {
+      this.timeout = opts.timeout ?? 15000;
+      this.seq = 0;       // Número da requisição mais recente
+      this.ctrl = null;   // AbortController da requisição em andamento
+    }
+
+    /**
+     * Executa uma requisição, cancelando a anterior (se ainda estiver em andamento).
+     * A tarefa recebe o AbortSignal e deve repassá-lo ao fetch.
+     *
+     * @param {Function} task - async (signal) => resultado
+     * @returns {Promise<*>} Resultado da tarefa
+     * @throws {DOMException} AbortError se outra requisição começou antes desta terminar
+     * @throws {Error} TimeoutError se o tempo limite foi excedido, ou o erro da própria tarefa
+     */
+    async run(task) {
+      this.abort();
+
+      const ctrl = new AbortController();
+      const seq = ++this.seq;
+      this.ctrl = ctrl;
+
+      let timedOut = false;
+      const timer = this.timeout > 0
+        ? setTimeout(() => { timedOut = true; ctrl.abort(); }, this.timeout)
+        : null;
+
+      try {
+        const result = await task(ctrl.signal);
+        if (seq !== this.seq) throw supersededError();
+        return result;
+      } catch (err) {
+        if (timedOut) throw timeoutError(this.timeout);
+        if (seq !== this.seq || ctrl.signal.aborted) throw supersededError();
+        throw err;
+      } finally {
+        clearTimeout(timer);
+        if (this.ctrl === ctrl) this.ctrl = null;
+      }
+    }
+
+    /**
+     * Cancela a requisição em andamento (se houver). Ela termina com AbortError.
+     */
+    abort() {
+      if (!this.ctrl) return;
+      this.seq++;
+      this.ctrl.abort();
+      this.ctrl = null;
+    }
+
+    /**
+     * Indica se o erro vem de uma requisição cancelada ou substituída
+     * (caso em que não há nada a exibir: a requisição mais nova cuida da tela).
+     *
+     * @param {*} err - Erro capturado
+     * @returns {boolean} true para AbortError
+     */
+    static isSuperseded(err) {
+      return err?.name === 'AbortError';
+    }
+  }
+
+  // ========================================
+  // EXPORTAÇÃO GLOBAL
+  // ========================================
+  // Expõe a classe no escopo global para o CrudList e as telas
+  window.LatestRequest = LatestRequest;
+})();
@@ -0,0 +1,225 @@
+// ========================================
+// MODAIS ACESSÍVEIS
+// ========================================
+// Este arquivo contém o utilitário compartilhado de modais da aplicação:
+// - Gera a estrutura padrão (backdrop, cabeçalho com título e botão fechar, corpo)
+// - Marca o modal como role="dialog" / aria-modal="true", ligado ao título
+// - Prende o foco dentro do modal aberto (Tab / Shift+Tab)
+// - Fecha com Esc, com o botão X e ao clicar fora
+// - Devolve o foco ao elemento que abriu o modal (ex: a linha da tabela)
+//
+// Modais podem ser empilhados (ex: um aviso aberto sobre o formulário de edição):
+// Esc e o foco sempre atuam sobre o modal do topo.
+
+(() => {
+  // ========================================
+  // ESTADO INTERNO
+  // ========================================
+  // Pilha de modais abertos (o último é o que está no topo)
+  const stack = [];
+
+  // Opções e foco de retorno de cada modal, indexados pelo elemento backdrop
+  const meta = new WeakMap();
+
+  // Seletor dos elementos que podem receber foco dentro do modal
+  const FOCUSABLE = [
+    'a[href]',
+    'button:not([disabled])',
+    'input:not([disabled]):not([type="hidden"])',
+    'select:not([disabled])',
+    'textarea:not([disabled])',
+    '[tabindex]:not([tabindex="-1"])',
+  ].join(',');
+
+  let counter = 0; // Usado para gerar IDs únicos de título
+
+  // ========================================
+  // UTILITÁRIOS
+  // ========================================
+  /**
+   * Retorna os elementos focáveis e visíveis dentro de um container.
+   *
+   * @param {HTMLElement} container - Elemento onde procurar
+   * @returns {HTMLElement[]} Elementos focáveis, na ordem do documento
+   */
+  function focusables(container) {
+    return [...container.querySelectorAll(FOCUSABLE)]
+      .filter(el => !el.hidden && !el.closest('[hidden]') && el.tabIndex >= 0);
+  }
+
+  // ========================================
+  // CRIAÇÃO
+  // ========================================
+  /**
+   * Gera a estrutura padrão de um modal, já com os atributos de acessibilidade.
+   * O modal não é inserido no documento; quem chama decide onde colocá-lo.
+   *
+   * @param {Object} opts - Opções do modal
+   * @param {string} [opts.id] - ID do elemento backdrop
+   * @param {string} opts.title - Título exibido no cabeçalho (também é o nome acessível)
+   * @param {string} [opts.size] - Tamanho opcional ('lg' para modais largos)
+   * @param {Function} [opts.onClose] - Callback chamado sempre que o modal for fechado
+   * @returns {{backdrop: HTMLElement, modal: HTMLElement, body: HTMLElement, titleEl: HTMLElement}} Elementos do modal
+   */
+  function create(opts) {
+    const titleId = `app-modal-title-${++counter}`;
+
+    const backdrop = document.createElement('div');
+    backdrop.className = 'app-modal-backdrop';
+    if (opts.id) backdrop.id = opts.id;
+
+    const modal = document.createElement('div');
+    modal.className = opts.size ? `app-modal app-modal-${opts.size}` : 'app-modal';
+    modal.setAttribute('role', 'dialog');
+    modal.setAttribute('aria-modal', 'true');
+    modal.setAttribute('aria-labelledby', titleId);
+    modal.tabIndex = -1; // Permite focar o próprio modal quando não há outro elemento focável
+
+    const header = document.createElement('div');
+    header.className = 'app-modal-header';
+
+    const titleEl = document.createElement('h2');
+    titleEl.className = 'h6 mb-0';
+    titleEl.id = titleId;
+    titleEl.textContent = opts.title ?? '';
+
+    const closeBtn = document.createElement('button');
+    closeBtn.type = 'button';
+    closeBtn.className = 'app-modal-close';
+    closeBtn.setAttribute('aria-label', 'Fechar');
+    closeBtn.textContent = '×';
+
+    const body = document.createElement('div');
+    body.className = 'app-modal-body';
+
+    header.append(titleEl, closeBtn);
+    modal.append(header, body);
+    backdrop.appendChild(modal);
+
+    meta.set(backdrop, { onClose: opts.onClose ?? null, returnFocus: null, fallbackFocus: null });
+
+    // Fecha o modal ao clicar no botão de fechar (X)
+    closeBtn.addEventListener('click', () => close(backdrop));
+
+    // Fecha o modal ao clicar fora dele (no backdrop)
+    backdrop.addEventListener('click', ev => {
+      if (ev.target === backdrop) close(backdrop);
+    });
+
+    return { backdrop, modal, body, titleEl };
+  }
+
+  // ========================================
+  // ABERTURA E FECHAMENTO
+  // ========================================
+  /**
+   * Abre um modal, guarda o elemento que tinha o foco e move o foco para dentro do modal.
+   *
+   * @param {HTMLElement} backdrop - Backdrop do modal (gerado por create)
+   * @param {Object} [opts] - Opções de foco
+   * @param {HTMLElement} [opts.initialFocus] - Elemento que recebe o foco ao abrir (padrão: primeiro focável)
+   * @param {Function} [opts.fallbackFocus] - Chamado ao fechar se o elemento de origem não existir mais
+   *   (ex: a linha da tabela foi redesenhada após salvar)
+   */
+  function open(backdrop, opts = {}) {
+    if (!backdrop) return;
+    const info = meta.get(backdrop) ?? {};
+    meta.set(backdrop, info);
+
+    if (!stack.includes(backdrop)) {
+      info.returnFocus = document.activeElement;
+      stack.push(backdrop);
+    }
+    info.fallbackFocus = opts.fallbackFocus ?? null;
+
+    backdrop.classList.add('show');
+
+    const modal = backdrop.querySelector('.app-modal') ?? backdrop;
+    const target = opts.initialFocus ?? focusables(modal)[0] ?? modal;
+    target.focus();
+  }
+
+  /**
+   * Fecha um modal e devolve o foco ao elemento que o abriu.
+   *
+   * @param {HTMLElement} backdrop - Backdrop do modal
+   */
+  function close(backdrop) {
+    if (!backdrop || !backdrop.classList.contains('show')) return;
+
+    backdrop.classList.remove('show');
+    const index = stack.indexOf(backdrop);
+    if (index >= 0) stack.splice(index, 1);
+
+    const info = meta.get(backdrop) ?? {};
+    const returnFocus = info.returnFocus;
+    info.returnFocus = null;
+
+    // Devolve o foco: ao elemento de origem, se ainda estiver na página, ou ao fallback
+    if (returnFocus?.isConnected && typeof returnFocus.focus === 'function') {
+      returnFocus.focus();
+    } else if (info.fallbackFocus) {
+      info.fallbackFocus();
+    }
+
+    info.onClose?.();
+  }
+
+  /**
+   * Indica se há algum modal aberto (usado para desativar atalhos da tela por trás).
+   *
+   * @returns {boolean} true se houver pelo menos um modal aberto
+   */
+  function isOpen() {
+    return stack.length > 0;
+  }
+
+  // ========================================
+  // TECLADO: ESC E PRISÃO DE FOCO
+  // ========================================
+  document.addEventListener('keydown', ev => {
+    const top = stack[stack.length - 1];
+    if (!top) return;
+
+    // Esc fecha o modal do topo
+    if (ev.key === 'Escape') {
+      ev.preventDefault();
+      close(top);
+      return;
+    }
+
+    // Tab / Shift+Tab circulam apenas entre os elementos do modal do topo
+    if (ev.key === 'Tab') {
+      const modal = top.querySelector('.app-modal') ?? top;
+      const items = focusables(modal);
+      if (!items.length) {
+        ev.preventDefault();
+        modal.focus();
+        return;
+      }
+
+      const first = items[0];
+      const last = items[items.length - 1];
+      const inside = modal.contains(document.activeElement);
+
+      if (ev.shiftKey && (document.activeElement === first || !inside)) {
+        ev.preventDefault();
+        last.focus();
+      } else if (!ev.shiftKey && (document.activeElement === last || !inside)) {
+        ev.preventDefault();
+        first.focus();
+      }
+    }
+  });
+
+  // ========================================
+  // EXPORTAÇÃO GLOBAL
+  // ========================================
+  // Expõe o utilitário de modais no escopo global para o CrudForm e as telas
+  window.AppModal = {
+    create,
+    open,
+    close,
+    isOpen,
+  };
+})();
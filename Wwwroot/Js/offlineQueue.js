@@ -0,0 +1,362 @@
+// ========================================
+// FILA DE ALTERAÇÕES OFFLINE
+// ========================================
+// Este arquivo contém a fila em que as telas guardam as alterações (POST/PUT/PATCH/DELETE) feitas
+// sem conexão com o servidor:
+// - As operações ficam no IndexedDB do navegador: fechar ou recarregar a página não as perde
+// - Quando a conexão volta (evento "online", ao abrir a página e a cada tentativa periódica),
+//   as operações são reenviadas uma a uma, na ordem em que foram feitas
+// - Uma operação recusada pelo servidor por conflito (ex: versão alterada por outra pessoa,
+//   dados inválidos) fica marcada e interrompe o envio das seguintes, até o usuário resolvê-la
+// - A tela acompanha a fila por subscribe (pendências, conflitos, operações enviadas)
+//
+// Sem IndexedDB (ex: navegação privada em alguns navegadores), a fila fica só na memória da página.
+
+(() => {
+  /**
+   * Banco e store do IndexedDB usados pela fila.
+   */
+  const DB_NAME = 'webappEstudo';
+  const DB_VERSION = 1;
+  const STORE = 'fila_offline';
+
+  /**
+   * Tempo (ms) de espera por outra aba que impede a atualização do banco para uma versão nova
+   * (uma aba aberta antes da atualização da aplicação); depois dele, a fila fica só na memória.
+   */
+  const BLOCKED_TIMEOUT = 3000;
+
+  /**
+   * Intervalo (ms) entre as tentativas automáticas de envio enquanto houver operações pendentes
+   * (cobre o servidor fora do ar com o navegador online, caso em que o evento "online" não ocorre).
+   */
+  const RETRY_INTERVAL = 30000;
+
+  /**
+   * Respostas HTTP tratadas como conflito: a operação não será aceita só com novas tentativas.
+   * 400 dados inválidos, 404 registro não existe mais, 409 duplicidade, 412 versão alterada, 422 regra de negócio.
+   */
+  const CONFLICT_STATUS = [400, 404, 409, 412, 422];
+
+  // Cópia em memória da fila, na ordem de envio (espelha o IndexedDB)
+  let ops = [];
+
+  // Conexão com o IndexedDB (null se indisponível)
+  let db = null;
+
+  // Indica se um envio está em andamento, e qual operação está a caminho do servidor
+  let syncing = false;
+  let sending = null;
+
+  // Funções avisadas a cada mudança na fila
+  const listeners = new Set();
+
+  // Número das operações guardadas só na memória (sem IndexedDB)
+  let memorySeq = 0;
+
+  // ========================================
+  // INDEXEDDB
+  // ========================================
+  /**
+   * Converte uma requisição do IndexedDB em Promise.
+   *
+   * @param {IDBRequest} req - Requisição
+   * @returns {Promise<*>} Resultado da requisição
+   */
+  function promisify(req) {
+    return new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  /**
+   * Abre o banco, criando a store na primeira vez. A Promise sempre termina: se outra aba
+   * bloquear a atualização do banco por mais de BLOCKED_TIMEOUT ms, a fila fica só na memória
+   * e o usuário é avisado para fechar as outras abas.
+   *
+   * @returns {Promise<IDBDatabase|null>} Conexão, ou null se o IndexedDB não estiver disponível
+   */
+  function openDb() {
+    if (!window.indexedDB) return Promise.resolve(null);
+
+    return new Promise(resolve => {
+      let settled = false;
+      let timer = null;
+      const finish = conn => {
+        // A conexão que chega depois do tempo limite não é mais usada
+        if (settled) {
+          conn?.close();
+          return;
+        }
+        settled = true;
+        clearTimeout(timer);
+        resolve(conn);
+      };
+      const fail = err => {
+        console.warn('OfflineQueue: IndexedDB indisponível, a fila ficará só na memória.', err);
+        finish(null);
+      };
+
+      let req;
+      try {
+        req = window.indexedDB.open(DB_NAME, DB_VERSION);
+      } catch (err) {
+        fail(err);
+        return;
+      }
+
+      req.onupgradeneeded = () => {
+        if (!req.result.objectStoreNames.contains(STORE)) {
+          req.result.createObjectStore(STORE, { keyPath: 'seq', autoIncrement: true });
+        }
+      };
+      req.onsuccess = () => {
+        const conn = req.result;
+        // Uma aba com uma versão mais nova do banco precisa que esta feche a conexão para atualizá-lo
+        conn.onversionchange = () => {
+          conn.close();
+          if (db !== conn) return;
+          db = null;
+          memorySeq = Math.max(memorySeq, ...ops.map(op => op.seq));
+          console.warn('OfflineQueue: o banco foi atualizado por outra aba; a fila desta página fica só na memória.');
+        };
+        finish(conn);
+      };
+      req.onerror = () => fail(req.error);
+      req.onblocked = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+          window.AppToast?.warning('Feche as outras abas de Clientes e recarregue a página: até lá, as alterações feitas sem conexão ficam só nesta página.');
+          fail(new Error('Atualização do banco bloqueada por outra aba.'));
+        }, BLOCKED_TIMEOUT);
+      };
+    });
+  }
+
+  /**
+   * Executa uma operação na store (add, put, delete, getAll).
+   *
+   * @param {'readonly'|'readwrite'} mode - Modo da transação
+   * @param {Function} fn - (store) => IDBRequest
+   * @returns {Promise<*>} Resultado da requisição (undefined sem IndexedDB)
+   */
+  async function withStore(mode, fn) {
+    if (!db) return undefined;
+    return await promisify(fn(db.transaction(STORE, mode).objectStore(STORE)));
+  }
+
+  // Carrega a fila guardada (as operações ficam em ordem pela chave autoincremento)
+  const ready = openDb()
+    .then(async conn => {
+      db = conn;
+      ops = (await withStore('readonly', store => store.getAll())) ?? [];
+    })
+    .catch(err => console.error('OfflineQueue: falha ao carregar a fila.', err))
+    .finally(() => notify());
+
+  // ========================================
+  // NOTIFICAÇÕES
+  // ========================================
+  /**
+   * Avisa os inscritos sobre o estado atual da fila.
+   *
+   * @param {Object[]} [synced=[]] - Operações enviadas com sucesso neste envio
+   */
+  function notify(synced = []) {
+    const event = {
+      ops: ops.map(op => ({ ...op })),
+      synced,
+      syncing,
+      online: navigator.onLine !== false,
+    };
+    listeners.forEach(fn => {
+      try {
+        fn(event);
+      } catch (err) {
+        console.error('OfflineQueue: erro em um inscrito.', err);
+      }
+    });
+  }
+
+  /**
+   * Inscreve uma função para acompanhar a fila. Ela é chamada na hora (com o estado atual)
+   * e a cada mudança: { ops, synced, syncing, online }.
+   *
+   * @param {Function} fn - (event) => void
+   * @returns {Function} Função que cancela a inscrição
+   */
+  function subscribe(fn) {
+    listeners.add(fn);
+    ready.then(() => {
+      if (listeners.has(fn)) fn({ ops: ops.map(op => ({ ...op })), synced: [], syncing, online: navigator.onLine !== false });
+    });
+    return () => listeners.delete(fn);
+  }
+
+  // ========================================
+  // OPERAÇÕES DA FILA
+  // ========================================
+  /**
+   * Guarda uma operação no fim da fila e tenta enviá-la (se houver conexão).
+   * Com `key`, uma operação pendente com a mesma chave (ex: duas edições do mesmo registro)
+   * é atualizada no lugar: o corpo e a descrição são trocados, e a posição na fila e os
+   * cabeçalhos (com a versão lida na primeira edição) são mantidos. A operação que já está
+   * a caminho do servidor não é alterada: a nova entra no fim da fila.
+   *
+   * @param {Object} op - Operação
+   * @param {string} op.method - Método HTTP (POST, PUT, PATCH, DELETE)
+   * @param {string} op.url - URL da requisição
+   * @param {Object} [op.headers] - Cabeçalhos (ex: Content-Type, If-Match)
+   * @param {string} [op.body] - Corpo já serializado
+   * @param {string} [op.key] - Chave para juntar operações sobre o mesmo registro (ex: 'update:42')
+   * @param {string} [op.label] - Descrição para o usuário (ex: 'Alteração do cliente #42')
+   * @param {string|string[]} [op.affects] - Prefixo(s) das URLs descartadas do DataCache após o envio
+   * @param {Object} [op.data] - Dados extras da tela (ex: tipo da operação, ID do registro)
+   * @returns {Promise<Object>} Operação guardada, com o número (seq) na fila
+   */
+  async function enqueue(op) {
+    await ready;
+
+    const existing = op.key ? ops.find(o => o.key === op.key && !o.conflict && o !== sending) : null;
+    if (existing) {
+      existing.body = op.body;
+      existing.label = op.label ?? existing.label;
+      existing.data = op.data ?? existing.data;
+      await withStore('readwrite', store => store.put(existing));
+      notify();
+      return { ...existing };
+    }
+
+    const entry = {
+      method: op.method,
+      url: op.url,
+      headers: op.headers ?? {},
+      body: op.body ?? null,
+      key: op.key ?? null,
+      label: op.label ?? `${op.method} ${op.url}`,
+      affects: op.affects ?? null,
+      data: op.data ?? null,
+      createdAt: new Date().toISOString(),
+      conflict: null, // { status, message } quando o servidor recusou a operação
+    };
+    entry.seq = db ? await withStore('readwrite', store => store.add(entry)) : ++memorySeq;
+    ops.push(entry);
+    notify();
+
+    sync();
+    return { ...entry };
+  }
+
+  /**
+   * Remove uma operação da fila (ex: o usuário descartou a alteração ou a resolveu de outra forma)
+   * e retoma o envio das seguintes.
+   *
+   * @param {number} seq - Número da operação
+   */
+  async function remove(seq) {
+    await ready;
+    ops = ops.filter(op => op.seq !== seq);
+    await withStore('readwrite', store => store.delete(seq));
+    notify();
+    sync();
+  }
+
+  /**
+   * Tira a marca de conflito de uma operação e tenta enviá-la de novo.
+   *
+   * @param {number} seq - Número da operação
+   */
+  async function retry(seq) {
+    await ready;
+    const op = ops.find(o => o.seq === seq);
+    if (!op) return;
+    op.conflict = null;
+    await withStore('readwrite', store => store.put(op));
+    notify();
+    await sync();
+  }
+
+  // ========================================
+  // ENVIO
+  // ========================================
+  /**
+   * Indica se um erro do fetch é uma falha de rede (sem conexão, servidor inacessível),
+   * caso em que a alteração deve ir para a fila.
+   *
+   * @param {*} err - Erro capturado
+   * @returns {boolean} true para falhas de rede
+   */
+  function isNetworkError(err) {
+    return err instanceof TypeError;
+  }
+
+  /**
+   * Envia as operações pendentes, na ordem. Para na primeira que:
+   * - falhar por rede ou por erro do servidor (5xx): será enviada de novo na próxima tentativa
+   * - for recusada por conflito (ver CONFLICT_STATUS): fica marcada até o usuário resolvê-la
+   * Uma exclusão respondida com 404 conta como enviada (o registro já não existe).
+   *
+   * @returns {Promise<void>}
+   */
+  async function sync() {
+    await ready;
+    if (syncing || navigator.onLine === false || !ops.length) return;
+
+    syncing = true;
+    const synced = [];
+    notify();
+
+    try {
+      while (ops.length) {
+        const op = ops[0];
+        if (op.conflict) break;
+
+        let resp;
+        sending = op;
+        try {
+          resp = await fetch(op.url, { method: op.method, headers: op.headers, body: op.body ?? undefined });
+        } catch (err) {
+          if (!isNetworkError(err)) console.error('OfflineQueue: falha ao enviar', op, err);
+          break; // Ainda sem conexão: tenta de novo depois
+        } finally {
+          sending = null;
+        }
+
+        const done = resp.ok || (op.method === 'DELETE' && resp.status === 404);
+        if (!done && !CONFLICT_STATUS.includes(resp.status)) break; // Erro do servidor: tenta de novo depois
+
+        if (op.affects) [].concat(op.affects).forEach(prefix => window.DataCache?.invalidate(prefix));
+
+        if (!done) {
+          op.conflict = { status: resp.status, message: await resp.text() };
+          await withStore('readwrite', store => store.put(op));
+          break;
+        }
+
+        ops = ops.filter(o => o !== op);
+        await withStore('readwrite', store => store.delete(op.seq));
+        synced.push(op);
+      }
+    } finally {
+      syncing = false;
+      notify(synced);
+    }
+  }
+
+  // ========================================
+  // TENTATIVAS AUTOMÁTICAS
+  // ========================================
+  window.addEventListener('online', () => sync());
+  window.addEventListener('offline', () => notify());
+  setInterval(() => {
+    if (ops.length) sync();
+  }, RETRY_INTERVAL);
+  ready.then(() => sync());
+
+  // ========================================
+  // EXPORTAÇÃO GLOBAL
+  // ========================================
+  // Expõe a fila no escopo global para as telas
+  window.OfflineQueue = { enqueue, remove, retry, sync, subscribe, isNetworkError };
+})();
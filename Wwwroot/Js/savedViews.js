@@ -0,0 +1,561 @@
+// ========================================
+// VISÕES SALVAS DAS LISTAS
+// ========================================
+// Este arquivo contém o componente de visões salvas usado pelo CrudList:
+// - O usuário salva o estado atual da lista (filtro, ordenação, itens por página
+//   e colunas visíveis) com um nome e depois o escolhe em um seletor
+// - Uma visão por tela pode ser marcada como padrão: ela é aplicada ao abrir a tela
+// - As visões podem ser renomeadas e excluídas (com a opção de desfazer)
+//
+// Por padrão as visões ficam no localStorage do navegador. Com um endpoint configurado
+// (ex: '/api/visoes/clientes'), ficam no servidor, separadas por usuário
+// (Endpoints/VisoesEndpoints.cs). O servidor exige login: sem um usuário autenticado
+// (HTTP 401), as visões voltam a ficar no navegador. O conteúdo de cada visão é
+// definido pelo CrudList; este componente apenas o guarda, compara e devolve.
+
+(() => {
+  // ========================================
+  // CONSTANTES
+  // ========================================
+  /**
+   * Tamanho máximo do nome de uma visão (o mesmo limite do servidor).
+   */
+  const MAX_NAME_LENGTH = 100;
+
+  /**
+   * Tempo (ms) em que o aviso de exclusão oferece "Desfazer".
+   */
+  const UNDO_TIMEOUT = 8000;
+
+  // ========================================
+  // UTILITÁRIOS
+  // ========================================
+  /**
+   * Converte um valor para JSON com as chaves dos objetos em ordem alfabética,
+   * para que dois estados iguais gerem sempre o mesmo texto.
+   *
+   * @param {*} value - Valor a converter
+   * @returns {string} JSON canônico
+   */
+  function canonical(value) {
+    if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+    if (value && typeof value === 'object') {
+      const keys = Object.keys(value).filter(k => value[k] !== undefined).sort();
+      return `{${keys.map(k => `${JSON.stringify(k)}:${canonical(value[k])}`).join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+  }
+
+  /**
+   * Compara dois nomes de visão sem diferenciar maiúsculas de minúsculas
+   * (a mesma regra do índice único no servidor).
+   *
+   * @param {string} a - Primeiro nome
+   * @param {string} b - Segundo nome
+   * @returns {boolean} true se os nomes forem considerados iguais
+   */
+  function sameName(a, b) {
+    return a.localeCompare(b, 'pt-BR', { sensitivity: 'accent' }) === 0;
+  }
+
+  /**
+   * Ordena as visões pelo nome.
+   *
+   * @param {Object[]} views - Visões
+   * @returns {Object[]} As mesmas visões, ordenadas
+   */
+  function byName(views) {
+    return views.sort((a, b) => a.nome.localeCompare(b.nome, 'pt-BR'));
+  }
+
+  // ========================================
+  // ARMAZENAMENTO
+  // ========================================
+  // Os dois armazenamentos têm a mesma interface assíncrona: list, create, update e remove.
+  // Uma visão é sempre { id, nome, padrao, estado }, o mesmo formato da API.
+
+  /**
+   * Armazenamento no localStorage do navegador (uma chave por tela).
+   *
+   * @param {string} key - Chave do localStorage
+   * @returns {Object} Armazenamento de visões
+   */
+  function localStore(key) {
+    const read = () => {
+      try {
+        const views = JSON.parse(localStorage.getItem(key) ?? '[]');
+        return Array.isArray(views)
+          ? views.filter(v => v && typeof v.nome === 'string' && v.estado && typeof v.estado === 'object')
+          : [];
+      } catch {
+        return []; // Conteúdo corrompido ou localStorage indisponível: começa sem visões
+      }
+    };
+
+    const write = views => {
+      try {
+        localStorage.setItem(key, JSON.stringify(views));
+      } catch {
+        throw new Error('Não foi possível gravar as visões neste navegador.');
+      }
+    };
+
+    // Mesmas regras do servidor: nome único por tela e no máximo uma visão padrão
+    const save = (views, view, data) => {
+      if (views.some(v => v.id !== view.id && sameName(v.nome, data.nome))) {
+        throw new Error('Já existe uma visão com este nome.');
+      }
+      if (data.padrao) views.forEach(v => { v.padrao = false; });
+      Object.assign(view, data);
+      write(views);
+      return { ...view };
+    };
+
+    return {
+      async list() {
+        return byName(read());
+      },
+
+      async create(data) {
+        const views = read();
+        const view = { id: views.reduce((max, v) => Math.max(max, v.id || 0), 0) + 1 };
+        return save([...views, view], view, data);
+      },
+
+      async update(id, data) {
+        const views = read();
+        const view = views.find(v => v.id === id);
+        if (!view) throw new Error('Visão não encontrada.');
+        return save(views, view, data);
+      },
+
+      async remove(id) {
+        write(read().filter(v => v.id !== id));
+      },
+    };
+  }
+
+  /**
+   * Armazenamento no servidor (GET/POST/PUT/DELETE em /api/visoes/{tela}).
+   *
+   * @param {string} endpoint - URL das visões da tela (ex: '/api/visoes/clientes')
+   * @returns {Object} Armazenamento de visões
+   */
+  function serverStore(endpoint) {
+    const request = async (url, method = 'GET', data) => {
+      const resp = await fetch(url, {
+        method,
+        headers: data ? { 'Content-Type': 'application/json' } : undefined,
+        body: data ? JSON.stringify(data) : undefined,
+      });
+      if (!resp.ok) {
+        const txt = await resp.text();
+        const err = new Error(txt || `Erro HTTP ${resp.status}`);
+        err.status = resp.status;
+        throw err;
+      }
+      return resp.status === 204 ? null : await resp.json();
+    };
+
+    return {
+      async list() {
+        const views = await request(endpoint);
+        return byName(Array.isArray(views) ? views : []);
+      },
+      create: data => request(endpoint, 'POST', data),
+      update: (id, data) => request(`${endpoint}/${id}`, 'PUT', data),
+      remove: id => request(`${endpoint}/${id}`, 'DELETE'),
+    };
+  }
+
+  // ========================================
+  // CLASSE PRINCIPAL: SavedViews
+  // ========================================
+  /**
+   * Seletor de visões salvas com os botões Salvar, Renomear, Padrão e Excluir.
+   *
+   * @class
+   */
+  class SavedViews {
+    /**
+     * Construtor da classe SavedViews.
+     *
+     * @param {Object} cfg - Configuração do componente
+     * @param {HTMLElement} cfg.container - Elemento onde o componente é montado
+     * @param {string} cfg.screen - Nome da tela (separa as visões de telas diferentes, ex: 'clientes')
+     * @param {string} [cfg.endpoint] - URL das visões no servidor, por usuário (sem ela, ou sem login, usa o localStorage)
+     * @param {Function} cfg.getState - () => Object; estado atual da lista
+     * @param {Function} cfg.onApply - (estado) => void; aplica à lista o estado de uma visão
+     */
+    constructor(cfg) {
+      this.cfg = cfg;
+      this.store = cfg.endpoint ? serverStore(cfg.endpoint) : localStore(`crudList.views.${cfg.screen}`);
+      this.views = [];
+      this.selectedId = null; // Visão escolhida por último (preferida quando várias têm o mesmo estado)
+      this.busy = false;      // Uma alteração por vez
+
+      this.build();
+      this.render();
+    }
+
+    // ========================================
+    // API PÚBLICA
+    // ========================================
+    /**
+     * Carrega as visões do armazenamento. Uma falha não interrompe a tela: a lista
+     * continua funcionando, sem visões, e o usuário é avisado. Se o servidor recusar por
+     * falta de login (HTTP 401), as visões passam a ficar no localStorage.
+     *
+     * @returns {Promise<void>}
+     */
+    async load() {
+      try {
+        this.views = await this.store.list();
+      } catch (err) {
+        // Sem usuário autenticado o servidor não guarda visões: usa o navegador, em vez de um
+        // armazenamento compartilhado por todos
+        if (err.status === 401 && this.cfg.endpoint) {
+          this.store = localStore(`crudList.views.${this.cfg.screen}`);
+          return await this.load();
+        }
+
+        console.error('SavedViews load error:', err);
+        this.views = [];
+        window.AppToast.error(err, 'Não foi possível carregar as visões salvas.');
+      }
+      this.render();
+    }
+
+    /**
+     * Visão marcada como padrão da tela.
+     *
+     * @returns {Object|null} Visão padrão ({ id, nome, padrao, estado }) ou null
+     */
+    defaultView() {
+      return this.views.find(v => v.padrao) ?? null;
+    }
+
+    /**
+     * Mostra no seletor a visão que corresponde ao estado atual da lista, ou nenhuma
+     * se o usuário já alterou filtro, ordenação ou colunas depois de escolhê-la.
+     * Chamado pelo CrudList a cada carga da lista.
+     */
+    sync() {
+      const current = canonical(this.cfg.getState());
+      const matches = this.views.filter(v => canonical(v.estado) === current);
+      const match = matches.find(v => v.id === this.selectedId) ?? matches[0] ?? null;
+      this.selectedId = match?.id ?? null;
+      this.updateControls();
+    }
+
+    // ========================================
+    // ESTRUTURA
+    // ========================================
+    /**
+     * Monta o seletor de visões e os botões de ação.
+     */
+    build() {
+      const root = this.cfg.container;
+      root.classList.add('saved-views');
+      root.setAttribute('role', 'group');
+      root.setAttribute('aria-label', 'Visões salvas');
+
+      const selectId = `saved-views-${this.cfg.screen}`;
+      const label = document.createElement('label');
+      label.htmlFor = selectId;
+      label.textContent = 'Visão';
+
+      const select = document.createElement('select');
+      select.id = selectId;
+      select.addEventListener('change', () => this.apply(parseInt(select.value, 10) || null));
+
+      const field = document.createElement('div');
+      field.className = 'list-filter-field';
+      field.append(label, select);
+
+      const buttons = document.createElement('div');
+      buttons.className = 'saved-views-actions';
+      const button = (text, title, onClick) => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'saved-views-btn';
+        btn.textContent = text;
+        btn.title = title;
+        btn.addEventListener('click', onClick);
+        buttons.appendChild(btn);
+        return btn;
+      };
+
+      this.els = {
+        select,
+        btnSave: button('💾 Salvar', 'Salvar o filtro, a ordenação e as colunas atuais como visão', () => this.openDialog('save')),
+        btnRename: button('Renomear', 'Renomear a visão escolhida', () => this.openDialog('rename')),
+        btnDefault: button('☆ Padrão', 'Abrir a tela com a visão escolhida', () => this.toggleDefault()),
+        btnDelete: button('Excluir', 'Excluir a visão escolhida', () => this.remove()),
+      };
+      this.els.btnDefault.setAttribute('aria-pressed', 'false');
+
+      root.replaceChildren(field, buttons);
+    }
+
+    /**
+     * Monta (uma única vez) o modal de nome da visão, usado para salvar e para renomear.
+     */
+    buildDialog() {
+      if (this.dialog) return;
+
+      const { backdrop, body, titleEl } = window.AppModal.create({ title: 'Salvar visão' });
+
+      const form = document.createElement('form');
+      form.className = 'edit-form-grid saved-views-form';
+      form.noValidate = true;
+
+      const nameLabel = document.createElement('label');
+      nameLabel.textContent = 'Nome';
+      const name = document.createElement('input');
+      name.type = 'text';
+      name.className = 'form-control';
+      name.maxLength = MAX_NAME_LENGTH;
+      name.autocomplete = 'off';
+      const error = document.createElement('div');
+      error.className = 'field-error';
+      error.setAttribute('role', 'alert');
+      nameLabel.append(name, error);
+
+      const defaultLabel = document.createElement('label');
+      defaultLabel.className = 'saved-views-default';
+      const isDefault = document.createElement('input');
+      isDefault.type = 'checkbox';
+      defaultLabel.append(isDefault, ' Usar como padrão nesta tela');
+
+      const actions = document.createElement('div');
+      actions.className = 'modal-actions';
+      const cancel = document.createElement('button');
+      cancel.type = 'button';
+      cancel.className = 'btn-modern secondary';
+      cancel.textContent = 'Cancelar';
+      const submit = document.createElement('button');
+      submit.type = 'submit';
+      submit.className = 'btn-modern primary';
+      submit.textContent = 'Salvar';
+      actions.append(cancel, submit);
+
+      form.append(nameLabel, defaultLabel, actions);
+      body.appendChild(form);
+      (document.querySelector('main') ?? document.body).appendChild(backdrop);
+
+      cancel.addEventListener('click', () => window.AppModal.close(backdrop));
+      form.addEventListener('submit', ev => {
+        ev.preventDefault();
+        this.submitDialog();
+      });
+
+      this.dialog = { backdrop, titleEl, name, error, isDefault, defaultLabel, submit, mode: 'save' };
+    }
+
+    // ========================================
+    // RENDERIZAÇÃO
+    // ========================================
+    /**
+     * Recria as opções do seletor a partir das visões carregadas.
+     */
+    render() {
+      const { select } = this.els;
+      const options = [new Option('Nenhuma', '')];
+      this.views.forEach(v => options.push(new Option(v.padrao ? `${v.nome} (padrão)` : v.nome, String(v.id))));
+      select.replaceChildren(...options);
+      this.updateControls();
+    }
+
+    /**
+     * Sincroniza o seletor e os botões com a visão escolhida.
+     */
+    updateControls() {
+      const { select, btnSave, btnRename, btnDefault, btnDelete } = this.els;
+      const view = this.selected();
+
+      select.value = view ? String(view.id) : '';
+      select.disabled = this.busy;
+      btnSave.disabled = this.busy;
+      [btnRename, btnDefault, btnDelete].forEach(btn => { btn.disabled = this.busy || !view; });
+
+      btnDefault.textContent = view?.padrao ? '★ Padrão' : '☆ Padrão';
+      btnDefault.setAttribute('aria-pressed', view?.padrao ? 'true' : 'false');
+    }
+
+    /**
+     * Visão escolhida no seletor.
+     *
+     * @returns {Object|null} Visão ou null
+     */
+    selected() {
+      return this.views.find(v => v.id === this.selectedId) ?? null;
+    }
+
+    // ========================================
+    // AÇÕES
+    // ========================================
+    /**
+     * Aplica uma visão à lista (escolha no seletor). "Nenhuma" mantém a lista como está.
+     *
+     * @param {number|null} id - ID da visão
+     */
+    apply(id) {
+      const view = this.views.find(v => v.id === id);
+      this.selectedId = view?.id ?? null;
+      this.updateControls();
+      if (view) this.cfg.onApply(JSON.parse(JSON.stringify(view.estado)));
+    }
+
+    /**
+     * Executa uma alteração no armazenamento, recarrega as visões e volta a marcar
+     * no seletor a visão que corresponde à lista. Erros (ex: nome repetido no servidor) são mostrados em um aviso.
+     *
+     * @param {Function} action - () => Promise; a alteração
+     * @param {string} context - O que falhou, para a mensagem de erro
+     * @returns {Promise<boolean>} true se a alteração foi gravada
+     */
+    async mutate(action, context) {
+      if (this.busy) return false;
+      this.busy = true;
+      this.updateControls();
+
+      let ok = false;
+      try {
+        await action();
+        ok = true;
+        this.views = await this.store.list();
+      } catch (err) {
+        console.error('SavedViews error:', err);
+        window.AppToast.error(err, context);
+      } finally {
+        this.busy = false;
+        this.render();
+        this.sync();
+      }
+      return ok;
+    }
+
+    /**
+     * Abre o modal de nome: para salvar o estado atual ou para renomear a visão escolhida.
+     *
+     * @param {('save'|'rename')} mode - O que o modal faz ao confirmar
+     */
+    openDialog(mode) {
+      this.buildDialog();
+      const dialog = this.dialog;
+      const view = this.selected();
+      if (mode === 'rename' && !view) return;
+
+      dialog.mode = mode;
+      dialog.titleEl.textContent = mode === 'rename' ? 'Renomear visão' : 'Salvar visão';
+      dialog.submit.textContent = mode === 'rename' ? 'Renomear' : 'Salvar';
+      dialog.name.value = view?.nome ?? '';
+      dialog.isDefault.checked = !!view?.padrao;
+      dialog.defaultLabel.hidden = mode === 'rename';
+      this.setDialogError('');
+
+      window.AppModal.open(dialog.backdrop, { initialFocus: dialog.name });
+      dialog.name.select();
+    }
+
+    /**
+     * Mostra (ou limpa) o erro do campo de nome no modal.
+     *
+     * @param {string} message - Mensagem; vazia para limpar
+     */
+    setDialogError(message) {
+      const { name, error } = this.dialog;
+      error.textContent = message;
+      name.classList.toggle('is-invalid', !!message);
+      name.setAttribute('aria-invalid', message ? 'true' : 'false');
+      if (message) name.focus();
+    }
+
+    /**
+     * Confirma o modal de nome. Ao salvar com o nome de outra visão, pergunta antes de substituí-la.
+     */
+    async submitDialog() {
+      const dialog = this.dialog;
+      const nome = dialog.name.value.trim();
+      if (!nome) {
+        this.setDialogError('Informe o nome da visão.');
+        return;
+      }
+
+      const view = this.selected();
+      const existing = this.views.find(v => sameName(v.nome, nome));
+      let ok;
+
+      if (dialog.mode === 'rename') {
+        if (existing && existing.id !== view.id) {
+          this.setDialogError('Já existe uma visão com este nome.');
+          return;
+        }
+        ok = await this.mutate(
+          () => this.store.update(view.id, { nome, padrao: view.padrao, estado: view.estado }),
+          'Falha ao renomear a visão.');
+      } else {
+        if (existing && existing.id !== view?.id && !confirm(`Substituir a visão "${existing.nome}" pelo estado atual da lista?`)) {
+          return;
+        }
+        const data = { nome, padrao: dialog.isDefault.checked, estado: this.cfg.getState() };
+        ok = await this.mutate(async () => {
+          const saved = existing ? await this.store.update(existing.id, data) : await this.store.create(data);
+          this.selectedId = saved.id;
+        }, 'Falha ao salvar a visão.');
+      }
+
+      if (!ok) return;
+      window.AppModal.close(dialog.backdrop);
+      window.AppToast.success(dialog.mode === 'rename' ? 'Visão renomeada.' : `Visão "${nome}" salva.`);
+    }
+
+    /**
+     * Marca a visão escolhida como padrão da tela (desmarcando a anterior) ou desmarca.
+     */
+    async toggleDefault() {
+      const view = this.selected();
+      if (!view) return;
+
+      const padrao = !view.padrao;
+      const ok = await this.mutate(
+        () => this.store.update(view.id, { nome: view.nome, padrao, estado: view.estado }),
+        'Falha ao alterar a visão padrão.');
+      if (ok) {
+        window.AppToast.success(padrao
+          ? `A tela passa a abrir com a visão "${view.nome}".`
+          : `A visão "${view.nome}" deixou de ser a padrão.`);
+      }
+    }
+
+    /**
+     * Exclui a visão escolhida, com a opção de desfazer (a visão é gravada de novo).
+     */
+    async remove() {
+      const view = this.selected();
+      if (!view) return;
+
+      const ok = await this.mutate(() => this.store.remove(view.id), 'Falha ao excluir a visão.');
+      if (!ok) return;
+
+      this.els.select.focus();
+      window.AppToast.success(`Visão "${view.nome}" excluída.`, {
+        duration: UNDO_TIMEOUT,
+        action: {
+          label: 'Desfazer',
+          onClick: () => this.mutate(async () => {
+            const saved = await this.store.create({ nome: view.nome, padrao: view.padrao, estado: view.estado });
+            this.selectedId = saved.id;
+          }, 'Falha ao restaurar a visão.'),
+        },
+      });
+    }
+  }
+
+  // ========================================
+  // EXPORTAÇÃO GLOBAL
+  // ========================================
+  // Expõe a classe SavedViews no escopo global para o CrudList
+  window.SavedViews = SavedViews;
+})();
@@ -0,0 +1,282 @@
+// ========================================
+// AVISOS (TOASTS)
+// ========================================
+// Este arquivo contém um utilitário de avisos rápidos que não bloqueiam a tela:
+// - Os avisos aparecem empilhados no canto inferior da página
+// - Cada aviso some sozinho após alguns segundos (o tempo pausa com o mouse ou o foco sobre ele)
+// - Um aviso pode ter botões de ação (ex: "Desfazer")
+// - Os avisos são anunciados por leitores de tela (role="status", ou "alert" para erros)
+// - Os avisos de erro extraem a mensagem do servidor (JSON { mensagem } ou ProblemDetails)
+//
+// É usado pelo CrudList e pelas telas para informar o resultado das ações sem
+// interromper o usuário (no lugar de alert()).
+
+(() => {
+  /**
+   * Tempo padrão de exibição de um aviso, em ms.
+   */
+  const DEFAULT_DURATION = 5000;
+
+  /**
+   * Tempo padrão de exibição dos avisos de erro e de alerta, em ms (mais longo, para dar tempo de ler).
+   */
+  const ERROR_DURATION = 10000;
+
+  /**
+   * Quantidade máxima de avisos visíveis: ao passar dela, o mais antigo é fechado.
+   */
+  const MAX_VISIBLE = 5;
+
+  /**
+   * Tamanho máximo de uma mensagem de erro em texto puro (respostas longas são cortadas).
+   */
+  const MAX_DETAIL_LENGTH = 300;
+
+  let stack = null; // Contêiner dos avisos (criado no primeiro uso)
+  const closers = new WeakMap(); // Elemento do aviso → função que o fecha
+
+  /**
+   * Retorna o contêiner dos avisos, criando-o na primeira chamada.
+   *
+   * @returns {HTMLElement} Contêiner dos avisos
+   */
+  function getStack() {
+    if (stack?.isConnected) return stack;
+
+    stack = document.createElement('div');
+    stack.className = 'app-toast-stack';
+    stack.setAttribute('role', 'region');
+    stack.setAttribute('aria-label', 'Avisos');
+    document.body.appendChild(stack);
+    return stack;
+  }
+
+  // ========================================
+  // MENSAGENS DE ERRO
+  // ========================================
+  /**
+   * Extrai do corpo de uma resposta de erro a mensagem para o usuário.
+   * Aceita os formatos usados pela API: { mensagem } e ProblemDetails
+   * (errors por campo, detail ou title). Texto puro é usado como está.
+   *
+   * @param {string} body - Corpo da resposta
+   * @returns {string|null} Mensagem, ou null se o corpo não tiver uma mensagem legível
+   */
+  function messageFromBody(body) {
+    const txt = String(body ?? '').trim();
+    if (!txt) return null;
+
+    let data;
+    try {
+      data = JSON.parse(txt);
+    } catch {
+      // Páginas de erro em HTML não são mostradas ao usuário
+      if (txt.startsWith('<')) return null;
+      return txt.length > MAX_DETAIL_LENGTH ? `${txt.slice(0, MAX_DETAIL_LENGTH)}…` : txt;
+    }
+
+    if (typeof data === 'string') return data || null;
+    if (!data || typeof data !== 'object') return null;
+
+    const fieldErrors = Object.values(data.errors ?? {}).flat().filter(Boolean);
+    if (fieldErrors.length) return fieldErrors.join(' ');
+
+    return data.mensagem ?? data.message ?? data.detail ?? data.title ?? null;
+  }
+
+  /**
+   * Descreve um erro lançado por uma requisição (ex: o Error do fetchJson, cuja
+   * mensagem é o corpo da resposta da API).
+   *
+   * @param {*} err - Erro capturado (Error, texto ou corpo de resposta)
+   * @returns {string|null} Mensagem para o usuário, ou null se não houver uma legível
+   */
+  function describeError(err) {
+    if (err == null) return null;
+    if (typeof err === 'string') return messageFromBody(err);
+
+    if (err.name === 'TimeoutError') return 'O servidor demorou demais para responder.';
+    // fetch() rejeita com TypeError quando não consegue falar com o servidor
+    if (err.name === 'TypeError' && /fetch|network/i.test(err.message ?? '')) {
+      return 'Não foi possível conectar ao servidor.';
+    }
+
+    // Erros de validação já separados por campo (ex: saveCliente)
+    const fieldErrors = Object.values(err.errors ?? {}).flat().filter(Boolean);
+    if (fieldErrors.length) return fieldErrors.join(' ');
+
+    return messageFromBody(err.message);
+  }
+
+  // ========================================
+  // EXIBIÇÃO
+  // ========================================
+  /**
+   * Exibe um aviso.
+   *
+   * @example
+   * AppToast.show({
+   *   message: 'Cliente excluído.',
+   *   type: 'success',
+   *   action: { label: 'Desfazer', onClick: () => restaurar() },
+   * });
+   *
+   * @param {Object} opts - Opções do aviso
+   * @param {string} opts.message - Texto do aviso (quebras de linha são mantidas)
+   * @param {string} [opts.title] - Título em destaque, acima do texto
+   * @param {'info'|'success'|'warning'|'error'} [opts.type='info'] - Tipo (define a cor)
+   * @param {number} [opts.duration] - Tempo de exibição em ms (0 = só fecha pelo X ou por uma ação).
+   *   Padrão: 5000, ou 10000 para erros e alertas
+   * @param {{label: string, onClick: Function}} [opts.action] - Botão de ação; clicar nele fecha o aviso
+   * @param {{label: string, onClick: Function}[]} [opts.actions] - Vários botões de ação, na ordem
+   * @param {Function} [opts.onClose] - (motivo) => void; motivo: 'timeout', 'action' ou 'dismiss'
+   * @returns {{close: Function}} Controle do aviso (close() fecha como 'dismiss')
+   */
+  function show(opts) {
+    const type = opts.type ?? 'info';
+    const duration = opts.duration ?? (type === 'error' || type === 'warning' ? ERROR_DURATION : DEFAULT_DURATION);
+
+    const toast = document.createElement('div');
+    toast.className = `app-toast app-toast-${type}`;
+    toast.setAttribute('role', type === 'error' ? 'alert' : 'status');
+
+    const body = document.createElement('div');
+    body.className = 'app-toast-body';
+    if (opts.title) {
+      const title = document.createElement('strong');
+      title.className = 'app-toast-title';
+      title.textContent = opts.title;
+      body.appendChild(title);
+    }
+    if (opts.message) {
+      const text = document.createElement('span');
+      text.className = 'app-toast-message';
+      text.textContent = opts.message;
+      body.appendChild(text);
+    }
+    toast.appendChild(body);
+
+    let closed = false;
+    let timer = null;
+
+    /**
+     * Remove o aviso (uma única vez) e avisa quem o criou.
+     *
+     * @param {'timeout'|'action'|'dismiss'} reason - Motivo do fechamento
+     */
+    const close = reason => {
+      if (closed) return;
+      closed = true;
+      clearTimeout(timer);
+      toast.remove();
+      opts.onClose?.(reason);
+    };
+
+    // Botões de ação (ex: "Desfazer")
+    const actions = [...(opts.action ? [opts.action] : []), ...(opts.actions ?? [])];
+    actions.forEach(action => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'app-toast-action';
+      btn.textContent = action.label;
+      btn.addEventListener('click', () => {
+        close('action');
+        action.onClick?.();
+      });
+      toast.appendChild(btn);
+    });
+
+    // Botão de fechar
+    const dismiss = document.createElement('button');
+    dismiss.type = 'button';
+    dismiss.className = 'app-toast-close';
+    dismiss.setAttribute('aria-label', 'Fechar aviso');
+    dismiss.textContent = '×';
+    dismiss.addEventListener('click', () => close('dismiss'));
+    toast.appendChild(dismiss);
+
+    // Fechamento automático, pausado enquanto o usuário interage com o aviso
+    const start = () => {
+      clearTimeout(timer);
+      if (duration > 0 && !closed) timer = setTimeout(() => close('timeout'), duration);
+    };
+    const pause = () => clearTimeout(timer);
+    toast.addEventListener('mouseenter', pause);
+    toast.addEventListener('mouseleave', start);
+    toast.addEventListener('focusin', pause);
+    toast.addEventListener('focusout', ev => {
+      if (!toast.contains(ev.relatedTarget)) start();
+    });
+
+    // Limita a pilha: o aviso mais antigo dá lugar ao novo
+    const container = getStack();
+    container.appendChild(toast);
+    closers.set(toast, () => close('dismiss'));
+    [...container.children].slice(0, -MAX_VISIBLE).forEach(old => closers.get(old)?.());
+    start();
+
+    return { close: () => close('dismiss') };
+  }
+
+  /**
+   * Exibe um aviso de sucesso.
+   *
+   * @param {string} message - Texto do aviso
+   * @param {Object} [opts] - Demais opções de show()
+   * @returns {{close: Function}} Controle do aviso
+   */
+  function success(message, opts) {
+    return show({ ...opts, message, type: 'success' });
+  }
+
+  /**
+   * Exibe um aviso informativo.
+   *
+   * @param {string} message - Texto do aviso
+   * @param {Object} [opts] - Demais opções de show()
+   * @returns {{close: Function}} Controle do aviso
+   */
+  function info(message, opts) {
+    return show({ ...opts, message, type: 'info' });
+  }
+
+  /**
+   * Exibe um alerta (ex: operação concluída só em parte).
+   *
+   * @param {string} message - Texto do aviso
+   * @param {Object} [opts] - Demais opções de show()
+   * @returns {{close: Function}} Controle do aviso
+   */
+  function warning(message, opts) {
+    return show({ ...opts, message, type: 'warning' });
+  }
+
+  /**
+   * Exibe um aviso de erro. Recebe o erro capturado e extrai dele a mensagem do
+   * servidor; o texto de contexto (ex: "Falha ao salvar alterações.") vira o título.
+   *
+   * @example
+   * try {
+   *   await fetchJson(`/api/clientes/${id}`);
+   * } catch (err) {
+   *   AppToast.error(err, 'Falha ao carregar detalhes do cliente.');
+   * }
+   *
+   * @param {*} err - Erro capturado, ou o próprio texto do aviso
+   * @param {string} [context] - O que falhou; usado sozinho se o erro não tiver mensagem legível
+   * @param {Object} [opts] - Demais opções de show()
+   * @returns {{close: Function}} Controle do aviso
+   */
+  function error(err, context, opts) {
+    const detail = describeError(err);
+    if (!context) return show({ ...opts, message: detail ?? 'Ocorreu um erro inesperado.', type: 'error' });
+    if (!detail || detail === context) return show({ ...opts, message: context, type: 'error' });
+    return show({ ...opts, title: context, message: detail, type: 'error' });
+  }
+
+  // ========================================
+  // EXPORTAÇÃO GLOBAL
+  // ========================================
+  // Expõe o utilitário no escopo global para o CrudList e as telas
+  window.AppToast = { show, success, info, warning, error, describeError };
+})();